@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * The live-reload client of the Catberry Watcher.
+ * Include it to the page as
+ * <script src="/catberry-watcher/client.js"></script>
+ * and it reloads the page when the stores or components change.
+ * The templates are compiled into the browser bundle, so the changed
+ * templates are not re-rendered in place but loaded with the page.
+ */
+(function(window) {
+	const DEFAULT_ENDPOINT = '/catberry-watcher/events';
+	const source = new window.EventSource(getEndpoint(window.document.currentScript));
+
+	/**
+	 * Gets the URL of the event stream.
+	 * It can be set by the "data-endpoint" attribute of the script,
+	 * otherwise it is next to the script's URL.
+	 * @param {Element|null} script The element of the current script.
+	 * @returns {string} The URL of the event stream.
+	 */
+	function getEndpoint(script) {
+		if (!script) {
+			return DEFAULT_ENDPOINT;
+		}
+
+		if (script.getAttribute('data-endpoint')) {
+			return script.getAttribute('data-endpoint');
+		}
+
+		return script.src ? script.src.replace(/client\.js(\?.*)?$/, 'events') : DEFAULT_ENDPOINT;
+	}
+
+	/**
+	 * Reloads the whole page.
+	 */
+	function reloadPage() {
+		source.close();
+		window.location.reload();
+	}
+
+	source.addEventListener('changeTemplates', reloadPage);
+	source.addEventListener('changeLogic', reloadPage);
+	source.addEventListener('changeStore', reloadPage);
+	source.addEventListener('addComponent', reloadPage);
+	source.addEventListener('unlinkComponent', reloadPage);
+	source.addEventListener('renameStore', reloadPage);
+	source.addEventListener('moveComponent', reloadPage);
+	source.addEventListener('renameComponent', reloadPage);
+}(window));
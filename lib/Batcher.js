@@ -0,0 +1,172 @@
+'use strict';
+
+/**
+ * Resulting kinds of two consecutive events for the same file.
+ * The first key is the previous kind, the second one is the next kind.
+ * The "null" value means the events cancel each other.
+ * @type {Object}
+ */
+const KIND_TRANSITIONS = {
+	add: {add: 'add', change: 'add', unlink: null},
+	change: {add: 'change', change: 'change', unlink: 'unlink'},
+	unlink: {add: 'change', change: 'change', unlink: 'unlink'}
+};
+
+/**
+ * Implements the coalescing queue for the file events.
+ * All events pushed within the settle window are merged per file and
+ * flushed at once when no new events arrive during the window.
+ */
+class Batcher {
+
+	/**
+	 * Creates a new instance of the batcher.
+	 * @param {number} delay The settle window in milliseconds.
+	 * @param {Function} handler The function which receives the list of
+	 * the coalesced events when the window is settled.
+	 */
+	constructor(delay, handler) {
+
+		/**
+		 * Current settle window in milliseconds.
+		 * @type {number}
+		 * @private
+		 */
+		this._delay = delay;
+
+		/**
+		 * Current handler of the flushed events.
+		 * @type {Function}
+		 * @private
+		 */
+		this._handler = handler;
+
+		/**
+		 * Current pending events by their keys.
+		 * @type {Map}
+		 * @private
+		 */
+		this._pending = new Map();
+
+		/**
+		 * Current timer of the settle window.
+		 * @type {Object|null}
+		 * @private
+		 */
+		this._timer = null;
+
+		/**
+		 * Current flag of the paused batcher.
+		 * @type {boolean}
+		 * @private
+		 */
+		this._paused = false;
+	}
+
+	/**
+	 * Gets a number of the pending events.
+	 * @returns {number} The number of the pending events.
+	 */
+	get size() {
+		return this._pending.size;
+	}
+
+	/**
+	 * Determines if the batcher is paused.
+	 * @returns {boolean} true if the events are queued until "resume" is called.
+	 */
+	get paused() {
+		return this._paused;
+	}
+
+	/**
+	 * Pushes a new file event to the queue and restarts the settle window.
+	 * @param {string} target The name of the target the file belongs to.
+	 * @param {string} kind The kind of the event: "add", "change" or "unlink".
+	 * @param {string} filename The filename of the event.
+	 */
+	push(target, kind, filename) {
+		const key = `${target}:${filename}`;
+		const previous = this._pending.get(key);
+
+		if (!previous) {
+			this._pending.set(key, {target, kind, filename});
+		} else {
+			const resultKind = KIND_TRANSITIONS[previous.kind][kind];
+
+			if (resultKind) {
+				previous.kind = resultKind;
+			} else {
+				this._pending.delete(key);
+			}
+		}
+
+		this._schedule();
+	}
+
+	/**
+	 * Flushes all the pending events immediately.
+	 */
+	flush() {
+		this._cancelTimer();
+
+		if (this._paused || this._pending.size === 0) {
+			return;
+		}
+
+		const events = Array.from(this._pending.values());
+		this._pending.clear();
+		this._handler(events);
+	}
+
+	/**
+	 * Queues all the new events without flushing them until "resume" is called.
+	 */
+	pause() {
+		this._paused = true;
+		this._cancelTimer();
+	}
+
+	/**
+	 * Flushes all the events queued while the batcher was paused at once.
+	 */
+	resume() {
+		this._paused = false;
+		this.flush();
+	}
+
+	/**
+	 * Drops all the pending events without handling them.
+	 */
+	clear() {
+		this._cancelTimer();
+		this._pending.clear();
+	}
+
+	/**
+	 * Restarts the timer of the settle window.
+	 * @private
+	 */
+	_schedule() {
+		this._cancelTimer();
+
+		if (this._paused) {
+			return;
+		}
+
+		this._timer = setTimeout(() => this.flush(), this._delay);
+	}
+
+	/**
+	 * Cancels the timer of the settle window.
+	 * @private
+	 */
+	_cancelTimer() {
+		if (this._timer) {
+			clearTimeout(this._timer);
+			this._timer = null;
+		}
+	}
+}
+
+module.exports = Batcher;
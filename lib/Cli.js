@@ -0,0 +1,335 @@
+'use strict';
+
+const path = require('path');
+const {EventEmitter} = require('events');
+const Watcher = require('./Watcher');
+const eventHelper = require('./helpers/eventHelper');
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const FLAGS = {
+	'--pretty': 'pretty',
+	'--once': 'once',
+	'--help': 'help',
+	'-h': 'help'
+};
+
+const CONFIG_OPTIONS = ['--config', '-c'];
+
+// the events of the stores and components are printed as envelopes without their legacy versions
+const WATCHER_EVENTS = eventHelper.EVENT_NAMES.concat([
+	'changeDependency', 'invalidComponent', 'reloadError', 'reloadVeto', 'clusterReload',
+	'recovered', 'conflict', 'resolveConflict',
+	'addTarget', 'changeTarget', 'unlinkTarget',
+	'reloadStart', 'reloadEnd', 'batch', 'bulkChange', 'pause', 'resume',
+	'rescan', 'restore', 'reloadIgnoreRules', 'stats', 'close'
+]);
+
+const USAGE = `Usage: catberry-watcher [options] [config]
+
+Watches the stores and components of the Catberry application configured
+by the config file (JSON or a module) and prints the events to stdout.
+
+Options:
+  -c, --config <file>  the config file, the same as the positional argument
+  --pretty             print the events as text instead of JSON lines
+  --once               print the found stores and components and exit
+  -h, --help           print this help
+`;
+
+/**
+ * Implements the command line interface which watches the application
+ * without starting it and prints the watcher's events as newline-delimited JSON.
+ */
+class Cli {
+
+	/**
+	 * Creates a new instance of the command line interface.
+	 * @param {Writable} stdout The stream of the events.
+	 * @param {Writable} stderr The stream of the logs and errors.
+	 * @param {Function?} createLocator The function which creates the service locator
+	 * by the config, the one with Catberry's finders and loaders by default.
+	 */
+	constructor(stdout, stderr, createLocator) {
+
+		/**
+		 * Current stream of the events.
+		 * @type {Writable}
+		 * @private
+		 */
+		this._stdout = stdout;
+
+		/**
+		 * Current stream of the logs and errors.
+		 * @type {Writable}
+		 * @private
+		 */
+		this._stderr = stderr;
+
+		/**
+		 * Current function which creates the service locator.
+		 * @type {Function}
+		 * @private
+		 */
+		this._createLocator = createLocator || createCatberryLocator;
+
+		/**
+		 * Current watcher, null until the watching is started.
+		 * @type {Watcher|null}
+		 * @private
+		 */
+		this._watcher = null;
+	}
+
+	/**
+	 * Gets the current watcher.
+	 * @returns {Watcher|null} The watcher or null until the watching is started.
+	 */
+	get watcher() {
+		return this._watcher;
+	}
+
+	/**
+	 * Runs the command with the arguments.
+	 * @param {Array<string>} args The command line arguments without the node and script paths.
+	 * @returns {Promise<number>} Promise of the exit code, it is fulfilled
+	 * when the watcher is closed or the found stores and components are printed.
+	 */
+	run(args) {
+		let options, locator;
+
+		try {
+			options = parseArgs(args);
+		} catch (error) {
+			this._stderr.write(`${error.message}\n\n${USAGE}`);
+			return Promise.resolve(EXIT_USAGE);
+		}
+
+		if (options.help) {
+			this._stdout.write(USAGE);
+			return Promise.resolve(EXIT_SUCCESS);
+		}
+
+		try {
+			locator = this._createLocator(loadConfig(options.config));
+		} catch (error) {
+			return Promise.resolve(this._fail(error));
+		}
+
+		this._logEventBus(locator.resolve('eventBus'));
+
+		return (options.once ? this._printFound(locator, options.pretty) : this._watch(locator, options.pretty))
+			.then(() => EXIT_SUCCESS, error => this._fail(error));
+	}
+
+	/**
+	 * Stops watching, the promise of "run" is fulfilled then.
+	 * @returns {Promise} Promise of the closed watcher.
+	 */
+	stop() {
+		return this._watcher ? this._watcher.close() : Promise.resolve();
+	}
+
+	/**
+	 * Prints the stores and components found by the finders.
+	 * @param {ServiceLocator} locator The service locator.
+	 * @param {boolean} isPretty If true, the text is printed instead of JSON.
+	 * @returns {Promise} Promise of the printed stores and components.
+	 * @private
+	 */
+	_printFound(locator, isPretty) {
+		return Promise.all([
+			locator.resolve('storeFinder').find(),
+			locator.resolve('componentFinder').find()
+		])
+			.then(([storesByNames, componentsByNames]) => {
+				Object.keys(storesByNames)
+					.forEach(name => this._print('foundStore', storesByNames[name], isPretty));
+				Object.keys(componentsByNames)
+					.forEach(name => this._print('foundComponent', componentsByNames[name], isPretty));
+			});
+	}
+
+	/**
+	 * Starts watching and prints all the events of the watcher.
+	 * @param {ServiceLocator} locator The service locator.
+	 * @param {boolean} isPretty If true, the text is printed instead of JSON.
+	 * @returns {Promise} Promise of the closed watcher.
+	 * @private
+	 */
+	_watch(locator, isPretty) {
+		const watcher = new Watcher(locator);
+		const closePromise = new Promise(fulfill => watcher.once('close', fulfill));
+
+		this._watcher = watcher;
+		WATCHER_EVENTS.forEach(name => watcher.on(name, payload => this._print(name, payload, isPretty)));
+
+		return watcher.watch()
+			.then(() => closePromise);
+	}
+
+	/**
+	 * Prints the event to stdout.
+	 * @param {string} name The name of the event.
+	 * @param {*} payload The payload of the event.
+	 * @param {boolean} isPretty If true, the text is printed instead of JSON.
+	 * @private
+	 */
+	_print(name, payload, isPretty) {
+		const time = new Date();
+		const line = isPretty ?
+			`[${time.toTimeString().substring(0, 8)}] ${name} ${describePayload(payload)}`.trim() :
+			JSON.stringify({event: name, time: time.toISOString(), payload}, replaceErrors);
+
+		this._stdout.write(`${line}\n`);
+	}
+
+	/**
+	 * Prints the messages of the event bus to stderr, so stdout has only the events.
+	 * @param {EventEmitter} eventBus The event bus.
+	 * @private
+	 */
+	_logEventBus(eventBus) {
+		eventBus
+			.on('debug', message => this._stderr.write(`debug: ${message}\n`))
+			.on('info', message => this._stderr.write(`info: ${message}\n`))
+			.on('warn', message => this._stderr.write(`warn: ${message}\n`))
+			.on('error', error => this._stderr.write(`error: ${error && error.stack ? error.stack : error}\n`));
+	}
+
+	/**
+	 * Prints the error to stderr.
+	 * @param {Error} error The error.
+	 * @returns {number} The exit code of the failure.
+	 * @private
+	 */
+	_fail(error) {
+		this._stderr.write(`${error && error.message ? error.message : error}\n`);
+		return EXIT_FAILURE;
+	}
+}
+
+/**
+ * Parses the command line arguments.
+ * @param {Array<string>} args The arguments.
+ * @returns {{config: string|null, pretty: boolean, once: boolean, help: boolean}} The options.
+ * @throws {Error} If an argument is unknown.
+ */
+function parseArgs(args) {
+	const options = {config: null, pretty: false, once: false, help: false};
+	const rest = args.slice();
+
+	while (rest.length > 0) {
+		const arg = rest.shift();
+
+		if (Object.keys(FLAGS).indexOf(arg) !== -1) {
+			options[FLAGS[arg]] = true;
+			continue;
+		}
+
+		if (arg[0] === '-' && CONFIG_OPTIONS.indexOf(arg) === -1) {
+			throw new Error(`Unknown option "${arg}"`);
+		}
+
+		const config = arg[0] === '-' ? rest.shift() : arg;
+
+		if (!config) {
+			throw new Error(`Option "${arg}" should have a filename`);
+		}
+		if (options.config !== null) {
+			throw new Error(`Only one config file is allowed, got "${options.config}" and "${config}"`);
+		}
+
+		options.config = config;
+	}
+
+	return options;
+}
+
+/**
+ * Loads the config file.
+ * @param {string|null} filename The filename of JSON or the module relative to the current directory.
+ * @returns {Object} The config, empty if the filename is not set.
+ * @throws {Error} If the config cannot be loaded.
+ */
+function loadConfig(filename) {
+	if (filename === null) {
+		return {};
+	}
+
+	const config = require(path.resolve(filename));
+
+	if (!config || typeof (config) !== 'object') {
+		throw new Error(`Config "${filename}" should be an object`);
+	}
+
+	return config;
+}
+
+/**
+ * Creates the service locator with Catberry's finders and loaders.
+ * @param {Object} config The application config.
+ * @returns {ServiceLocator} The service locator.
+ */
+function createCatberryLocator(config) {
+	const ServiceLocator = require('catberry-locator');
+	const locator = new ServiceLocator();
+
+	locator.registerInstance('serviceLocator', locator);
+	locator.registerInstance('eventBus', new EventEmitter());
+	locator.registerInstance('config', config);
+	locator.register('storeFinder', require('catberry/lib/finders/StoreFinder'), true);
+	locator.register('componentFinder', require('catberry/lib/finders/ComponentFinder'), true);
+	locator.register('storeLoader', require('catberry/lib/loaders/StoreLoader'), true);
+	locator.register('componentLoader', require('catberry/lib/loaders/ComponentLoader'), true);
+
+	return locator;
+}
+
+/**
+ * Describes the payload of the event in one line.
+ * @param {*} payload The payload.
+ * @returns {string} The description.
+ */
+function describePayload(payload) {
+	if (!payload || typeof (payload) !== 'object') {
+		return payload === undefined ? '' : String(payload);
+	}
+
+	if (payload.from && payload.to) {
+		return `${describeFile(payload.from)} -> ${describeFile(payload.to)}`;
+	}
+
+	const description = [describeFile(payload.component || payload), payload.reason || payload.message]
+		.filter(part => part)
+		.join(': ');
+
+	return description || JSON.stringify(payload, replaceErrors);
+}
+
+/**
+ * Describes the store, component or file of the payload.
+ * @param {{name: string?, path: string?, filename: string?}} details The details or the envelope.
+ * @returns {string} The description or an empty string.
+ */
+function describeFile(details) {
+	if (details.name && (details.path || details.filename)) {
+		return `${details.name} (${details.path || details.filename})`;
+	}
+
+	return details.filename || details.path || details.name || '';
+}
+
+/**
+ * Replaces the errors which are not serialized by JSON.stringify.
+ * @param {string} key The key of the value.
+ * @param {*} value The value.
+ * @returns {*} The value to serialize.
+ */
+function replaceErrors(key, value) {
+	return value instanceof Error ? {name: value.name, message: value.message, stack: value.stack} : value;
+}
+
+module.exports = Cli;
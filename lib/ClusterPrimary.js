@@ -0,0 +1,323 @@
+'use strict';
+
+const clusterHelper = require('./helpers/clusterHelper');
+const eventHelper = require('./helpers/eventHelper');
+
+// the events the primary sends to the replicas, the dependencies are purged from their module caches
+const BROADCAST_EVENTS = eventHelper.EVENT_NAMES
+	.concat(eventHelper.LEGACY_EVENT_NAMES, ['changeDependency']);
+
+/**
+ * Implements the primary side of the cluster mode: broadcasts the watcher's
+ * events and reloads to the cluster workers and the added child processes
+ * which have announced themselves as ready and collects their acknowledgements.
+ */
+class ClusterPrimary {
+
+	/**
+	 * Creates a new instance of the cluster primary.
+	 * @param {EventEmitter} cluster The cluster module with "workers".
+	 * @param {number} timeout The time in milliseconds to wait for an acknowledgement.
+	 */
+	constructor(cluster, timeout) {
+
+		/**
+		 * Current cluster module.
+		 * @type {EventEmitter}
+		 * @private
+		 */
+		this._cluster = cluster;
+
+		/**
+		 * Current time to wait for an acknowledgement in milliseconds.
+		 * @type {number}
+		 * @private
+		 */
+		this._timeout = timeout;
+
+		/**
+		 * Current child processes added as the replicas with their listeners by their IDs.
+		 * @type {Map<string, {child: ChildProcess, onMessage: Function, onExit: Function}>}
+		 * @private
+		 */
+		this._children = new Map();
+
+		/**
+		 * Current IDs of the replicas which have announced themselves as ready.
+		 * @type {Set<string>}
+		 * @private
+		 */
+		this._readyReplicas = new Set();
+
+		/**
+		 * Current reloads waiting for the acknowledgements by their IDs.
+		 * @type {Map<number, {waiting: Set<string>, replicas: Array, finish: Function}>}
+		 * @private
+		 */
+		this._pending = new Map();
+
+		/**
+		 * Current ID of the last broadcast reload.
+		 * @type {number}
+		 * @private
+		 */
+		this._lastReloadId = 0;
+
+		/**
+		 * Current flag of the started primary.
+		 * @type {boolean}
+		 * @private
+		 */
+		this._isStarted = false;
+
+		/**
+		 * Current listener of the cluster workers' messages.
+		 * @type {Function}
+		 * @private
+		 */
+		this._onWorkerMessage = (worker, message) => this._handleMessage(`worker:${worker.id}`, message);
+
+		/**
+		 * Current listener of the cluster workers' exits.
+		 * @type {Function}
+		 * @private
+		 */
+		this._onWorkerExit = worker => this._handleExit(`worker:${worker.id}`);
+	}
+
+	/**
+	 * Sets the time to wait for an acknowledgement of the next reloads.
+	 * @param {number} timeout The time in milliseconds.
+	 */
+	setAckTimeout(timeout) {
+		this._timeout = timeout;
+	}
+
+	/**
+	 * Starts listening to the messages of the cluster workers and the child processes
+	 * and asks the already started replicas to announce themselves again.
+	 */
+	start() {
+		if (this._isStarted) {
+			return;
+		}
+
+		this._isStarted = true;
+		this._cluster
+			.on('message', this._onWorkerMessage)
+			.on('exit', this._onWorkerExit);
+
+		// the children which have exited while the primary was stopped are removed
+		this._children.forEach((entry, replicaId) => {
+			if (clusterHelper.isConnected(entry.child)) {
+				this._listenChild(entry);
+			} else {
+				this._children.delete(replicaId);
+				this._readyReplicas.delete(replicaId);
+			}
+		});
+
+		const message = clusterHelper.createMessage('ready', {});
+
+		this._getChannels().forEach(replica => clusterHelper.send(replica.channel, message));
+	}
+
+	/**
+	 * Stops listening, the pending reloads are finished as failed.
+	 * The added child processes are kept for the next start.
+	 */
+	stop() {
+		if (!this._isStarted) {
+			return;
+		}
+
+		this._isStarted = false;
+		this._cluster
+			.removeListener('message', this._onWorkerMessage)
+			.removeListener('exit', this._onWorkerExit);
+		this._children.forEach(entry => this._unlistenChild(entry));
+		this._pending.forEach((reload, id) =>
+			Array.from(reload.waiting).forEach(replicaId => this._settle(id, replicaId, false, 'The watcher has been closed'))
+		);
+	}
+
+	/**
+	 * Adds the child process as the replica, it is removed when it exits.
+	 * @param {ChildProcess} child The child process forked with the IPC channel.
+	 */
+	addChild(child) {
+		const replicaId = `process:${child.pid}`;
+
+		if (this._children.has(replicaId)) {
+			return;
+		}
+
+		const entry = {
+			child,
+			onMessage: message => this._handleMessage(replicaId, message),
+			onExit: () => {
+				this._unlistenChild(entry);
+				this._children.delete(replicaId);
+				this._handleExit(replicaId);
+			}
+		};
+
+		this._children.set(replicaId, entry);
+
+		if (this._isStarted) {
+			this._listenChild(entry);
+		}
+	}
+
+	/**
+	 * Sends the watcher's event to all the replicas if it is the event
+	 * of a store, component or dependency, the other events are not sent.
+	 * @param {string} name The name of the event.
+	 * @param {*} payload The payload of the event.
+	 */
+	broadcast(name, payload) {
+		if (BROADCAST_EVENTS.indexOf(name) === -1) {
+			return;
+		}
+
+		const message = clusterHelper.createMessage('event', {name, payload});
+
+		this._getReplicas().forEach(replica => clusterHelper.send(replica.channel, message));
+	}
+
+	/**
+	 * Sends the reload to all the replicas and waits for their acknowledgements.
+	 * @param {{target: string, operation: string, descriptor: Object}} reload The reload,
+	 * where "target" is "store" or "component" and "operation" is "reload" or "unload".
+	 * @returns {Promise<Array<{id: string, isSucceeded: boolean, message: string|null}>>} Promise
+	 * of the results of the replicas, a replica which has exited or has not answered in time has failed.
+	 */
+	reload(reload) {
+		const id = ++this._lastReloadId;
+		const message = clusterHelper.createMessage('reload', Object.assign({id}, reload));
+		const replicas = this._getReplicas();
+
+		if (replicas.length === 0) {
+			return Promise.resolve([]);
+		}
+
+		return new Promise(fulfill => {
+			const timer = setTimeout(() => Array.from(this._pending.get(id).waiting).forEach(replicaId =>
+				this._settle(id, replicaId, false, `No acknowledgement in ${this._timeout} ms`)), this._timeout);
+
+			this._pending.set(id, {
+				waiting: new Set(replicas.map(replica => replica.id)),
+				replicas: [],
+				finish: results => {
+					clearTimeout(timer);
+					fulfill(results);
+				}
+			});
+
+			replicas
+				.filter(replica => !clusterHelper.send(replica.channel, message))
+				.forEach(replica => this._settle(id, replica.id, false, 'The IPC channel is closed'));
+		});
+	}
+
+	/**
+	 * Gets the cluster workers and child processes which have announced themselves as ready.
+	 * @returns {Array<{id: string, channel: Object}>} The replicas.
+	 * @private
+	 */
+	_getReplicas() {
+		return this._getChannels().filter(replica => this._readyReplicas.has(replica.id));
+	}
+
+	/**
+	 * Gets all the cluster workers and child processes.
+	 * @returns {Array<{id: string, channel: Object}>} The channels with the IDs of the replicas.
+	 * @private
+	 */
+	_getChannels() {
+		const workers = this._cluster.workers || {};
+		const channels = Object.keys(workers)
+			.map(key => ({id: `worker:${workers[key].id}`, channel: workers[key]}));
+
+		this._children.forEach((entry, id) => channels.push({id, channel: entry.child}));
+
+		return channels;
+	}
+
+	/**
+	 * Adds the listeners of the child process.
+	 * @param {{child: ChildProcess, onMessage: Function, onExit: Function}} entry The child with its listeners.
+	 * @private
+	 */
+	_listenChild(entry) {
+		entry.child
+			.on('message', entry.onMessage)
+			.once('exit', entry.onExit);
+	}
+
+	/**
+	 * Removes the listeners of the child process.
+	 * @param {{child: ChildProcess, onMessage: Function, onExit: Function}} entry The child with its listeners.
+	 * @private
+	 */
+	_unlistenChild(entry) {
+		entry.child
+			.removeListener('message', entry.onMessage)
+			.removeListener('exit', entry.onExit);
+	}
+
+	/**
+	 * Handles the message of the replica.
+	 * @param {string} replicaId The ID of the replica.
+	 * @param {*} message The message.
+	 * @private
+	 */
+	_handleMessage(replicaId, message) {
+		const type = clusterHelper.getMessageType(message);
+
+		if (type === 'ready') {
+			this._readyReplicas.add(replicaId);
+			return;
+		}
+
+		if (type === 'ack') {
+			this._settle(message.id, replicaId, message.isSucceeded === true, message.message || null);
+		}
+	}
+
+	/**
+	 * Forgets the exited replica and fails the reloads waiting for it.
+	 * @param {string} replicaId The ID of the replica.
+	 * @private
+	 */
+	_handleExit(replicaId) {
+		this._readyReplicas.delete(replicaId);
+		this._pending.forEach((reload, id) => this._settle(id, replicaId, false, 'The replica has exited'));
+	}
+
+	/**
+	 * Records the result of the replica and finishes the reload when all the replicas have answered.
+	 * @param {number} id The ID of the reload.
+	 * @param {string} replicaId The ID of the replica.
+	 * @param {boolean} isSucceeded true if the replica has reloaded.
+	 * @param {string|null} message The error message of the failed reload.
+	 * @private
+	 */
+	_settle(id, replicaId, isSucceeded, message) {
+		const reload = this._pending.get(id);
+
+		if (!reload || !reload.waiting.has(replicaId)) {
+			return;
+		}
+
+		reload.waiting.delete(replicaId);
+		reload.replicas.push({id: replicaId, isSucceeded, message});
+
+		if (reload.waiting.size === 0) {
+			this._pending.delete(id);
+			reload.finish(reload.replicas);
+		}
+	}
+}
+
+module.exports = ClusterPrimary;
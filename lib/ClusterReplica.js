@@ -0,0 +1,147 @@
+'use strict';
+
+const clusterHelper = require('./helpers/clusterHelper');
+
+// the changes of the finders' registries the replica repeats for the primary's events,
+// "removes" is the envelope's field with the descriptor to remove, "adds" registers the descriptor
+const REGISTRATIONS = {
+	'store:add': {removes: null, adds: true},
+	'store:unlink': {removes: 'descriptor', adds: false},
+	'store:rename': {removes: 'previous', adds: true},
+	'component:add': {removes: null, adds: true},
+	'component:unlink': {removes: 'descriptor', adds: false},
+	'component:move': {removes: 'previous', adds: true},
+	'component:rename': {removes: 'previous', adds: true},
+	'component:changeManifest': {removes: 'previous', adds: true}
+};
+
+/**
+ * Implements the replica side of the cluster mode: announces itself to the primary
+ * process, receives its events and reloads and acknowledges the applied reloads.
+ * The registries of the replica follow the primary's events of the stores and components.
+ */
+class ClusterReplica {
+
+	/**
+	 * Creates a new instance of the cluster replica.
+	 * @param {EventEmitter} channel The current process with the IPC channel to the primary.
+	 */
+	constructor(channel) {
+
+		/**
+		 * Current IPC channel to the primary.
+		 * @type {EventEmitter}
+		 * @private
+		 */
+		this._channel = channel;
+
+		/**
+		 * Current listener of the primary's messages, null until the replica is started.
+		 * @type {Function|null}
+		 * @private
+		 */
+		this._onMessage = null;
+	}
+
+	/**
+	 * Starts receiving the messages of the primary and announces the replica as ready.
+	 * @param {Object} handlers The handlers of the primary's messages.
+	 * @param {Function} handlers.onEvent The function which gets the watcher's events by (name, payload).
+	 * @param {Function} handlers.onReload The function which applies the reload and returns a promise.
+	 * @param {Function} handlers.onRegister The function which registers the primary's store
+	 * or component by (target, descriptor).
+	 * @param {Function} handlers.onUnregister The function which removes the primary's store
+	 * or component by (target, descriptor).
+	 * @param {Function} handlers.onChangeDependency The function which purges the changed dependency
+	 * by the payload of "changeDependency".
+	 */
+	start(handlers) {
+		if (this._onMessage) {
+			return;
+		}
+
+		this._onMessage = message => this._handleMessage(message, handlers);
+		this._channel.on('message', this._onMessage);
+		this._sendReady();
+	}
+
+	/**
+	 * Stops receiving the messages of the primary.
+	 */
+	stop() {
+		if (!this._onMessage) {
+			return;
+		}
+
+		this._channel.removeListener('message', this._onMessage);
+		this._onMessage = null;
+	}
+
+	/**
+	 * Handles the message of the primary.
+	 * @param {*} message The message.
+	 * @param {Object} handlers The handlers.
+	 * @private
+	 */
+	_handleMessage(message, handlers) {
+		const type = clusterHelper.getMessageType(message);
+
+		// the primary started after the replica asks it to announce itself again
+		if (type === 'ready') {
+			this._sendReady();
+			return;
+		}
+
+		if (type === 'event') {
+			this._applyEvent(message.name, message.payload, handlers);
+			return;
+		}
+
+		if (type !== 'reload') {
+			return;
+		}
+
+		const {id, target, operation, descriptor} = message;
+
+		new Promise(fulfill => fulfill(handlers.onReload({target, operation, descriptor})))
+			.then(() => ({isSucceeded: true, message: null}))
+			.catch(error => ({isSucceeded: false, message: error && error.message ? error.message : String(error)}))
+			.then(result => clusterHelper.send(this._channel, clusterHelper.createMessage('ack', Object.assign({id}, result))));
+	}
+
+	/**
+	 * Repeats the primary's change of the store or component in the registries,
+	 * purges the changed dependency and passes the event.
+	 * @param {string} name The name of the event.
+	 * @param {*} payload The payload of the event.
+	 * @param {Object} handlers The handlers.
+	 * @private
+	 */
+	_applyEvent(name, payload, handlers) {
+		const registration = REGISTRATIONS[name];
+
+		if (registration && registration.removes) {
+			handlers.onUnregister(payload.target, payload[registration.removes]);
+		}
+		if (registration && registration.adds) {
+			handlers.onRegister(payload.target, payload.descriptor);
+		}
+
+		// the dependency is purged before the dependents are reloaded by the primary
+		if (name === 'changeDependency') {
+			handlers.onChangeDependency(payload);
+		}
+
+		handlers.onEvent(name, payload);
+	}
+
+	/**
+	 * Announces the replica to the primary, only the ready replicas get the reloads.
+	 * @private
+	 */
+	_sendReady() {
+		clusterHelper.send(this._channel, clusterHelper.createMessage('ready', {}));
+	}
+}
+
+module.exports = ClusterReplica;
@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Implements the registry of the name collisions.
+ * Every conflict is a file which has the same name as an already registered
+ * store or component, the file waits here until the name is released.
+ */
+class ConflictTracker {
+
+	/**
+	 * Creates a new instance of the conflict tracker.
+	 */
+	constructor() {
+
+		/**
+		 * Current conflicts by the targets and the conflicting filenames.
+		 * @type {Map}
+		 * @private
+		 */
+		this._conflicts = new Map();
+	}
+
+	/**
+	 * Gets a number of the conflicts.
+	 * @returns {number} The number of the conflicts.
+	 */
+	get size() {
+		return this._conflicts.size;
+	}
+
+	/**
+	 * Remembers the file which conflicts with the registered one.
+	 * @param {string} target The kind of the file: "store" or "component".
+	 * @param {string} name The name of the store or component.
+	 * @param {string} registered The filename of the registered store or component.
+	 * @param {string} conflicting The filename of the conflicting one.
+	 * @returns {{target: string, name: string, registered: string, conflicting: string}}
+	 * The conflict.
+	 */
+	add(target, name, registered, conflicting) {
+		const conflict = {target, name, registered, conflicting};
+
+		this._conflicts.set(getKey(target, conflicting), conflict);
+
+		return conflict;
+	}
+
+	/**
+	 * Checks if the file is waiting for its name.
+	 * @param {string} target The kind of the file: "store" or "component".
+	 * @param {string} filename The filename.
+	 * @returns {boolean} true if the file conflicts with a registered one.
+	 */
+	has(target, filename) {
+		return this._conflicts.has(getKey(target, filename));
+	}
+
+	/**
+	 * Forgets the conflict of the file, e.g. when the file is removed.
+	 * @param {string} target The kind of the file: "store" or "component".
+	 * @param {string} filename The conflicting filename.
+	 * @returns {Object|null} The removed conflict.
+	 */
+	remove(target, filename) {
+		const key = getKey(target, filename);
+		const conflict = this._conflicts.get(key) || null;
+
+		this._conflicts.delete(key);
+
+		return conflict;
+	}
+
+	/**
+	 * Gets the conflicts waiting for the name.
+	 * @param {string} target The kind of the files: "store" or "component".
+	 * @param {string} name The name of the store or component.
+	 * @returns {Array<Object>} The list of the conflicts.
+	 */
+	getConflictsByName(target, name) {
+		return this.getConflicts()
+			.filter(conflict => conflict.target === target && conflict.name === name);
+	}
+
+	/**
+	 * Gets all the conflicts.
+	 * @returns {Array<Object>} The list of the conflicts.
+	 */
+	getConflicts() {
+		return Array.from(this._conflicts.values());
+	}
+}
+
+/**
+ * Gets a key of the conflicting file.
+ * @param {string} target The kind of the file.
+ * @param {string} filename The filename.
+ * @returns {string} The key.
+ */
+function getKey(target, filename) {
+	return `${target}:${filename}`;
+}
+
+module.exports = ConflictTracker;
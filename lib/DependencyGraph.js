@@ -0,0 +1,198 @@
+'use strict';
+
+const path = require('path');
+
+const NODE_MODULES_PART = `${path.sep}node_modules${path.sep}`;
+
+/**
+ * Implements the graph of the modules required by the stores and components.
+ * The graph is built from Node's module cache and maps every required
+ * project module to the stores and components depending on it.
+ */
+class DependencyGraph {
+
+	/**
+	 * Creates a new instance of the dependency graph.
+	 * @param {Object?} moduleCache The module cache, "require.cache" by default.
+	 */
+	constructor(moduleCache) {
+
+		/**
+		 * Current module cache.
+		 * @type {Object}
+		 * @private
+		 */
+		this._cache = moduleCache || require.cache;
+
+		/**
+		 * Current owners with their entry modules and dependencies by the owners' keys.
+		 * @type {Map<string, {owner: Object, entryFilename: string, dependencies: Set<string>}>}
+		 * @private
+		 */
+		this._owners = new Map();
+	}
+
+	/**
+	 * Collects the dependencies of the owner's entry module
+	 * and remembers them for the owner.
+	 * @param {string} key The unique key of the owner.
+	 * @param {Object} owner The owner, e.g. a store or a component.
+	 * @param {string} entryFilename The absolute filename of the owner's module.
+	 */
+	track(key, owner, entryFilename) {
+		this._owners.set(key, {
+			owner,
+			entryFilename,
+			dependencies: this.collect(entryFilename)
+		});
+	}
+
+	/**
+	 * Forgets the owner and its dependencies.
+	 * @param {string} key The unique key of the owner.
+	 */
+	untrack(key) {
+		this._owners.delete(key);
+	}
+
+	/**
+	 * Collects transitive dependencies of the module from the module cache.
+	 * Modules from "node_modules" are not collected.
+	 * @param {string} entryFilename The absolute filename of the module.
+	 * @returns {Set<string>} The set of the dependencies' filenames.
+	 */
+	collect(entryFilename) {
+		const dependencies = new Set();
+		const entry = this._cache[entryFilename];
+
+		if (!entry) {
+			return dependencies;
+		}
+
+		const stack = [entry];
+
+		while (stack.length > 0) {
+			const current = stack.pop();
+
+			for (const child of current.children || []) {
+				if (child.id === entryFilename ||
+					dependencies.has(child.id) ||
+					child.id.indexOf(NODE_MODULES_PART) !== -1) {
+					continue;
+				}
+
+				dependencies.add(child.id);
+				stack.push(child);
+			}
+		}
+
+		return dependencies;
+	}
+
+	/**
+	 * Gets all the tracked dependencies.
+	 * @returns {Array<string>} The list of the dependencies' filenames.
+	 */
+	getFilenames() {
+		const filenames = new Set();
+
+		this._owners.forEach(({dependencies}) =>
+			dependencies.forEach(filename => filenames.add(filename))
+		);
+
+		return Array.from(filenames);
+	}
+
+	/**
+	 * Gets the owners which depend on the module.
+	 * @param {string} filename The absolute filename of the module.
+	 * @returns {Array<Object>} The list of the owners.
+	 */
+	getDependents(filename) {
+		const dependents = [];
+
+		this._owners.forEach(({owner, dependencies}) => {
+			if (dependencies.has(filename)) {
+				dependents.push(owner);
+			}
+		});
+
+		return dependents;
+	}
+
+	/**
+	 * Removes the module and the project modules requiring it from the module cache.
+	 * Only the modules between the module and the entry modules of its owners
+	 * are removed, the rest of the application and "node_modules" stay cached.
+	 * @param {string} filename The absolute filename of the module.
+	 * @returns {Array<string>} The list of the purged modules' filenames.
+	 */
+	purge(filename) {
+		const chains = this._getOwnerChains(filename);
+		const parentsByChildren = this._getParentsByChildren();
+		const purged = new Set([filename]);
+		const stack = [filename];
+
+		while (stack.length > 0) {
+			const parents = parentsByChildren.get(stack.pop()) || [];
+
+			for (const parent of parents) {
+				if (purged.has(parent) || !chains.has(parent) || parent.indexOf(NODE_MODULES_PART) !== -1) {
+					continue;
+				}
+
+				purged.add(parent);
+				stack.push(parent);
+			}
+		}
+
+		purged.forEach(id => delete this._cache[id]);
+
+		return Array.from(purged);
+	}
+
+	/**
+	 * Gets the entry modules and dependencies of the owners depending on the module.
+	 * @param {string} filename The absolute filename of the module.
+	 * @returns {Set<string>} The set of the modules' filenames.
+	 * @private
+	 */
+	_getOwnerChains(filename) {
+		const chains = new Set();
+
+		this._owners.forEach(({entryFilename, dependencies}) => {
+			if (entryFilename !== filename && !dependencies.has(filename)) {
+				return;
+			}
+
+			chains.add(entryFilename);
+			dependencies.forEach(dependency => chains.add(dependency));
+		});
+
+		return chains;
+	}
+
+	/**
+	 * Builds the reversed edges of the module cache.
+	 * @returns {Map} The lists of the parents by their children.
+	 * @private
+	 */
+	_getParentsByChildren() {
+		const parentsByChildren = new Map();
+
+		Object.keys(this._cache).forEach(id => {
+			const children = this._cache[id].children || [];
+
+			children.forEach(child => {
+				if (!parentsByChildren.has(child.id)) {
+					parentsByChildren.set(child.id, []);
+				}
+				parentsByChildren.get(child.id).push(id);
+			});
+		});
+
+		return parentsByChildren;
+	}
+}
+
+module.exports = DependencyGraph;
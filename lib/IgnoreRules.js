@@ -0,0 +1,254 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const glob = require('glob');
+const ignore = require('ignore');
+const pathHelper = require('./helpers/pathHelper');
+
+const GITIGNORE_NAME = '.gitignore';
+const CATBERRYIGNORE_NAME = '.catberryignore';
+const GITIGNORE_GLOB = `**/${GITIGNORE_NAME}`;
+const SKIPPED_DIRS = ['**/node_modules/**'];
+
+/**
+ * Implements the ignore rules of the project read from all ".gitignore" files
+ * and the project-level ".catberryignore" with the semantics of gitignore.
+ * The rules of the nested files apply to their directories and take precedence
+ * over the outer ones, ".catberryignore" takes precedence over all of them.
+ */
+class IgnoreRules {
+
+	/**
+	 * Creates a new instance of the ignore rules.
+	 * @param {string} cwd The directory of the project.
+	 * @param {boolean?} isEnabled If false, the ignore files are not read and nothing is ignored.
+	 */
+	constructor(cwd, isEnabled) {
+
+		/**
+		 * Current directory of the project.
+		 * @type {string}
+		 * @private
+		 */
+		this._cwd = cwd;
+
+		/**
+		 * Current flag of reading the ignore files.
+		 * @type {boolean}
+		 * @private
+		 */
+		this._isEnabled = isEnabled !== false;
+
+		/**
+		 * Current matcher of the rules.
+		 * @type {Object}
+		 * @private
+		 */
+		this._matcher = ignore();
+
+		/**
+		 * Current filenames of the loaded ignore files relative to the project.
+		 * @type {Array<string>}
+		 * @private
+		 */
+		this._files = [];
+
+		/**
+		 * Current absolute base directories of the explicitly watched paths.
+		 * @type {Array<string>}
+		 * @private
+		 */
+		this._explicitBases = [];
+
+		/**
+		 * Current number of the started loads, only the last one is applied.
+		 * @type {number}
+		 * @private
+		 */
+		this._loadsCount = 0;
+	}
+
+	/**
+	 * Gets the filenames of the loaded ignore files.
+	 * @returns {Array<string>} The filenames relative to the project.
+	 */
+	getFiles() {
+		return this._files.slice();
+	}
+
+	/**
+	 * Finds and reads all the ignore files of the project replacing the current rules.
+	 * @returns {Promise<Array<string>>} Promise of the loaded filenames.
+	 */
+	load() {
+		if (!this._isEnabled) {
+			return Promise.resolve([]);
+		}
+
+		const loadNumber = ++this._loadsCount;
+
+		return findFiles(this._cwd)
+			.then(files => Promise.all(files.map(filename => readFile(this._cwd, filename))))
+			.then(ignoreFiles => {
+				if (loadNumber === this._loadsCount) {
+					this._matcher = createMatcher(ignoreFiles);
+					this._files = ignoreFiles
+						.filter(ignoreFile => ignoreFile.lines.length > 0)
+						.map(ignoreFile => ignoreFile.filename);
+				}
+
+				return this.getFiles();
+			});
+	}
+
+	/**
+	 * Sets the paths watched explicitly like the finders' glob expressions.
+	 * If the base directory of such a path is ignored itself, for example
+	 * "node_modules" of the glob expression of the components in the packages,
+	 * the rules are not applied to the files inside it.
+	 * @param {Array<string>} paths The paths or glob expressions relative to the project or absolute.
+	 */
+	setExplicitPaths(paths) {
+		this._explicitBases = paths.map(watchedPath => pathHelper.createEntry(this._cwd, watchedPath).base);
+	}
+
+	/**
+	 * Checks if the file is ignored by the rules, the files outside the project
+	 * and inside the ignored bases of the explicitly watched paths are never ignored.
+	 * @param {string} filename The filename relative to the project or absolute.
+	 * @returns {boolean} true if the file is ignored.
+	 */
+	isIgnored(filename) {
+		const absolute = path.resolve(this._cwd, filename);
+		const relative = toRulePath(this._cwd, absolute);
+
+		if (relative === null || this._isInsideIgnoredBase(absolute)) {
+			return false;
+		}
+
+		return this._matcher.ignores(relative);
+	}
+
+	/**
+	 * Checks if the file is one of the ignore files of the project.
+	 * @param {string} filename The filename relative to the project or absolute.
+	 * @returns {boolean} true if it is ".gitignore" or the project-level ".catberryignore".
+	 */
+	isIgnoreFile(filename) {
+		const absolute = path.resolve(this._cwd, filename);
+
+		return path.basename(absolute) === GITIGNORE_NAME ||
+			absolute === path.join(this._cwd, CATBERRYIGNORE_NAME);
+	}
+
+	/**
+	 * Checks if the file is inside the base directory of an explicitly watched path
+	 * which is ignored itself.
+	 * @param {string} absolute The absolute filename.
+	 * @returns {boolean} true if the rules should not be applied to the file.
+	 * @private
+	 */
+	_isInsideIgnoredBase(absolute) {
+		return this._explicitBases.some(base => {
+			const relativeBase = toRulePath(this._cwd, base);
+
+			return relativeBase !== null &&
+				(absolute === base || pathHelper.isWithin(base, Infinity, absolute)) &&
+				(this._matcher.ignores(relativeBase) || this._matcher.ignores(`${relativeBase}/`));
+		});
+	}
+}
+
+/**
+ * Finds the ignore files of the project ordered by their precedence.
+ * @param {string} cwd The directory of the project.
+ * @returns {Promise<Array<string>>} Promise of the filenames relative to the project.
+ */
+function findFiles(cwd) {
+	return new Promise((fulfill, reject) =>
+		glob(GITIGNORE_GLOB, {cwd, nodir: true, silent: true, ignore: SKIPPED_DIRS},
+			(error, files) => error ? reject(error) : fulfill(files))
+	)
+		.then(files => files
+			.map(filename => path.normalize(filename))
+			.sort((first, second) => first.split(path.sep).length - second.split(path.sep).length)
+			.concat(CATBERRYIGNORE_NAME));
+}
+
+/**
+ * Converts the path to the one the rules are matched with.
+ * @param {string} cwd The directory of the project.
+ * @param {string} absolute The absolute path.
+ * @returns {string|null} The path relative to the project with "/" separators
+ * or null if the path is the project itself or outside it.
+ */
+function toRulePath(cwd, absolute) {
+	const relative = path.relative(cwd, absolute);
+
+	if (relative === '' || relative === '..' || relative.indexOf(`..${path.sep}`) === 0 ||
+		path.isAbsolute(relative)) {
+		return null;
+	}
+
+	return relative.split(path.sep).join('/');
+}
+
+/**
+ * Reads the lines of the ignore file.
+ * @param {string} cwd The directory of the project.
+ * @param {string} filename The filename relative to the project.
+ * @returns {Promise<{filename: string, lines: Array<string>}>} Promise
+ * of the file's lines, empty if the file does not exist.
+ */
+function readFile(cwd, filename) {
+	return new Promise(fulfill =>
+		fs.readFile(path.join(cwd, filename), 'utf8', (error, content) => fulfill({
+			filename,
+			lines: error ? [] : content.split(/\r?\n/)
+		}))
+	);
+}
+
+/**
+ * Creates the matcher of all the rules of the ignore files.
+ * @param {Array<{filename: string, lines: Array<string>}>} ignoreFiles The ignore files
+ * ordered by their precedence.
+ * @returns {Object} The matcher.
+ */
+function createMatcher(ignoreFiles) {
+	const matcher = ignore();
+
+	ignoreFiles.forEach(ignoreFile =>
+		matcher.add(ignoreFile.lines.map(line => scopePattern(path.dirname(ignoreFile.filename), line))));
+
+	return matcher;
+}
+
+/**
+ * Scopes the pattern of the nested ignore file to its directory.
+ * @param {string} dir The directory of the ignore file relative to the project.
+ * @param {string} line The line of the ignore file.
+ * @returns {string} The pattern relative to the project.
+ */
+function scopePattern(dir, line) {
+	if (dir === '.' || line.trim() === '' || line[0] === '#') {
+		return line;
+	}
+
+	const isNegated = line[0] === '!';
+	let pattern = isNegated ? line.substring(1) : line;
+
+	// the escaped "!" and "#" are not leading anymore
+	if (pattern[0] === '\\' && (pattern[1] === '!' || pattern[1] === '#')) {
+		pattern = pattern.substring(1);
+	}
+
+	// a pattern with a slash except the trailing one is relative to the file's directory
+	const isAnchored = pattern.replace(/\/+$/, '').indexOf('/') !== -1;
+	const prefix = dir.split(path.sep).join('/') + (isAnchored ? '/' : '/**/');
+
+	return (isNegated ? '!' : '') + prefix + pattern.replace(/^\//, '');
+}
+
+module.exports = IgnoreRules;
@@ -0,0 +1,264 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+
+const DEFAULT_PREFIX = '/catberry-watcher';
+const EVENTS_ROUTE = '/events';
+const CLIENT_ROUTE = '/client.js';
+const CLIENT_FILENAME = path.join(__dirname, '..', 'browser', 'liveReload.js');
+const HEARTBEAT_INTERVAL = 30000;
+const RECONNECT_INTERVAL = 1000;
+
+const FORWARDED_EVENTS = [
+	'changeStore',
+	'changeTemplates',
+	'changeLogic',
+	'addComponent',
+	'unlinkComponent',
+	'renameStore',
+	'moveComponent',
+	'renameComponent'
+];
+
+/**
+ * Implements the live-reload channel which pushes the watcher's events
+ * to the open pages using Server-Sent Events.
+ */
+class LiveReload {
+
+	/**
+	 * Creates a new instance of the live-reload channel.
+	 * @param {EventEmitter} watcher The watcher to forward the events of.
+	 * @param {Object?} options The options.
+	 * @param {string?} options.prefix The URL prefix of the channel's routes.
+	 */
+	constructor(watcher, options) {
+		options = options || {};
+
+		/**
+		 * Current watcher.
+		 * @type {EventEmitter}
+		 * @private
+		 */
+		this._watcher = watcher;
+
+		/**
+		 * Current URL prefix of the routes.
+		 * @type {string}
+		 * @private
+		 */
+		this._prefix = typeof (options.prefix) === 'string' ? options.prefix.replace(/\/$/, '') : DEFAULT_PREFIX;
+
+		/**
+		 * Current responses of the connected pages.
+		 * @type {Set<ServerResponse>}
+		 * @private
+		 */
+		this._clients = new Set();
+
+		/**
+		 * Current timer of the heartbeat messages.
+		 * @type {Object|null}
+		 * @private
+		 */
+		this._heartbeat = null;
+
+		/**
+		 * Current listeners of the watcher's events by the events' names.
+		 * @type {Map}
+		 * @private
+		 */
+		this._listeners = new Map();
+
+		FORWARDED_EVENTS.forEach(type => {
+			const listener = descriptor => this.broadcast(type, descriptor);
+
+			this._listeners.set(type, listener);
+			this._watcher.on(type, listener);
+		});
+	}
+
+	/**
+	 * Gets the URL of the event stream.
+	 * @returns {string} The URL.
+	 */
+	get eventsUrl() {
+		return this._prefix + EVENTS_ROUTE;
+	}
+
+	/**
+	 * Gets the URL of the client script.
+	 * @returns {string} The URL.
+	 */
+	get clientUrl() {
+		return this._prefix + CLIENT_ROUTE;
+	}
+
+	/**
+	 * Gets a number of the connected pages.
+	 * @returns {number} The number of the connected pages.
+	 */
+	get clientsCount() {
+		return this._clients.size;
+	}
+
+	/**
+	 * Creates a connect-style middleware which handles the channel's routes.
+	 * @returns {Function} The middleware.
+	 */
+	middleware() {
+		return (request, response, next) => {
+			if (!this.handle(request, response)) {
+				next();
+			}
+		};
+	}
+
+	/**
+	 * Mounts the channel on the HTTP server in front of its request listeners.
+	 * @param {http.Server} server The HTTP server.
+	 */
+	attach(server) {
+		const listeners = server.listeners('request');
+
+		server.removeAllListeners('request');
+		server.on('request', (request, response) => {
+			if (!this.handle(request, response)) {
+				listeners.forEach(listener => listener.call(server, request, response));
+			}
+		});
+	}
+
+	/**
+	 * Handles the request if it belongs to the channel.
+	 * @param {http.IncomingMessage} request The HTTP request.
+	 * @param {http.ServerResponse} response The HTTP response.
+	 * @returns {boolean} true if the request has been handled.
+	 */
+	handle(request, response) {
+		if (request.method !== 'GET') {
+			return false;
+		}
+
+		const pathname = url.parse(request.url).pathname;
+
+		if (pathname === this.eventsUrl) {
+			this._connect(request, response);
+			return true;
+		}
+
+		if (pathname === this.clientUrl) {
+			this._sendClient(response);
+			return true;
+		}
+
+		return false;
+	}
+
+	/**
+	 * Sends the event to all the connected pages.
+	 * @param {string} type The type of the event.
+	 * @param {Object} details The store's or component's descriptor
+	 * or the transition like {from, to} of the descriptors.
+	 */
+	broadcast(type, details) {
+		const descriptor = details.to || details;
+		const data = JSON.stringify({
+			type,
+			name: descriptor.name,
+			path: descriptor.path,
+			from: details.from ? details.from.path : undefined
+		});
+		const message = `event: ${type}\ndata: ${data}\n\n`;
+
+		this._clients.forEach(response => response.write(message));
+	}
+
+	/**
+	 * Stops forwarding the events and disconnects all the pages.
+	 */
+	close() {
+		this._listeners.forEach((listener, type) => this._watcher.removeListener(type, listener));
+		this._listeners.clear();
+
+		this._clients.forEach(response => response.end());
+		this._clients.clear();
+		this._stopHeartbeat();
+	}
+
+	/**
+	 * Starts the event stream for the page.
+	 * @param {http.IncomingMessage} request The HTTP request.
+	 * @param {http.ServerResponse} response The HTTP response.
+	 * @private
+	 */
+	_connect(request, response) {
+		response.writeHead(200, {
+			'Content-Type': 'text/event-stream',
+			'Cache-Control': 'no-cache',
+			Connection: 'keep-alive'
+		});
+		response.write(`retry: ${RECONNECT_INTERVAL}\n\n`);
+
+		this._clients.add(response);
+		this._startHeartbeat();
+
+		request.on('close', () => {
+			this._clients.delete(response);
+
+			if (this._clients.size === 0) {
+				this._stopHeartbeat();
+			}
+		});
+	}
+
+	/**
+	 * Sends the client script.
+	 * @param {http.ServerResponse} response The HTTP response.
+	 * @private
+	 */
+	_sendClient(response) {
+		response.writeHead(200, {
+			'Content-Type': 'application/javascript; charset=utf-8',
+			'Cache-Control': 'no-cache'
+		});
+
+		fs.createReadStream(CLIENT_FILENAME)
+			.on('error', () => response.end())
+			.pipe(response);
+	}
+
+	/**
+	 * Starts sending the heartbeat comments which keep the connections alive.
+	 * @private
+	 */
+	_startHeartbeat() {
+		if (this._heartbeat) {
+			return;
+		}
+
+		this._heartbeat = setInterval(
+			() => this._clients.forEach(response => response.write(': heartbeat\n\n')),
+			HEARTBEAT_INTERVAL
+		);
+
+		if (typeof (this._heartbeat.unref) === 'function') {
+			this._heartbeat.unref();
+		}
+	}
+
+	/**
+	 * Stops sending the heartbeat comments.
+	 * @private
+	 */
+	_stopHeartbeat() {
+		if (this._heartbeat) {
+			clearInterval(this._heartbeat);
+			this._heartbeat = null;
+		}
+	}
+}
+
+module.exports = LiveReload;
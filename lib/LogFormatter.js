@@ -0,0 +1,130 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * The levels of the verbosity, every level includes the messages of the previous ones.
+ * The warnings are shown at the level "error".
+ */
+const VERBOSITY_LEVELS = ['silent', 'error', 'info', 'debug'];
+
+const MESSAGE_VERBOSITY = {
+	error: 'error',
+	warn: 'error',
+	info: 'info',
+	debug: 'debug'
+};
+
+const COLORS = {
+	error: '\u001b[31m',
+	warn: '\u001b[33m',
+	info: '\u001b[36m',
+	debug: '\u001b[90m'
+};
+const COLOR_RESET = '\u001b[39m';
+
+/**
+ * Implements the formatting of the watcher's log messages: filters them
+ * by the verbosity level and formats them as text or JSON with the paths
+ * relative to the project's root.
+ */
+class LogFormatter {
+
+	/**
+	 * Creates a new instance of the log formatter.
+	 * @param {{level: string, format: string, color: boolean, timing: boolean}} options The log options.
+	 * @param {string} root The absolute directory the paths are shown relative to.
+	 */
+	constructor(options, root) {
+
+		/**
+		 * Current index of the verbosity level.
+		 * @type {number}
+		 * @private
+		 */
+		this._verbosity = VERBOSITY_LEVELS.indexOf(options.level);
+
+		/**
+		 * Current format of the messages: "text" or "json".
+		 * @type {string}
+		 * @private
+		 */
+		this._format = options.format;
+
+		/**
+		 * Current flag of the colored text messages.
+		 * @type {boolean}
+		 * @private
+		 */
+		this._isColored = options.color;
+
+		/**
+		 * Current flag of the time elapsed since the file event added to the messages.
+		 * @type {boolean}
+		 * @private
+		 */
+		this._isTimed = options.timing;
+
+		/**
+		 * Current directory the paths are shown relative to.
+		 * @type {string}
+		 * @private
+		 */
+		this._root = root;
+	}
+
+	/**
+	 * Checks if the messages of the level are shown, so the debug messages
+	 * are not even built when they are not needed.
+	 * @param {string} level The level of the message: "debug", "info", "warn" or "error".
+	 * @returns {boolean} true if the messages are shown.
+	 */
+	isEnabled(level) {
+		return VERBOSITY_LEVELS.indexOf(MESSAGE_VERBOSITY[level]) <= this._verbosity;
+	}
+
+	/**
+	 * Gets the path relative to the project's root.
+	 * @param {string} filename The absolute path or the one relative to the root.
+	 * @returns {string} The relative path or the original one if it is outside of the root.
+	 */
+	relative(filename) {
+		if (typeof (filename) !== 'string') {
+			return filename;
+		}
+
+		const relativeFilename = path.relative(this._root, path.resolve(this._root, filename));
+
+		return relativeFilename.indexOf('..') === 0 ? filename : relativeFilename;
+	}
+
+	/**
+	 * Formats the message.
+	 * @param {{level: string, event: string, message: string, fields: Object?, eventAt: number?}} entry
+	 * The log entry, where "fields" are the details added to JSON and "eventAt" is the time
+	 * of the file event which has caused the message.
+	 * @returns {string|null} The formatted message or null if its level is not shown.
+	 */
+	format(entry) {
+		if (!this.isEnabled(entry.level)) {
+			return null;
+		}
+
+		const elapsed = this._isTimed && typeof (entry.eventAt) === 'number' ? Date.now() - entry.eventAt : null;
+
+		if (this._format === 'json') {
+			return JSON.stringify(Object.assign({
+				time: new Date().toISOString(),
+				level: entry.level,
+				event: entry.event,
+				message: entry.message
+			}, entry.fields, elapsed === null ? null : {elapsed}));
+		}
+
+		const message = elapsed === null ? entry.message : `${entry.message} (+${elapsed} ms)`;
+
+		return this._isColored ? `${COLORS[entry.level]}${message}${COLOR_RESET}` : message;
+	}
+}
+
+module.exports = LogFormatter;
@@ -0,0 +1,443 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const glob = require('glob');
+const pathHelper = require('./helpers/pathHelper');
+
+const REGISTERED_TARGETS = ['store', 'componentJson', 'componentFile'];
+
+/**
+ * Implements the reconciliation of the finders' registries with the disk.
+ * It is used to recover from the file system events missed by the watcher.
+ */
+class Reconciler {
+
+	/**
+	 * Creates a new instance of the reconciler.
+	 * @param {StoreFinder} storeFinder The store finder.
+	 * @param {ComponentFinder} componentFinder The component finder.
+	 * @param {Object?} options The options.
+	 * @param {string?} options.cwd The directory the filenames of the events are relative to.
+	 * @param {Array<string>?} options.ignored The ignored paths or glob expressions.
+	 */
+	constructor(storeFinder, componentFinder, options) {
+		options = options || {};
+
+		/**
+		 * Current store finder.
+		 * @type {StoreFinder}
+		 * @private
+		 */
+		this._storeFinder = storeFinder;
+
+		/**
+		 * Current component finder.
+		 * @type {ComponentFinder}
+		 * @private
+		 */
+		this._componentFinder = componentFinder;
+
+		/**
+		 * Current directory the filenames of the events are relative to.
+	 * The finders' paths and glob expressions are relative to the current directory of the process.
+		 * @type {string}
+		 * @private
+		 */
+		this._cwd = options.cwd || process.cwd();
+
+		/**
+		 * Current matcher of the ignored files.
+		 * @type {Function}
+		 * @private
+		 */
+		this._isIgnored = pathHelper.createMatcher(this._cwd, options.ignored || []);
+
+		/**
+		 * Current time of the last reconciliation.
+		 * Files modified after it are considered changed.
+		 * @type {number}
+		 * @private
+		 */
+		this._reconciledAt = Date.now();
+
+		/**
+		 * Current times when the files' events have been applied by their filenames.
+		 * @type {Map}
+		 * @private
+		 */
+		this._appliedAt = new Map();
+
+		/**
+		 * Current known files of the components by the components' directories.
+		 * The directories without the known files are checked only for the modifications.
+		 * @type {Map}
+		 * @private
+		 */
+		this._componentFilesByDirs = new Map();
+
+		/**
+		 * Current timer of the periodic rescan, null if it is not started.
+		 * @type {Object|null}
+		 * @private
+		 */
+		this._rescanTimer = null;
+	}
+
+	/**
+	 * Starts the periodic rescan if the interval is positive.
+	 * @param {number} interval The interval of the rescan in milliseconds, 0 means disabled.
+	 * @param {Function} rescan The function which rescans the disk.
+	 */
+	startPeriodicRescan(interval, rescan) {
+		if (interval <= 0 || this._rescanTimer) {
+			return;
+		}
+
+		this._rescanTimer = setInterval(rescan, interval);
+
+		if (typeof (this._rescanTimer.unref) === 'function') {
+			this._rescanTimer.unref();
+		}
+	}
+
+	/**
+	 * Stops the periodic rescan.
+	 */
+	stopPeriodicRescan() {
+		if (this._rescanTimer) {
+			clearInterval(this._rescanTimer);
+			this._rescanTimer = null;
+		}
+	}
+
+	/**
+	 * Remembers the files of the found components, so the files added to
+	 * and removed from them are found by the next reconciliation.
+	 * @returns {Promise} Promise of the remembered files.
+	 */
+	trackComponentFiles() {
+		return this._findComponentFilesByDirs()
+			.then(filesByDirs => (this._componentFilesByDirs = filesByDirs));
+	}
+
+	/**
+	 * Remembers the files which have been handled by the usual event pipeline,
+	 * so they are not reported as changed again.
+	 * @param {Array<string>} filenames The filenames relative to CWD.
+	 */
+	markApplied(filenames) {
+		const now = Date.now();
+
+		filenames.forEach(filename => this._appliedAt.set(filename, now));
+	}
+
+	/**
+	 * Compares the finders' registries with a fresh glob of the disk.
+	 * @returns {Promise<Array<{target: string, kind: string, filename: string}>>}
+	 * Promise of the events which fix the discrepancies.
+	 */
+	reconcile() {
+		const startedAt = Date.now();
+		const componentPaths = this._getComponentPaths();
+
+		let innerFilesByDirs = null;
+
+		return Promise
+			.all([
+				this._storeFinder.find(),
+				this._globFiles(this._storeFinder.getStoresGlobExpression()),
+				this._globFiles(this._componentFinder.getComponentsGlobExpression()),
+				this._findComponentFilesByDirs()
+			])
+			.then(([storesByNames, storeFiles, componentFiles, filesByDirs]) => {
+				const storePaths = Object.keys(storesByNames)
+					.map(name => this._toRelative(storesByNames[name].path));
+				const innerFiles = [];
+
+				innerFilesByDirs = filesByDirs;
+				filesByDirs.forEach(files => innerFiles.push(...files));
+
+				return Promise.all([
+					this._diff('store', storePaths, storeFiles),
+					this._diff('componentJson', componentPaths, componentFiles),
+					this._diff('componentFile', this._getKnownComponentFiles(filesByDirs), innerFiles)
+				]);
+			})
+			.then(([storeEvents, componentEvents, innerEvents]) => {
+				this._reconciledAt = startedAt;
+				this._appliedAt.clear();
+				this._componentFilesByDirs = innerFilesByDirs;
+
+				return [...storeEvents, ...componentEvents, ...innerEvents];
+			});
+	}
+
+	/**
+	 * Finds the files of the found components except their cat-component.json files.
+	 * @param {Array<string>?} dirs The directories of the components, all found ones by default.
+	 * @returns {Promise<Array<string>>} Promise of the filenames relative to CWD.
+	 */
+	findComponentFiles(dirs) {
+		const componentPaths = this._getComponentPaths();
+		const componentDirs = dirs || Object.keys(this._componentFinder.getFoundComponentsByDirs());
+
+		return this._globFiles(componentDirs.map(dir => path.join(dir, '**', '*')))
+			.then(files => files.filter(filename => componentPaths.indexOf(filename) === -1));
+	}
+
+	/**
+	 * Finds the files of the registered stores and components.
+	 * @returns {Promise<Array<{target: string, name: string, filename: string}>>} Promise
+	 * of the files with the names of their stores and components, the filenames are relative to CWD.
+	 */
+	findRegisteredFiles() {
+		const foundComponentsByDirs = this._componentFinder.getFoundComponentsByDirs();
+
+		return Promise
+			.all([
+				this._storeFinder.find(),
+				this.findComponentFiles()
+			])
+			.then(([storesByNames, componentFiles]) => [].concat(
+				Object.keys(storesByNames)
+					.map(name => ({target: 'store', name, filename: this._toRelative(storesByNames[name].path)})),
+				Object.keys(foundComponentsByDirs)
+					.map(dir => foundComponentsByDirs[dir])
+					.map(descriptor =>
+						({target: 'componentJson', name: descriptor.name, filename: this._toRelative(descriptor.path)})),
+				componentFiles
+					.map(filename => this._createComponentFile(filename, foundComponentsByDirs))
+					.filter(file => file !== null)
+			));
+	}
+
+	/**
+	 * Finds the current files of the registered stores and components changed by the events.
+	 * The scope of a changed cat-component.json is the whole directory of the component,
+	 * because its files are added or removed with it.
+	 * @param {Array<{target: string, kind: string, filename: string}>} events The applied events.
+	 * @param {Map<string, string>} storeNames The filenames of the registered stores by their names.
+	 * @returns {Promise<{files: Array<{target: string, name: string, filename: string}>, scopes: Array<string>}>}
+	 * Promise of the files and the changed filenames and directories of the components they replace.
+	 */
+	findChangedFiles(events, storeNames) {
+		const foundComponentsByDirs = this._componentFinder.getFoundComponentsByDirs();
+		const storeNamesByFilenames = new Map();
+		const scopes = new Set();
+		const files = [];
+		const componentDirs = new Map();
+
+		storeNames.forEach((filename, name) => storeNamesByFilenames.set(filename, name));
+
+		events
+			.filter(event => REGISTERED_TARGETS.indexOf(event.target) !== -1)
+			.forEach(event => {
+				if (event.target === 'componentJson') {
+					const dir = path.dirname(event.filename);
+					const descriptor = foundComponentsByDirs[this._toFinderPath(dir)];
+
+					scopes.add(dir);
+					if (descriptor) {
+						componentDirs.set(dir, descriptor);
+					}
+					return;
+				}
+
+				scopes.add(event.filename);
+
+				if (event.target === 'componentFile') {
+					files.push(this._createComponentFile(event.filename, foundComponentsByDirs));
+				} else if (storeNamesByFilenames.has(event.filename)) {
+					files.push({target: 'store', name: storeNamesByFilenames.get(event.filename), filename: event.filename});
+				}
+			});
+
+		return this.findComponentFiles(Array.from(componentDirs.keys()).map(dir => this._toFinderPath(dir)))
+			.then(componentFiles => {
+				componentDirs.forEach(descriptor => files.push(
+					{target: 'componentJson', name: descriptor.name, filename: this._toRelative(descriptor.path)}
+				));
+				componentFiles.forEach(filename => files.push(this._createComponentFile(filename, foundComponentsByDirs)));
+
+				return {
+					files: files.filter(file => file !== null),
+					scopes: Array.from(scopes)
+				};
+			});
+	}
+
+	/**
+	 * Creates the file of the found component.
+	 * @param {string} filename The filename relative to CWD.
+	 * @param {Object} foundComponentsByDirs The found components by their directories.
+	 * @returns {{target: string, name: string, filename: string}|null} The file
+	 * or null if it does not belong to a found component.
+	 * @private
+	 */
+	_createComponentFile(filename, foundComponentsByDirs) {
+		const descriptor = pathHelper.recognizeComponent(filename, foundComponentsByDirs, this._cwd);
+
+		return descriptor ? {target: 'componentFile', name: descriptor.name, filename} : null;
+	}
+
+	/**
+	 * Finds the files of every found component.
+	 * @returns {Promise<Map>} Promise of the filenames relative to CWD by the components' directories.
+	 * @private
+	 */
+	_findComponentFilesByDirs() {
+		const dirs = Object.keys(this._componentFinder.getFoundComponentsByDirs());
+
+		return Promise.all(dirs.map(dir => this.findComponentFiles([dir])))
+			.then(results => new Map(dirs.map((dir, index) => [dir, results[index]])));
+	}
+
+	/**
+	 * Gets the known files of the components which are currently on the disk.
+	 * The files which events have been applied since the last reconciliation are in sync,
+	 * the files of the components without the known files are considered known.
+	 * @param {Map} filesByDirs The files on the disk by the components' directories.
+	 * @returns {Array<string>} The known filenames relative to CWD.
+	 * @private
+	 */
+	_getKnownComponentFiles(filesByDirs) {
+		const known = [];
+
+		filesByDirs.forEach((files, dir) => {
+			const knownFiles = this._componentFilesByDirs.get(dir);
+
+			if (!knownFiles) {
+				known.push(...files);
+				return;
+			}
+
+			known.push(
+				...knownFiles.filter(filename => !this._appliedAt.has(filename)),
+				...files.filter(filename => this._appliedAt.has(filename))
+			);
+		});
+
+		return known;
+	}
+
+	/**
+	 * Gets the filenames of cat-component.json of the found components.
+	 * @returns {Array<string>} The filenames relative to CWD.
+	 * @private
+	 */
+	_getComponentPaths() {
+		const foundComponentsByDirs = this._componentFinder.getFoundComponentsByDirs();
+
+		return Object.keys(foundComponentsByDirs)
+			.map(dir => this._toRelative(foundComponentsByDirs[dir].path));
+	}
+
+	/**
+	 * Compares the registered files with the files on the disk.
+	 * @param {string} target The name of the events' target.
+	 * @param {Array<string>} registered The registered filenames.
+	 * @param {Array<string>} found The filenames found on the disk.
+	 * @returns {Promise<Array>} Promise of the events.
+	 * @private
+	 */
+	_diff(target, registered, found) {
+		const added = found.filter(filename => registered.indexOf(filename) === -1);
+		const removed = registered.filter(filename => found.indexOf(filename) === -1);
+		const kept = found.filter(filename => registered.indexOf(filename) !== -1);
+
+		return Promise.all(kept.map(filename => getModifiedTime(path.resolve(this._cwd, filename))))
+			.then(times => {
+				const changed = kept.filter((filename, index) => this._isChangedSince(filename, times[index]));
+
+				return [
+					...added.map(filename => ({target, kind: 'add', filename})),
+					...changed.map(filename => ({target, kind: 'change', filename})),
+					...removed.map(filename => ({target, kind: 'unlink', filename}))
+				];
+			});
+	}
+
+	/**
+	 * Checks if the file has been modified after the last reconciliation
+	 * and after its last applied event.
+	 * @param {string} filename The filename.
+	 * @param {number} modifiedAt The time of the last modification.
+	 * @returns {boolean} true if the file has been changed.
+	 * @private
+	 */
+	_isChangedSince(filename, modifiedAt) {
+		const appliedAt = this._appliedAt.has(filename) ? this._appliedAt.get(filename) : 0;
+
+		return modifiedAt > Math.max(this._reconciledAt, appliedAt);
+	}
+
+	/**
+	 * Finds the files matching the glob expressions except the ignored ones.
+	 * @param {string|Array<string>} expressions The glob expression(s).
+	 * @returns {Promise<Array<string>>} Promise of the unique filenames relative to CWD.
+	 * @private
+	 */
+	_globFiles(expressions) {
+		const list = Array.isArray(expressions) ? expressions : [expressions];
+
+		return Promise
+			.all(list.map(expression => globExpression(expression, process.cwd())))
+			.then(results => {
+				const files = new Set();
+
+				for (const matches of results) {
+					matches
+						.filter(match => !this._isIgnored(path.resolve(match)))
+						.forEach(match => files.add(this._toRelative(match)));
+				}
+
+				return Array.from(files);
+			});
+	}
+
+	/**
+	 * Gets the filename relative to CWD like the watcher's events have.
+	 * @param {string} filename The filename relative to the current directory of the process.
+	 * @returns {string} The relative filename.
+	 * @private
+	 */
+	_toRelative(filename) {
+		return path.relative(this._cwd, path.resolve(filename));
+	}
+
+	/**
+	 * Gets the path relative to the current directory of the process like the finders have.
+	 * @param {string} filename The filename relative to CWD.
+	 * @returns {string} The path for the finders.
+	 * @private
+	 */
+	_toFinderPath(filename) {
+		return path.relative(process.cwd(), path.resolve(this._cwd, filename));
+	}
+}
+
+/**
+ * Finds the files matching the glob expression.
+ * @param {string} expression The glob expression.
+ * @param {string} cwd The directory the expression is relative to.
+ * @returns {Promise<Array<string>>} Promise of the filenames.
+ */
+function globExpression(expression, cwd) {
+	return new Promise((fulfill, reject) =>
+		glob(expression, {cwd, nodir: true, silent: true}, (error, files) => error ? reject(error) : fulfill(files))
+	);
+}
+
+/**
+ * Gets the time of the file's last modification.
+ * @param {string} filename The filename.
+ * @returns {Promise<number>} Promise of the time, 0 if the file does not exist.
+ */
+function getModifiedTime(filename) {
+	return new Promise(fulfill =>
+		fs.stat(filename, (error, stats) => fulfill(error ? 0 : stats.mtime.getTime()))
+	);
+}
+
+module.exports = Reconciler;
@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * Implements the queue of the reloads which runs one reload per key at a time
+ * and limits the number of the reloads running at once. A reload scheduled
+ * while the previous one of the same key is pending replaces it, so only
+ * the latest version is loaded and the callers of both get its result.
+ */
+class ReloadScheduler {
+
+	/**
+	 * Creates a new instance of the reload scheduler.
+	 * @param {number} concurrency The maximum number of the reloads running at once.
+	 */
+	constructor(concurrency) {
+
+		/**
+		 * Current maximum number of the reloads running at once.
+		 * @type {number}
+		 * @private
+		 */
+		this._concurrency = concurrency;
+
+		/**
+		 * Current keys of the running reloads.
+		 * @type {Set<string>}
+		 * @private
+		 */
+		this._running = new Set();
+
+		/**
+		 * Current pending reloads by their keys in the order of scheduling.
+		 * @type {Map<string, {task: Function, callbacks: Array}>}
+		 * @private
+		 */
+		this._pending = new Map();
+
+		/**
+		 * Current functions called when all the reloads are finished.
+		 * @type {Array<Function>}
+		 * @private
+		 */
+		this._idleCallbacks = [];
+
+		/**
+		 * Current number of the pending reloads replaced by the newer ones.
+		 * @type {number}
+		 * @private
+		 */
+		this._supersededCount = 0;
+	}
+
+	/**
+	 * Gets a number of the running reloads.
+	 * @returns {number} The number of the running reloads.
+	 */
+	get runningCount() {
+		return this._running.size;
+	}
+
+	/**
+	 * Gets a number of the reloads waiting for their turn.
+	 * @returns {number} The number of the pending reloads.
+	 */
+	get pendingCount() {
+		return this._pending.size;
+	}
+
+	/**
+	 * Gets a number of the pending reloads replaced by the newer ones.
+	 * @returns {number} The number of the superseded reloads.
+	 */
+	get supersededCount() {
+		return this._supersededCount;
+	}
+
+	/**
+	 * Schedules the reload, it is started synchronously if nothing of the same key
+	 * is running and the limit is not reached.
+	 * @param {string} key The key of the reloaded module, e.g. the name of the store.
+	 * @param {Function} task The function which reloads it and returns a promise.
+	 * @returns {Promise} Promise of the task's result, the result of the superseding
+	 * task if this one is replaced while pending.
+	 */
+	schedule(key, task) {
+		return new Promise((fulfill, reject) => {
+			const superseded = this._pending.get(key);
+			const callbacks = superseded ? superseded.callbacks : [];
+
+			if (superseded) {
+				this._supersededCount++;
+			}
+
+			callbacks.push({fulfill, reject});
+			this._pending.set(key, {task, callbacks});
+			this._next();
+		});
+	}
+
+	/**
+	 * Waits until all the running and pending reloads are finished.
+	 * @returns {Promise} Promise of the finished reloads.
+	 */
+	wait() {
+		if (this._running.size === 0 && this._pending.size === 0) {
+			return Promise.resolve();
+		}
+
+		return new Promise(fulfill => this._idleCallbacks.push(fulfill));
+	}
+
+	/**
+	 * Starts the pending reloads while the limit is not reached.
+	 * @private
+	 */
+	_next() {
+		for (const [key, reload] of this._pending) {
+			if (this._running.size >= this._concurrency) {
+				break;
+			}
+			if (!this._running.has(key)) {
+				this._pending.delete(key);
+				this._run(key, reload);
+			}
+		}
+
+		if (this._running.size === 0 && this._pending.size === 0) {
+			const idleCallbacks = this._idleCallbacks;
+
+			this._idleCallbacks = [];
+			idleCallbacks.forEach(callback => callback());
+		}
+	}
+
+	/**
+	 * Runs the reload and starts the next ones when it is finished.
+	 * @param {string} key The key of the reloaded module.
+	 * @param {{task: Function, callbacks: Array}} reload The reload.
+	 * @private
+	 */
+	_run(key, {task, callbacks}) {
+		const finish = (isFulfilled, value) => {
+			this._running.delete(key);
+			callbacks.forEach(callback => (isFulfilled ? callback.fulfill(value) : callback.reject(value)));
+			this._next();
+		};
+
+		this._running.add(key);
+		new Promise(fulfill => fulfill(task()))
+			.then(result => finish(true, result), error => finish(false, error));
+	}
+}
+
+module.exports = ReloadScheduler;
@@ -0,0 +1,210 @@
+'use strict';
+
+const path = require('path');
+const minimatch = require('minimatch');
+
+const ALL_KINDS = ['add', 'change', 'unlink'];
+const IGNORE_ROUTE = 'ignore';
+const GIT_ROUTE = 'git';
+const TARGET_ROUTE_PREFIX = 'target:';
+
+/**
+ * Implements the router of the file events coming from the shared
+ * file system watcher. Every route has a matcher, which is a function or
+ * a glob expression, and the kinds of the events it receives.
+ * The event is dispatched to all the matching routes.
+ */
+class Router {
+
+	/**
+	 * Creates a new instance of the router.
+	 * @param {string} cwd The directory the filenames of the events are relative to.
+	 */
+	constructor(cwd) {
+
+		/**
+		 * Current directory the filenames are relative to.
+		 * @type {string}
+		 * @private
+		 */
+		this._cwd = cwd;
+
+		/**
+		 * Current routes by their names.
+		 * @type {Map}
+		 * @private
+		 */
+		this._routes = new Map();
+	}
+
+	/**
+	 * Adds or replaces the route.
+	 * @param {string} name The name of the route.
+	 * @param {Function|string|Array<string>} matcher The function which receives
+	 * a filename and returns true if it belongs to the route or the glob expressions.
+	 * @param {Array<string>?} kinds The kinds of the events, all kinds by default.
+	 */
+	add(name, matcher, kinds) {
+		this._routes.set(name, {
+			match: typeof (matcher) === 'function' ? matcher : this._createGlobMatcher(matcher),
+			kinds: kinds || ALL_KINDS
+		});
+	}
+
+	/**
+	 * Removes the route.
+	 * @param {string} name The name of the route.
+	 * @returns {boolean} true if the route has been removed.
+	 */
+	remove(name) {
+		return this._routes.delete(name);
+	}
+
+	/**
+	 * Gets the names of the routes which receive the event.
+	 * @param {string} kind The kind of the event: "add", "change" or "unlink".
+	 * @param {string} filename The filename of the event.
+	 * @returns {Array<string>} The list of the routes' names.
+	 */
+	route(kind, filename) {
+		const names = [];
+
+		this._routes.forEach((route, name) => {
+			if (route.kinds.indexOf(kind) !== -1 && route.match(filename)) {
+				names.push(name);
+			}
+		});
+
+		return names;
+	}
+
+	/**
+	 * Sets the routes of the ignore files, stores, components, their dependencies,
+	 * the watch targets and the git files.
+	 * @param {Object} project The sources of the routes.
+	 * @param {Function} project.isIgnoreFile The function which checks the ignore file.
+	 * @param {string|Array<string>} project.storesGlob The glob expression(s) of the stores.
+	 * @param {string|Array<string>} project.componentsGlob The glob expression(s) of cat-component.json.
+	 * @param {Function} project.isComponentFile The function which checks the file of a found component.
+	 * @param {Function} project.isDependency The function which checks the watched dependency.
+	 * @param {Array<{name: string, glob: string|Array<string>}>} project.targets The watch targets.
+	 * @param {string|null} project.gitGlob The glob expression of the git files, null if they are not watched.
+	 */
+	routeProject(project) {
+		this.add(IGNORE_ROUTE, project.isIgnoreFile);
+		this.add('store', project.storesGlob);
+		this.add('componentJson', project.componentsGlob);
+		this.add('componentFile', project.isComponentFile);
+		this.add('dependency', project.isDependency, ['change', 'unlink']);
+		project.targets.forEach(target => this.addTarget(target.name, target.glob));
+
+		if (project.gitGlob) {
+			this.add(GIT_ROUTE, project.gitGlob);
+		} else {
+			this.remove(GIT_ROUTE);
+		}
+	}
+
+	/**
+	 * Adds or replaces the route of the watch target.
+	 * @param {string} name The name of the target.
+	 * @param {string|Array<string>} glob The glob expression(s) of the target's files.
+	 */
+	addTarget(name, glob) {
+		this.add(this.getTargetRoute(name), glob);
+	}
+
+	/**
+	 * Removes the route of the watch target.
+	 * @param {string} name The name of the target.
+	 * @returns {boolean} true if the route has been removed.
+	 */
+	removeTarget(name) {
+		return this.remove(this.getTargetRoute(name));
+	}
+
+	/**
+	 * Gets the name of the watch target's route, the events of the target's files have it as their target.
+	 * @param {string} name The name of the target.
+	 * @returns {string} The name of the route.
+	 */
+	getTargetRoute(name) {
+		return TARGET_ROUTE_PREFIX + name;
+	}
+
+	/**
+	 * Dispatches the event to the matching routes. The event of an ignore file
+	 * goes only to its route, the events of the ignored files reach only the git route.
+	 * @param {string} kind The kind of the event: "add", "change" or "unlink".
+	 * @param {string} filename The filename of the event.
+	 * @param {Object} handlers The handlers of the event.
+	 * @param {Function} handlers.isIgnored The function which checks the file by the ignore rules.
+	 * @param {Function} handlers.onRoute The function called with the route, kind, filename
+	 * and true if the event is skipped by the ignore rules for every matching route.
+	 * @param {Function} handlers.onIgnoreFile The function called when an ignore file is changed.
+	 * @param {Function} handlers.onGitActivity The function called when a git file is changed.
+	 * @param {Function} handlers.onEvent The function called with the route, kind and filename
+	 * of the event of a store, component, dependency or watch target.
+	 */
+	dispatch(kind, filename, handlers) {
+		const routes = this.route(kind, filename);
+
+		if (routes.indexOf(IGNORE_ROUTE) !== -1) {
+			handlers.onRoute(IGNORE_ROUTE, kind, filename, false);
+			handlers.onIgnoreFile();
+			return;
+		}
+
+		const isIgnored = handlers.isIgnored(filename);
+
+		routes.forEach(route => {
+			const isSkipped = isIgnored && route !== GIT_ROUTE;
+
+			handlers.onRoute(route, kind, filename, isSkipped);
+
+			if (route === GIT_ROUTE) {
+				handlers.onGitActivity();
+			} else if (!isSkipped) {
+				handlers.onEvent(route, kind, filename);
+			}
+		});
+	}
+
+	/**
+	 * Creates a matcher of the glob expressions. The expressions starting with "!"
+	 * exclude the files, a file matches if any other expression includes it
+	 * and none of the excluding ones matches it.
+	 * @param {string|Array<string>} expressions The glob expressions.
+	 * @returns {Function} The matcher.
+	 * @private
+	 */
+	_createGlobMatcher(expressions) {
+		const includes = [];
+		const excludes = [];
+
+		(Array.isArray(expressions) ? expressions : [expressions]).forEach(expression => {
+			const isExcluding = expression.charAt(0) === '!';
+			const pattern = new minimatch.Minimatch(toRelative(this._cwd, isExcluding ? expression.slice(1) : expression));
+
+			(isExcluding ? excludes : includes).push(pattern);
+		});
+
+		return filename => {
+			const relative = toRelative(this._cwd, filename);
+			return includes.some(pattern => pattern.match(relative)) &&
+				!excludes.some(pattern => pattern.match(relative));
+		};
+	}
+}
+
+/**
+ * Gets the path relative to the directory like the events' filenames are.
+ * @param {string} cwd The directory.
+ * @param {string} filename The filename or the glob expression.
+ * @returns {string} The relative path.
+ */
+function toRelative(cwd, filename) {
+	return path.isAbsolute(filename) ? path.relative(cwd, filename) : path.normalize(filename);
+}
+
+module.exports = Router;
@@ -0,0 +1,431 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const hashHelper = require('./helpers/hashHelper');
+
+const SNAPSHOT_VERSION = 1;
+const TEMPORARY_EXTENSION = '.tmp';
+// the reason of the events of the changes made while the watcher was stopped
+const OFFLINE_REASON = 'offline';
+const REPORT_FIELDS = {
+	add: 'added',
+	change: 'changed',
+	unlink: 'removed'
+};
+
+/**
+ * Implements the snapshot of the watched files persisted between the runs
+ * of the watcher. Every file has its target, the name of its store or component,
+ * the time of the last modification and the content hash. The scheduled captures
+ * get the files from the source and never overlap.
+ */
+class Snapshot {
+
+	/**
+	 * Creates a new instance of the snapshot.
+	 * @param {string} filename The absolute filename of the snapshot.
+	 * @param {string} cwd The directory the filenames of the files are relative to.
+	 * @param {Object?} source The source of the scheduled captures.
+	 * @param {Function} source.findFiles The function which finds all the current files.
+	 * @param {Function} source.findChangedFiles The function which finds the current files
+	 * changed by the events and the filenames and directories they replace.
+	 * @param {Function} source.onError The function which receives the errors of the captures.
+	 */
+	constructor(filename, cwd, source) {
+
+		/**
+		 * Current filename of the snapshot.
+		 * @type {string}
+		 * @private
+		 */
+		this._filename = filename;
+
+		/**
+		 * Current directory the filenames of the files are relative to.
+		 * @type {string}
+		 * @private
+		 */
+		this._cwd = cwd;
+
+		/**
+		 * Current entries of the files by their relative filenames.
+		 * @type {Map<string, {target: string, name: string, mtime: number, hash: string}>}
+		 * @private
+		 */
+		this._entries = new Map();
+
+		/**
+		 * Current queue of the writes, so they never overlap.
+		 * @type {Promise}
+		 * @private
+		 */
+		this._saveQueue = Promise.resolve();
+
+		/**
+		 * Current source of the scheduled captures.
+		 * @type {Object|null}
+		 * @private
+		 */
+		this._source = source || null;
+
+		/**
+		 * Current scheduled capture in progress or null if it is not being captured.
+		 * @type {Promise|null}
+		 * @private
+		 */
+		this._capturePromise = null;
+
+		/**
+		 * Current capture waiting for the one in progress,
+		 * the full one or the events of the batches applied meanwhile.
+		 * @type {{isFull: boolean, events: Array}|null}
+		 * @private
+		 */
+		this._pendingCapture = null;
+	}
+
+	/**
+	 * Reads the snapshot of the previous run and replaces it with the current files.
+	 * The hashes are computed only for the files modified since the previous run.
+	 * @param {Array<{target: string, name: string, filename: string}>} files The current files.
+	 * @returns {Promise<Array<{target: string, kind: string, filename: string, name: string}>|null>}
+	 * Promise of the changes since the previous run or null if there is no snapshot.
+	 */
+	restore(files) {
+		return this._read()
+			.then(previous => this._capture(files, previous || new Map())
+				.then(() => previous ? diffEntries(previous, this._entries) : null));
+	}
+
+	/**
+	 * Replaces the entries with the current files.
+	 * The hashes are computed only for the files modified since the last capture.
+	 * @param {Array<{target: string, name: string, filename: string}>} files The current files.
+	 * @returns {Promise} Promise of the captured entries.
+	 */
+	capture(files) {
+		return this._capture(files, this._entries);
+	}
+
+	/**
+	 * Replaces only the entries of the changed scopes with the current files,
+	 * the entries outside of the scopes are kept as they are.
+	 * @param {Array<{target: string, name: string, filename: string}>} files The current files of the scopes.
+	 * @param {Array<string>} scopes The changed filenames and directories of the components.
+	 * @returns {Promise} Promise of the updated entries.
+	 */
+	update(files, scopes) {
+		const relativeScopes = scopes.map(scope => this._toRelative(scope));
+		const kept = new Map();
+
+		this._entries.forEach((entry, filename) => {
+			if (!relativeScopes.some(scope => isInScope(filename, scope))) {
+				kept.set(filename, entry);
+			}
+		});
+
+		return this._capture(files, this._entries)
+			.then(() => kept.forEach((entry, filename) => {
+				if (!this._entries.has(filename)) {
+					this._entries.set(filename, entry);
+				}
+			}));
+	}
+
+	/**
+	 * Schedules the capture of the files from the source and saves the snapshot.
+	 * With the events only the files changed by them are updated, without the events
+	 * all the files are captured again. The captures scheduled during a capture
+	 * are merged and made once after it.
+	 * @param {Array<{target: string, kind: string, filename: string}>?} events
+	 * The events of the applied batch.
+	 */
+	schedule(events) {
+		const pending = this._pendingCapture || {isFull: false, events: []};
+
+		this._pendingCapture = events ?
+			{isFull: pending.isFull, events: pending.events.concat(events)} :
+			{isFull: true, events: []};
+
+		if (!this._capturePromise) {
+			this._capturePending();
+		}
+	}
+
+	/**
+	 * Waits for the scheduled captures.
+	 * @returns {Promise} Promise of the saved snapshot.
+	 */
+	wait() {
+		return this._capturePromise ?
+			this._capturePromise.then(() => this.wait()) :
+			Promise.resolve();
+	}
+
+	/**
+	 * Gets the events of the stores and components changed while the watcher was stopped
+	 * and their report. The changed cat-component.json is reported as a changed file
+	 * of the component, because its previous version is unknown. The component
+	 * is reported once, the manifests go first, so the files of the added
+	 * and removed components are not reported.
+	 * @param {Array<{target: string, kind: string, filename: string, name: string}>} changes
+	 * The changes since the previous run.
+	 * @param {Function} describe The function which gets the descriptor by {target, kind, name, filename},
+	 * where "target" is "store" or "component", the changes without the descriptors are skipped.
+	 * @returns {{events: Array<Object>, report: Object}} The fields of the events' envelopes
+	 * with the "offline" reason and the report of the added, changed and removed files.
+	 */
+	getOfflineEvents(changes, describe) {
+		const events = [];
+		const report = {
+			stores: {added: [], changed: [], removed: []},
+			components: {added: [], changed: [], removed: []}
+		};
+		const reportedComponents = new Set();
+
+		changes
+			.filter(change => change.target === 'store')
+			.forEach(change => {
+				report.stores[REPORT_FIELDS[change.kind]].push(change.filename);
+				events.push({
+					type: change.kind,
+					target: 'store',
+					descriptor: describe({target: 'store', kind: change.kind, name: change.name, filename: change.filename}),
+					filename: change.filename,
+					reason: OFFLINE_REASON
+				});
+			});
+
+		changes
+			.filter(change => change.target === 'componentJson')
+			.concat(changes.filter(change => change.target === 'componentFile'))
+			.forEach(change => {
+				const isManifest = change.target === 'componentJson';
+				const kind = isManifest ? change.kind : 'change';
+				const descriptor = describe({target: 'component', kind, name: change.name, filename: change.filename});
+
+				if (!descriptor || reportedComponents.has(change.name)) {
+					return;
+				}
+
+				reportedComponents.add(change.name);
+				report.components[REPORT_FIELDS[kind]].push(change.filename);
+				events.push({
+					type: isManifest && kind !== 'change' ? kind : `${change.kind}File`,
+					target: 'component',
+					descriptor,
+					filename: change.filename,
+					reason: OFFLINE_REASON
+				});
+			});
+
+		return {events, report};
+	}
+
+	/**
+	 * Writes the snapshot replacing the file atomically.
+	 * @returns {Promise} Promise of the written snapshot.
+	 */
+	save() {
+		const files = {};
+
+		this._entries.forEach((entry, filename) => (files[filename] = entry));
+
+		const content = JSON.stringify({version: SNAPSHOT_VERSION, files});
+		const temporaryFilename = this._filename + TEMPORARY_EXTENSION;
+
+		this._saveQueue = this._saveQueue
+			.catch(() => null)
+			.then(() => makeDir(path.dirname(this._filename)))
+			.then(() => promiseCall(fs.writeFile, temporaryFilename, content))
+			.then(() => promiseCall(fs.rename, temporaryFilename, this._filename));
+
+		return this._saveQueue;
+	}
+
+	/**
+	 * Makes the pending capture using the source and saves the snapshot.
+	 * @private
+	 */
+	_capturePending() {
+		const pending = this._pendingCapture;
+		const captured = pending.isFull ?
+			this._source.findFiles().then(files => this.capture(files)) :
+			this._source.findChangedFiles(pending.events).then(changed => this.update(changed.files, changed.scopes));
+
+		this._pendingCapture = null;
+		this._capturePromise = captured
+			.then(() => this.save())
+			.catch(error => this._source.onError(error))
+			.then(() => {
+				this._capturePromise = null;
+
+				if (this._pendingCapture) {
+					this._capturePending();
+				}
+			});
+	}
+
+	/**
+	 * Reads the entries of the persisted snapshot.
+	 * @returns {Promise<Map|null>} Promise of the entries or null if the snapshot
+	 * does not exist or has another version.
+	 * @private
+	 */
+	_read() {
+		return new Promise(fulfill =>
+			fs.readFile(this._filename, 'utf8', (error, content) => fulfill(error ? null : parseEntries(content)))
+		);
+	}
+
+	/**
+	 * Stats the files and replaces the entries with theirs, the hash is reused
+	 * if the file has not been modified since the known entry.
+	 * @param {Array<{target: string, name: string, filename: string}>} files The files.
+	 * @param {Map} known The known entries by the relative filenames.
+	 * @returns {Promise} Promise of the replaced entries.
+	 * @private
+	 */
+	_capture(files, known) {
+		const filenames = files.map(file => this._toRelative(file.filename));
+
+		return Promise.all(files.map((file, index) =>
+			createEntry(path.resolve(this._cwd, filenames[index]), file, known.get(filenames[index]))
+		))
+			.then(entries => {
+				this._entries = new Map();
+				entries.forEach((entry, index) => {
+					if (entry) {
+						this._entries.set(filenames[index], entry);
+					}
+				});
+			});
+	}
+
+	/**
+	 * Gets the filename relative to CWD like the watcher's events have.
+	 * @param {string} filename The filename.
+	 * @returns {string} The relative filename.
+	 * @private
+	 */
+	_toRelative(filename) {
+		return path.relative(this._cwd, path.resolve(this._cwd, filename));
+	}
+}
+
+/**
+ * Creates the entry of the file.
+ * @param {string} filename The absolute filename.
+ * @param {{target: string, name: string}} file The target and name of the file.
+ * @param {Object?} knownEntry The known entry of the file.
+ * @returns {Promise<Object|null>} Promise of the entry or null if the file does not exist.
+ */
+function createEntry(filename, file, knownEntry) {
+	return promiseCall(fs.stat, filename)
+		.then(stats => {
+			const mtime = stats.mtime.getTime();
+			const hashPromise = knownEntry && knownEntry.mtime === mtime ?
+				Promise.resolve(knownEntry.hash) :
+				hashHelper.hashFile(filename);
+
+			return hashPromise.then(hash => hash === null ? null : {target: file.target, name: file.name, mtime, hash});
+		})
+		.catch(() => null);
+}
+
+/**
+ * Checks if the filename is the scope or is inside it.
+ * @param {string} filename The relative filename.
+ * @param {string} scope The relative filename or directory.
+ * @returns {boolean} true if the filename is in the scope.
+ */
+function isInScope(filename, scope) {
+	return filename === scope || filename.indexOf(scope + path.sep) === 0;
+}
+
+/**
+ * Parses the content of the snapshot.
+ * @param {string} content The content.
+ * @returns {Map|null} The entries by the relative filenames or null if the content is invalid.
+ */
+function parseEntries(content) {
+	let snapshot;
+
+	try {
+		snapshot = JSON.parse(content);
+	} catch (e) {
+		return null;
+	}
+
+	if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !snapshot.files) {
+		return null;
+	}
+
+	return new Map(Object.keys(snapshot.files).map(filename => [filename, snapshot.files[filename]]));
+}
+
+/**
+ * Compares the entries of the previous run with the current ones.
+ * The files with the same content are not changed even if they have been touched.
+ * @param {Map} previous The previous entries.
+ * @param {Map} current The current entries.
+ * @returns {Array<{target: string, kind: string, filename: string, name: string}>} The changes.
+ */
+function diffEntries(previous, current) {
+	const changes = [];
+
+	current.forEach((entry, filename) => {
+		const previousEntry = previous.get(filename);
+
+		if (!previousEntry || previousEntry.target !== entry.target) {
+			changes.push({target: entry.target, kind: 'add', filename, name: entry.name});
+		} else if (previousEntry.hash !== entry.hash) {
+			changes.push({target: entry.target, kind: 'change', filename, name: entry.name});
+		}
+	});
+
+	previous.forEach((entry, filename) => {
+		const currentEntry = current.get(filename);
+
+		if (!currentEntry || currentEntry.target !== entry.target) {
+			changes.push({target: entry.target, kind: 'unlink', filename, name: entry.name});
+		}
+	});
+
+	return changes;
+}
+
+/**
+ * Creates the directory and its missing parents.
+ * @param {string} dir The absolute directory.
+ * @returns {Promise} Promise of the existing directory.
+ */
+function makeDir(dir) {
+	return promiseCall(fs.mkdir, dir)
+		.catch(error => {
+			if (error.code === 'EEXIST') {
+				return null;
+			}
+			if (error.code !== 'ENOENT' || path.dirname(dir) === dir) {
+				throw error;
+			}
+
+			return makeDir(path.dirname(dir))
+				.then(() => makeDir(dir));
+		});
+}
+
+/**
+ * Calls the function with the callback and returns a promise of its result.
+ * @param {Function} method The function with the callback.
+ * @param {...*} args The arguments.
+ * @returns {Promise} Promise of the result.
+ */
+function promiseCall(method, ...args) {
+	return new Promise((fulfill, reject) =>
+		method(...args, (error, result) => error ? reject(error) : fulfill(result))
+	);
+}
+
+module.exports = Snapshot;
@@ -0,0 +1,212 @@
+'use strict';
+
+/**
+ * Implements the counters of the watcher's events and the timings
+ * of the stores' and components' reloads measured from the file event
+ * to the settled promise of the loader. The stats can be reported periodically.
+ */
+class Stats {
+
+	/**
+	 * Creates a new instance of the stats.
+	 */
+	constructor() {
+
+		/**
+		 * Current time when the stats have been created.
+		 * @type {number}
+		 * @private
+		 */
+		this._startedAt = Date.now();
+
+		/**
+		 * Current numbers of the emitted events by their names.
+		 * @type {Map<string, number>}
+		 * @private
+		 */
+		this._events = new Map();
+
+		/**
+		 * Current number of the applied batches.
+		 * @type {number}
+		 * @private
+		 */
+		this._batches = 0;
+
+		/**
+		 * Current number of the skipped change events of the files with the same content.
+		 * @type {number}
+		 * @private
+		 */
+		this._suppressedChanges = 0;
+
+		/**
+		 * Current timings of all the reloads.
+		 * @type {Object}
+		 * @private
+		 */
+		this._reloads = createTimings();
+
+		/**
+		 * Current timings of the reloads by the targets and the names of the stores and components.
+		 * @type {{store: Map<string, Object>, component: Map<string, Object>}}
+		 * @private
+		 */
+		this._reloadsByNames = {
+			store: new Map(),
+			component: new Map()
+		};
+
+		/**
+		 * Current timer of the periodic report, null if it is not started.
+		 * @type {Object|null}
+		 * @private
+		 */
+		this._reportTimer = null;
+	}
+
+	/**
+	 * Counts the emitted event.
+	 * @param {string} name The name of the event.
+	 */
+	countEvent(name) {
+		this._events.set(name, (this._events.get(name) || 0) + 1);
+	}
+
+	/**
+	 * Counts the applied batch.
+	 */
+	countBatch() {
+		this._batches++;
+	}
+
+	/**
+	 * Counts the skipped change events of the files with the same content.
+	 * @param {number} count The number of the skipped events.
+	 */
+	countSuppressedChanges(count) {
+		this._suppressedChanges += count;
+	}
+
+	/**
+	 * Records the settled reload of the store or component.
+	 * @param {string} target The kind of the reloaded module: "store" or "component".
+	 * @param {string} name The name of the store or component.
+	 * @param {number} duration The time from the file event to the settled reload in milliseconds.
+	 * @param {boolean} isSucceeded false if the previous version has been kept.
+	 */
+	recordReload(target, name, duration, isSucceeded) {
+		const reloadsByNames = this._reloadsByNames[target];
+
+		if (!reloadsByNames.has(name)) {
+			reloadsByNames.set(name, createTimings());
+		}
+
+		addTiming(this._reloads, duration, isSucceeded);
+		addTiming(reloadsByNames.get(name), duration, isSucceeded);
+	}
+
+	/**
+	 * Starts reporting the stats periodically if the interval is positive.
+	 * @param {number} interval The interval of the report in milliseconds, 0 means disabled.
+	 * @param {Function} report The function which receives the current values of the stats.
+	 */
+	startReporting(interval, report) {
+		if (interval <= 0 || this._reportTimer) {
+			return;
+		}
+
+		this._reportTimer = setInterval(() => report(this.toJSON()), interval);
+
+		if (typeof (this._reportTimer.unref) === 'function') {
+			this._reportTimer.unref();
+		}
+	}
+
+	/**
+	 * Stops reporting the stats periodically.
+	 */
+	stopReporting() {
+		if (this._reportTimer) {
+			clearInterval(this._reportTimer);
+			this._reportTimer = null;
+		}
+	}
+
+	/**
+	 * Gets the current values of the stats.
+	 * @returns {{startedAt: number, uptime: number, batches: number, suppressedChanges: number,
+	 * events: Object, reloads: Object, stores: Object, components: Object}} The stats, where "events"
+	 * are the numbers of the events by their names, "stores" and "components" are the timings by the names.
+	 */
+	toJSON() {
+		return {
+			startedAt: this._startedAt,
+			uptime: Date.now() - this._startedAt,
+			batches: this._batches,
+			suppressedChanges: this._suppressedChanges,
+			events: mapToObject(this._events, count => count),
+			reloads: formatTimings(this._reloads),
+			stores: mapToObject(this._reloadsByNames.store, formatTimings),
+			components: mapToObject(this._reloadsByNames.component, formatTimings)
+		};
+	}
+}
+
+/**
+ * Creates the empty timings.
+ * @returns {{count: number, failed: number, totalTime: number, maxTime: number, lastTime: number}} The timings.
+ */
+function createTimings() {
+	return {
+		count: 0,
+		failed: 0,
+		totalTime: 0,
+		maxTime: 0,
+		lastTime: 0
+	};
+}
+
+/**
+ * Adds the reload to the timings.
+ * @param {Object} timings The timings.
+ * @param {number} duration The duration of the reload in milliseconds.
+ * @param {boolean} isSucceeded false if the reload has failed.
+ */
+function addTiming(timings, duration, isSucceeded) {
+	timings.count++;
+	timings.totalTime += duration;
+	timings.maxTime = Math.max(timings.maxTime, duration);
+	timings.lastTime = duration;
+
+	if (!isSucceeded) {
+		timings.failed++;
+	}
+}
+
+/**
+ * Copies the timings adding the average time.
+ * @param {Object} timings The timings.
+ * @returns {Object} The copy of the timings with "averageTime".
+ */
+function formatTimings(timings) {
+	return Object.assign({
+		averageTime: timings.count > 0 ? Math.round(timings.totalTime / timings.count) : 0
+	}, timings);
+}
+
+/**
+ * Converts the map to a plain object.
+ * @param {Map} map The map.
+ * @param {Function} format The function which formats the values.
+ * @returns {Object} The object with the formatted values.
+ */
+function mapToObject(map, format) {
+	const object = {};
+
+	map.forEach((value, key) => (object[key] = format(value)));
+
+	return object;
+}
+
+module.exports = Stats;
@@ -1,12 +1,251 @@
+const cluster = require('cluster');
+const fs = require('fs');
 const path = require('path');
-const chokidar = require('chokidar');
+const vm = require('vm');
 const {EventEmitter} = require('events');
+const Batcher = require('./Batcher');
+const ClusterPrimary = require('./ClusterPrimary');
+const ClusterReplica = require('./ClusterReplica');
+const ConflictTracker = require('./ConflictTracker');
+const DependencyGraph = require('./DependencyGraph');
+const IgnoreRules = require('./IgnoreRules');
+const LiveReload = require('./LiveReload');
+const LogFormatter = require('./LogFormatter');
+const Reconciler = require('./Reconciler');
+const ReloadScheduler = require('./ReloadScheduler');
+const Router = require('./Router');
+const Snapshot = require('./Snapshot');
+const Stats = require('./Stats');
+const ChokidarBackend = require('./backends/ChokidarBackend');
+const MemoryBackend = require('./backends/MemoryBackend');
+const NativeBackend = require('./backends/NativeBackend');
+const configHelper = require('./helpers/configHelper');
+const errorHelper = require('./helpers/errorHelper');
+const eventHelper = require('./helpers/eventHelper');
+const hashHelper = require('./helpers/hashHelper');
+const manifestHelper = require('./helpers/manifestHelper');
+const pathHelper = require('./helpers/pathHelper');
+
+// the module is checked wrapped as Node wraps it, the wrapper takes its own line
+const MODULE_WRAPPER_PREFIX = '(function (exports, require, module, __filename, __dirname) {\n';
+const MODULE_WRAPPER_SUFFIX = '\n});';
+const HASHBANG_REGEXP = /^#!.*/;
+
+const DEFAULT_BACKEND = 'chokidar';
+const BACKENDS = {
+	chokidar: () => new ChokidarBackend(),
+	native: () => new NativeBackend(),
+	polling: () => new NativeBackend({usePolling: true}),
+	memory: () => new MemoryBackend()
+};
+
+const STATE_IDLE = 'idle';
+const STATE_STARTING = 'starting';
+const STATE_WATCHING = 'watching';
+const STATE_CLOSING = 'closing';
+const STATE_CLOSED = 'closed';
+
+const GIT_DIR = '.git';
+const GIT_WATCHED_FILES = ['HEAD', 'index.lock'];
+// the glob, because the shared watcher is never ready if it watches a missing file
+const GIT_WATCHED_GLOB = path.join(GIT_DIR, `{${GIT_WATCHED_FILES.join(',')}}`);
+// the glob for the same reason, the ignore files are optional
+const IGNORE_WATCHED_GLOB = '{.gitignore,.catberryignore}';
+const GIT_OPERATION_FILES = ['index.lock', 'rebase-merge', 'rebase-apply'];
+const GIT_SETTLE_DELAY = 500;
+const GIT_PAUSE_REASON = 'git';
+const MANUAL_PAUSE_REASON = 'manual';
+
+const TARGET_HANDLER_NAMES = {
+	add: 'onAdd',
+	change: 'onChange',
+	unlink: 'onUnlink'
+};
+const SUMMARY_FIELDS = {
+	add: 'added',
+	change: 'changed',
+	unlink: 'removed'
+};
 
-const CHOKIDAR_OPTIONS = {
-	ignoreInitial: true,
-	useFsEvents: false,
-	cwd: process.cwd(),
-	ignorePermissionErrors: true
+const CLUSTER_PRIMARY = 'primary';
+const CLUSTER_REPLICA = 'replica';
+
+const CONFLICT_TARGETS = {
+	store: 'store',
+	componentJson: 'component'
+};
+
+const TEMPLATE_FIELDS = ['template', 'errorTemplate'];
+const RELOADED_FIELDS = ['logic'].concat(TEMPLATE_FIELDS);
+const SNAPSHOT_TARGETS = ['store', 'componentJson', 'componentFile'];
+const COMPONENT_FILE_TYPES = {
+	add: 'addFile',
+	change: 'changeFile',
+	unlink: 'unlinkFile'
+};
+const RELOAD_OPERATION = 'reload';
+const UNLOAD_OPERATION = 'unload';
+
+const LOG_FIELDS = ['target', 'name', 'kind', 'operation', 'reason'];
+const LOG_PATH_FIELDS = ['path', 'filename'];
+
+// the messages of the events by their names, "message" gets the event's details
+// and the function making the paths relative to the project's root
+const LOG_MESSAGES = {
+	addStore: {
+		level: 'info',
+		message: (store, relative) => `Store "${relative(store.path)}" has been added, initializing...`
+	},
+	changeStore: {
+		level: 'info',
+		message: (store, relative) => `Store "${relative(store.path)}" has been changed, reinitializing...`
+	},
+	unlinkStore: {
+		level: 'info',
+		message: (store, relative) => `Store "${relative(store.path)}" has been unlinked, removing...`
+	},
+	reloadStore: {
+		level: 'info',
+		message: (store, relative) => `Store "${relative(store.path)}" has been reloaded`
+	},
+	renameStore: {
+		level: 'info',
+		message: ({from, to}, relative) =>
+			`Store "${relative(from.path)}" has been renamed to "${relative(to.path)}", reinitializing...`
+	},
+	addComponent: {
+		level: 'info',
+		message: (component, relative) => `Component "${relative(component.path)}" has been added, initializing...`
+	},
+	changeComponent: {
+		level: 'info',
+		message: ({component}, relative) =>
+			`Component "${relative(component.path)}" has been changed, reinitializing...`
+	},
+	changeLogic: {
+		level: 'info',
+		message: (component, relative) =>
+			`Logic file of component "${relative(component.path)}" has been changed, reinitializing...`
+	},
+	changeTemplates: {
+		level: 'info',
+		message: (component, relative) =>
+			`Templates of component "${relative(component.path)}" has been changed, reinitializing...`
+	},
+	unlinkComponent: {
+		level: 'info',
+		message: (component, relative) => `Component "${relative(component.path)}" has been unlinked, removing...`
+	},
+	moveComponent: {
+		level: 'info',
+		message: ({from, to}, relative) =>
+			`Component "${relative(from.path)}" has been moved to "${relative(to.path)}", reinitializing...`
+	},
+	changeComponentManifest: {
+		level: 'info',
+		message: ({changed, component}, relative) =>
+			`Fields ${changed.join(', ')} of component "${relative(component.path)}" have been changed`
+	},
+	renameComponent: {
+		level: 'info',
+		message: ({from, to}) => `Component "${from.name}" has been renamed to "${to.name}", reinitializing...`
+	},
+	changeDependency: {
+		level: 'info',
+		message: ({filename}, relative) =>
+			`Module "${relative(filename)}" has been changed, reinitializing dependent stores and components...`
+	},
+	reloadError: {
+		level: 'warn',
+		message: (error, relative) => `Failed to reload ${error.target} "${error.name}" ` +
+			`(${formatLocation(Object.assign({}, error, {filename: relative(error.filename)}))}): ` +
+			`${error.message}, keeping the previous version...`
+	},
+	invalidComponent: {
+		level: 'warn',
+		message: ({filename, diagnostics}, relative) => diagnostics.map(diagnostic =>
+			'Component manifest is invalid ' +
+			`(${formatLocation(Object.assign({filename: relative(filename)}, diagnostic))}): ` +
+			`${diagnostic.message}, skipping...`
+		)
+	},
+	conflict: {
+		level: 'warn',
+		message: (conflict, relative) =>
+			`The ${conflict.target} "${relative(conflict.conflicting)}" has the same name "${conflict.name}" ` +
+			`as "${relative(conflict.registered)}", skipping until the conflict is resolved...`
+	},
+	resolveConflict: {
+		level: 'info',
+		message: (conflict, relative) =>
+			`The name conflict of the ${conflict.target} "${relative(conflict.conflicting)}" has been resolved`
+	},
+	reloadVeto: {
+		level: 'warn',
+		message: veto => `Reload of ${veto.target} "${veto.name}" has been vetoed: ` +
+			`${veto.reason}, keeping the previous version...`
+	},
+	recovered: {
+		level: 'info',
+		message: recovery => `The ${recovery.target} "${recovery.name}" has been recovered`
+	},
+	addTarget: {
+		level: 'info',
+		message: (target, relative) => `File "${relative(target.filename)}" of "${target.name}" has been added`
+	},
+	changeTarget: {
+		level: 'info',
+		message: (target, relative) => `File "${relative(target.filename)}" of "${target.name}" has been changed`
+	},
+	unlinkTarget: {
+		level: 'info',
+		message: (target, relative) => `File "${relative(target.filename)}" of "${target.name}" has been unlinked`
+	},
+	pause: {
+		level: 'info',
+		message: ({reason}) => (reason === GIT_PAUSE_REASON ?
+			'Git operation is in progress, pausing the watcher...' :
+			'The watcher has been paused')
+	},
+	resume: {
+		level: 'info',
+		message: () => 'The watcher has been resumed, applying the queued changes...'
+	},
+	bulkChange: {
+		level: 'info',
+		message: () => 'Git operation has finished, the changes have been applied at once'
+	},
+	reloadIgnoreRules: {
+		level: 'info',
+		message: ({files}) => `Ignore rules have been reloaded from ${files.length} file(s)`
+	},
+	restore: {
+		level: 'info',
+		message: report => (countReport(report) > 0 ?
+			`Found ${countReport(report)} change(s) of stores and components made while the watcher was stopped` :
+			null)
+	},
+	rescan: {
+		level: 'info',
+		message: report => (countReport(report) > 0 ?
+			`Rescan has found ${countReport(report)} missed change(s) of stores and components` :
+			null)
+	},
+	reloadStart: {
+		level: 'debug',
+		message: (reload, relative) => `Reload #${reload.sequence} (${reload.operation}) of ${reload.target} ` +
+			`"${reload.name}" (${relative(reload.path)}) has been started`
+	},
+	clusterReload: {
+		level: 'info',
+		message: reload => `The ${reload.target} "${reload.name}" has been ${reload.operation}ed by ` +
+			`${reload.replicas.filter(replica => replica.isSucceeded).length} of ${reload.replicas.length} replica(s)`
+	},
+	reloadEnd: {
+		level: 'debug',
+		message: reload => `Reload #${reload.sequence} of ${reload.target} "${reload.name}" has ` +
+			`${reload.isSucceeded ? 'succeeded' : 'failed'}`
+	}
 };
 
 class Watcher extends EventEmitter {
@@ -48,311 +287,3010 @@ class Watcher extends EventEmitter {
 		 */
 		this.componentLoader = locator.resolve('componentLoader');
 
-		this.componentLogicWatcher = null;
+		/**
+		 * Current application config, the "watcher" section is read
+		 * on every start.
+		 *
+		 * @type {Object}
+		 */
+		this.config = locator.resolve('config');
+
+		/**
+		 * Current state of the lifecycle: "idle", "starting", "watching", "closing" or "closed".
+		 *
+		 * @type {string}
+		 */
+		this.state = STATE_IDLE;
+
+		/**
+		 * Current promise of the closing watchers, it is null until "close" is called.
+		 *
+		 * @type {Promise|null}
+		 */
+		this.closePromise = null;
+
+		/**
+		 * Current promise of the batches being applied one by one.
+		 *
+		 * @type {Promise}
+		 */
+		this.batchQueue = Promise.resolve();
+
+		/**
+		 * Current content hashes of the store files by their filenames.
+		 * They are used to recognize renamed stores and unchanged content.
+		 *
+		 * @type {Map}
+		 */
+		this.storeHashes = new Map();
+
+		/**
+		 * Current content hashes of the other watched files by their absolute filenames.
+		 * They are used to skip the changes which keep the same content.
+		 *
+		 * @type {Map}
+		 */
+		this.fileHashes = new Map();
+
+		/**
+		 * Current counters of the events and timings of the reloads.
+		 *
+		 * @type {Stats}
+		 */
+		this.stats = new Stats();
+
+		/**
+		 * Current time of the first pending file event, null if no events are pending.
+		 *
+		 * @type {number|null}
+		 */
+		this.firstEventAt = null;
+
+		/**
+		 * Current time of the first file event of the batch being applied,
+		 * the reloads are measured from it.
+		 *
+		 * @type {number|null}
+		 */
+		this.batchEventAt = null;
+
+		/**
+		 * Current sequence number of the last started reload.
+		 *
+		 * @type {number}
+		 */
+		this.reloadSequence = 0;
+
+		/**
+		 * Current sequence number of the last store's or component's event.
+		 *
+		 * @type {number}
+		 */
+		this.eventSequence = 0;
+
+		/**
+		 * Current filenames of the registered stores by their names.
+		 * They are used to recognize name collisions.
+		 *
+		 * @type {Map}
+		 */
+		this.storeNames = new Map();
+
+		/**
+		 * Current files which names collide with the registered stores and components.
+		 *
+		 * @type {ConflictTracker}
+		 */
+		this.conflicts = new ConflictTracker();
+
+		/**
+		 * Current graph of the modules required by the stores and components.
+		 *
+		 * @type {DependencyGraph}
+		 */
+		this.dependencyGraph = new DependencyGraph();
+
+		/**
+		 * Current set of the watched dependencies' absolute filenames.
+		 *
+		 * @type {Set<string>}
+		 */
+		this.watchedDependencies = new Set();
+
+		/**
+		 * Current errors of the failed reloads by the stores' and components' paths.
+		 *
+		 * @type {Map}
+		 */
+		this.failedReloads = new Map();
+
+		/**
+		 * Current watch targets registered by the plugins by their names.
+		 *
+		 * @type {Map}
+		 */
+		this.targets = new Map();
+
+		/**
+		 * Current hooks around the reloads in the order of adding.
+		 *
+		 * @type {Array<{before: Function?, after: Function?}>}
+		 */
+		this.hooks = [];
+
+		/**
+		 * Current reasons of the pause, the events are queued while it is not empty.
+		 *
+		 * @type {Set<string>}
+		 */
+		this.pauseReasons = new Set();
+
+		this.gitTimer = null;
+
+		/**
+		 * Current flag of the git operation found in progress by the last check.
+		 *
+		 * @type {boolean}
+		 */
+		this.isGitOperationActive = false;
+
+		/**
+		 * Current promise of the ready watchers, it is null until "watch" is called.
+		 *
+		 * @type {Promise<Array>|null}
+		 */
+		this.readyPromise = null;
+
+		this.fileWatcher = null;
 		this.watchers = [];
 
 		this.allStoresLoaded = false;
+		this.isLogging = false;
 
 		this.eventBus.once('allStoresLoaded', () => (this.allStoresLoaded = true));
+
+		this.configure();
 	}
 
-	watch() {
-		this.logProcesses();
+	/**
+	 * Reads the "watcher" section of the config.
+	 */
+	configure() {
+		const options = configHelper.getWatcherOptions(this.config);
 
-		return Promise
-			.all([
-				this.watchStores(),
-				this.watchComponents()
-			])
-			.then(([storeWatcher, watchers]) => [storeWatcher, ...watchers]);
-	}
+		/**
+		 * Current directory the relative paths of the watcher are resolved from.
+		 *
+		 * @type {string}
+		 */
+		this.cwd = options.cwd;
 
-	closeWatch() {
-		for (const watcher of this.watchers) {
-			watcher.closeWatch();
+		/**
+		 * Current options of the watch backend.
+		 *
+		 * @type {Object}
+		 */
+		this.watchOptions = options.watchOptions;
+
+		/**
+		 * Current batcher which coalesces bursts of the file events.
+		 *
+		 * @type {Batcher}
+		 */
+		this.batcher = new Batcher(options.settleDelay, events => this.enqueueBatch(events));
+
+		if (this.pauseReasons.size > 0) {
+			this.batcher.pause();
 		}
-	}
 
-	logProcesses() {
-		this.eventBus.emit('info', 'Watching stores and components for changes...');
-
-		this
-			.on('addStore', storeDetails =>
-				this.eventBus.emit('info', `Store "${storeDetails.path}" has been added, initializing...`)
-			)
-			.on('changeStore', storeDetails =>
-				this.eventBus.emit('info', `Store "${storeDetails.path}" has been changed, reinitializing...`)
-			)
-			.on('unlinkStore', storeDetails =>
-				this.eventBus.emit('info', `Store "${storeDetails.path}" has been unlinked, removing...`)
-			)
-			.on('reloadStore', storeDetails =>
-				this.eventBus.emit('info', `Store "${storeDetails.path}" has been reloaded`)
-			)
-			.on('addComponent', componentDetails =>
-				this.eventBus.emit('info', `Component "${componentDetails.path}" has been added, initializing...`)
-			)
-			.on('changeComponent', componentDetails =>
-				this.eventBus.emit('info', `Component "${componentDetails.path}" has been changed, reinitializing...`)
-			)
-			.on('changeLogic', componentDetails =>
-				this.eventBus.emit('info', `Logic file of component "${componentDetails.path}" has been changed, reinitializing...`)
-			)
-			.on('changeTemplates', componentDetails =>
-				this.eventBus.emit('info', `Templates of component "${componentDetails.path}" has been changed, reinitializing...`)
-			)
-			.on('unlinkComponent', componentDetails =>
-				this.eventBus.emit('info', `Component "${componentDetails.path}" has been unlinked, removing...`)
-			);
-	}
-
-	/**
-	 * Watches the components for changing.
-	 *
-	 * @return {Promise} Promise of ready watchers.
-	 */
-	watchStores() {
-		const fileWatcher = chokidar.watch(this.storeFinder.getStoresGlobExpression(), CHOKIDAR_OPTIONS);
-		const fileWatcherPromise = promisifyWatcher(fileWatcher);
+		/**
+		 * Current interval of the periodic rescan in milliseconds, 0 means disabled.
+		 *
+		 * @type {number}
+		 */
+		this.rescanInterval = options.rescanInterval;
 
-		this.watchers.push(fileWatcher);
+		/**
+		 * Current interval of the periodic "stats" event in milliseconds, 0 means disabled.
+		 *
+		 * @type {number}
+		 */
+		this.statsInterval = options.statsInterval;
 
-		return fileWatcherPromise
-			.then(() => {
-				fileWatcher
-					.on('error', error => this.eventBus.emit('error', error))
-					.on('add', filename => {
-						const storeDescriptor = this.storeFinder.addStoreByFilename(filename);
+		/**
+		 * Current scheduler which serializes the reloads of every store and component.
+		 *
+		 * @type {ReloadScheduler}
+		 */
+		this.reloadScheduler = new ReloadScheduler(options.reloadConcurrency);
+
+		/**
+		 * Current flag of the automatic pause during git operations.
+		 *
+		 * @type {boolean}
+		 */
+		this.pauseOnGit = options.pauseOnGit;
+
+		/**
+		 * Current role in the cluster mode: "primary", "replica" or null if the mode is disabled.
+		 *
+		 * @type {string|null}
+		 */
+		this.clusterRole = getClusterRole(options.cluster.mode);
 
-						this.emit('addStore', storeDescriptor);
+		/**
+		 * Current primary side of the cluster mode which sends the events and reloads
+		 * to the replicas, null unless the role is "primary". It is kept on restart
+		 * with the replicas added by "addReplica".
+		 *
+		 * @type {ClusterPrimary|null}
+		 */
+		this.clusterPrimary = this.clusterRole === CLUSTER_PRIMARY ?
+			this.clusterPrimary || new ClusterPrimary(cluster, options.cluster.timeout) :
+			null;
 
-						this.storeLoader.reloadStore(storeDescriptor);
-					})
-					.on('change', filename => {
-						const storeDescriptor = this.storeFinder.addStoreByFilename(filename);
+		if (this.clusterPrimary) {
+			this.clusterPrimary.setAckTimeout(options.cluster.timeout);
+		}
 
-						this.emit('changeStore', storeDescriptor);
+		/**
+		 * Current replica side of the cluster mode which applies the reloads
+		 * of the primary, null unless the role is "replica".
+		 *
+		 * @type {ClusterReplica|null}
+		 */
+		this.clusterReplica = this.clusterRole === CLUSTER_REPLICA ?
+			this.clusterReplica || new ClusterReplica(process) :
+			null;
 
-						this.storeLoader.reloadStore(storeDescriptor);
+		/**
+		 * Current formatter of the log messages.
+		 *
+		 * @type {LogFormatter}
+		 */
+		this.logFormatter = new LogFormatter(options.log, this.cwd);
 
-						this.emit('reloadStore', storeDescriptor);
-					})
-					.on('unlink', filename => {
-						const storeDescriptor = this.storeFinder.deleteStoreByFilename(filename);
+		/**
+		 * Current backend which creates the file system watcher.
+		 *
+		 * @type {{watch: Function}}
+		 */
+		this.backend = createBackend(options.backend);
 
-						this.emit('unlinkStore', storeDescriptor);
+		/**
+		 * Current router of the shared file system watcher's events.
+		 *
+		 * @type {Router}
+		 */
+		this.router = new Router(this.cwd);
 
-						this.storeLoader.reloadStore(storeDescriptor);
-					});
+		/**
+		 * Current rules of ".gitignore" and ".catberryignore" files.
+		 *
+		 * @type {IgnoreRules}
+		 */
+		this.ignoreRules = new IgnoreRules(this.cwd, options.ignoreFiles);
 
-				return fileWatcher;
-			});
+		/**
+		 * Current reconciler of the finders' registries with the disk.
+		 *
+		 * @type {Reconciler}
+		 */
+		this.reconciler = new Reconciler(this.storeFinder, this.componentFinder, {
+			cwd: this.cwd,
+			ignored: this.watchOptions.ignored
+		});
+
+		/**
+		 * Current snapshot of the watched files persisted between the runs, null if disabled.
+		 *
+		 * @type {Snapshot|null}
+		 */
+		this.snapshot = options.snapshotFile ?
+			new Snapshot(options.snapshotFile, this.cwd, {
+				findFiles: () => this.findSnapshotFiles(),
+				findChangedFiles: events => this.findChangedSnapshotFiles(events),
+				onError: error => this.eventBus.emit('error', error)
+			}) :
+			null;
 	}
 
 	/**
-	 * Watches the components for changing.
+	 * Starts watching the stores, components, their dependencies and the watch targets.
+	 * It is safe to call it again, the same promise is returned while watching.
+	 * If the start fails, the opened watchers are closed and it can be called again.
 	 *
-	 * @return {Promise} Promise of ready watchers.
+	 * @returns {Promise<Array>} Promise of the ready watchers.
 	 */
-	watchComponents() {
-		return Promise.all([
-			this.watchComponentJson(),
-			this.watchComponentLogicAndTemplate()
-		])
-	}
-
-	watchComponentLogicAndTemplate() {
-		// watch logic and templates
-		const fileWatcher = chokidar.watch(this.componentFinder.getDirsOfFoundComponents(), CHOKIDAR_OPTIONS);
-		const fileWatcherReadyPromise = promisifyWatcher(fileWatcher);
-
-		this.componentLogicWatcher = fileWatcher;
-		this.watchers.push(fileWatcher);
+	watch() {
+		if (this.state === STATE_STARTING || this.state === STATE_WATCHING) {
+			return this.readyPromise;
+		}
 
-		return fileWatcherReadyPromise.then(() => {
-			fileWatcher
-				.on('error', error => this.eventBus.emit('error', error))
-				// component's directory is changed
-				.on('change', filename => {
-					const foundComponentsByDirs = this.componentFinder.getFoundComponentsByDirs();
-					const componentDescriptor = recognizeComponent(filename, foundComponentsByDirs);
+		if (this.state === STATE_CLOSING) {
+			return this.closePromise.then(() => this.watch());
+		}
 
-					if (!componentDescriptor || componentDescriptor.path === filename) {
-						return;
-					}
+		if (!this.isLogging) {
+			this.isLogging = true;
+			this.logProcesses();
+		}
 
-					const {
-						path: componentPath,
-						properties: {
-							logic: logicFilename,
-							template: templateName,
-							errorTemplate: errorTemplateName
-						}
-					} = componentDescriptor;
-					const changeArgs = {filename, component: componentDescriptor};
+		this.state = STATE_STARTING;
 
-					// logic file is changed
-					const relativeLogic = getRelativeForComponent(componentPath, logicFilename);
-					if (filename === relativeLogic) {
-						this.emit('changeLogic', componentDescriptor);
-						this.emit('changeComponent', changeArgs);
+		if (this.clusterReplica) {
+			return this.watchPrimary();
+		}
 
-						return this.componentLoader.reloadComponentByDetails(componentDescriptor);
+		this.readyPromise = Promise
+			.all([
+				this.ignoreRules.load(),
+				this.hashStores(),
+				this.trackAllDependencies()
+			])
+			.then(() => Promise.all([this.hashWatchedFiles(), this.reconciler.trackComponentFiles()]))
+			.then(() => this.watchFiles())
+			.then(fileWatcher => this.restoreSnapshot().then(() => fileWatcher))
+			.then(fileWatcher => {
+				this.state = STATE_WATCHING;
+				this.reconciler.startPeriodicRescan(this.rescanInterval, () => this.rescanUnlessPaused());
+				this.stats.startReporting(this.statsInterval, stats => this.emit('stats', stats));
+
+				if (this.clusterPrimary) {
+					this.clusterPrimary.start();
+				}
+
+				return [fileWatcher];
+			})
+			.catch(error => this.closeWatchers()
+				.then(() => {
+					// the watcher can be started again, unless it is being closed
+					if (this.state === STATE_STARTING) {
+						this.readyPromise = null;
+						this.state = STATE_IDLE;
 					}
 
-					// template files are changed
-					const relativeTemplate = getRelativeForComponent(componentPath, templateName);
-					const relativeErrorTemplate =
-						typeof (errorTemplateName) === 'string' ? getRelativeForComponent(componentPath, errorTemplateName) : null;
+					throw error;
+				}));
 
-					if (filename === relativeTemplate || filename === relativeErrorTemplate) {
-						this.emit('changeTemplates', componentDescriptor);
-						this.emit('changeComponent', changeArgs);
-
-						return this.componentLoader.reloadComponentByDetails(componentDescriptor);
-					}
+		return this.readyPromise;
+	}
 
-					this.emit('changeComponent', changeArgs);
+	/**
+	 * Stops watching and releases all the file handles.
+	 * The batch being applied is finished first, the queued events are dropped.
+	 *
+	 * @returns {Promise} Promise of the closed watcher.
+	 */
+	close() {
+		if (this.state === STATE_CLOSING) {
+			return this.closePromise;
+		}
 
-					return this.componentLoader.reloadComponentByDetails(componentDescriptor);
-				})
-				.on('unlink', filename => {
-					const foundComponentsByDirs = this.componentFinder.getFoundComponentsByDirs();
-					const componentDescriptor = recognizeComponent(filename, foundComponentsByDirs);
+		if (this.state !== STATE_STARTING && this.state !== STATE_WATCHING) {
+			return Promise.resolve();
+		}
 
-					if (!componentDescriptor || componentDescriptor.path === filename) {
-						return;
-					}
+		this.state = STATE_CLOSING;
+		this.closePromise = this.readyPromise
+			.catch(() => null)
+			.then(() => {
+				this.batcher.pause();
+				this.reconciler.stopPeriodicRescan();
+				this.stats.stopReporting();
+				this.stopGitOperation();
+
+				return this.batchQueue;
+			})
+			.then(() => this.reloadScheduler.wait())
+			.then(() => {
+				if (this.clusterPrimary) {
+					this.clusterPrimary.stop();
+				}
+				if (this.clusterReplica) {
+					this.clusterReplica.stop();
+				}
+
+				return this.snapshot ? this.snapshot.wait() : null;
+			})
+			.then(() => this.closeWatchers())
+			.then(() => {
+				this.batcher.clear();
 
-					this.emit('changeComponent', {filename, component: componentDescriptor});
-					return this.componentLoader.reloadComponentByDetails(componentDescriptor);
-				})
-				.on('add', filename => {
-					const foundComponentsByDirs = this.componentFinder.getFoundComponentsByDirs();
-					const componentDescriptor = recognizeComponent(filename, foundComponentsByDirs);
+				if (this.pauseReasons.size === 0) {
+					this.batcher.resume();
+				}
 
-					if (!componentDescriptor || componentDescriptor.path === filename) {
-						return;
-					}
+				this.readyPromise = null;
+				this.state = STATE_CLOSED;
+				this.emit('close');
+			});
 
-					this.emit('changeComponent', {filename, component: componentDescriptor});
-					return this.componentLoader.reloadComponentByDetails(componentDescriptor);
-				});
-		})
+		return this.closePromise;
 	}
 
-	watchComponentJson() {
-		// watch cat-component.json files
-		const componentJsonWatcher = chokidar.watch(this.componentFinder.getComponentsGlobExpression(), CHOKIDAR_OPTIONS);
-		const componentJsonReadyPromise = promisifyWatcher(componentJsonWatcher);
+	/**
+	 * Closes the file system watchers and forgets the watched files.
+	 *
+	 * @returns {Promise} Promise of the closed watchers.
+	 */
+	closeWatchers() {
+		const watchers = this.watchers;
 
-		this.watchers.push(componentJsonWatcher);
+		this.watchers = [];
+		this.fileWatcher = null;
+		this.watchedDependencies.clear();
+		this.fileHashes.clear();
 
-		return componentJsonReadyPromise.then(() => {
-			componentJsonWatcher
-				.on('error', error => this.eventBus.emit('error', error))
-				.on('add', filename => {
-					const componentDescriptor = this.addComponent(filename);
+		return Promise.all(watchers.map(watcher => watcher.close()));
+	}
 
-					this.emit('addComponent', componentDescriptor);
+	/**
+	 * Closes the watcher, reads the config again and starts watching.
+	 *
+	 * @returns {Promise<Array>} Promise of the ready watchers.
+	 */
+	restart() {
+		return this.close()
+			.then(() => {
+				this.configure();
+				return this.watch();
+			});
+	}
 
-					return this.componentLoader.reloadComponentByDetails(componentDescriptor);
-				})
-				.on('change', filename => {
-					const oldComponentDescriptor = this.removeComponent(filename);
+	/**
+	 * Compares the finders' registries with the disk and applies the missed changes
+	 * through the usual event pipeline. While the watcher is paused the changes
+	 * are queued and the report is marked as pending.
+	 *
+	 * @return {Promise<Object>} Promise of the report with the fixed discrepancies.
+	 */
+	rescan() {
+		return this.ignoreRules.load()
+			.then(() => this.reconciler.reconcile())
+			.then(events => {
+				const report = {
+					stores: {added: [], changed: [], removed: []},
+					components: {added: [], changed: [], removed: []},
+					isPending: this.batcher.paused
+				};
+
+				// files waiting for their names are not registered on purpose
+				events
+					.filter(event => !this.ignoreRules.isIgnored(event.filename))
+					.filter(event => event.kind !== 'add' ||
+						!this.conflicts.has(CONFLICT_TARGETS[event.target], event.filename))
+					.forEach(event => {
+						const targetReport = event.target === 'store' ? report.stores : report.components;
+
+						targetReport[SUMMARY_FIELDS[event.kind]].push(event.filename);
+						this.pushEvent(event.target, event.kind, event.filename);
+					});
 
-					if (oldComponentDescriptor) {
-						this.emit('unlinkComponent', oldComponentDescriptor);
-						this.componentLoader.unloadComponentByStoreDetails(oldComponentDescriptor);
+				// the paused watcher applies the changes on resume
+				if (report.isPending) {
+					this.emit('rescan', report);
+					return report;
+				}
 
-						const newComponentDescriptor = this.addComponent(oldComponentDescriptor.path);
-						this.emit('addComponent', newComponentDescriptor);
+				this.batcher.flush();
 
-						return this.componentLoader.reloadComponentByDetails(newComponentDescriptor);
+				return this.batchQueue.then(() => {
+					if (this.snapshot) {
+						this.snapshot.schedule();
 					}
-				})
-				.on('unlink', filename => {
-					const componentDescriptor = this.removeComponent(filename);
-
-					if (componentDescriptor) {
-						this.emit('unlinkComponent', componentDescriptor);
 
-						return this.componentLoader.unloadComponentByDetails(componentDescriptor);
-					}
+					this.emit('rescan', report);
+					return report;
 				});
-		})
+			});
 	}
 
-	addComponent(filename) {
-		const componentDescriptor = this.componentFinder._createComponentDescriptor(filename);
+	/**
+	 * Rescans the disk unless the watcher is paused, it is called by the periodic rescan.
+	 */
+	rescanUnlessPaused() {
+		if (this.pauseReasons.size === 0) {
+			this.rescan().catch(error => this.eventBus.emit('error', error));
+		}
+	}
 
-		this.componentFinder._addComponent(componentDescriptor);
+	/**
+	 * Applies the queued file events right away and waits until the batches
+	 * and the reloads caused by them are finished, e.g. in the tests driving
+	 * the in-memory backend. The events queued while paused stay queued.
+	 *
+	 * @return {Promise} Promise of the settled watcher.
+	 */
+	settle() {
+		this.batcher.flush();
+
+		return this.batchQueue
+			.then(() => this.reloadScheduler.wait())
+			.then(() => (this.batcher.size > 0 && !this.batcher.paused ? this.settle() : null));
+	}
+
+	/**
+	 * Gets the numbers of the emitted events by their names, the applied batches
+	 * and the skipped changes, and the timings of the reloads in total
+	 * and by the stores' and components' names.
+	 *
+	 * @returns {Object} The current stats.
+	 */
+	getStats() {
+		return this.stats.toJSON();
+	}
+
+	/**
+	 * Emits the event counting it in the stats, the "stats" event itself is not counted.
+	 * The primary of the cluster mode sends the events of the stores, components
+	 * and dependencies to the replicas.
+	 *
+	 * @param {string} name The name of the event.
+	 * @param {...*} args The arguments of the event.
+	 * @returns {boolean} true if the event had listeners.
+	 */
+	emit(name, ...args) {
+		if (name !== 'stats') {
+			this.stats.countEvent(name);
+		}
 
-		if (this.componentLogicWatcher) {
-			this.componentLogicWatcher.add(path.dirname(componentDescriptor.path));
+		if (this.clusterPrimary) {
+			this.clusterPrimary.broadcast(name, args[0]);
 		}
 
-		return componentDescriptor;
+		return super.emit(name, ...args);
 	}
 
-	removeComponent(filename) {
-		const foundComponentsByDirs = this.componentFinder.getFoundComponentsByDirs();
-		const componentDescriptor = recognizeComponent(filename, foundComponentsByDirs);
+	/**
+	 * Emits the store's or component's event as the versioned envelope and then
+	 * the legacy event of the previous versions with the same meaning.
+	 *
+	 * @param {{type: string, target: string, descriptor: Object, previous: Object?,
+	 * filename: string?, reason: string?}} fields The fields of the envelope.
+	 * @param {Array<{name: string, payload: *}>?} emittedLegacyEvents The legacy events
+	 * already emitted by the same change, the same legacy event is not emitted twice.
+	 */
+	emitEvent(fields, emittedLegacyEvents) {
+		const envelope = eventHelper.createEnvelope(fields, ++this.eventSequence);
+		const legacyEvent = eventHelper.toLegacyEvent(envelope);
 
-		if (componentDescriptor) {
-			this.componentFinder._removeComponent(componentDescriptor);
+		this.emit(eventHelper.getEventName(envelope), envelope);
 
-			if (this.componentLogicWatcher) {
-				this.componentLogicWatcher.unwatch(path.dirname(componentDescriptor.path));
-			}
+		if (!legacyEvent) {
+			return;
+		}
 
-			return componentDescriptor;
+		if (emittedLegacyEvents) {
+			if (emittedLegacyEvents.some(event => event.name === legacyEvent.name && event.payload === legacyEvent.payload)) {
+				return;
+			}
+			emittedLegacyEvents.push(legacyEvent);
 		}
+
+		this.emit(legacyEvent.name, legacyEvent.payload);
 	}
-}
 
+	/**
+	 * Pauses applying the file events, they are queued and coalesced until "resume" is called.
+	 *
+	 * @returns {Watcher} The watcher.
+	 */
+	pause() {
+		this.pauseFor(MANUAL_PAUSE_REASON);
+		return this;
+	}
 
-function promisifyWatcher(watcher) {
-	return new Promise((resolve, reject) =>
-		watcher
+	/**
+	 * Resumes applying the file events, all the queued events are applied as one batch.
+	 *
+	 * @returns {Promise<Object|null>} Promise of the batch summary or null if nothing has been queued.
+	 */
+	resume() {
+		return this.resumeFor(MANUAL_PAUSE_REASON);
+	}
+
+	/**
+	 * Pauses applying the file events for the reason.
+	 *
+	 * @param {string} reason The reason of the pause, e.g. "manual" or "git".
+	 */
+	pauseFor(reason) {
+		if (this.pauseReasons.has(reason)) {
+			return;
+		}
+
+		this.pauseReasons.add(reason);
+		this.batcher.pause();
+		this.emit('pause', {reason});
+	}
+
+	/**
+	 * Removes the reason of the pause and resumes applying the file events
+	 * if there are no other reasons.
+	 *
+	 * @param {string} reason The reason of the pause, e.g. "manual" or "git".
+	 * @returns {Promise<Object|null>} Promise of the batch summary or null if nothing has been applied.
+	 */
+	resumeFor(reason) {
+		if (!this.pauseReasons.delete(reason) || this.pauseReasons.size > 0) {
+			return Promise.resolve(null);
+		}
+
+		const hasEvents = this.batcher.size > 0;
+
+		this.emit('resume', {reason});
+		this.batcher.resume();
+
+		return hasEvents ?
+			this.batchQueue.then(summary => summary || null) :
+			Promise.resolve(null);
+	}
+
+	/**
+	 * Adds the hooks around every reload of the stores and components, e.g. a linter
+	 * checking the changed files or a cache-busting after the reload. The hooks
+	 * are called one by one in the order of adding and may return promises.
+	 * "before" vetoes the reload if it resolves a reason string or fails,
+	 * the previous version stays registered then and "reloadVeto" is emitted.
+	 *
+	 * @param {Object} hook The hook to add.
+	 * @param {Function?} hook.before The function called with {target, descriptor, kind, filename}
+	 * before the reload.
+	 * @param {Function?} hook.after The function called with the same context and "isReloaded"
+	 * after the reload.
+	 * @return {Watcher} The current watcher.
+	 */
+	use(hook) {
+		validateHook(hook);
+		this.hooks.push({before: hook.before, after: hook.after});
+		return this;
+	}
+
+	/**
+	 * Registers a new watch target, e.g. l10n files or assets of a plugin.
+	 * The target's events are coalesced, logged and torn down with the rest of the watcher.
+	 * If the watcher is already watching, the target starts watching immediately.
+	 *
+	 * @param {Object} target The target to register.
+	 * @param {string} target.name The unique name of the target.
+	 * @param {string|Array<string>} target.glob The glob expression(s) of the target's files.
+	 * @param {Function?} target.onAdd The handler of the added files.
+	 * @param {Function?} target.onChange The handler of the changed files.
+	 * @param {Function?} target.onUnlink The handler of the removed files.
+	 * @return {Watcher} The current watcher.
+	 */
+	registerTarget(target) {
+		validateTarget(target);
+
+		if (this.targets.has(target.name)) {
+			throw new Error(`Watch target "${target.name}" is already registered`);
+		}
+
+		const registeredTarget = {
+			name: target.name,
+			glob: target.glob,
+			onAdd: target.onAdd,
+			onChange: target.onChange,
+			onUnlink: target.onUnlink
+		};
+
+		this.targets.set(target.name, registeredTarget);
+		this.router.addTarget(target.name, target.glob);
+
+		if (this.fileWatcher) {
+			this.fileWatcher.add(target.glob);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Stops watching the registered target and forgets it.
+	 *
+	 * @param {string} name The name of the target.
+	 * @return {boolean} true if the target has been registered.
+	 */
+	unregisterTarget(name) {
+		const target = this.targets.get(name);
+
+		if (!target) {
+			return false;
+		}
+
+		this.targets.delete(name);
+		this.router.removeTarget(name);
+
+		if (this.fileWatcher) {
+			this.fileWatcher.unwatch(target.glob);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Stops watching, use "close" instead.
+	 *
+	 * @returns {Promise} Promise of the closed watcher.
+	 */
+	closeWatch() {
+		return this.close();
+	}
+
+	/**
+	 * Creates a live-reload channel which pushes the watcher's events to the open pages.
+	 *
+	 * @param {Object?} options The options of the channel.
+	 * @return {LiveReload} The live-reload channel.
+	 */
+	createLiveReload(options) {
+		return new LiveReload(this, options);
+	}
+
+	/**
+	 * Logs the events of the watcher to the event bus using the messages of LOG_MESSAGES.
+	 */
+	logProcesses() {
+		this.log('info', 'watch', 'Watching stores and components for changes...');
+
+		Object.keys(LOG_MESSAGES).forEach(name => {
+			const {level, message} = LOG_MESSAGES[name];
+
+			this.on(name, details => {
+				if (!this.logFormatter.isEnabled(level)) {
+					return;
+				}
+
+				const relative = filename => this.logFormatter.relative(filename);
+				const messages = [].concat(message(details, relative) || []);
+
+				messages.forEach(text => this.log(level, name, text, getLogFields(details, relative)));
+			});
+		});
+	}
+
+	/**
+	 * Emits the formatted message to the event bus if its level is shown.
+	 *
+	 * @param {string} level The level of the message: "debug", "info", "warn" or "error".
+	 * @param {string} event The name of the event which has caused the message.
+	 * @param {string} message The text of the message.
+	 * @param {Object?} fields The details of the message added to JSON.
+	 */
+	log(level, event, message, fields) {
+		const formatted = this.logFormatter.format({level, event, message, fields, eventAt: this.batchEventAt});
+
+		if (formatted !== null) {
+			this.eventBus.emit(level, formatted);
+		}
+	}
+
+	/**
+	 * Watches the stores, components, their dependencies, the watch targets
+	 * and the git files using one shared file system watcher.
+	 *
+	 * @return {Promise<FSWatcher>} Promise of the ready watcher.
+	 */
+	watchFiles() {
+		const routeHandlers = {
+			isIgnored: filename => this.ignoreRules.isIgnored(filename),
+			onRoute: (route, kind, filename, isSkipped) => this.logRoute(route, kind, filename, isSkipped),
+			onIgnoreFile: () => this.reloadIgnoreRules(),
+			onGitActivity: () => this.handleGitActivity(),
+			onEvent: (route, kind, filename) => this.pushEvent(route, kind, filename)
+		};
+
+		// the ignore rules are not applied inside the ignored bases of the finders' glob expressions
+		this.ignoreRules.setExplicitPaths([].concat(this.getStoresGlob(), this.getComponentsGlob()));
+		this.router.routeProject({
+			isIgnoreFile: filename => this.ignoreRules.isIgnoreFile(filename),
+			storesGlob: this.getStoresGlob(),
+			componentsGlob: this.getComponentsGlob(),
+			isComponentFile: filename =>
+				pathHelper.recognizeComponent(filename, this.componentFinder.getFoundComponentsByDirs(), this.cwd) !== null,
+			isDependency: filename => this.watchedDependencies.has(path.resolve(this.cwd, filename)),
+			targets: Array.from(this.targets.values()),
+			gitGlob: this.pauseOnGit ? GIT_WATCHED_GLOB : null
+		});
+
+		const fileWatcher = this.backend.watch(this.getWatchedPaths().map(entry => entry.path), this.watchOptions);
+		const fileWatcherPromise = promisifyWatcher(fileWatcher);
+
+		this.fileWatcher = fileWatcher;
+		this.watchers.push(fileWatcher);
+
+		return fileWatcherPromise.then(() => {
+			fileWatcher
+				.on('error', error => this.eventBus.emit('error', error))
+				.on('add', filename => this.router.dispatch('add', filename, routeHandlers))
+				.on('change', filename => this.router.dispatch('change', filename, routeHandlers))
+				.on('unlink', filename => this.router.dispatch('unlink', filename, routeHandlers));
+
+			return fileWatcher;
+		});
+	}
+
+	/**
+	 * Gets the paths and glob expressions watched by the shared file system watcher,
+	 * every path has the route its events are dispatched to and the names
+	 * of the stores and components which are reloaded by them.
+	 *
+	 * @return {Array<{path: string, route: string, stores: Array<string>, components: Array<string>}>}
+	 * The list of the watched paths.
+	 */
+	getWatchedPaths() {
+		const componentsByDirs = this.componentFinder.getFoundComponentsByDirs();
+		const componentNames = Object.keys(componentsByDirs).map(dir => componentsByDirs[dir].name);
+		const entries = [].concat(
+			createPathEntry(this.getStoresGlob(), 'store', Array.from(this.storeNames.keys())),
+			createPathEntry(this.getComponentsGlob(), 'componentJson', [], componentNames),
+			this.componentFinder.getDirsOfFoundComponents().map(dir => createPathEntry(this.fromFinderPath(dir),
+				'componentFile', [], componentsByDirs[dir] ? [componentsByDirs[dir].name] : [])),
+			Array.from(this.watchedDependencies).map(filename => this.createDependencyEntry(filename)),
+			...Array.from(this.targets.values()).map(target => []
+				.concat(target.glob)
+				.map(glob => createPathEntry(glob, this.router.getTargetRoute(target.name)))),
+			[IGNORE_WATCHED_GLOB].concat(this.ignoreRules.getFiles()).map(file => createPathEntry(file, 'ignore'))
+		);
+
+		return this.pauseOnGit ? entries.concat(createPathEntry(GIT_WATCHED_GLOB, 'git')) : entries;
+	}
+
+	/**
+	 * Creates the entry of the watched dependency with its dependent stores and components.
+	 *
+	 * @param {string} filename The absolute filename of the dependency.
+	 * @return {{path: string, route: string, stores: Array<string>, components: Array<string>}} The entry.
+	 */
+	createDependencyEntry(filename) {
+		const owners = this.dependencyGraph.getDependents(filename);
+		const namesOf = target => owners
+			.filter(owner => owner.target === target)
+			.map(owner => owner.descriptor.name);
+
+		return createPathEntry(filename, 'dependency', namesOf('store'), namesOf('component'));
+	}
+
+	/**
+	 * Logs the route which the file event is dispatched to at the level "debug".
+	 *
+	 * @param {string} route The name of the route, e.g. "store", "componentFile" or "git".
+	 * @param {string} kind The kind of the event: "add", "change" or "unlink".
+	 * @param {string} filename The filename of the event.
+	 * @param {boolean} isSkipped true if the event is skipped by the ignore rules.
+	 */
+	logRoute(route, kind, filename, isSkipped) {
+		if (!this.logFormatter.isEnabled('debug')) {
+			return;
+		}
+
+		const relativeFilename = this.logFormatter.relative(filename);
+		const suffix = isSkipped ? ', skipping by the ignore rules...' : '';
+
+		this.log('debug', 'route', `Watcher "${route}" has got "${kind}" of "${relativeFilename}"${suffix}`,
+			{watcher: route, kind, filename: relativeFilename, isIgnored: isSkipped});
+	}
+
+	/**
+	 * Pushes the file event to the batcher remembering the time of the first pending event.
+	 *
+	 * @param {string} target The name of the route the file belongs to.
+	 * @param {string} kind The kind of the event: "add", "change" or "unlink".
+	 * @param {string} filename The filename of the event.
+	 */
+	pushEvent(target, kind, filename) {
+		if (this.firstEventAt === null) {
+			this.firstEventAt = Date.now();
+		}
+
+		this.batcher.push(target, kind, filename);
+
+		// the events have cancelled each other
+		if (this.batcher.size === 0) {
+			this.firstEventAt = null;
+		}
+	}
+
+	/**
+	 * Reads the ignore files again and watches the new ones.
+	 *
+	 * @return {Promise} Promise of the reloaded rules.
+	 */
+	reloadIgnoreRules() {
+		return this.ignoreRules.load()
+			.then(files => {
+				if (this.fileWatcher) {
+					this.fileWatcher.add(files);
+				}
+
+				this.emit('reloadIgnoreRules', {files});
+			})
+			.catch(error => this.eventBus.emit('error', error));
+	}
+
+	/**
+	 * Remembers the content hashes of all found stores.
+	 *
+	 * @return {Promise} Promise of the remembered hashes.
+	 */
+	hashStores() {
+		return this.storeFinder.find()
+			.then(storesByNames => Promise.all(
+				Object.keys(storesByNames).map(name => {
+					const filename = this.fromFinderPath(storesByNames[name].path);
+
+					this.storeNames.set(name, filename);
+					return this.updateStoreHash(filename);
+				})
+			));
+	}
+
+	/**
+	 * Remembers the content hash of the store file.
+	 *
+	 * @param {string} filename The store's filename.
+	 * @return {Promise} Promise of the remembered hash.
+	 */
+	updateStoreHash(filename) {
+		return hashHelper.hashFile(path.resolve(this.cwd, filename))
+			.then(hash => this.storeHashes.set(filename, hash));
+	}
+
+	/**
+	 * Remembers the content hashes of the watched dependencies and the manifests,
+	 * logic files and templates of all found components.
+	 *
+	 * @return {Promise} Promise of the remembered hashes.
+	 */
+	hashWatchedFiles() {
+		const foundComponentsByDirs = this.componentFinder.getFoundComponentsByDirs();
+		const filenames = Array.from(this.watchedDependencies);
+
+		Object.keys(foundComponentsByDirs).forEach(dir => {
+			const descriptor = foundComponentsByDirs[dir];
+			const properties = descriptor.properties || {};
+
+			filenames.push(path.resolve(descriptor.path));
+			RELOADED_FIELDS
+				.filter(field => typeof (properties[field]) === 'string')
+				.forEach(field => filenames.push(path.resolve(path.dirname(descriptor.path), properties[field])));
+		});
+
+		return Promise.all(filenames.map(filename => this.updateFileHash(filename)));
+	}
+
+	/**
+	 * Remembers the content hash of the watched file.
+	 *
+	 * @param {string} filename The absolute filename.
+	 * @return {Promise<string|null>} Promise of the hash, null if the file can not be read.
+	 */
+	updateFileHash(filename) {
+		return hashHelper.hashFile(filename)
+			.then(hash => {
+				if (hash === null) {
+					this.fileHashes.delete(filename);
+				} else {
+					this.fileHashes.set(filename, hash);
+				}
+
+				return hash;
+			});
+	}
+
+	/**
+	 * Compares the snapshot of the previous run with the disk, emits the events
+	 * of the stores and components changed while the watcher was stopped
+	 * and saves the current snapshot.
+	 *
+	 * @return {Promise} Promise of the saved snapshot.
+	 */
+	restoreSnapshot() {
+		if (!this.snapshot) {
+			return Promise.resolve();
+		}
+
+		return this.findSnapshotFiles()
+			.then(files => this.snapshot.restore(files))
+			.then(changes => {
+				if (changes) {
+					this.reportOfflineChanges(changes);
+				}
+
+				return this.snapshot.save();
+			})
+			.catch(error => this.eventBus.emit('error', error));
+	}
+
+	/**
+	 * Finds the files of the registered stores and components recorded in the snapshot.
+	 *
+	 * @return {Promise<Array<{target: string, name: string, filename: string}>>} Promise of the files.
+	 */
+	findSnapshotFiles() {
+		return this.reconciler.findRegisteredFiles()
+			.then(files => files.filter(file => !this.ignoreRules.isIgnored(file.filename)));
+	}
+
+	/**
+	 * Finds the files of the registered stores and components changed by the events
+	 * which replace the changed filenames and directories in the snapshot.
+	 *
+	 * @param {Array<{target: string, kind: string, filename: string}>} events The applied events.
+	 * @return {Promise<{files: Array, scopes: Array<string>}>} Promise of the files and the replaced scopes.
+	 */
+	findChangedSnapshotFiles(events) {
+		return this.reconciler.findChangedFiles(events, this.storeNames)
+			.then(changed => ({
+				files: changed.files.filter(file => !this.ignoreRules.isIgnored(file.filename)),
+				scopes: changed.scopes
+			}));
+	}
+
+	/**
+	 * Emits the usual events of the stores and components changed while the watcher
+	 * was stopped with the "offline" reason and the "restore" report. They have been
+	 * loaded from the disk on start, so nothing is reloaded.
+	 *
+	 * @param {Array<{target: string, kind: string, filename: string, name: string}>} changes
+	 * The changes since the previous run.
+	 */
+	reportOfflineChanges(changes) {
+		const offline = this.snapshot.getOfflineEvents(changes, change => this.describeOfflineChange(change));
+
+		offline.events.forEach(fields => this.emitEvent(fields));
+		this.emit('restore', offline.report);
+	}
+
+	/**
+	 * Gets the descriptor of the store or component changed while the watcher was stopped.
+	 * The removed component is described by the snapshot, the others are registered.
+	 *
+	 * @param {{target: string, kind: string, name: string, filename: string}} change The change.
+	 * @return {Object|null} The descriptor or null if the component is not registered.
+	 */
+	describeOfflineChange({target, kind, name, filename}) {
+		if (target === 'store') {
+			return this.createStoreDescriptor(filename);
+		}
+
+		return kind === 'unlink' ?
+			{name, path: this.toFinderPath(filename)} :
+			this.findComponentByName(name);
+	}
+
+	/**
+	 * Pauses applying the file events and waits for the git operation to end.
+	 */
+	handleGitActivity() {
+		this.pauseFor(GIT_PAUSE_REASON);
+
+		clearTimeout(this.gitTimer);
+		this.gitTimer = setTimeout(() => this.finishGitOperation(), GIT_SETTLE_DELAY);
+	}
+
+	/**
+	 * Forgets the git operation in progress.
+	 */
+	stopGitOperation() {
+		clearTimeout(this.gitTimer);
+		this.gitTimer = null;
+		this.isGitOperationActive = false;
+		this.pauseReasons.delete(GIT_PAUSE_REASON);
+	}
+
+	/**
+	 * Resumes applying the file events if no git operation is in progress
+	 * and emits "bulkChange" with the changes made by the operation.
+	 *
+	 * @returns {Promise} Promise of the finished operation.
+	 */
+	finishGitOperation() {
+		this.gitTimer = null;
+
+		return Promise.all(GIT_OPERATION_FILES.map(name => exists(path.resolve(this.cwd, GIT_DIR, name))))
+			.then(results => {
+				const isActive = results.indexOf(true) !== -1;
+
+				// one more settle window after the operation for the trailing writes
+				if (isActive || this.isGitOperationActive) {
+					this.isGitOperationActive = isActive;
+					this.handleGitActivity();
+					return null;
+				}
+
+				return this.resumeFor(GIT_PAUSE_REASON)
+					.then(summary => {
+						if (summary) {
+							this.emit('bulkChange', summary);
+						}
+					});
+			})
+			.catch(error => this.eventBus.emit('error', error));
+	}
+
+	/**
+	 * Builds the dependency graph for all found stores and components.
+	 *
+	 * @return {Promise} Promise of the built graph.
+	 */
+	trackAllDependencies() {
+		return Promise
+			.all([
+				this.storeFinder.find(),
+				this.componentFinder.find()
+			])
+			.then(([storesByNames, componentsByNames]) => {
+				Object.keys(storesByNames)
+					.forEach(name => this.trackDependencies('store', storesByNames[name]));
+				Object.keys(componentsByNames)
+					.forEach(name => this.trackDependencies('component', componentsByNames[name]));
+
+				this.syncWatchedDependencies();
+			});
+	}
+
+	/**
+	 * Collects the modules required by the store or component.
+	 *
+	 * @param {string} target The kind of the descriptor: "store" or "component".
+	 * @param {{path: string, properties: Object?}} descriptor The store's or component's descriptor.
+	 */
+	trackDependencies(target, descriptor) {
+		this.dependencyGraph.track(descriptor.path, {target, descriptor}, getEntryFilename(target, descriptor));
+	}
+
+	/**
+	 * Makes the shared file system watcher track exactly the modules from the dependency graph.
+	 */
+	syncWatchedDependencies() {
+		if (this.state === STATE_CLOSING || this.state === STATE_CLOSED) {
+			return;
+		}
+
+		const filenames = this.dependencyGraph.getFilenames();
+		const added = filenames.filter(filename => !this.watchedDependencies.has(filename));
+		const removed = Array.from(this.watchedDependencies)
+			.filter(filename => filenames.indexOf(filename) === -1);
+
+		this.watchedDependencies = new Set(filenames);
+
+		if (!this.fileWatcher) {
+			return;
+		}
+
+		// the modules matching other routes, e.g. the files of the components, stay watched
+		const unwatched = removed
+			.filter(filename =>
+				this.router.route('change', path.relative(this.cwd, filename)).length === 0);
+
+		if (added.length > 0) {
+			this.fileWatcher.add(added);
+		}
+		if (unwatched.length > 0) {
+			this.fileWatcher.unwatch(unwatched);
+		}
+	}
+
+	/**
+	 * Queues a settled batch, so the batches are applied one by one.
+	 *
+	 * @param {Array<{target: string, kind: string, filename: string}>} events The coalesced events.
+	 * @return {Promise} Promise of the applied batch.
+	 */
+	enqueueBatch(events) {
+		const eventAt = this.firstEventAt === null ? Date.now() : this.firstEventAt;
+
+		this.firstEventAt = null;
+		this.batchQueue = this.batchQueue
+			.then(() => this.prepareBatch(events))
+			.then(() => events.length > 0 ? this.applyBatch(events, eventAt) : null)
+			.then(summary => {
+				if (this.snapshot && events.some(event => SNAPSHOT_TARGETS.indexOf(event.target) !== -1)) {
+					this.snapshot.schedule(events);
+				}
+
+				return summary;
+			})
+			.catch(error => this.eventBus.emit('error', error));
+
+		return this.batchQueue;
+	}
+
+	/**
+	 * Reads what the batch needs from the disk before it is applied.
+	 * Stale registrations of the moved stores and components are added to the batch
+	 * as the unlink events, because no events come when a watched directory is moved.
+	 * The change events of the files with the same content are removed from the batch.
+	 *
+	 * @param {Array<{target: string, kind: string, filename: string}>} events The coalesced events.
+	 * @return {Promise} Promise of the prepared events.
+	 */
+	prepareBatch(events) {
+		return Promise.all(events.map(event => this.prepareEvent(event)))
+			.then(staleEvents => {
+				const keys = new Set(events.map(event => `${event.target}:${event.kind}:${event.filename}`));
+
+				staleEvents
+					.filter(event => event !== null)
+					.forEach(event => {
+						const key = `${event.target}:${event.kind}:${event.filename}`;
+
+						if (!keys.has(key)) {
+							keys.add(key);
+							events.push(event);
+						}
+					});
+			})
+			.then(() => this.dropUnchangedEvents(events));
+	}
+
+	/**
+	 * Removes the change events of the files which content is the same as before,
+	 * e.g. touched or saved by a formatter without changes, and counts them.
+	 * Every file is hashed once, even if it belongs to several routes.
+	 *
+	 * @param {Array<{target: string, kind: string, filename: string}>} events The coalesced events.
+	 * @return {Promise} Promise of the filtered events.
+	 */
+	dropUnchangedEvents(events) {
+		const filenames = new Set();
+
+		events
+			.filter(event => event.target !== 'store')
+			.forEach(event => filenames.add(path.resolve(this.cwd, event.filename)));
+
+		const hashedFiles = Array.from(filenames);
+		const previousHashes = hashedFiles.map(filename => this.fileHashes.get(filename));
+
+		return Promise.all(hashedFiles.map(filename => this.updateFileHash(filename)))
+			.then(hashes => {
+				const unchangedFiles = new Set(hashedFiles
+					.filter((filename, index) => hashes[index] !== null && hashes[index] === previousHashes[index]));
+				const changedEvents = events.filter(event => this.isContentChanged(event, unchangedFiles));
+
+				this.stats.countSuppressedChanges(events.length - changedEvents.length);
+				events.splice(0, events.length, ...changedEvents);
+			});
+	}
+
+	/**
+	 * Checks if the event changes the content of the file, all add and unlink events do.
+	 *
+	 * @param {{target: string, kind: string, filename: string, hash: string?}} event The coalesced event.
+	 * @param {Set<string>} unchangedFiles The absolute filenames of the files with the same content.
+	 * @return {boolean} true if the event should be applied.
+	 */
+	isContentChanged(event, unchangedFiles) {
+		if (event.kind !== 'change') {
+			return true;
+		}
+
+		// stores are hashed when the batch is prepared, their hashes are updated when applied
+		if (event.target === 'store') {
+			return event.hash === null || event.hash !== this.storeHashes.get(event.filename);
+		}
+
+		return !unchangedFiles.has(path.resolve(this.cwd, event.filename));
+	}
+
+	/**
+	 * Reads what the event needs from the disk before it is applied.
+	 *
+	 * @param {{target: string, kind: string, filename: string}} event The coalesced event.
+	 * @return {Promise<Object|null>} Promise of the unlink event for the stale registration.
+	 */
+	prepareEvent(event) {
+		if (event.target === 'store' && event.kind !== 'unlink') {
+			return hashHelper.hashFile(path.resolve(this.cwd, event.filename))
+				.then(hash => {
+					event.hash = hash;
+					return event.kind === 'add' ? this.findStaleStore(hash, event.filename) : null;
+				});
+		}
+
+		if (event.target === 'componentJson' && event.kind !== 'unlink') {
+			return manifestHelper.validate(path.resolve(this.cwd, event.filename))
+				.then(diagnostics => {
+					event.diagnostics = diagnostics;
+					return diagnostics.length === 0 && event.kind === 'add' ? this.findStaleComponent(event) : null;
+				});
+		}
+
+		return Promise.resolve(null);
+	}
+
+	/**
+	 * Finds a registered component with the same name as the added one
+	 * which cat-component.json does not exist anymore.
+	 *
+	 * @param {{filename: string}} event The add event of cat-component.json.
+	 * @return {Promise<Object|null>} Promise of the unlink event for the stale component.
+	 */
+	findStaleComponent(event) {
+		event.descriptor = this.createComponentDescriptor(event.filename);
+
+		const registered = event.descriptor ? this.findComponentByName(event.descriptor.name) : null;
+		const registeredFilename = registered ? this.fromFinderPath(registered.path) : null;
+
+		return registeredFilename && registeredFilename !== event.filename ?
+			getStaleEvent('componentJson', registeredFilename, this.cwd) :
+			Promise.resolve(null);
+	}
+
+	/**
+	 * Finds a registered store with the same content which file does not exist anymore.
+	 *
+	 * @param {string|null} hash The content hash of the added store.
+	 * @param {string} filename The filename of the added store.
+	 * @return {Promise<Object|null>} Promise of the unlink event for the stale store.
+	 */
+	findStaleStore(hash, filename) {
+		const candidates = [];
+
+		this.storeHashes.forEach((storeHash, storeFilename) => {
+			if (hash !== null && storeHash === hash && storeFilename !== filename) {
+				candidates.push(storeFilename);
+			}
+		});
+
+		return Promise.all(candidates.map(candidate => getStaleEvent('store', candidate, this.cwd)))
+			.then(staleEvents => staleEvents.find(event => event !== null) || null);
+	}
+
+	/**
+	 * Finds a registered component by its name.
+	 *
+	 * @param {string} name The name of the component.
+	 * @return {{name: string, path: string, properties: Object}|null} The component's descriptor.
+	 */
+	findComponentByName(name) {
+		const foundComponentsByDirs = this.componentFinder.getFoundComponentsByDirs();
+		const dir = Object.keys(foundComponentsByDirs)
+			.find(componentDir => foundComponentsByDirs[componentDir].name === name);
+
+		return dir ? foundComponentsByDirs[dir] : null;
+	}
+
+	/**
+	 * Applies a settled batch of the coalesced file events.
+	 * Every store and component is reloaded only once per batch.
+	 *
+	 * @param {Array<{target: string, kind: string, filename: string}>} events The coalesced events.
+	 * @param {number?} eventAt The time of the first file event of the batch, now by default.
+	 * @returns {Object} The summary of the batch.
+	 */
+	applyBatch(events, eventAt) {
+		const summary = {
+			stores: {added: [], changed: [], removed: [], renamed: []},
+			components: {added: [], changed: [], removed: [], moved: [], renamed: []},
+			targets: {}
+		};
+		const byTarget = target => events.filter(event => event.target === target);
+
+		this.batchEventAt = eventAt || Date.now();
+		this.stats.countBatch();
+		this.reconciler.markApplied(events.map(event => event.filename));
+
+		// changed dependencies are purged before any module is required again
+		const changedDependencies = this.purgeDependencies(byTarget('dependency'));
+
+		// manifests go first, so files of the new components are recognized
+		const componentMoves = this.detectComponentMoves(byTarget('componentJson'));
+		const handledComponentPaths = componentMoves.moves
+			.map(move => this.applyComponentMove(move, summary.components))
+			.concat(componentMoves.rest.map(event => this.applyComponentJsonEvent(event, summary.components)))
+			.filter(componentPath => componentPath);
+
+		this.applyComponentFileEvents(byTarget('componentFile'), handledComponentPaths, summary.components);
+
+		const storeRenames = this.detectStoreRenames(byTarget('store'));
+
+		storeRenames.renames
+			.forEach(rename => this.applyStoreRename(rename, summary.stores));
+		storeRenames.rest
+			.forEach(event => this.applyStoreEvent(event, summary.stores));
+
+		this.reloadDependents(changedDependencies, summary);
+
+		this.targets.forEach(target => {
+			const targetEvents = byTarget(this.router.getTargetRoute(target.name));
+
+			if (targetEvents.length > 0) {
+				summary.targets[target.name] = {added: [], changed: [], removed: []};
+				targetEvents.forEach(event => this.applyTargetEvent(target, event, summary.targets[target.name]));
+			}
+		});
+
+		this.batchEventAt = null;
+		this.emit('batch', summary);
+		return summary;
+	}
+
+	/**
+	 * Applies a coalesced event of the registered target's file.
+	 *
+	 * @param {Object} target The registered target.
+	 * @param {{kind: string, filename: string}} event The coalesced event.
+	 * @param {{added: Array, changed: Array, removed: Array}} summary The summary of the target.
+	 */
+	applyTargetEvent(target, {kind, filename}, summary) {
+		const handler = target[TARGET_HANDLER_NAMES[kind]];
+
+		this.emit(`${kind}Target`, {name: target.name, filename});
+		summary[SUMMARY_FIELDS[kind]].push(filename);
+
+		if (typeof (handler) !== 'function') {
+			return;
+		}
+
+		new Promise(fulfill => fulfill(handler(filename)))
+			.catch(error => this.eventBus.emit('error', error));
+	}
+
+	/**
+	 * Applies a coalesced event of the store file.
+	 *
+	 * @param {{kind: string, filename: string}} event The coalesced event.
+	 * @param {{added: Array, changed: Array, removed: Array}} summary The summary of the stores.
+	 */
+	applyStoreEvent({kind, filename, hash}, summary) {
+		if (kind === 'unlink') {
+			if (this.resolveConflict('store', filename)) {
+				return;
+			}
+
+			const storeDescriptor = this.unregisterStore(filename);
+
+			this.emitEvent({type: 'unlink', target: 'store', descriptor: storeDescriptor, filename});
+			summary.removed.push(storeDescriptor);
+
+			this.unloadStore(storeDescriptor);
+			return;
+		}
+
+		const storeDescriptor = this.registerStore(filename, hash);
+
+		if (!storeDescriptor) {
+			return;
+		}
+
+		if (kind === 'add') {
+			this.emitEvent({type: 'add', target: 'store', descriptor: storeDescriptor, filename});
+			summary.added.push(storeDescriptor);
+
+			this.reloadStore(storeDescriptor, {kind, filename});
+			return;
+		}
+
+		this.emitEvent({type: 'change', target: 'store', descriptor: storeDescriptor, filename});
+		summary.changed.push(storeDescriptor);
+
+		// "store:reload" follows the change only when the store has been actually reloaded
+		this.reloadStore(storeDescriptor, {kind, filename, emitsReload: true});
+	}
+
+	/**
+	 * Pairs the removed and added store files with the same content.
+	 *
+	 * @param {Array<{kind: string, filename: string, hash: string?}>} events The coalesced events of the stores.
+	 * @returns {{renames: Array<{from: string, to: string}>, rest: Array}} The renames
+	 * and the rest of the events.
+	 */
+	detectStoreRenames(events) {
+		const unlinked = events
+			.filter(event => event.kind === 'unlink')
+			.map(event => ({event, key: this.storeHashes.get(event.filename)}));
+		const added = events
+			.filter(event => event.kind === 'add')
+			.map(event => ({event, key: event.hash}));
+		const pairs = pairByKey(unlinked, added);
+
+		return {
+			renames: pairs.map(({from, to}) => ({from: from.event.filename, to: to.event.filename, hash: to.key})),
+			rest: getUnpairedEvents(events, pairs)
+		};
+	}
+
+	/**
+	 * Applies the rename of the store file as one transition.
+	 *
+	 * @param {{from: string, to: string, hash: string}} rename The rename.
+	 * @param {{removed: Array, renamed: Array}} summary The summary of the stores.
+	 */
+	applyStoreRename({from, to, hash}, summary) {
+		const oldStoreDescriptor = this.unregisterStore(from);
+		const newStoreDescriptor = this.registerStore(to, hash);
+
+		if (!newStoreDescriptor) {
+			this.emitEvent({type: 'unlink', target: 'store', descriptor: oldStoreDescriptor, filename: from});
+			summary.removed.push(oldStoreDescriptor);
+
+			this.unloadStore(oldStoreDescriptor);
+			return;
+		}
+
+		const renameDetails = {from: oldStoreDescriptor, to: newStoreDescriptor};
+
+		this.emitEvent({
+			type: 'rename', target: 'store', descriptor: newStoreDescriptor, previous: oldStoreDescriptor, filename: to
+		});
+		summary.renamed.push(renameDetails);
+
+		this.unloadStore(oldStoreDescriptor);
+		this.reloadStore(newStoreDescriptor, {kind: 'add', filename: to});
+	}
+
+	/**
+	 * Registers the store file in the store finder unless its name
+	 * is already taken by another store, the original registration is kept then.
+	 *
+	 * @param {string} filename The filename of the store.
+	 * @param {string|null} hash The content hash of the store.
+	 * @returns {{name: string, path: string}|null} The store's descriptor or null if its name collides.
+	 */
+	registerStore(filename, hash) {
+		const name = this.createStoreDescriptor(filename).name;
+		const registeredFilename = this.storeNames.get(name);
+
+		if (registeredFilename && registeredFilename !== filename) {
+			this.reportConflict('store', name, registeredFilename, filename);
+			return null;
+		}
+
+		const storeDescriptor = this.storeFinder.addStoreByFilename(this.toFinderPath(filename));
+
+		this.resolveConflict('store', filename);
+		this.storeNames.set(name, filename);
+		this.storeHashes.set(filename, hash);
+
+		return storeDescriptor;
+	}
+
+	/**
+	 * Removes the store file from the store finder and releases its name.
+	 *
+	 * @param {string} filename The filename of the store.
+	 * @returns {{name: string, path: string}} The store's descriptor.
+	 */
+	unregisterStore(filename) {
+		const storeDescriptor = this.storeFinder.deleteStoreByFilename(this.toFinderPath(filename));
+
+		this.storeHashes.delete(filename);
+
+		if (this.storeNames.get(storeDescriptor.name) === filename) {
+			this.storeNames.delete(storeDescriptor.name);
+			this.releaseConflicts('store', storeDescriptor.name);
+		}
+
+		return storeDescriptor;
+	}
+
+	/**
+	 * Pairs the removed and added cat-component.json files with the same component name.
+	 *
+	 * @param {Array<{kind: string, filename: string}>} events The coalesced events of the manifests.
+	 * @returns {{moves: Array<{from: Object, to: Object}>, rest: Array}} The moves
+	 * and the rest of the events.
+	 */
+	detectComponentMoves(events) {
+		const foundComponentsByDirs = this.componentFinder.getFoundComponentsByDirs();
+		const unlinked = events
+			.filter(event => event.kind === 'unlink')
+			.map(event => ({event, descriptor: foundComponentsByDirs[this.toFinderPath(path.dirname(event.filename))]}))
+			.filter(item => item.descriptor);
+
+		if (unlinked.length === 0) {
+			return {moves: [], rest: events};
+		}
+
+		const added = events
+			.filter(event => event.kind === 'add' && event.descriptor)
+			.map(event => ({event, descriptor: event.descriptor}));
+
+		unlinked.forEach(item => (item.key = item.descriptor.name));
+		added.forEach(item => (item.key = item.descriptor.name));
+
+		const pairs = pairByKey(unlinked, added);
+
+		return {
+			moves: pairs.map(({from, to}) => ({from: from.descriptor, to: to.descriptor})),
+			rest: getUnpairedEvents(events, pairs)
+		};
+	}
+
+	/**
+	 * Applies the move of the component as one transition.
+	 *
+	 * @param {{from: Object, to: Object}} move The move.
+	 * @param {{moved: Array}} summary The summary of the components.
+	 * @returns {string} The path of the handled component.
+	 */
+	applyComponentMove({from, to}, summary) {
+		const toFilename = this.fromFinderPath(to.path);
+		const moveDetails = {from: this.removeComponent(this.fromFinderPath(from.path)), to: this.addComponent(toFilename, to)};
+
+		this.dependencyGraph.untrack(from.path);
+		this.failedReloads.delete(from.path);
+
+		this.emitEvent({type: 'move', target: 'component', descriptor: moveDetails.to, previous: moveDetails.from});
+		summary.moved.push(moveDetails);
+
+		this.reloadComponent(to, {kind: 'add', filename: toFilename});
+		return to.path;
+	}
+
+	/**
+	 * Applies a coalesced event of the cat-component.json file.
+	 * Invalid manifests are reported and not registered.
+	 *
+	 * @param {{kind: string, filename: string, descriptor: Object?, diagnostics: Array?}} event The coalesced event.
+	 * @param {{added: Array, changed: Array, removed: Array}} summary The summary of the components.
+	 * @returns {string|null} The path of the handled component.
+	 */
+	applyComponentJsonEvent({kind, filename, descriptor, diagnostics}, summary) {
+		if (diagnostics && diagnostics.length > 0) {
+			this.reportInvalidComponent(filename, diagnostics);
+			return null;
+		}
+
+		if (kind === 'add') {
+			const componentDescriptor = descriptor || this.createComponentDescriptor(filename);
+
+			if (!componentDescriptor || this.hasComponentConflict(componentDescriptor.name, filename)) {
+				return null;
+			}
+
+			this.addComponent(filename, componentDescriptor);
+
+			this.emitEvent({type: 'add', target: 'component', descriptor: componentDescriptor, filename});
+			summary.added.push(componentDescriptor);
+
+			this.reloadComponent(componentDescriptor, {kind, filename});
+			return componentDescriptor.path;
+		}
+
+		if (kind === 'change') {
+			return this.applyComponentManifestChange(filename, summary);
+		}
+
+		this.resolveConflict('component', filename);
+
+		const oldComponentDescriptor = this.removeComponent(filename);
+
+		if (!oldComponentDescriptor) {
+			return null;
+		}
+
+		this.releaseConflicts('component', oldComponentDescriptor.name);
+		this.emitEvent({type: 'unlink', target: 'component', descriptor: oldComponentDescriptor, filename});
+		summary.removed.push(oldComponentDescriptor);
+
+		this.unloadComponent(oldComponentDescriptor);
+		return oldComponentDescriptor.path;
+	}
+
+	/**
+	 * Applies a change of the cat-component.json file by diffing
+	 * the old and new descriptors and doing the smallest reload needed.
+	 *
+	 * @param {string} filename The filename of cat-component.json.
+	 * @param {{changed: Array, renamed: Array}} summary The summary of the components.
+	 * @returns {string|null} The path of the handled component.
+	 */
+	applyComponentManifestChange(filename, summary) {
+		const foundComponentsByDirs = this.componentFinder.getFoundComponentsByDirs();
+		const oldComponentDescriptor = pathHelper.recognizeComponent(filename, foundComponentsByDirs, this.cwd);
+
+		if (!oldComponentDescriptor) {
+			return this.applyComponentJsonEvent({kind: 'add', filename}, summary);
+		}
+
+		const newComponentDescriptor = this.createComponentDescriptor(filename);
+
+		if (!newComponentDescriptor) {
+			return this.applyComponentJsonEvent({kind: 'unlink', filename}, summary);
+		}
+
+		if (this.hasComponentConflict(newComponentDescriptor.name, filename)) {
+			return oldComponentDescriptor.path;
+		}
+
+		const changed = manifestHelper.diff(oldComponentDescriptor, newComponentDescriptor);
+
+		if (changed.length === 0) {
+			return newComponentDescriptor.path;
+		}
+
+		this.removeComponent(filename);
+		this.addComponent(filename, newComponentDescriptor);
+
+		const changeFields = {target: 'component', descriptor: newComponentDescriptor, filename};
+		const emittedLegacyEvents = [];
+
+		this.emitEvent(Object.assign({
+			type: 'changeManifest', previous: oldComponentDescriptor, reason: changed.join(',')
+		}, changeFields));
+
+		if (oldComponentDescriptor.name !== newComponentDescriptor.name) {
+			const renameDetails = {from: oldComponentDescriptor, to: newComponentDescriptor};
+
+			this.releaseConflicts('component', oldComponentDescriptor.name);
+
+			this.emitEvent(Object.assign({type: 'rename', previous: oldComponentDescriptor}, changeFields));
+			summary.renamed.push(renameDetails);
+
+			this.unloadComponent(oldComponentDescriptor);
+			this.reloadComponent(newComponentDescriptor, {kind: 'change', filename});
+			return newComponentDescriptor.path;
+		}
+
+		summary.changed.push(newComponentDescriptor);
+
+		if (changed.indexOf('logic') !== -1) {
+			this.emitEvent(Object.assign({type: 'changeLogic', reason: 'logic'}, changeFields));
+		}
+
+		TEMPLATE_FIELDS
+			.filter(field => changed.indexOf(field) !== -1)
+			.forEach(field => this.emitEvent(Object.assign({type: 'changeTemplate', reason: field}, changeFields),
+				emittedLegacyEvents));
+
+		if (changed.some(field => RELOADED_FIELDS.indexOf(field) !== -1)) {
+			this.reloadComponent(newComponentDescriptor, {kind: 'change', filename});
+		}
+
+		return newComponentDescriptor.path;
+	}
+
+	/**
+	 * Applies coalesced events of the files inside the components' directories.
+	 * The events are grouped by their components and each component is reloaded once.
+	 *
+	 * @param {Array<{kind: string, filename: string}>} events The coalesced events.
+	 * @param {Array<string>} handledComponentPaths The paths of the components
+	 * which have been already reloaded in the current batch.
+	 * @param {{added: Array, changed: Array, removed: Array}} summary The summary of the components.
+	 */
+	applyComponentFileEvents(events, handledComponentPaths, summary) {
+		const foundComponentsByDirs = this.componentFinder.getFoundComponentsByDirs();
+		const eventsByComponents = new Map();
+
+		events.forEach(event => {
+			const componentDescriptor = pathHelper.recognizeComponent(event.filename, foundComponentsByDirs, this.cwd);
+
+			if (!componentDescriptor ||
+				this.fromFinderPath(componentDescriptor.path) === event.filename ||
+				handledComponentPaths.indexOf(componentDescriptor.path) !== -1) {
+				return;
+			}
+
+			if (!eventsByComponents.has(componentDescriptor)) {
+				eventsByComponents.set(componentDescriptor, []);
+			}
+			eventsByComponents.get(componentDescriptor).push(event);
+		});
+
+		eventsByComponents.forEach((componentEvents, componentDescriptor) => {
+			this.emitComponentFileEvents(componentDescriptor, componentEvents);
+			summary.changed.push(componentDescriptor);
+
+			// the first event of the component is the cause of the reload
+			this.reloadComponent(componentDescriptor, componentEvents[0]);
+		});
+	}
+
+	/**
+	 * Removes the changed dependencies and all modules requiring them from the module cache.
+	 *
+	 * @param {Array<{filename: string}>} events The coalesced events of the dependencies.
+	 * @returns {Array<{filename: string, owners: Array}>} The changed dependencies
+	 * with the stores and components depending on them.
+	 */
+	purgeDependencies(events) {
+		return events.map(({filename}) => {
+			const absolutePath = path.resolve(this.cwd, filename);
+			const owners = this.dependencyGraph.getDependents(absolutePath);
+
+			this.dependencyGraph.purge(absolutePath);
+
+			return {filename, owners};
+		});
+	}
+
+	/**
+	 * Reloads the stores and components depending on the changed modules.
+	 * The ones which have been already reloaded in the current batch are skipped.
+	 *
+	 * @param {Array<{filename: string, owners: Array}>} changedDependencies The changed dependencies.
+	 * @param {Object} summary The summary of the current batch.
+	 */
+	reloadDependents(changedDependencies, summary) {
+		const handledPaths = new Set(getSummaryDescriptors(summary).map(descriptor => descriptor.path));
+
+		changedDependencies.forEach(({filename, owners}) => {
+			const stores = [];
+			const components = [];
+
+			for (const {target, descriptor} of owners) {
+				if (target === 'store') {
+					stores.push(descriptor);
+				} else {
+					components.push(descriptor);
+				}
+			}
+
+			this.emit('changeDependency', {filename, stores, components});
+
+			for (const {target, descriptor} of owners) {
+				if (handledPaths.has(descriptor.path)) {
+					continue;
+				}
+
+				handledPaths.add(descriptor.path);
+
+				if (target === 'store') {
+					summary.stores.changed.push(descriptor);
+					this.reloadStore(descriptor, {kind: 'change', filename});
+				} else {
+					summary.components.changed.push(descriptor);
+					this.reloadComponent(descriptor, {kind: 'change', filename});
+				}
+			}
+		});
+	}
+
+	/**
+	 * Reloads the store and updates the modules it depends on.
+	 *
+	 * @param {{name: string, path: string}} storeDescriptor The store's descriptor.
+	 * @param {{kind: string, filename: string, emitsReload: boolean?}?} cause The file event
+	 * which causes the reload, the change of the store's file by default. If "emitsReload" is true,
+	 * "store:reload" is emitted after the succeeded reload.
+	 * @return {Promise} Promise of the reloaded store.
+	 */
+	reloadStore(storeDescriptor, cause) {
+		return this.scheduleReload(createReloadContext('store', storeDescriptor, cause), RELOAD_OPERATION,
+			() => this.callLoader('store', RELOAD_OPERATION, storeDescriptor));
+	}
+
+	/**
+	 * Unloads the removed store and forgets the modules it depends on.
+	 *
+	 * @param {{name: string, path: string}} storeDescriptor The store's descriptor.
+	 * @return {Promise} Promise of the unloaded store.
+	 */
+	unloadStore(storeDescriptor) {
+		this.failedReloads.delete(storeDescriptor.path);
+		this.dependencyGraph.untrack(storeDescriptor.path);
+		this.syncWatchedDependencies();
+
+		return this.scheduleReload(createReloadContext('store', storeDescriptor), UNLOAD_OPERATION,
+			() => this.callLoader('store', UNLOAD_OPERATION, storeDescriptor));
+	}
+
+	/**
+	 * Reloads the component and updates the modules it depends on.
+	 *
+	 * @param {{name: string, path: string, properties: Object}} componentDescriptor The component's descriptor.
+	 * @param {{kind: string, filename: string}?} cause The file event which causes the reload,
+	 * the change of cat-component.json by default.
+	 * @return {Promise} Promise of the reloaded component.
+	 */
+	reloadComponent(componentDescriptor, cause) {
+		return this.scheduleReload(createReloadContext('component', componentDescriptor, cause), RELOAD_OPERATION,
+			() => this.callLoader('component', RELOAD_OPERATION, componentDescriptor));
+	}
+
+	/**
+	 * Unloads the component and forgets the modules it depends on.
+	 *
+	 * @param {{name: string, path: string, properties: Object}} componentDescriptor The component's descriptor.
+	 * @return {Promise} Promise of the unloaded component.
+	 */
+	unloadComponent(componentDescriptor) {
+		this.failedReloads.delete(componentDescriptor.path);
+		this.dependencyGraph.untrack(componentDescriptor.path);
+		this.syncWatchedDependencies();
+
+		return this.scheduleReload(createReloadContext('component', componentDescriptor), UNLOAD_OPERATION,
+			() => this.callLoader('component', UNLOAD_OPERATION, componentDescriptor));
+	}
+
+	/**
+	 * Calls the store loader or component loader, in the cluster mode the primary
+	 * sends the operation to the replicas instead and waits until all of them have applied it.
+	 *
+	 * @param {string} target The kind of the descriptor: "store" or "component".
+	 * @param {string} operation The operation: "reload" or "unload".
+	 * @param {{name: string, path: string, properties: Object?}} descriptor The store's or component's descriptor.
+	 * @return {Promise|*} The result of the loader.
+	 */
+	callLoader(target, operation, descriptor) {
+		if (this.clusterPrimary) {
+			return this.reloadReplicas(target, operation, descriptor);
+		}
+
+		if (target === 'store') {
+			return this.storeLoader.reloadStore(descriptor);
+		}
+
+		return operation === UNLOAD_OPERATION ?
+			this.componentLoader.unloadComponentByDetails(descriptor) :
+			this.componentLoader.reloadComponentByDetails(descriptor);
+	}
+
+	/**
+	 * Sends the operation to the replicas and emits "clusterReload" when all of them have answered.
+	 *
+	 * @param {string} target The kind of the descriptor: "store" or "component".
+	 * @param {string} operation The operation: "reload" or "unload".
+	 * @param {{name: string, path: string, properties: Object?}} descriptor The store's or component's descriptor.
+	 * @return {Promise} Promise of the operation applied by all the replicas,
+	 * it is rejected if any of them has failed.
+	 */
+	reloadReplicas(target, operation, descriptor) {
+		return this.clusterPrimary.reload({target, operation, descriptor})
+			.then(replicas => {
+				const failed = replicas.filter(replica => !replica.isSucceeded);
+
+				this.emit('clusterReload', {
+					target,
+					name: descriptor.name,
+					path: descriptor.path,
+					operation,
+					replicas,
+					isSucceeded: failed.length === 0
+				});
+
+				if (failed.length > 0) {
+					throw new Error(`Failed to ${operation} ${target} "${descriptor.name}" in ` +
+						`${failed.map(replica => replica.id).join(', ')}: ${failed[0].message}`);
+				}
+			});
+	}
+
+	/**
+	 * Receives the events and operations of the primary process instead of watching the files.
+	 * The dependency graph is built first, so the changed dependencies are purged
+	 * only up to the own stores and components.
+	 *
+	 * @returns {Promise<Array>} Promise of the started replica.
+	 */
+	watchPrimary() {
+		this.readyPromise = this.trackAllDependencies()
+			.then(() => {
+				// the replica is not started if it has been closed meanwhile
+				if (this.state !== STATE_STARTING) {
+					return [];
+				}
+
+				this.clusterReplica.start({
+					onEvent: (name, payload) => this.emit(name, payload),
+					onReload: reload => this.applyPrimaryReload(reload),
+					onRegister: (target, descriptor) => this.registerReplicaDescriptor(target, descriptor),
+					onUnregister: (target, descriptor) => this.unregisterReplicaDescriptor(target, descriptor),
+					onChangeDependency: payload => this.purgePrimaryDependency(payload)
+				});
+				this.state = STATE_WATCHING;
+
+				return [];
+			})
+			.catch(error => {
+				if (this.state === STATE_STARTING) {
+					this.readyPromise = null;
+					this.state = STATE_IDLE;
+				}
+
+				throw error;
+			});
+
+		return this.readyPromise;
+	}
+
+	/**
+	 * Purges the dependency changed in the primary process from the module cache
+	 * up to the own stores and components, before the primary reloads them.
+	 *
+	 * @param {{filename: string, stores: Array, components: Array}} payload The payload of "changeDependency".
+	 */
+	purgePrimaryDependency(payload) {
+		// the dependents may have required new modules since they have been tracked
+		payload.stores.forEach(descriptor => this.trackDependencies('store', descriptor));
+		payload.components.forEach(descriptor => this.trackDependencies('component', descriptor));
+		this.dependencyGraph.purge(path.resolve(this.cwd, payload.filename));
+	}
+
+	/**
+	 * Registers the primary's store or component in the own finder,
+	 * the component already registered with the name is kept.
+	 *
+	 * @param {string} target The kind of the descriptor: "store" or "component".
+	 * @param {{name: string, path: string, properties: Object?}} descriptor The store's or component's descriptor.
+	 */
+	registerReplicaDescriptor(target, descriptor) {
+		if (target === 'store') {
+			this.storeFinder.addStoreByFilename(descriptor.path);
+			return;
+		}
+
+		if (!this.findComponentByName(descriptor.name)) {
+			this.addComponent(this.fromFinderPath(descriptor.path), descriptor);
+		}
+	}
+
+	/**
+	 * Removes the primary's store or component from the own finder and forgets its dependencies.
+	 * The component is removed only if it is registered with the same path.
+	 *
+	 * @param {string} target The kind of the descriptor: "store" or "component".
+	 * @param {{name: string, path: string, properties: Object?}} descriptor The store's or component's descriptor.
+	 */
+	unregisterReplicaDescriptor(target, descriptor) {
+		this.dependencyGraph.untrack(descriptor.path);
+
+		if (target === 'store') {
+			this.storeFinder.deleteStoreByFilename(descriptor.path);
+			return;
+		}
+
+		const componentDescriptor = this.findComponentByName(descriptor.name);
+
+		if (componentDescriptor && componentDescriptor.path === descriptor.path) {
+			this.removeComponent(this.fromFinderPath(descriptor.path));
+		}
+	}
+
+	/**
+	 * Applies the operation of the primary process using the own loaders.
+	 *
+	 * @param {{target: string, operation: string, descriptor: Object}} reload The operation.
+	 * @return {Promise} Promise of the result of the loader,
+	 * it is rejected if the syntax of the module is invalid.
+	 */
+	applyPrimaryReload({target, operation, descriptor}) {
+		const checked = operation === RELOAD_OPERATION ?
+			checkSyntax(getEntryFilename(target, descriptor)) :
+			Promise.resolve(null);
+
+		return checked
+			.then(syntaxError => {
+				if (syntaxError) {
+					throw syntaxError;
+				}
+
+				return this.callLoader(target, operation, descriptor);
+			})
+			.then(() => {
+				if (operation === RELOAD_OPERATION) {
+					this.trackDependencies(target, descriptor);
+				} else {
+					this.dependencyGraph.untrack(descriptor.path);
+				}
+			});
+	}
+
+	/**
+	 * Adds the child process as the replica of the primary, it receives
+	 * the events and operations until it exits.
+	 *
+	 * @param {ChildProcess} child The child process forked with the IPC channel.
+	 * @returns {Watcher} The watcher.
+	 * @throws {Error} If the role of the watcher is not "primary".
+	 */
+	addReplica(child) {
+		if (!this.clusterPrimary) {
+			throw new Error('Replicas can be added only in the cluster mode with the role "primary"');
+		}
+
+		this.clusterPrimary.addChild(child);
+		return this;
+	}
+
+	/**
+	 * Queues the reload or unload of the store or component, so they run one at a time
+	 * for every store and component and the pending one is replaced by the newer one.
+	 * "reloadStart" and "reloadEnd" are emitted with the sequence number
+	 * which grows with every started reload, the "reload" event of the target
+	 * is emitted before "reloadEnd" of the succeeded reload if the context requests it.
+	 *
+	 * @param {{target: string, descriptor: Object, kind: string, filename: string, emitsReload: boolean}} context
+	 * The kind of the descriptor: "store" or "component", the descriptor and the file event
+	 * which causes the operation.
+	 * @param {string} operation The operation: "reload" or "unload".
+	 * @param {Function} load The function which calls the loader.
+	 * @return {Promise<boolean>} Promise of the status of the operation or the one which has replaced it.
+	 */
+	scheduleReload(context, operation, load) {
+		const {target, descriptor} = context;
+		const eventAt = this.batchEventAt || Date.now();
+		const details = {target, name: descriptor.name, path: descriptor.path, operation};
+
+		return this.reloadScheduler.schedule(`${target}:${descriptor.name}`, () => {
+			const sequence = ++this.reloadSequence;
+
+			this.emit('reloadStart', Object.assign({sequence}, details));
+
+			return new Promise(fulfill => fulfill(operation === UNLOAD_OPERATION ?
+				this.applyUnload(load) :
+				this.applyHookedReload(context, load, eventAt)))
+				.catch(error => {
+					this.eventBus.emit('error', error);
+					return false;
+				})
+				.then(isSucceeded => {
+					if (isSucceeded && context.emitsReload) {
+						this.emitEvent({type: 'reload', target, descriptor, filename: context.filename});
+					}
+
+					this.emit('reloadEnd', Object.assign({sequence, isSucceeded}, details));
+					return isSucceeded;
+				});
+		});
+	}
+
+	/**
+	 * Runs the "before" hooks, reloads the store or component unless a hook
+	 * has vetoed it and runs the "after" hooks.
+	 *
+	 * @param {{target: string, descriptor: Object, kind: string, filename: string}} context The context of the hooks.
+	 * @param {Function} reload The function which reloads it using the loader.
+	 * @param {number} startedAt The time of the first file event of the reload's batch.
+	 * @return {Promise<boolean>} Promise of the reload status.
+	 */
+	applyHookedReload(context, reload, startedAt) {
+		const applyReload = () => this.applyReload(context.target, context.descriptor, reload, startedAt)
+			.then(isReloaded => this.runAfterHooks(Object.assign({isReloaded}, context)));
+
+		return this.runBeforeHooks(context)
+			.then(reason => {
+				if (reason === null) {
+					return applyReload();
+				}
+
+				this.reportVeto(context, reason);
+				return false;
+			});
+	}
+
+	/**
+	 * Runs the "before" hooks one by one until one of them vetoes the reload.
+	 *
+	 * @param {Object} context The context of the hooks.
+	 * @return {Promise<string|null>} Promise of the reason of the veto or null.
+	 */
+	runBeforeHooks(context) {
+		return this.hooks
+			.filter(hook => hook.before)
+			.reduce((promise, hook) => promise
+				.then(reason => reason === null ? callBeforeHook(hook, context) : reason),
+			Promise.resolve(null));
+	}
+
+	/**
+	 * Runs the "after" hooks one by one, their errors are emitted on the event bus.
+	 *
+	 * @param {{isReloaded: boolean}} context The context of the hooks with the reload status.
+	 * @return {Promise<boolean>} Promise of the reload status.
+	 */
+	runAfterHooks(context) {
+		return this.hooks
+			.filter(hook => hook.after)
+			.reduce((promise, hook) => promise
+				.then(() => hook.after(context))
+				.catch(error => this.eventBus.emit('error', error)),
+			Promise.resolve())
+			.then(() => context.isReloaded);
+	}
+
+	/**
+	 * Unloads the store or component.
+	 *
+	 * @param {Function} unload The function which unloads it using the loader.
+	 * @return {Promise<boolean>} Promise of the unload status.
+	 */
+	applyUnload(unload) {
+		return Promise.resolve(unload())
+			.then(() => true);
+	}
+
+	/**
+	 * Reloads the store or component if the syntax of its module is valid.
+	 * Otherwise the previous version is kept registered and "reloadError" is emitted.
+	 * The module is only compiled before the reload, so it is evaluated once by the loader.
+	 * The reload is measured from the first file event of its batch to the settled loader's promise.
+	 *
+	 * @param {string} target The kind of the descriptor: "store" or "component".
+	 * @param {{name: string, path: string, properties: Object?}} descriptor The store's or component's descriptor.
+	 * @param {Function} reload The function which reloads it using the loader.
+	 * @param {number} startedAt The time of the first file event of the reload's batch.
+	 * @return {Promise<boolean>} Promise of the reload status.
+	 */
+	applyReload(target, descriptor, reload, startedAt) {
+		return checkSyntax(getEntryFilename(target, descriptor))
+			.then(syntaxError => {
+				if (syntaxError) {
+					throw syntaxError;
+				}
+
+				return reload();
+			})
+			.then(() => {
+				this.updateDependencies(target, descriptor);
+				this.reportRecovery(target, descriptor);
+				return true;
+			})
+			.catch(error => {
+				this.reportReloadError(target, descriptor, error);
+				return false;
+			})
+			.then(isReloaded => {
+				this.stats.recordReload(target, descriptor.name, Date.now() - startedAt, isReloaded);
+				return isReloaded;
+			});
+	}
+
+	/**
+	 * Checks if the component's name is taken by another registered component
+	 * and reports the conflict if so.
+	 *
+	 * @param {string} name The name of the component.
+	 * @param {string} filename The filename of cat-component.json.
+	 * @returns {boolean} true if the name collides.
+	 */
+	hasComponentConflict(name, filename) {
+		const registered = this.findComponentByName(name);
+		const registeredFilename = registered ? this.fromFinderPath(registered.path) : null;
+
+		if (registeredFilename && registeredFilename !== filename) {
+			this.reportConflict('component', name, registeredFilename, filename);
+			return true;
+		}
+
+		this.resolveConflict('component', filename);
+		return false;
+	}
+
+	/**
+	 * Remembers the file which name collides with the registered one and emits "conflict".
+	 *
+	 * @param {string} target The kind of the file: "store" or "component".
+	 * @param {string} name The colliding name.
+	 * @param {string} registered The filename of the registered store or component.
+	 * @param {string} conflicting The filename of the conflicting one.
+	 */
+	reportConflict(target, name, registered, conflicting) {
+		this.emit('conflict', this.conflicts.add(target, name, registered, conflicting));
+	}
+
+	/**
+	 * Forgets the conflict of the file and emits "resolveConflict".
+	 *
+	 * @param {string} target The kind of the file: "store" or "component".
+	 * @param {string} filename The filename of the conflicting file.
+	 * @returns {boolean} true if the file has been in conflict.
+	 */
+	resolveConflict(target, filename) {
+		const conflict = this.conflicts.remove(target, filename);
+
+		if (!conflict) {
+			return false;
+		}
+
+		this.emit('resolveConflict', conflict);
+		return true;
+	}
+
+	/**
+	 * Queues the files waiting for the released name to be registered again.
+	 *
+	 * @param {string} target The kind of the files: "store" or "component".
+	 * @param {string} name The released name.
+	 */
+	releaseConflicts(target, name) {
+		this.conflicts.getConflictsByName(target, name).forEach(conflict => {
+			if (target === 'store') {
+				this.pushEvent('store', 'add', conflict.conflicting);
+			} else {
+				// the manifest is the same, but it has to be applied now
+				this.fileHashes.delete(path.resolve(this.cwd, conflict.conflicting));
+				this.pushEvent('componentJson', 'change', conflict.conflicting);
+			}
+		});
+	}
+
+	/**
+	 * Emits "invalidComponent" with the diagnostics of cat-component.json
+	 * on the watcher and the event bus.
+	 *
+	 * @param {string} filename The filename of cat-component.json.
+	 * @param {Array<{field: string|null, message: string, line: number|null, column: number|null}>} diagnostics
+	 * The diagnostics of the manifest.
+	 */
+	reportInvalidComponent(filename, diagnostics) {
+		const invalidDetails = {filename, diagnostics};
+
+		this.emit('invalidComponent', invalidDetails);
+		this.eventBus.emit('invalidComponent', invalidDetails);
+	}
+
+	/**
+	 * Emits "reloadVeto" on the watcher and the event bus, the previous version stays registered.
+	 *
+	 * @param {{target: string, descriptor: Object, kind: string, filename: string}} context The context of the hooks.
+	 * @param {string} reason The reason of the veto.
+	 */
+	reportVeto({target, descriptor, kind, filename}, reason) {
+		const vetoDetails = {target, name: descriptor.name, path: descriptor.path, kind, filename, reason};
+
+		this.emit('reloadVeto', vetoDetails);
+		this.eventBus.emit('reloadVeto', vetoDetails);
+	}
+
+	/**
+	 * Emits "reloadError" on the watcher and the event bus.
+	 *
+	 * @param {string} target The kind of the descriptor: "store" or "component".
+	 * @param {{name: string, path: string, properties: Object?}} descriptor The store's or component's descriptor.
+	 * @param {Error} error The error of the reload.
+	 */
+	reportReloadError(target, descriptor, error) {
+		const entryFilename = getEntryFilename(target, descriptor);
+		const location = errorHelper.getLocation(error, entryFilename);
+		const errorDetails = {
+			target,
+			name: descriptor.name,
+			filename: path.relative(this.cwd, entryFilename),
+			message: error && error.message ? error.message : String(error),
+			line: location.line,
+			column: location.column,
+			error
+		};
+
+		this.failedReloads.set(descriptor.path, errorDetails);
+
+		this.emit('reloadError', errorDetails);
+		this.eventBus.emit('reloadError', errorDetails);
+	}
+
+	/**
+	 * Emits "recovered" on the watcher and the event bus
+	 * if the previous reload of the store or component has failed.
+	 *
+	 * @param {string} target The kind of the descriptor: "store" or "component".
+	 * @param {{name: string, path: string, properties: Object?}} descriptor The store's or component's descriptor.
+	 */
+	reportRecovery(target, descriptor) {
+		if (!this.failedReloads.has(descriptor.path)) {
+			return;
+		}
+
+		this.failedReloads.delete(descriptor.path);
+
+		const recoveryDetails = {
+			target,
+			name: descriptor.name,
+			filename: path.relative(this.cwd, getEntryFilename(target, descriptor))
+		};
+
+		this.emit('recovered', recoveryDetails);
+		this.eventBus.emit('recovered', recoveryDetails);
+	}
+
+	/**
+	 * Collects the modules required by the reloaded store or component and watches them.
+	 *
+	 * @param {string} target The kind of the descriptor: "store" or "component".
+	 * @param {{path: string, properties: Object?}} descriptor The store's or component's descriptor.
+	 */
+	updateDependencies(target, descriptor) {
+		this.trackDependencies(target, descriptor);
+		this.syncWatchedDependencies();
+	}
+
+	/**
+	 * Emits the events of the component's files, every file is handled by its branch:
+	 * "logic", "template", "errorTemplate" or "other". The changes of the logic file
+	 * and the templates are emitted first, the legacy "changeLogic" and "changeTemplates"
+	 * are emitted once per component.
+	 *
+	 * @param {{path: string, properties: Object}} componentDescriptor The component's descriptor.
+	 * @param {Array<{kind: string, filename: string}>} events The events of the component's files.
+	 */
+	emitComponentFileEvents(componentDescriptor, events) {
+		const {
+			path: componentPath,
+			properties: {
+				logic: logicFilename,
+				template: templateName,
+				errorTemplate: errorTemplateName
+			}
+		} = componentDescriptor;
+
+		const branchFilenames = {
+			logic: getRelativeForComponent(componentPath, logicFilename, this.cwd),
+			template: getRelativeForComponent(componentPath, templateName, this.cwd),
+			errorTemplate: typeof (errorTemplateName) === 'string' ?
+				getRelativeForComponent(componentPath, errorTemplateName, this.cwd) :
+				null
+		};
+		const branchedEvents = events.map(event =>
+			Object.assign({branch: getComponentFileBranch(event.filename, branchFilenames)}, event)
+		);
+		const changedEvents = branchedEvents.filter(event => event.kind === 'change');
+		const fields = {target: 'component', descriptor: componentDescriptor};
+		const emittedLegacyEvents = [];
+
+		branchedEvents.forEach(event => this.logComponentFileBranch(componentDescriptor, event));
+
+		['logic'].concat(TEMPLATE_FIELDS).forEach(branch => changedEvents
+			.filter(event => event.branch === branch)
+			.forEach(event => this.emitEvent(Object.assign({
+				type: branch === 'logic' ? 'changeLogic' : 'changeTemplate',
+				filename: event.filename,
+				reason: branch
+			}, fields), emittedLegacyEvents))
+		);
+
+		branchedEvents.forEach(event => this.emitEvent(Object.assign({
+			type: COMPONENT_FILE_TYPES[event.kind],
+			filename: event.filename,
+			reason: event.branch
+		}, fields), emittedLegacyEvents));
+	}
+
+	/**
+	 * Logs the branch of the component's file handler at the level "debug".
+	 *
+	 * @param {{name: string}} componentDescriptor The component's descriptor.
+	 * @param {{kind: string, filename: string, branch: string}} event The event of the component's file.
+	 */
+	logComponentFileBranch(componentDescriptor, event) {
+		if (!this.logFormatter.isEnabled('debug')) {
+			return;
+		}
+
+		const {name} = componentDescriptor;
+		const {kind, branch} = event;
+		const relativeFilename = this.logFormatter.relative(event.filename);
+		const message = `File "${relativeFilename}" of component "${name}" has got "${kind}", ` +
+			`handling it as ${branch}...`;
+
+		this.log('debug', 'changeComponentFile', message,
+			{watcher: 'componentFile', branch, kind, filename: relativeFilename, name});
+	}
+
+	/**
+	 * Gets the path for the finders by the filename of the watcher.
+	 * The finders' paths are relative to the current directory of the process,
+	 * which may differ from the configured CWD of the watcher.
+	 *
+	 * @param {string} filename The filename relative to CWD.
+	 * @returns {string} The path relative to the current directory of the process.
+	 */
+	toFinderPath(filename) {
+		return path.relative(process.cwd(), path.resolve(this.cwd, filename));
+	}
+
+	/**
+	 * Gets the filename of the watcher by the path from the finders.
+	 *
+	 * @param {string} finderPath The path relative to the current directory of the process.
+	 * @returns {string} The filename relative to CWD.
+	 */
+	fromFinderPath(finderPath) {
+		return path.relative(this.cwd, path.resolve(finderPath));
+	}
+
+	/**
+	 * Gets the store finder's glob expression relative to CWD.
+	 *
+	 * @returns {string|Array<string>} The glob expression(s).
+	 */
+	getStoresGlob() {
+		return this.fromFinderGlob(this.storeFinder.getStoresGlobExpression());
+	}
+
+	/**
+	 * Gets the component finder's glob expression relative to CWD.
+	 *
+	 * @returns {string|Array<string>} The glob expression(s).
+	 */
+	getComponentsGlob() {
+		return this.fromFinderGlob(this.componentFinder.getComponentsGlobExpression());
+	}
+
+	/**
+	 * Makes the finder's glob expression relative to CWD keeping its negation.
+	 *
+	 * @param {string|Array<string>} expression The glob expression(s).
+	 * @returns {string|Array<string>} The glob expression(s) relative to CWD.
+	 */
+	fromFinderGlob(expression) {
+		if (Array.isArray(expression)) {
+			return expression.map(item => this.fromFinderGlob(item));
+		}
+
+		return expression.charAt(0) === '!' ?
+			`!${this.fromFinderPath(expression.slice(1))}` :
+			this.fromFinderPath(expression);
+	}
+
+	/**
+	 * Creates a descriptor of the store by its file without registering it in the finder.
+	 *
+	 * @param {string} filename The filename of the store.
+	 * @returns {{name: string, path: string}} The store's descriptor.
+	 */
+	createStoreDescriptor(filename) {
+		return this.storeFinder._createStoreDescriptor(this.toFinderPath(filename));
+	}
+
+	/**
+	 * Creates a descriptor of the component by its cat-component.json file.
+	 *
+	 * @param {string} filename The filename of cat-component.json.
+	 * @returns {{name: string, path: string, properties: Object}|null} The component's descriptor.
+	 */
+	createComponentDescriptor(filename) {
+		return this.componentFinder._createComponentDescriptor(this.toFinderPath(filename));
+	}
+
+	/**
+	 * Registers the component in the finder and watches its directory.
+	 *
+	 * @param {string} filename The filename of cat-component.json.
+	 * @param {Object?} createdDescriptor The descriptor if it has been already created.
+	 * @returns {{name: string, path: string, properties: Object}|null} The component's descriptor.
+	 */
+	addComponent(filename, createdDescriptor) {
+		const componentDescriptor = createdDescriptor === undefined ?
+			this.createComponentDescriptor(filename) :
+			createdDescriptor;
+
+		if (!componentDescriptor) {
+			return null;
+		}
+
+		this.componentFinder._addComponent(componentDescriptor);
+
+		if (this.fileWatcher) {
+			this.fileWatcher.add(path.dirname(filename));
+		}
+
+		return componentDescriptor;
+	}
+
+	/**
+	 * Removes the component from the finder and stops watching its directory.
+	 *
+	 * @param {string} filename The filename of cat-component.json or another file of the component.
+	 * @returns {{name: string, path: string, properties: Object}|null} The removed component's descriptor.
+	 */
+	removeComponent(filename) {
+		const foundComponentsByDirs = this.componentFinder.getFoundComponentsByDirs();
+		const componentDescriptor = pathHelper.recognizeComponent(filename, foundComponentsByDirs, this.cwd);
+
+		if (!componentDescriptor) {
+			return null;
+		}
+
+		this.componentFinder._removeComponent(componentDescriptor);
+		this.unwatchComponentDir(path.dirname(this.fromFinderPath(componentDescriptor.path)));
+
+		return componentDescriptor;
+	}
+
+	/**
+	 * Stops watching the directory of the removed component unless another watched path
+	 * reaches it. Unwatching makes the shared watcher ignore everything inside the directory,
+	 * so a new cat-component.json matching the finder's glob expression would be hidden then.
+	 *
+	 * @param {string} dir The directory of the component relative to CWD.
+	 */
+	unwatchComponentDir(dir) {
+		if (!this.fileWatcher) {
+			return;
+		}
+
+		const absoluteDir = path.resolve(this.cwd, dir);
+		// the finders' glob expressions can be lists with the excluding expressions
+		const isReached = this.getWatchedPaths()
+			.reduce((watchedPaths, entry) => watchedPaths.concat(entry.path), [])
+			.filter(watchedPath => watchedPath.charAt(0) !== '!')
+			.map(watchedPath => pathHelper.createEntry(this.cwd, watchedPath))
+			.some(entry => entry.base === absoluteDir ||
+				pathHelper.isWithin(entry.base, entry.depth, absoluteDir) ||
+				pathHelper.isWithin(absoluteDir, Infinity, entry.base));
+
+		if (!isReached) {
+			this.fileWatcher.unwatch(dir);
+		}
+	}
+}
+
+/**
+ * Creates the entry of the watched path.
+ *
+ * @param {string} watchedPath The path or glob expression.
+ * @param {string} route The route of the path's events.
+ * @param {Array<string>?} stores The names of the stores reloaded by the path's events.
+ * @param {Array<string>?} components The names of the components reloaded by the path's events.
+ * @return {{path: string, route: string, stores: Array<string>, components: Array<string>}} The entry.
+ */
+function createPathEntry(watchedPath, route, stores = [], components = []) {
+	return {path: watchedPath, route, stores, components};
+}
+
+/**
+ * Waits for the file system watcher to be ready.
+ *
+ * @param {EventEmitter} watcher The watcher of the backend.
+ * @returns {Promise} Promise which is rejected if the watcher fails before it is ready.
+ */
+function promisifyWatcher(watcher) {
+	return new Promise((resolve, reject) =>
+		watcher
 			.once('ready', () => resolve())
 			.once('error', error => reject(error))
 	);
 }
 
 /**
- * Gets a component's inner path which is relative to CWD.
- * @param {string} componentPath The path to the component.
- * @param {string} innerPath The path inside the component.
- * @returns {string} The path which is relative to CWD.
+ * Counts the discrepancies in the rescan report.
+ *
+ * @param {Object} report The rescan report.
+ * @returns {number} The number of the discrepancies.
  */
-function getRelativeForComponent(componentPath, innerPath) {
-	return path.relative(
-		process.cwd(), path.normalize(
-			path.join(path.dirname(componentPath), innerPath)
-		)
-	);
+function countReport(report) {
+	let count = 0;
+
+	for (const targetReport of [report.stores, report.components]) {
+		count += targetReport.added.length + targetReport.changed.length + targetReport.removed.length;
+	}
+
+	return count;
+}
+
+/**
+ * Gets the details of the event added to the JSON log messages.
+ *
+ * @param {*} details The details of the event.
+ * @param {Function} relative The function making the paths relative to the project's root.
+ * @returns {Object|null} The name, target, paths and other string fields of the event
+ * and its component or the new version of the renamed or moved one.
+ */
+function getLogFields(details, relative) {
+	if (!details || typeof (details) !== 'object') {
+		return null;
+	}
+
+	const fields = {};
+
+	[details.component || details.to, details]
+		.filter(source => source && typeof (source) === 'object')
+		.forEach(source => {
+			LOG_FIELDS
+				.filter(name => typeof (source[name]) === 'string')
+				.forEach(name => (fields[name] = source[name]));
+			LOG_PATH_FIELDS
+				.filter(name => typeof (source[name]) === 'string')
+				.forEach(name => (fields[name] = relative(source[name])));
+		});
+
+	if (details.from && typeof (details.from.path) === 'string') {
+		fields.from = relative(details.from.path);
+	}
+
+	return fields;
+}
+
+/**
+ * Gets the role of the watcher in the cluster mode.
+ *
+ * @param {boolean|string} clusterOption The option "cluster", true chooses the role
+ * by the process: the cluster workers are replicas and the rest are primaries.
+ * @returns {string|null} The role: "primary", "replica" or null if the mode is disabled.
+ */
+function getClusterRole(clusterOption) {
+	if (clusterOption === true) {
+		return cluster.isWorker ? CLUSTER_REPLICA : CLUSTER_PRIMARY;
+	}
+
+	return clusterOption || null;
+}
+
+/**
+ * Creates the watch backend by its name or checks the backend's instance.
+ *
+ * @param {string|Object|undefined} backend The name of the backend or the backend
+ * with the method "watch(paths, options)" which returns a chokidar-compatible watcher.
+ * @returns {{watch: Function}} The backend.
+ * @throws {Error} If the backend is unknown.
+ */
+function createBackend(backend) {
+	if (backend === undefined) {
+		return BACKENDS[DEFAULT_BACKEND]();
+	}
+
+	if (typeof (backend) === 'string' && BACKENDS.hasOwnProperty(backend)) {
+		return BACKENDS[backend]();
+	}
+
+	if (backend && typeof (backend.watch) === 'function') {
+		return backend;
+	}
+
+	throw new Error(`Unknown watch backend "${backend}", it should be one of ` +
+		`${Object.keys(BACKENDS).join(', ')} or an object with the method "watch"`);
+}
+
+/**
+ * Validates a watch target before the registration.
+ *
+ * @param {Object} target The target to validate.
+ * @throws {Error} If the target is invalid.
+ */
+function validateTarget(target) {
+	if (!target || typeof (target.name) !== 'string' || target.name.length === 0) {
+		throw new Error('Watch target should have a name');
+	}
+
+	const globs = Array.isArray(target.glob) ? target.glob : [target.glob];
+
+	if (globs.length === 0 || !globs.every(glob => typeof (glob) === 'string' && glob.length > 0)) {
+		throw new Error(`Watch target "${target.name}" should have a glob expression`);
+	}
+
+	Object.keys(TARGET_HANDLER_NAMES).forEach(kind => {
+		const handler = target[TARGET_HANDLER_NAMES[kind]];
+
+		if (handler !== undefined && typeof (handler) !== 'function') {
+			throw new Error(`"${TARGET_HANDLER_NAMES[kind]}" of watch target "${target.name}" should be a function`);
+		}
+	});
+}
+
+/**
+ * Creates the context of the reload passed to the hooks.
+ *
+ * @param {string} target The kind of the descriptor: "store" or "component".
+ * @param {{name: string, path: string, properties: Object?}} descriptor The store's or component's descriptor.
+ * @param {{kind: string, filename: string, emitsReload: boolean?}?} cause The file event
+ * which causes the reload, the change of the descriptor's file by default.
+ * @returns {{target: string, descriptor: Object, kind: string, filename: string, emitsReload: boolean}}
+ * The context.
+ */
+function createReloadContext(target, descriptor, cause) {
+	return {
+		target,
+		descriptor,
+		kind: cause ? cause.kind : 'change',
+		filename: cause ? cause.filename : descriptor.path,
+		emitsReload: Boolean(cause && cause.emitsReload)
+	};
+}
+
+/**
+ * Validates the hook around the reloads.
+ *
+ * @param {Object} hook The hook to validate.
+ * @throws {Error} If the hook is invalid.
+ */
+function validateHook(hook) {
+	if (!hook || (typeof (hook.before) !== 'function' && typeof (hook.after) !== 'function')) {
+		throw new Error('Reload hook should have "before" or "after" function');
+	}
+
+	['before', 'after'].forEach(name => {
+		if (hook[name] !== undefined && typeof (hook[name]) !== 'function') {
+			throw new Error(`"${name}" of reload hook should be a function`);
+		}
+	});
+}
+
+/**
+ * Calls the "before" hook and converts its result to the reason of the veto.
+ *
+ * @param {{before: Function}} hook The hook.
+ * @param {Object} context The context of the hook.
+ * @returns {Promise<string|null>} Promise of the reason of the veto or null if the reload is allowed.
+ */
+function callBeforeHook(hook, context) {
+	return new Promise(fulfill => fulfill(hook.before(context)))
+		.then(
+			result => typeof (result) === 'string' && result.length > 0 ? result : null,
+			error => (error && error.message) || String(error)
+		);
+}
+
+/**
+ * Gets an absolute filename of the module which is the entry point of the store or component.
+ * The descriptor's path is relative to the current directory of the process like the finders make it.
+ *
+ * @param {string} target The kind of the descriptor: "store" or "component".
+ * @param {{path: string, properties: Object?}} descriptor The store's or component's descriptor.
+ * @returns {string} The absolute filename.
+ */
+function getEntryFilename(target, descriptor) {
+	return target === 'store' ?
+		path.resolve(descriptor.path) :
+		path.resolve(path.dirname(descriptor.path), descriptor.properties.logic);
+}
+
+/**
+ * Formats a location of the reload error.
+ *
+ * @param {{filename: string, line: number|null, column: number|null}} errorDetails The details of the error.
+ * @returns {string} The location like "filename:line:column".
+ */
+function formatLocation({filename, line, column}) {
+	if (line === null) {
+		return filename;
+	}
+
+	return column === null ? `${filename}:${line}` : `${filename}:${line}:${column}`;
+}
+
+/**
+ * Checks the syntax of the module by compiling it without running,
+ * the module cache stays untouched and the module's code is never run twice.
+ *
+ * @param {string} filename The absolute filename of the module.
+ * @returns {Promise<Error|null>} Promise of the error of the resolution, reading or compilation,
+ * null if the module is compiled or it is not a JavaScript file.
+ */
+function checkSyntax(filename) {
+	return new Promise(fulfill => {
+		const resolved = require.resolve(filename);
+
+		if (path.extname(resolved) !== '.js') {
+			fulfill(null);
+			return;
+		}
+
+		fs.readFile(resolved, 'utf8', (error, content) => {
+			if (error) {
+				fulfill(error);
+				return;
+			}
+
+			try {
+				compileModule(resolved, content);
+				fulfill(null);
+			} catch (syntaxError) {
+				fulfill(syntaxError);
+			}
+		});
+	})
+		.catch(error => error);
+}
+
+/**
+ * Compiles the code of the module wrapped the same way Node does,
+ * the lines of the code keep their numbers in the errors.
+ *
+ * @param {string} filename The absolute filename of the module.
+ * @param {string} content The code of the module.
+ * @returns {vm.Script} The compiled script.
+ * @throws {SyntaxError} If the syntax of the code is invalid.
+ */
+function compileModule(filename, content) {
+	const code = MODULE_WRAPPER_PREFIX + content.replace(HASHBANG_REGEXP, '') + MODULE_WRAPPER_SUFFIX;
+
+	return new vm.Script(code, {filename, lineOffset: -1});
+}
+
+/**
+ * Gets all the descriptors mentioned in the batch summary.
+ *
+ * @param {Object} summary The summary of the batch.
+ * @returns {Array<Object>} The list of the descriptors.
+ */
+function getSummaryDescriptors(summary) {
+	const descriptors = [];
+
+	for (const targetSummary of [summary.stores, summary.components]) {
+		const transitions = (targetSummary.renamed || []).concat(targetSummary.moved || []);
+
+		descriptors.push(...targetSummary.added, ...targetSummary.changed, ...targetSummary.removed);
+		transitions.forEach(transition => descriptors.push(transition.from, transition.to));
+	}
+
+	return descriptors;
+}
+
+/**
+ * Creates an unlink event for the registered file if it does not exist anymore.
+ *
+ * @param {string} target The name of the events' target.
+ * @param {string} filename The registered filename.
+ * @param {string} cwd The directory the filename is relative to.
+ * @returns {Promise<Object|null>} Promise of the unlink event or null if the file exists.
+ */
+function getStaleEvent(target, filename, cwd) {
+	return exists(path.resolve(cwd, filename))
+		.then(isExisting => (isExisting ? null : {target, kind: 'unlink', filename}));
+}
+
+/**
+ * Checks if the file or directory exists.
+ *
+ * @param {string} filename The filename.
+ * @returns {Promise<boolean>} Promise of true if the file exists.
+ */
+function exists(filename) {
+	return new Promise(fulfill => fs.stat(filename, error => fulfill(!error)));
 }
 
 /**
- * Recognizes a component by a path to its internal file.
+ * Pairs the removed and added items with the same keys.
+ * Items without keys are never paired.
  *
- * @param {string} filename The filename of the internal file of the component.
- * @param {Object} foundComponentsByDirs Hash with components by dirs
- * @returns {{name: string, path: string, properties: Object}|null} The found component's descriptor.
+ * @param {Array<{key: string?}>} unlinked The removed items.
+ * @param {Array<{key: string?}>} added The added items.
+ * @returns {Array<{from: Object, to: Object}>} The pairs.
  */
-function recognizeComponent(filename, foundComponentsByDirs = {}) {
-	let current = filename;
-	let component = null;
+function pairByKey(unlinked, added) {
+	const available = added.filter(item => typeof (item.key) === 'string');
+	const pairs = [];
 
-	while (current !== '.') {
-		if (current in foundComponentsByDirs) {
-			component = foundComponentsByDirs[current];
-			break;
+	for (const from of unlinked) {
+		const keys = available.map(item => item.key);
+		const index = typeof (from.key) === 'string' ? keys.indexOf(from.key) : -1;
+
+		if (index !== -1) {
+			pairs.push({from, to: available[index]});
+			available.splice(index, 1);
 		}
-		current = path.dirname(current);
 	}
-	return component;
+
+	return pairs;
+}
+
+/**
+ * Gets the events which have not been paired.
+ *
+ * @param {Array<Object>} events The events.
+ * @param {Array<{from: {event: Object}, to: {event: Object}}>} pairs The pairs.
+ * @returns {Array<Object>} The unpaired events.
+ */
+function getUnpairedEvents(events, pairs) {
+	const paired = new Set();
+
+	pairs.forEach(({from, to}) => {
+		paired.add(from.event);
+		paired.add(to.event);
+	});
+
+	return events.filter(event => !paired.has(event));
+}
+
+/**
+ * Gets the branch of the component's file handler.
+ *
+ * @param {string} filename The filename relative to CWD.
+ * @param {{logic: string, template: string, errorTemplate: string|null}} branchFilenames
+ * The filenames relative to CWD by the branches.
+ * @returns {string} The branch: "logic", "template", "errorTemplate" or "other".
+ */
+function getComponentFileBranch(filename, branchFilenames) {
+	return Object.keys(branchFilenames).filter(branch => branchFilenames[branch] === filename)[0] || 'other';
+}
+
+/**
+ * Gets a component's inner path which is relative to CWD.
+ * @param {string} componentPath The path to the component relative to the current directory of the process.
+ * @param {string} innerPath The path inside the component.
+ * @param {string} cwd The configured CWD of the watcher.
+ * @returns {string} The path which is relative to CWD.
+ */
+function getRelativeForComponent(componentPath, innerPath, cwd) {
+	return path.relative(
+		cwd, path.resolve(
+			path.dirname(componentPath), innerPath
+		)
+	);
 }
 
 module.exports = Watcher;
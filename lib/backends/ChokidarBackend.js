@@ -0,0 +1,40 @@
+'use strict';
+
+const chokidar = require('chokidar');
+
+const CHOKIDAR_OPTIONS = {
+	useFsEvents: false,
+	ignorePermissionErrors: true
+};
+
+/**
+ * Implements the default watch backend based on chokidar.
+ */
+class ChokidarBackend {
+
+	/**
+	 * Creates a new instance of the chokidar backend.
+	 * @param {Object?} options The chokidar options applied to every watcher.
+	 */
+	constructor(options) {
+
+		/**
+		 * Current chokidar options.
+		 * @type {Object}
+		 * @private
+		 */
+		this._options = Object.assign({}, CHOKIDAR_OPTIONS, options);
+	}
+
+	/**
+	 * Starts watching the paths.
+	 * @param {string|Array<string>} paths The paths or glob expressions.
+	 * @param {Object} options The options like "cwd" and "ignoreInitial".
+	 * @returns {FSWatcher} The chokidar watcher.
+	 */
+	watch(paths, options) {
+		return chokidar.watch(paths, Object.assign({}, this._options, options));
+	}
+}
+
+module.exports = ChokidarBackend;
@@ -0,0 +1,223 @@
+'use strict';
+
+const path = require('path');
+const EventEmitter = require('events').EventEmitter;
+const pathHelper = require('../helpers/pathHelper');
+
+const FILE_EVENTS = ['add', 'change', 'unlink'];
+
+/**
+ * Implements the in-memory watch backend for the tests. It does not touch
+ * the disk, the file events are emitted synchronously by calling
+ * "emit" of the backend and reach all its watchers which watch the file.
+ */
+class MemoryBackend {
+
+	/**
+	 * Creates a new instance of the in-memory backend.
+	 */
+	constructor() {
+
+		/**
+		 * Current open watchers.
+		 * @type {Set<MemoryWatcher>}
+		 * @private
+		 */
+		this._watchers = new Set();
+	}
+
+	/**
+	 * Gets a number of the open watchers.
+	 * @returns {number} The number of the watchers.
+	 */
+	get watchersCount() {
+		return this._watchers.size;
+	}
+
+	/**
+	 * Starts watching the paths.
+	 * @param {string|Array<string>} paths The paths or glob expressions.
+	 * @param {Object} options The options like "cwd".
+	 * @returns {MemoryWatcher} The watcher.
+	 */
+	watch(paths, options) {
+		const watcher = new MemoryWatcher(paths, options, () => this._watchers.delete(watcher));
+
+		this._watchers.add(watcher);
+
+		return watcher;
+	}
+
+	/**
+	 * Emits the file event to the watchers which watch the file.
+	 * @param {string} kind The kind of the event: "add", "change", "unlink" or "error".
+	 * @param {string|Error} filename The filename relative to the watchers'
+	 * current directory or the error.
+	 */
+	emit(kind, filename) {
+		if (kind !== 'error' && FILE_EVENTS.indexOf(kind) === -1) {
+			throw new Error(`Unknown file event "${kind}"`);
+		}
+
+		Array.from(this._watchers).forEach(watcher => watcher.receive(kind, filename));
+	}
+}
+
+/**
+ * Implements the watcher of the in-memory backend with the same interface
+ * as chokidar's watcher has.
+ */
+class MemoryWatcher extends EventEmitter {
+
+	/**
+	 * Creates a new instance of the in-memory watcher.
+	 * @param {string|Array<string>} paths The paths or glob expressions.
+	 * @param {Object?} options The options like "cwd" and "ignored".
+	 * @param {Function} onClose The function called when the watcher is closed.
+	 */
+	constructor(paths, options, onClose) {
+		super();
+
+		options = options || {};
+
+		/**
+		 * Current directory the filenames are relative to.
+		 * @type {string}
+		 * @private
+		 */
+		this._cwd = options.cwd || process.cwd();
+
+		/**
+		 * Current entries of the watched paths.
+		 * @type {Array<Object>}
+		 * @private
+		 */
+		this._entries = [];
+
+		/**
+		 * Current matcher of the ignored files.
+		 * @type {Function}
+		 * @private
+		 */
+		this._isIgnored = pathHelper.createMatcher(this._cwd, options.ignored || []);
+
+		/**
+		 * Current absolute filenames of the files known by the events.
+		 * @type {Set<string>}
+		 * @private
+		 */
+		this._files = new Set();
+
+		/**
+		 * Current function called when the watcher is closed.
+		 * @type {Function|null}
+		 * @private
+		 */
+		this._onClose = onClose;
+
+		this.add(paths);
+		process.nextTick(() => {
+			if (this._onClose) {
+				this.emit('ready');
+			}
+		});
+	}
+
+	/**
+	 * Adds the paths to the watched ones.
+	 * @param {string|Array<string>} paths The paths or glob expressions.
+	 * @returns {MemoryWatcher} The current watcher.
+	 */
+	add(paths) {
+		toArray(paths).forEach(watchedPath => this._entries.push(pathHelper.createEntry(this._cwd, watchedPath)));
+		return this;
+	}
+
+	/**
+	 * Stops watching the paths.
+	 * @param {string|Array<string>} paths The paths or glob expressions.
+	 * @returns {MemoryWatcher} The current watcher.
+	 */
+	unwatch(paths) {
+		const unwatched = toArray(paths);
+
+		this._entries = this._entries.filter(entry => unwatched.indexOf(entry.path) === -1);
+		this._files.forEach(filename => {
+			if (!this._isWatched(filename)) {
+				this._files.delete(filename);
+			}
+		});
+
+		return this;
+	}
+
+	/**
+	 * Gets the files known by the events grouped by the directories.
+	 * @returns {Object} The lists of the files' names by the directories.
+	 */
+	getWatched() {
+		return pathHelper.groupByDirs(this._cwd, this._files);
+	}
+
+	/**
+	 * Stops watching all the paths.
+	 */
+	close() {
+		if (!this._onClose) {
+			return;
+		}
+
+		this._onClose();
+		this._onClose = null;
+		this._entries = [];
+		this._files.clear();
+		this.removeAllListeners();
+	}
+
+	/**
+	 * Emits the event if the file is watched.
+	 * @param {string} kind The kind of the event.
+	 * @param {string|Error} filename The filename or the error.
+	 */
+	receive(kind, filename) {
+		if (kind === 'error') {
+			this.emit('error', filename);
+			return;
+		}
+
+		const absolute = path.resolve(this._cwd, filename);
+
+		if (!this._isWatched(absolute)) {
+			return;
+		}
+
+		if (kind === 'unlink') {
+			this._files.delete(absolute);
+		} else {
+			this._files.add(absolute);
+		}
+
+		this.emit(kind, path.relative(this._cwd, absolute));
+	}
+
+	/**
+	 * Checks if the file matches any of the watched paths.
+	 * @param {string} filename The absolute filename.
+	 * @returns {boolean} true if the file is watched.
+	 * @private
+	 */
+	_isWatched(filename) {
+		return this._entries.some(entry => entry.match(filename)) && !this._isIgnored(filename);
+	}
+}
+
+/**
+ * Converts the path or the list of the paths to the list.
+ * @param {string|Array<string>} paths The paths.
+ * @returns {Array<string>} The list of the paths.
+ */
+function toArray(paths) {
+	return Array.isArray(paths) ? paths : [paths];
+}
+
+module.exports = MemoryBackend;
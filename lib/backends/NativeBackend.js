@@ -0,0 +1,577 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events').EventEmitter;
+const pathHelper = require('../helpers/pathHelper');
+
+const DEFAULT_INTERVAL = 1000;
+const DEFAULT_WRITE_FINISH = {
+	stabilityThreshold: 2000,
+	pollInterval: 100
+};
+
+/**
+ * Implements the watch backend based on Node's native recursive "fs.watch".
+ * If the recursive watching is not supported by the platform or
+ * the polling is requested the watched directories are rescanned
+ * every interval instead.
+ */
+class NativeBackend {
+
+	/**
+	 * Creates a new instance of the native backend.
+	 * @param {Object?} options The options.
+	 * @param {boolean?} options.usePolling Rescan the directories instead of "fs.watch".
+	 * @param {number?} options.interval The interval of the polling in milliseconds.
+	 */
+	constructor(options) {
+		options = options || {};
+
+		/**
+		 * Current default options of the watchers.
+		 * @type {{usePolling: boolean, interval: number}}
+		 * @private
+		 */
+		this._options = {
+			usePolling: options.usePolling === true,
+			interval: typeof (options.interval) === 'number' ? options.interval : DEFAULT_INTERVAL
+		};
+	}
+
+	/**
+	 * Starts watching the paths.
+	 * @param {string|Array<string>} paths The paths or glob expressions.
+	 * @param {Object} options The options like "cwd", "usePolling" and "interval".
+	 * @returns {NativeWatcher} The watcher.
+	 */
+	watch(paths, options) {
+		options = options || {};
+
+		return new NativeWatcher(paths, Object.assign({}, options, {
+			usePolling: this._options.usePolling || options.usePolling === true,
+			interval: typeof (options.interval) === 'number' ? options.interval : this._options.interval
+		}));
+	}
+}
+
+/**
+ * Implements the watcher of the native backend with the same interface
+ * as chokidar's watcher has. The files are watched by the modification
+ * time, so the events are emitted for the actual changes only.
+ */
+class NativeWatcher extends EventEmitter {
+
+	/**
+	 * Creates a new instance of the native watcher.
+	 * @param {string|Array<string>} paths The paths or glob expressions.
+	 * @param {Object} options The options.
+	 * @param {string?} options.cwd The directory the filenames are relative to.
+	 * @param {boolean} options.usePolling Rescan the directories instead of "fs.watch".
+	 * @param {number} options.interval The interval of the polling in milliseconds.
+	 * @param {Array<string>?} options.ignored The ignored paths or glob expressions.
+	 * @param {boolean?} options.followSymlinks Watch the targets of the symbolic links.
+	 * @param {boolean|Object?} options.awaitWriteFinish Emit the events when the size
+	 * of the file stays the same for "stabilityThreshold" milliseconds.
+	 */
+	constructor(paths, options) {
+		super();
+
+		/**
+		 * Current directory the filenames are relative to.
+		 * @type {string}
+		 * @private
+		 */
+		this._cwd = options.cwd || process.cwd();
+
+		/**
+		 * Current interval of the polling in milliseconds.
+		 * @type {number}
+		 * @private
+		 */
+		this._interval = options.interval;
+
+		/**
+		 * Current flag of the polling.
+		 * @type {boolean}
+		 * @private
+		 */
+		this._usePolling = options.usePolling;
+
+		/**
+		 * Current options of walking the directories.
+		 * @type {{isIgnored: Function, followSymlinks: boolean}}
+		 * @private
+		 */
+		this._walkOptions = {
+			isIgnored: pathHelper.createMatcher(this._cwd, options.ignored || []),
+			followSymlinks: options.followSymlinks !== false
+		};
+
+		/**
+		 * Current options of waiting for the finished writes, null if disabled.
+		 * @type {{stabilityThreshold: number, pollInterval: number}|null}
+		 * @private
+		 */
+		this._writeFinish = options.awaitWriteFinish ?
+			Object.assign({}, DEFAULT_WRITE_FINISH, options.awaitWriteFinish) :
+			null;
+
+		/**
+		 * Current writes waiting to be finished by the absolute filenames.
+		 * @type {Map<string, Object>}
+		 * @private
+		 */
+		this._pendingWrites = new Map();
+
+		/**
+		 * Current entries of the watched paths.
+		 * @type {Array<Object>}
+		 * @private
+		 */
+		this._entries = [];
+
+		/**
+		 * Current modification times of the watched files by the absolute filenames.
+		 * @type {Map<string, number>}
+		 * @private
+		 */
+		this._files = new Map();
+
+		/**
+		 * Current "fs.watch" handles and their depths by the watched directories.
+		 * @type {Map<string, {handle: fs.FSWatcher, depth: number}>}
+		 * @private
+		 */
+		this._handles = new Map();
+
+		/**
+		 * Current timer of the polling.
+		 * @type {Object|null}
+		 * @private
+		 */
+		this._timer = null;
+
+		/**
+		 * Current flag of the closed watcher.
+		 * @type {boolean}
+		 * @private
+		 */
+		this._isClosed = false;
+
+		this._addPaths(toArray(paths))
+			.then(() => (this._isClosed ? null : this.emit('ready')))
+			.catch(error => this.emit('error', error));
+	}
+
+	/**
+	 * Adds the paths to the watched ones.
+	 * @param {string|Array<string>} paths The paths or glob expressions.
+	 * @returns {NativeWatcher} The current watcher.
+	 */
+	add(paths) {
+		this._addPaths(toArray(paths))
+			.catch(error => this.emit('error', error));
+		return this;
+	}
+
+	/**
+	 * Stops watching the paths.
+	 * @param {string|Array<string>} paths The paths or glob expressions.
+	 * @returns {NativeWatcher} The current watcher.
+	 */
+	unwatch(paths) {
+		const unwatched = toArray(paths);
+
+		this._entries = this._entries.filter(entry => unwatched.indexOf(entry.path) === -1);
+		this._files.forEach((modifiedAt, filename) => {
+			if (!this._isWatched(filename)) {
+				this._files.delete(filename);
+			}
+		});
+		this._handles.forEach((watched, dir) => {
+			if (!this._entries.some(entry => entry.root === dir)) {
+				watched.handle.close();
+				this._handles.delete(dir);
+			}
+		});
+
+		return this;
+	}
+
+	/**
+	 * Gets the watched files grouped by the directories.
+	 * @returns {Object} The lists of the files' names by the directories.
+	 */
+	getWatched() {
+		return pathHelper.groupByDirs(this._cwd, this._files.keys());
+	}
+
+	/**
+	 * Stops watching all the paths.
+	 */
+	close() {
+		this._isClosed = true;
+		this._handles.forEach(watched => watched.handle.close());
+		this._handles.clear();
+		this._pendingWrites.forEach(pending => clearTimeout(pending.timer));
+		this._pendingWrites.clear();
+		this._entries = [];
+		this._files.clear();
+
+		if (this._timer) {
+			clearInterval(this._timer);
+			this._timer = null;
+		}
+
+		this.removeAllListeners();
+	}
+
+	/**
+	 * Adds the entries of the paths, remembers their files and starts watching them.
+	 * @param {Array<string>} paths The paths or glob expressions.
+	 * @returns {Promise} Promise of the watched paths.
+	 * @private
+	 */
+	_addPaths(paths) {
+		return Promise.all(paths.map(watchedPath => this._addEntry(pathHelper.createEntry(this._cwd, watchedPath))));
+	}
+
+	/**
+	 * Adds the entry, remembers its files and starts watching its directory.
+	 * @param {Object} entry The entry of the watched path.
+	 * @returns {Promise} Promise of the watched entry.
+	 * @private
+	 */
+	_addEntry(entry) {
+		return locateRoot(entry)
+			.then(({root, depth}) => {
+				entry.root = root;
+				entry.depth = depth;
+				this._entries.push(entry);
+
+				return walk(root, depth, this._walkOptions);
+			})
+			.then(files => {
+				if (this._isClosed) {
+					return;
+				}
+
+				files.forEach((modifiedAt, filename) => {
+					if (entry.match(filename)) {
+						this._files.set(filename, modifiedAt);
+					}
+				});
+
+				this._watchDir(entry.root, entry.depth);
+			});
+	}
+
+	/**
+	 * Starts watching the directory with "fs.watch" or starts the polling.
+	 * @param {string} dir The absolute directory.
+	 * @param {number} depth The number of the nested levels.
+	 * @private
+	 */
+	_watchDir(dir, depth) {
+		if (this._usePolling) {
+			this._startPolling();
+			return;
+		}
+
+		const watched = this._handles.get(dir);
+
+		if (watched && watched.depth >= depth) {
+			return;
+		}
+
+		try {
+			const handle = fs.watch(dir, {recursive: depth > 1}, (type, name) =>
+				this._check(dir, depth, name ? name.toString() : '', type === 'change'));
+
+			handle.on('error', error => this.emit('error', error));
+
+			if (watched) {
+				watched.handle.close();
+			}
+			this._handles.set(dir, {handle, depth});
+		} catch (e) {
+			// the directory does not exist yet or the recursive watching is not supported
+			this._startPolling();
+		}
+	}
+
+	/**
+	 * Starts rescanning the watched directories every interval.
+	 * @private
+	 */
+	_startPolling() {
+		if (this._timer) {
+			return;
+		}
+
+		this._timer = setInterval(() => this._poll(), this._interval);
+	}
+
+	/**
+	 * Rescans all the watched directories.
+	 * @private
+	 */
+	_poll() {
+		this._entries.forEach(entry =>
+			walk(entry.root, entry.depth, this._walkOptions)
+				.then(files => this._sync(entry.root, entry.depth, files))
+				.catch(error => this.emit('error', error))
+		);
+	}
+
+	/**
+	 * Checks the file or the directory reported by "fs.watch".
+	 * @param {string} dir The absolute watched directory.
+	 * @param {number} depth The number of the watched directory's nested levels.
+	 * @param {string} name The reported name relative to the directory.
+	 * @param {boolean} isChanged true if "fs.watch" reported the change of the content.
+	 * @private
+	 */
+	_check(dir, depth, name, isChanged) {
+		const filename = path.join(dir, name);
+		const restDepth = name === '' ? depth : depth - name.split(path.sep).length;
+
+		getStat(this._walkOptions)(filename, (error, stats) => {
+			if (this._isClosed) {
+				return;
+			}
+
+			if (error) {
+				this._sync(filename, Infinity, new Map());
+			} else if (stats.isFile()) {
+				this._update(filename, stats.mtime.getTime(), isChanged);
+			} else if (stats.isDirectory()) {
+				walk(filename, restDepth, this._walkOptions)
+					.then(files => this._sync(filename, restDepth, files))
+					.catch(walkError => this.emit('error', walkError));
+			}
+		});
+	}
+
+	/**
+	 * Compares the found files of the directory with the known ones and emits the differences.
+	 * @param {string} dir The absolute directory or filename.
+	 * @param {number} depth The number of the nested levels.
+	 * @param {Map<string, number>} files The modification times by the found filenames.
+	 * @private
+	 */
+	_sync(dir, depth, files) {
+		if (this._isClosed) {
+			return;
+		}
+
+		Array.from(this._files.keys())
+			.filter(filename => (filename === dir || pathHelper.isWithin(dir, depth, filename)) &&
+				!files.has(filename))
+			.forEach(filename => {
+				this._files.delete(filename);
+				this.emit('unlink', path.relative(this._cwd, filename));
+			});
+
+		files.forEach((modifiedAt, filename) => this._update(filename, modifiedAt, false));
+	}
+
+	/**
+	 * Remembers the modification time of the file and emits its event.
+	 * @param {string} filename The absolute filename.
+	 * @param {number} modifiedAt The modification time.
+	 * @param {boolean} isChanged true if the file is changed regardless of the time.
+	 * @private
+	 */
+	_update(filename, modifiedAt, isChanged) {
+		if (!this._isWatched(filename)) {
+			return;
+		}
+
+		const known = this._files.get(filename);
+
+		this._files.set(filename, modifiedAt);
+
+		if (known === undefined) {
+			this._emitFinished('add', filename);
+		} else if (isChanged || known !== modifiedAt) {
+			this._emitFinished('change', filename);
+		}
+	}
+
+	/**
+	 * Emits the event of the file when its write is finished.
+	 * @param {string} kind The kind of the event: "add" or "change".
+	 * @param {string} filename The absolute filename.
+	 * @private
+	 */
+	_emitFinished(kind, filename) {
+		if (!this._writeFinish) {
+			this.emit(kind, path.relative(this._cwd, filename));
+			return;
+		}
+
+		// the first event wins, so the file added and changed during the write is added
+		if (this._pendingWrites.has(filename)) {
+			return;
+		}
+
+		const pending = {kind, size: -1, stableSince: Date.now(), timer: null};
+		const check = () => fs.stat(filename, (error, stats) => {
+			if (this._isClosed) {
+				return;
+			}
+
+			if (error) {
+				this._pendingWrites.delete(filename);
+				return;
+			}
+
+			if (stats.size !== pending.size) {
+				pending.size = stats.size;
+				pending.stableSince = Date.now();
+			}
+
+			if (Date.now() - pending.stableSince < this._writeFinish.stabilityThreshold) {
+				pending.timer = setTimeout(check, this._writeFinish.pollInterval);
+				return;
+			}
+
+			this._pendingWrites.delete(filename);
+			this.emit(pending.kind, path.relative(this._cwd, filename));
+		});
+
+		this._pendingWrites.set(filename, pending);
+		check();
+	}
+
+	/**
+	 * Checks if the file matches any of the watched paths.
+	 * @param {string} filename The absolute filename.
+	 * @returns {boolean} true if the file is watched.
+	 * @private
+	 */
+	_isWatched(filename) {
+		return this._entries.some(entry => entry.match(filename)) && !this._walkOptions.isIgnored(filename);
+	}
+}
+
+/**
+ * Finds the directory which should be watched for the entry.
+ * @param {Object} entry The entry of the watched path.
+ * @returns {Promise<{root: string, depth: number}>} Promise of the directory
+ * and the number of its nested levels.
+ */
+function locateRoot(entry) {
+	if (entry.isGlob) {
+		return Promise.resolve({root: entry.base, depth: entry.depth});
+	}
+
+	return new Promise(fulfill =>
+		fs.stat(entry.base, (error, stats) => fulfill(!error && stats.isDirectory() ?
+			{root: entry.base, depth: Infinity} :
+			{root: path.dirname(entry.base), depth: 1}))
+	);
+}
+
+/**
+ * Finds all the files of the directory except the ignored ones.
+ * @param {string} dir The absolute directory.
+ * @param {number} depth The number of the nested levels.
+ * @param {{isIgnored: Function, followSymlinks: boolean}} options The options of walking.
+ * @returns {Promise<Map<string, number>>} Promise of the modification times by the filenames.
+ */
+function walk(dir, depth, options) {
+	const files = new Map();
+
+	return walkDir(dir, depth, files, options)
+		.then(() => files);
+}
+
+/**
+ * Collects the files of the directory.
+ * @param {string} dir The absolute directory.
+ * @param {number} depth The number of the nested levels.
+ * @param {Map<string, number>} files The modification times by the filenames.
+ * @param {{isIgnored: Function, followSymlinks: boolean}} options The options of walking.
+ * @returns {Promise} Promise of the collected files.
+ */
+function walkDir(dir, depth, files, options) {
+	if (depth <= 0) {
+		return Promise.resolve();
+	}
+
+	return readDir(dir)
+		.then(names => Promise.all(names
+			.map(name => path.join(dir, name))
+			.filter(filename => !options.isIgnored(filename))
+			.map(filename => walkEntry(filename, depth, files, options))));
+}
+
+/**
+ * Collects the file or the files of the nested directory.
+ * @param {string} filename The absolute filename of the directory's entry.
+ * @param {number} depth The number of the nested levels of the parent directory.
+ * @param {Map<string, number>} files The modification times by the filenames.
+ * @param {{isIgnored: Function, followSymlinks: boolean}} options The options of walking.
+ * @returns {Promise} Promise of the collected files.
+ */
+function walkEntry(filename, depth, files, options) {
+	return stat(filename, options)
+		.then(stats => {
+			if (!stats) {
+				return null;
+			}
+			if (stats.isDirectory()) {
+				return walkDir(filename, depth - 1, files, options);
+			}
+
+			files.set(filename, stats.mtime.getTime());
+			return null;
+		});
+}
+
+/**
+ * Reads the names of the directory's entries.
+ * @param {string} dir The directory.
+ * @returns {Promise<Array<string>>} Promise of the names, empty if the directory does not exist.
+ */
+function readDir(dir) {
+	return new Promise(fulfill =>
+		fs.readdir(dir, (error, names) => fulfill(error ? [] : names))
+	);
+}
+
+/**
+ * Gets the stats of the file.
+ * @param {string} filename The filename.
+ * @param {{followSymlinks: boolean}} options The options of walking.
+ * @returns {Promise<fs.Stats|null>} Promise of the stats or null if the file does not exist.
+ */
+function stat(filename, options) {
+	return new Promise(fulfill =>
+		getStat(options)(filename, (error, stats) => fulfill(error ? null : stats))
+	);
+}
+
+/**
+ * Gets the function which reads the stats, the symbolic links
+ * are not followed if the option is disabled.
+ * @param {{followSymlinks: boolean}} options The options of walking.
+ * @returns {Function} "fs.stat" or "fs.lstat".
+ */
+function getStat(options) {
+	return options.followSymlinks ? fs.stat : fs.lstat;
+}
+
+/**
+ * Converts the path or the list of the paths to the list.
+ * @param {string|Array<string>} paths The paths.
+ * @returns {Array<string>} The list of the paths.
+ */
+function toArray(paths) {
+	return Array.isArray(paths) ? paths : [paths];
+}
+
+module.exports = NativeBackend;
@@ -0,0 +1,64 @@
+'use strict';
+
+// the prefix separates the watcher's messages from the other IPC messages of the application
+const MESSAGE_PREFIX = 'catberry-watcher:';
+const MESSAGE_TYPES = ['ready', 'event', 'reload', 'ack'];
+
+module.exports = {
+
+	/**
+	 * Creates the IPC message of the watcher.
+	 * @param {string} type The type of the message: "ready", "event", "reload" or "ack".
+	 * @param {Object} fields The fields of the message.
+	 * @returns {Object} The message.
+	 */
+	createMessage(type, fields) {
+		return Object.assign({type: `${MESSAGE_PREFIX}${type}`}, fields);
+	},
+
+	/**
+	 * Gets the type of the watcher's IPC message.
+	 * @param {*} message The received message.
+	 * @returns {string|null} The type: "ready", "event", "reload" or "ack" or null
+	 * if it is not the watcher's message.
+	 */
+	getMessageType(message) {
+		if (!message || typeof (message.type) !== 'string' || message.type.indexOf(MESSAGE_PREFIX) !== 0) {
+			return null;
+		}
+
+		const type = message.type.substring(MESSAGE_PREFIX.length);
+
+		return MESSAGE_TYPES.indexOf(type) === -1 ? null : type;
+	},
+
+	/**
+	 * Checks if the IPC channel is connected.
+	 * @param {{connected: boolean?, isConnected: Function?}} channel
+	 * The cluster worker, child process or the current process.
+	 * @returns {boolean} true if the channel is connected.
+	 */
+	isConnected(channel) {
+		return typeof (channel.isConnected) === 'function' ? channel.isConnected() : channel.connected === true;
+	},
+
+	/**
+	 * Sends the message over the IPC channel if it is connected.
+	 * @param {{send: Function, connected: boolean?, isConnected: Function?}} channel
+	 * The cluster worker, child process or the current process.
+	 * @param {Object} message The message.
+	 * @returns {boolean} true if the message has been sent.
+	 */
+	send(channel, message) {
+		if (!this.isConnected(channel) || typeof (channel.send) !== 'function') {
+			return false;
+		}
+
+		try {
+			channel.send(message);
+			return true;
+		} catch (e) {
+			return false;
+		}
+	}
+};
@@ -0,0 +1,287 @@
+'use strict';
+
+const path = require('path');
+
+const DEFAULT_SETTLE_DELAY = 50;
+const DEFAULT_RELOAD_CONCURRENCY = 4;
+const DEFAULT_CLUSTER_TIMEOUT = 10000;
+const CLUSTER_ROLES = ['primary', 'replica'];
+const DEFAULT_SNAPSHOT_FILE = path.join('.catberry', 'watch-state.json');
+const KNOWN_OPTIONS = [
+	'settleDelay', 'rescanInterval', 'pauseOnGit', 'backend', 'cwd',
+	'ignore', 'ignoreFiles', 'polling', 'interval', 'awaitWriteFinish', 'followSymlinks',
+	'snapshot', 'statsInterval', 'reloadConcurrency', 'log', 'cluster', 'clusterTimeout'
+];
+const WRITE_FINISH_OPTIONS = ['stabilityThreshold', 'pollInterval'];
+const LOG_LEVELS = ['silent', 'error', 'info', 'debug'];
+const LOG_FORMATS = ['text', 'json'];
+const DEFAULT_LOG_OPTIONS = {
+	level: 'info',
+	format: 'text',
+	color: false,
+	timing: false
+};
+
+module.exports = {
+
+	/**
+	 * Reads and validates the "watcher" section of the Catberry config.
+	 * @param {Object} config The Catberry config.
+	 * @returns {{settleDelay: number, rescanInterval: number, statsInterval: number, reloadConcurrency: number,
+	 * pauseOnGit: boolean, backend: string|Object|undefined, cwd: string, ignoreFiles: boolean, snapshotFile: string|null,
+	 * log: {level: string, format: string, color: boolean, timing: boolean},
+	 * cluster: {mode: boolean|string, timeout: number},
+	 * watchOptions: Object}} The options, where "watchOptions" are passed to the watch backend
+	 * and "snapshotFile" is the absolute filename of the snapshot or null if it is disabled.
+	 * @throws {Error} If an option is invalid.
+	 */
+	getWatcherOptions(config) {
+		const watcherConfig = config.watcher === undefined ? {} : config.watcher;
+
+		if (!watcherConfig || typeof (watcherConfig) !== 'object' || Array.isArray(watcherConfig)) {
+			throw new Error('Watcher config should be an object');
+		}
+
+		Object.keys(watcherConfig)
+			.filter(name => KNOWN_OPTIONS.indexOf(name) === -1)
+			.forEach(name => {
+				throw new Error(`Unknown watcher option "${name}", it should be one of ${KNOWN_OPTIONS.join(', ')}`);
+			});
+
+		checkType(watcherConfig, 'settleDelay', isNonNegativeNumber, 'a non-negative number');
+		checkType(watcherConfig, 'rescanInterval', isNonNegativeNumber, 'a non-negative number');
+		checkType(watcherConfig, 'statsInterval', isNonNegativeNumber, 'a non-negative number');
+		checkType(watcherConfig, 'reloadConcurrency', isPositiveInteger, 'a positive integer');
+		checkType(watcherConfig, 'pauseOnGit', isBoolean, 'a boolean');
+		checkType(watcherConfig, 'cwd', isNonEmptyString, 'a non-empty string');
+		checkType(watcherConfig, 'ignore', isGlobList, 'a glob expression or an array of them');
+		checkType(watcherConfig, 'ignoreFiles', isBoolean, 'a boolean');
+		checkType(watcherConfig, 'polling', isBoolean, 'a boolean');
+		checkType(watcherConfig, 'interval', isPositiveNumber, 'a positive number');
+		checkType(watcherConfig, 'followSymlinks', isBoolean, 'a boolean');
+		checkType(watcherConfig, 'snapshot', value => isBoolean(value) || isNonEmptyString(value),
+			'a boolean or a filename');
+		checkWriteFinish(watcherConfig.awaitWriteFinish);
+		checkLog(watcherConfig.log);
+
+		const cwd = path.resolve(watcherConfig.cwd || process.cwd());
+
+		return {
+			settleDelay: 'settleDelay' in watcherConfig ? watcherConfig.settleDelay : DEFAULT_SETTLE_DELAY,
+			rescanInterval: watcherConfig.rescanInterval || 0,
+			statsInterval: watcherConfig.statsInterval || 0,
+			reloadConcurrency: watcherConfig.reloadConcurrency || DEFAULT_RELOAD_CONCURRENCY,
+			pauseOnGit: watcherConfig.pauseOnGit === true,
+			backend: watcherConfig.backend,
+			cwd,
+			ignoreFiles: watcherConfig.ignoreFiles !== false,
+			snapshotFile: getSnapshotFile(watcherConfig.snapshot, cwd),
+			log: Object.assign({}, DEFAULT_LOG_OPTIONS, watcherConfig.log),
+			cluster: getClusterOptions(watcherConfig),
+			watchOptions: getWatchOptions(watcherConfig, cwd)
+		};
+	}
+};
+
+/**
+ * Gets the options of the watch backend, only the configured ones are set,
+ * so the backend's defaults are used for the rest.
+ * @param {Object} watcherConfig The "watcher" section of the config.
+ * @param {string} cwd The absolute current directory.
+ * @returns {Object} The options in the format of chokidar.
+ */
+function getWatchOptions(watcherConfig, cwd) {
+	const watchOptions = {
+		ignoreInitial: true,
+		cwd
+	};
+
+	if ('ignore' in watcherConfig) {
+		watchOptions.ignored = (Array.isArray(watcherConfig.ignore) ? watcherConfig.ignore : [watcherConfig.ignore])
+			.map(expression => path.resolve(cwd, expression));
+	}
+	if ('polling' in watcherConfig) {
+		watchOptions.usePolling = watcherConfig.polling;
+	}
+	if ('interval' in watcherConfig) {
+		watchOptions.interval = watcherConfig.interval;
+	}
+	if ('awaitWriteFinish' in watcherConfig) {
+		watchOptions.awaitWriteFinish = watcherConfig.awaitWriteFinish;
+	}
+	if ('followSymlinks' in watcherConfig) {
+		watchOptions.followSymlinks = watcherConfig.followSymlinks;
+	}
+
+	return watchOptions;
+}
+
+/**
+ * Gets the options of the cluster mode.
+ * @param {Object} watcherConfig The "watcher" section of the config.
+ * @returns {{mode: boolean|string, timeout: number}} The options, where "mode" is the option "cluster"
+ * and "timeout" is the time in milliseconds the primary waits for an acknowledgement.
+ * @throws {Error} If an option is invalid.
+ */
+function getClusterOptions(watcherConfig) {
+	checkType(watcherConfig, 'cluster', value => isBoolean(value) || CLUSTER_ROLES.indexOf(value) !== -1,
+		`a boolean or one of ${CLUSTER_ROLES.join(', ')}`);
+	checkType(watcherConfig, 'clusterTimeout', isPositiveNumber, 'a positive number');
+
+	return {
+		mode: watcherConfig.cluster || false,
+		timeout: watcherConfig.clusterTimeout || DEFAULT_CLUSTER_TIMEOUT
+	};
+}
+
+/**
+ * Gets the filename of the snapshot.
+ * @param {boolean|string|undefined} snapshot The value of the option "snapshot".
+ * @param {string} cwd The absolute current directory.
+ * @returns {string|null} The absolute filename or null if the snapshot is disabled.
+ */
+function getSnapshotFile(snapshot, cwd) {
+	if (!snapshot) {
+		return null;
+	}
+
+	return path.resolve(cwd, snapshot === true ? DEFAULT_SNAPSHOT_FILE : snapshot);
+}
+
+/**
+ * Checks the type of the option if it is set.
+ * @param {Object} watcherConfig The "watcher" section of the config.
+ * @param {string} name The name of the option.
+ * @param {Function} isValid The function which checks the value.
+ * @param {string} expected The description of the expected value.
+ * @throws {Error} If the value is invalid.
+ */
+function checkType(watcherConfig, name, isValid, expected) {
+	if (name in watcherConfig && !isValid(watcherConfig[name])) {
+		throw new Error(`Watcher option "${name}" should be ${expected}, got ${JSON.stringify(watcherConfig[name])}`);
+	}
+}
+
+/**
+ * Checks the option "awaitWriteFinish" if it is set.
+ * @param {boolean|Object|undefined} awaitWriteFinish The value of the option.
+ * @throws {Error} If the value is invalid.
+ */
+function checkWriteFinish(awaitWriteFinish) {
+	if (awaitWriteFinish === undefined || isBoolean(awaitWriteFinish)) {
+		return;
+	}
+
+	if (!awaitWriteFinish || typeof (awaitWriteFinish) !== 'object' || Array.isArray(awaitWriteFinish)) {
+		throw new Error('Watcher option "awaitWriteFinish" should be a boolean or ' +
+			`an object like {${WRITE_FINISH_OPTIONS.join(', ')}}`);
+	}
+
+	Object.keys(awaitWriteFinish).forEach(name => {
+		if (WRITE_FINISH_OPTIONS.indexOf(name) === -1) {
+			throw new Error(`Unknown watcher option "awaitWriteFinish.${name}", ` +
+				`it should be one of ${WRITE_FINISH_OPTIONS.join(', ')}`);
+		}
+		if (!isPositiveNumber(awaitWriteFinish[name])) {
+			throw new Error(`Watcher option "awaitWriteFinish.${name}" should be a positive number, ` +
+				`got ${JSON.stringify(awaitWriteFinish[name])}`);
+		}
+	});
+}
+
+/**
+ * Checks the option "log" if it is set.
+ * @param {Object|undefined} log The value of the option.
+ * @throws {Error} If the value is invalid.
+ */
+function checkLog(log) {
+	if (log === undefined) {
+		return;
+	}
+
+	if (!log || typeof (log) !== 'object' || Array.isArray(log)) {
+		throw new Error('Watcher option "log" should be an object like ' +
+			`{${Object.keys(DEFAULT_LOG_OPTIONS).join(', ')}}`);
+	}
+
+	Object.keys(log)
+		.filter(name => !(name in DEFAULT_LOG_OPTIONS))
+		.forEach(name => {
+			throw new Error(`Unknown watcher option "log.${name}", ` +
+				`it should be one of ${Object.keys(DEFAULT_LOG_OPTIONS).join(', ')}`);
+		});
+
+	checkLogOption(log, 'level', value => LOG_LEVELS.indexOf(value) !== -1, `one of ${LOG_LEVELS.join(', ')}`);
+	checkLogOption(log, 'format', value => LOG_FORMATS.indexOf(value) !== -1, `one of ${LOG_FORMATS.join(', ')}`);
+	checkLogOption(log, 'color', isBoolean, 'a boolean');
+	checkLogOption(log, 'timing', isBoolean, 'a boolean');
+}
+
+/**
+ * Checks the type of the log option if it is set.
+ * @param {Object} log The "log" section of the watcher config.
+ * @param {string} name The name of the option.
+ * @param {Function} isValid The function which checks the value.
+ * @param {string} expected The description of the expected value.
+ * @throws {Error} If the value is invalid.
+ */
+function checkLogOption(log, name, isValid, expected) {
+	if (name in log && !isValid(log[name])) {
+		throw new Error(`Watcher option "log.${name}" should be ${expected}, got ${JSON.stringify(log[name])}`);
+	}
+}
+
+/**
+ * Checks if the value is a boolean.
+ * @param {*} value The value.
+ * @returns {boolean} true if the value is valid.
+ */
+function isBoolean(value) {
+	return typeof (value) === 'boolean';
+}
+
+/**
+ * Checks if the value is a finite number which is not less than zero.
+ * @param {*} value The value.
+ * @returns {boolean} true if the value is valid.
+ */
+function isNonNegativeNumber(value) {
+	return typeof (value) === 'number' && isFinite(value) && value >= 0;
+}
+
+/**
+ * Checks if the value is a finite number which is greater than zero.
+ * @param {*} value The value.
+ * @returns {boolean} true if the value is valid.
+ */
+function isPositiveNumber(value) {
+	return isNonNegativeNumber(value) && value > 0;
+}
+
+/**
+ * Checks if the value is an integer which is greater than zero.
+ * @param {*} value The value.
+ * @returns {boolean} true if the value is valid.
+ */
+function isPositiveInteger(value) {
+	return isPositiveNumber(value) && Math.floor(value) === value;
+}
+
+/**
+ * Checks if the value is a non-empty string.
+ * @param {*} value The value.
+ * @returns {boolean} true if the value is valid.
+ */
+function isNonEmptyString(value) {
+	return typeof (value) === 'string' && value !== '';
+}
+
+/**
+ * Checks if the value is a glob expression or a non-empty array of them.
+ * @param {*} value The value.
+ * @returns {boolean} true if the value is valid.
+ */
+function isGlobList(value) {
+	return isNonEmptyString(value) ||
+		(Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString));
+}
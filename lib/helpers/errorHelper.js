@@ -0,0 +1,70 @@
+'use strict';
+
+const SYNTAX_ERROR_CARET_REGEXP = /^([ \t]*)\^+[ \t]*$/m;
+const JSON_POSITION_REGEXP = /at position (\d+)/;
+
+module.exports = {
+
+	/**
+	 * Gets a location of the error inside the file.
+	 * Runtime errors are located by the stack frames,
+	 * syntax errors are located by the caret line Node puts into the stack.
+	 * @param {Error} error The error.
+	 * @param {string} filename The absolute filename of the failed module.
+	 * @returns {{line: number|null, column: number|null}} The location.
+	 */
+	getLocation(error, filename) {
+		const stack = error && typeof (error.stack) === 'string' ? error.stack : '';
+		const locationRegExp = new RegExp(`${escapeRegExp(filename)}:(\\d+)(?::(\\d+))?`);
+		const location = locationRegExp.exec(stack);
+
+		if (!location) {
+			return {line: null, column: null};
+		}
+
+		const line = parseInt(location[1], 10);
+
+		if (location[2]) {
+			return {line, column: parseInt(location[2], 10)};
+		}
+
+		const caret = SYNTAX_ERROR_CARET_REGEXP.exec(stack);
+
+		return {
+			line,
+			column: caret ? caret[1].length + 1 : null
+		};
+	},
+
+	/**
+	 * Gets a location of the JSON syntax error inside the parsed content.
+	 * @param {Error} error The error thrown by "JSON.parse".
+	 * @param {string} content The parsed content.
+	 * @returns {{line: number|null, column: number|null}} The location.
+	 */
+	getJsonLocation(error, content) {
+		const message = error && typeof (error.message) === 'string' ? error.message : '';
+		const position = JSON_POSITION_REGEXP.exec(message);
+		const offset = position ? parseInt(position[1], 10) : content.length;
+
+		if (!position && message.indexOf('Unexpected end') === -1) {
+			return {line: null, column: null};
+		}
+
+		const lines = content.slice(0, offset).split('\n');
+
+		return {
+			line: lines.length,
+			column: lines[lines.length - 1].length + 1
+		};
+	}
+};
+
+/**
+ * Escapes the string to be used in a regular expression.
+ * @param {string} string The string to escape.
+ * @returns {string} The escaped string.
+ */
+function escapeRegExp(string) {
+	return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
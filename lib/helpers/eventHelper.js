@@ -0,0 +1,119 @@
+'use strict';
+
+// the version of the envelope, it is increased on every incompatible change
+const EVENT_VERSION = 1;
+
+// the legacy events by the names of the enveloped ones,
+// "payload" gets the envelope and returns the payload of the legacy event
+const LEGACY_EVENTS = {
+	'store:add': {name: 'addStore', payload: getDescriptor},
+	'store:change': {name: 'changeStore', payload: getDescriptor},
+	'store:unlink': {name: 'unlinkStore', payload: getDescriptor},
+	'store:reload': {name: 'reloadStore', payload: getDescriptor},
+	'store:rename': {name: 'renameStore', payload: getTransition},
+	'component:add': {name: 'addComponent', payload: getDescriptor},
+	'component:unlink': {name: 'unlinkComponent', payload: getDescriptor},
+	'component:move': {name: 'moveComponent', payload: getTransition},
+	'component:rename': {name: 'renameComponent', payload: getTransition},
+	'component:changeManifest': {
+		name: 'changeComponentManifest',
+		payload: envelope => ({
+			component: envelope.descriptor,
+			previous: envelope.previous,
+			changed: envelope.reason.split(',')
+		})
+	},
+	'component:changeLogic': {name: 'changeLogic', payload: getDescriptor},
+	'component:changeTemplate': {name: 'changeTemplates', payload: getDescriptor},
+	'component:addFile': {name: 'changeComponent', payload: getComponentFile},
+	'component:changeFile': {name: 'changeComponent', payload: getComponentFile},
+	'component:unlinkFile': {name: 'changeComponent', payload: getComponentFile}
+};
+
+module.exports = {
+
+	/**
+	 * The names of the events emitted with the envelopes.
+	 */
+	EVENT_NAMES: Object.keys(LEGACY_EVENTS),
+
+	/**
+	 * The names of the legacy events emitted after the envelopes.
+	 */
+	LEGACY_EVENT_NAMES: Object.keys(LEGACY_EVENTS)
+		.map(name => LEGACY_EVENTS[name].name)
+		.filter((name, index, names) => names.indexOf(name) === index),
+
+	/**
+	 * Creates the envelope of the store's or component's event.
+	 * @param {{type: string, target: string, descriptor: Object, previous: Object?,
+	 * filename: string?, reason: string?}} fields The fields of the event, where "previous"
+	 * is the previous descriptor of the renamed, moved or changed store or component.
+	 * @param {number} sequence The sequence number of the event.
+	 * @returns {{version: number, sequence: number, timestamp: number, type: string, target: string,
+	 * name: string, descriptor: Object, previous: Object|null, filename: string, reason: string|null}}
+	 * The envelope, "filename" is the file which has caused the event, the store's or
+	 * component's path by default.
+	 */
+	createEnvelope(fields, sequence) {
+		return {
+			version: EVENT_VERSION,
+			sequence,
+			timestamp: Date.now(),
+			type: fields.type,
+			target: fields.target,
+			name: fields.descriptor.name,
+			descriptor: fields.descriptor,
+			previous: fields.previous || null,
+			filename: fields.filename || fields.descriptor.path,
+			reason: fields.reason || null
+		};
+	},
+
+	/**
+	 * Gets the name of the event the envelope is emitted with.
+	 * @param {{type: string, target: string}} envelope The envelope.
+	 * @returns {string} The name like "store:change".
+	 */
+	getEventName(envelope) {
+		return `${envelope.target}:${envelope.type}`;
+	},
+
+	/**
+	 * Converts the envelope to the event of the previous versions.
+	 * @param {{type: string, target: string}} envelope The envelope.
+	 * @returns {{name: string, payload: *}|null} The legacy event or null if there is no such one.
+	 */
+	toLegacyEvent(envelope) {
+		const legacyEvent = LEGACY_EVENTS[this.getEventName(envelope)];
+
+		return legacyEvent ? {name: legacyEvent.name, payload: legacyEvent.payload(envelope)} : null;
+	}
+};
+
+/**
+ * Gets the descriptor of the envelope.
+ * @param {{descriptor: Object}} envelope The envelope.
+ * @returns {Object} The descriptor.
+ */
+function getDescriptor(envelope) {
+	return envelope.descriptor;
+}
+
+/**
+ * Gets the previous and current descriptors of the renamed or moved store or component.
+ * @param {{descriptor: Object, previous: Object}} envelope The envelope.
+ * @returns {{from: Object, to: Object}} The transition.
+ */
+function getTransition(envelope) {
+	return {from: envelope.previous, to: envelope.descriptor};
+}
+
+/**
+ * Gets the file of the component and its descriptor.
+ * @param {{descriptor: Object, filename: string}} envelope The envelope.
+ * @returns {{filename: string, component: Object}} The file of the component.
+ */
+function getComponentFile(envelope) {
+	return {filename: envelope.filename, component: envelope.descriptor};
+}
@@ -0,0 +1,23 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const HASH_ALGORITHM = 'sha1';
+
+module.exports = {
+
+	/**
+	 * Gets a hash of the file's content.
+	 * @param {string} filename The filename.
+	 * @returns {Promise<string|null>} Promise of the hash or null
+	 * if the file can not be read.
+	 */
+	hashFile(filename) {
+		return new Promise(fulfill =>
+			fs.readFile(filename, (error, content) =>
+				fulfill(error ? null : crypto.createHash(HASH_ALGORITHM).update(content).digest('hex'))
+			)
+		);
+	}
+};
@@ -0,0 +1,202 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const errorHelper = require('./errorHelper');
+
+const COMPONENT_NAME_REGEXP = /^[\w-]+$/i;
+const DEFAULT_LOGIC_FILENAME = 'index.js';
+const LOGIC_SUFFIXES = ['', '.js', '.json', `${path.sep}index.js`];
+const STRING_FIELDS = ['name', 'logic', 'template', 'errorTemplate'];
+
+module.exports = {
+
+	/**
+	 * Validates cat-component.json the same way Catberry's component finder
+	 * reads it and checks that the files it refers to exist.
+	 * @param {string} filename The filename of cat-component.json.
+	 * @returns {Promise<Array<{field: string|null, message: string,
+	 * line: number|null, column: number|null}>>} Promise of the diagnostics,
+	 * the list is empty if the manifest is valid.
+	 */
+	validate(filename) {
+		return readFile(filename)
+			.then(content => validateContent(content, path.dirname(filename)))
+			.catch(error => [createDiagnostic(null, `The manifest can not be read: ${error.message}`)]);
+	},
+
+	/**
+	 * Gets the fields of cat-component.json which differ in the component's descriptors.
+	 * The name is changed when the descriptors' names differ even if
+	 * the manifests have no "name" field and the names come from the directories.
+	 * @param {{name: string, properties: Object}} oldDescriptor The old descriptor.
+	 * @param {{name: string, properties: Object}} newDescriptor The new descriptor.
+	 * @returns {Array<string>} The list of the changed fields.
+	 */
+	diff(oldDescriptor, newDescriptor) {
+		const oldProperties = oldDescriptor.properties || {};
+		const newProperties = newDescriptor.properties || {};
+		const fields = new Set(Object.keys(oldProperties).concat(Object.keys(newProperties)));
+		const changed = Array.from(fields)
+			.filter(field => JSON.stringify(oldProperties[field]) !== JSON.stringify(newProperties[field]));
+
+		if (oldDescriptor.name !== newDescriptor.name && changed.indexOf('name') === -1) {
+			changed.unshift('name');
+		}
+
+		return changed;
+	}
+};
+
+/**
+ * Reads the file as a string.
+ * @param {string} filename The filename.
+ * @returns {Promise<string>} Promise of the file's content.
+ */
+function readFile(filename) {
+	return new Promise((fulfill, reject) =>
+		fs.readFile(filename, 'utf8', (error, content) => (error ? reject(error) : fulfill(content)))
+	);
+}
+
+/**
+ * Validates the content of the manifest.
+ * @param {string} content The content of cat-component.json.
+ * @param {string} componentDir The directory of the component.
+ * @returns {Promise<Array<Object>>} Promise of the diagnostics.
+ */
+function validateContent(content, componentDir) {
+	let properties;
+
+	try {
+		properties = JSON.parse(content);
+	} catch (e) {
+		const location = errorHelper.getJsonLocation(e, content);
+		return Promise.resolve([createDiagnostic(null, `Invalid JSON: ${e.message}`, location)]);
+	}
+
+	if (!properties || typeof (properties) !== 'object' || Array.isArray(properties)) {
+		return Promise.resolve([createDiagnostic(null, 'The manifest must be a JSON object')]);
+	}
+
+	const diagnostics = validateFields(properties, componentDir);
+	const promise = diagnostics.length > 0 ?
+		Promise.resolve(diagnostics) :
+		validateFiles(properties, componentDir);
+
+	return promise.then(found => found.map(diagnostic => locateField(diagnostic, content)));
+}
+
+/**
+ * Validates the types and formats of the manifest's fields.
+ * @param {Object} properties The parsed manifest.
+ * @param {string} componentDir The directory of the component.
+ * @returns {Array<Object>} The diagnostics.
+ */
+function validateFields(properties, componentDir) {
+	const diagnostics = STRING_FIELDS
+		.filter(field => field in properties &&
+			(typeof (properties[field]) !== 'string' || properties[field] === ''))
+		.map(field => createDiagnostic(field, `"${field}" must be a non-empty string`));
+
+	if (!('template' in properties)) {
+		diagnostics.push(createDiagnostic('template', '"template" is a required field'));
+	}
+
+	const name = typeof (properties.name) === 'string' && properties.name !== '' ?
+		properties.name :
+		path.basename(componentDir);
+
+	if (!COMPONENT_NAME_REGEXP.test(name)) {
+		diagnostics.push(createDiagnostic('name',
+			`Component name "${name}" is incorrect, it must match ${COMPONENT_NAME_REGEXP.toString()}`));
+	}
+
+	return diagnostics;
+}
+
+/**
+ * Checks that the logic file and the templates of the component exist.
+ * @param {Object} properties The parsed manifest.
+ * @param {string} componentDir The directory of the component.
+ * @returns {Promise<Array<Object>>} Promise of the diagnostics.
+ */
+function validateFiles(properties, componentDir) {
+	const checks = [
+		checkFile('logic', componentDir, properties.logic || DEFAULT_LOGIC_FILENAME, LOGIC_SUFFIXES),
+		checkFile('template', componentDir, properties.template, [''])
+	];
+
+	if ('errorTemplate' in properties) {
+		checks.push(checkFile('errorTemplate', componentDir, properties.errorTemplate, ['']));
+	}
+
+	return Promise.all(checks)
+		.then(diagnostics => diagnostics.filter(diagnostic => diagnostic !== null));
+}
+
+/**
+ * Checks that the file referred by the manifest's field exists.
+ * @param {string} field The name of the field.
+ * @param {string} componentDir The directory of the component.
+ * @param {string} relativeFilename The filename relative to the component.
+ * @param {Array<string>} suffixes The suffixes to try like "require" does.
+ * @returns {Promise<Object|null>} Promise of the diagnostic or null if the file exists.
+ */
+function checkFile(field, componentDir, relativeFilename, suffixes) {
+	const filename = path.join(componentDir, relativeFilename);
+
+	return Promise.all(suffixes.map(suffix => isFile(filename + suffix)))
+		.then(results => (results.indexOf(true) === -1 ?
+			createDiagnostic(field, `File "${relativeFilename}" does not exist`) :
+			null));
+}
+
+/**
+ * Checks that the file exists.
+ * @param {string} filename The filename.
+ * @returns {Promise<boolean>} Promise of true if the file exists.
+ */
+function isFile(filename) {
+	return new Promise(fulfill =>
+		fs.stat(filename, (error, stats) => fulfill(!error && stats.isFile()))
+	);
+}
+
+/**
+ * Creates a diagnostic.
+ * @param {string|null} field The name of the field or null for the whole manifest.
+ * @param {string} message The message.
+ * @param {{line: number|null, column: number|null}?} location The location in the manifest.
+ * @returns {{field: string|null, message: string, line: number|null, column: number|null}}
+ * The diagnostic.
+ */
+function createDiagnostic(field, message, location) {
+	return {
+		field,
+		message,
+		line: location ? location.line : null,
+		column: location ? location.column : null
+	};
+}
+
+/**
+ * Sets the location of the diagnostic's field in the manifest.
+ * @param {Object} diagnostic The diagnostic.
+ * @param {string} content The content of the manifest.
+ * @returns {Object} The diagnostic.
+ */
+function locateField(diagnostic, content) {
+	const index = content.indexOf(`"${diagnostic.field}"`);
+
+	if (index === -1) {
+		return diagnostic;
+	}
+
+	const lines = content.slice(0, index).split('\n');
+
+	diagnostic.line = lines.length;
+	diagnostic.column = lines[lines.length - 1].length + 1;
+
+	return diagnostic;
+}
@@ -0,0 +1,118 @@
+'use strict';
+
+const path = require('path');
+const glob = require('glob');
+const minimatch = require('minimatch');
+
+const GLOBSTAR = '**';
+
+module.exports = {
+
+	/**
+	 * Creates the entry of the watched path the same way chokidar treats it:
+	 * the glob expression or the directory with all its files or the file.
+	 * @param {string} cwd The directory the relative paths are resolved from.
+	 * @param {string} watchedPath The watched path or the glob expression.
+	 * @returns {{path: string, base: string, depth: number, isGlob: boolean,
+	 * match: Function}} The entry, where "base" is the absolute directory
+	 * or filename without the glob part, "depth" is the number of the nested
+	 * levels under "base" the expression can match and "match" checks
+	 * the absolute filename.
+	 */
+	createEntry(cwd, watchedPath) {
+		const absolute = path.resolve(cwd, watchedPath);
+
+		if (!glob.hasMagic(watchedPath)) {
+			return {
+				path: watchedPath,
+				base: absolute,
+				depth: Infinity,
+				isGlob: false,
+				match: filename => filename === absolute || filename.indexOf(absolute + path.sep) === 0
+			};
+		}
+
+		const segments = absolute.split(path.sep);
+		const index = segments.findIndex(segment => glob.hasMagic(segment));
+		const pattern = new minimatch.Minimatch(absolute);
+
+		return {
+			path: watchedPath,
+			base: segments.slice(0, index).join(path.sep) || path.sep,
+			depth: segments.indexOf(GLOBSTAR, index) === -1 ? segments.length - index : Infinity,
+			isGlob: true,
+			match: filename => pattern.match(filename)
+		};
+	},
+
+	/**
+	 * Creates the matcher of the paths and glob expressions like chokidar's "ignored" option.
+	 * @param {string} cwd The directory the relative paths are resolved from.
+	 * @param {string|Array<string>} paths The paths or glob expressions.
+	 * @returns {Function} The function which checks the absolute filename.
+	 */
+	createMatcher(cwd, paths) {
+		const entries = (Array.isArray(paths) ? paths : [paths])
+			.map(watchedPath => this.createEntry(cwd, watchedPath));
+
+		return filename => entries.some(entry => entry.match(filename));
+	},
+
+	/**
+	 * Checks if the file is inside the directory within the depth.
+	 * @param {string} dir The absolute directory.
+	 * @param {number} depth The number of the nested levels.
+	 * @param {string} filename The absolute filename.
+	 * @returns {boolean} true if the file is inside.
+	 */
+	isWithin(dir, depth, filename) {
+		const relative = path.relative(dir, filename);
+
+		if (relative === '' || relative === '..' || relative.indexOf(`..${path.sep}`) === 0 ||
+			path.isAbsolute(relative)) {
+			return false;
+		}
+
+		return relative.split(path.sep).length <= depth;
+	},
+
+	/**
+	 * Groups the filenames by the directories like chokidar's "getWatched" does.
+	 * @param {string} cwd The directory the paths are relative to.
+	 * @param {Iterable<string>} filenames The absolute filenames.
+	 * @returns {Object} The lists of the files' names by the relative directories.
+	 */
+	groupByDirs(cwd, filenames) {
+		const watched = {};
+
+		Array.from(filenames).forEach(filename => {
+			const dir = path.relative(cwd, path.dirname(filename)) || '.';
+
+			watched[dir] = watched[dir] || [];
+			watched[dir].push(path.basename(filename));
+		});
+
+		return watched;
+	},
+
+	/**
+	 * Recognizes a component by a path to its internal file.
+	 * @param {string} filename The filename of the internal file of the component relative to CWD.
+	 * @param {Object} foundComponentsByDirs Hash with components by dirs
+	 * relative to the current directory of the process like the finder makes them.
+	 * @param {string} cwd The directory the filename is relative to.
+	 * @returns {{name: string, path: string, properties: Object}|null} The found component's descriptor.
+	 */
+	recognizeComponent(filename, foundComponentsByDirs, cwd) {
+		let current = path.relative(process.cwd(), path.resolve(cwd, filename)) || '.';
+
+		while (current !== '.') {
+			if (current in foundComponentsByDirs) {
+				return foundComponentsByDirs[current];
+			}
+			current = path.dirname(current);
+		}
+
+		return null;
+	}
+};
@@ -0,0 +1,340 @@
+'use strict';
+
+const assert = require('assert');
+const events = require('events');
+const fs = require('fs');
+const path = require('path');
+const chokidar = require('chokidar');
+const mkdir = require('mkdirp');
+const rimraf = require('rimraf');
+const uuid = require('uuid');
+const ServiceLocator = require('catberry-locator');
+
+const Watcher = require('../../index.js');
+
+const COMPONENTS_COUNT = 2000;
+const STORES_COUNT = Math.ceil(COMPONENTS_COUNT / 10);
+const LATENCY_SAMPLES = 20;
+
+const CHOKIDAR_OPTIONS = {
+	ignoreInitial: true,
+	useFsEvents: false,
+	cwd: process.cwd(),
+	ignorePermissionErrors: true
+};
+
+/**
+ * Converts the function with the callback to the function returning a promise.
+ * @param {Function} methodWithCallback The function with the callback.
+ * @returns {Function} The function returning a promise.
+ */
+function promisify(methodWithCallback) {
+	return (...args) =>
+		new Promise((resolve, reject) =>
+			methodWithCallback(...args, (error, result) => error ? reject(error) : resolve(result)));
+}
+
+const remove = promisify(rimraf);
+const makeDir = promisify(mkdir);
+const writeFile = promisify(fs.writeFile);
+
+/**
+ * Generates the project with the stores and components.
+ * @param {string} root The root directory of the project.
+ * @returns {Promise<{stores: Object, components: Object}>} Promise of the descriptors by names.
+ */
+function generateProject(root) {
+	const stores = {};
+	const components = {};
+	let promise = makeDir(path.join(root, 'stores'));
+
+	for (let i = 0; i < STORES_COUNT; i++) {
+		const name = `Store${i}`;
+		const filename = path.join(root, 'stores', `${name}.js`);
+
+		stores[name] = {name, path: filename};
+		promise = promise.then(() => writeFile(filename, 'module.exports = class {};'));
+	}
+
+	for (let i = 0; i < COMPONENTS_COUNT; i++) {
+		const name = `component${i}`;
+		const properties = {name, logic: 'index.js', template: 'template.html'};
+		const dir = path.join(root, 'components', name);
+
+		components[name] = {name, path: path.join(dir, 'cat-component.json'), properties};
+		promise = promise
+			.then(() => makeDir(dir))
+			.then(() => writeFile(components[name].path, JSON.stringify(properties)))
+			.then(() => writeFile(path.join(dir, 'index.js'), 'module.exports = class {};'))
+			.then(() => writeFile(path.join(dir, 'template.html'), '<div></div>'));
+	}
+
+	return promise.then(() => ({stores, components}));
+}
+
+/**
+ * Creates the locator with the finders and loaders over the generated project.
+ * @param {string} root The root directory of the project.
+ * @param {{stores: Object, components: Object}} project The descriptors by names.
+ * @returns {ServiceLocator} The locator.
+ */
+function createLocator(root, project) {
+	const locator = new ServiceLocator();
+	const componentsByDirs = {};
+
+	Object.keys(project.components).forEach(name => {
+		componentsByDirs[path.dirname(project.components[name].path)] = project.components[name];
+	});
+
+	locator.registerInstance('config', {});
+	locator.registerInstance('eventBus', new events.EventEmitter());
+	locator.registerInstance('storeFinder', {
+		find: () => Promise.resolve(project.stores),
+		getStoresGlobExpression: () => getStoresGlob(root)
+	});
+	locator.registerInstance('componentFinder', {
+		find: () => Promise.resolve(project.components),
+		getComponentsGlobExpression: () => getComponentsGlob(root),
+		getDirsOfFoundComponents: () => Object.keys(componentsByDirs),
+		getFoundComponentsByDirs: () => componentsByDirs
+	});
+	locator.registerInstance('storeLoader', {
+		reloadStore: () => Promise.resolve()
+	});
+	locator.registerInstance('componentLoader', {
+		reloadComponentByDetails: () => Promise.resolve(),
+		unloadComponentByDetails: () => {}
+	});
+
+	return locator;
+}
+
+/**
+ * Gets the glob expression of the stores.
+ * @param {string} root The root directory of the project.
+ * @returns {string} The glob expression.
+ */
+function getStoresGlob(root) {
+	return path.join(root, 'stores', '**', '*.js');
+}
+
+/**
+ * Gets the glob expression of the components' manifests.
+ * @param {string} root The root directory of the project.
+ * @returns {string} The glob expression.
+ */
+function getComponentsGlob(root) {
+	return path.join(root, 'components', '**', 'cat-component.json');
+}
+
+/**
+ * Starts the three chokidar instances the watcher used to create.
+ * @param {string} root The root directory of the project.
+ * @param {{stores: Object, components: Object}} project The descriptors by names.
+ * @returns {Promise<Array<FSWatcher>>} Promise of the ready watchers.
+ */
+function watchSeparately(root, project) {
+	const dirs = Object.keys(project.components)
+		.map(name => path.dirname(project.components[name].path));
+	const watchers = [
+		chokidar.watch(getStoresGlob(root), CHOKIDAR_OPTIONS),
+		chokidar.watch(getComponentsGlob(root), CHOKIDAR_OPTIONS),
+		chokidar.watch(dirs, CHOKIDAR_OPTIONS)
+	];
+
+	return Promise.all(watchers.map(watcher => new Promise(resolve => watcher.once('ready', resolve))))
+		.then(() => watchers);
+}
+
+/**
+ * Counts the directories and entries watched by the chokidar instances.
+ * @param {Array<FSWatcher>} watchers The chokidar instances.
+ * @returns {{instances: number, dirs: number, entries: number}} The counts.
+ */
+function countHandles(watchers) {
+	return watchers.reduce((counts, watcher) => {
+		const watched = watcher.getWatched();
+		const dirs = Object.keys(watched);
+
+		counts.dirs += dirs.length;
+		counts.entries += dirs.reduce((count, dir) => count + watched[dir].length, 0);
+
+		return counts;
+	}, {instances: watchers.length, dirs: 0, entries: 0});
+}
+
+/**
+ * Measures the time from writing the files to the first events about them.
+ * @param {Function} waitForChange The function which returns a promise of the file's change event.
+ * @param {Array<string>} filenames The files to write.
+ * @returns {Promise<{average: number, max: number}>} Promise of the latency in milliseconds.
+ */
+function measureLatency(waitForChange, filenames) {
+	const latencies = [];
+
+	return filenames
+		.reduce((promise, filename) => promise
+			.then(() => measureChange(waitForChange, filename))
+			.then(latency => latencies.push(latency)), Promise.resolve())
+		.then(() => ({
+			average: Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length),
+			max: Math.max(...latencies)
+		}));
+}
+
+/**
+ * Waits for the first event of the file emitted with the name.
+ * @param {Array<EventEmitter>} emitters The emitters of the events.
+ * @param {string} eventName The name of the event.
+ * @param {Function} getFilename The function which gets the filename from the event's payload.
+ * @param {string} filename The filename.
+ * @returns {Promise} Promise of the event.
+ */
+function waitForEvent(emitters, eventName, getFilename, filename) {
+	let listener;
+	const promise = new Promise(resolve => {
+		listener = payload => (getFilename(payload) === filename ? resolve() : null);
+	});
+
+	emitters.forEach(emitter => emitter.on(eventName, listener));
+
+	return promise.then(() => emitters.forEach(emitter => emitter.removeListener(eventName, listener)));
+}
+
+/**
+ * Waits for the first change event of the file from the chokidar instances.
+ * @param {Array<FSWatcher>} watchers The chokidar instances.
+ * @param {string} filename The filename.
+ * @returns {Promise} Promise of the event.
+ */
+function waitForRawChange(watchers, filename) {
+	return waitForEvent(watchers, 'change', changed => changed, filename);
+}
+
+/**
+ * Waits for the watcher's event of the changed file of the component.
+ * @param {Watcher} watcher The watcher.
+ * @param {string} filename The filename.
+ * @returns {Promise} Promise of the event.
+ */
+function waitForComponentChange(watcher, filename) {
+	return waitForEvent([watcher], 'component:changeFile', envelope => envelope.filename, filename);
+}
+
+/**
+ * Measures the time from writing the file to the first event about it.
+ * @param {Function} waitForChange The function which returns a promise of the file's change event.
+ * @param {string} filename The file to write.
+ * @returns {Promise<number>} Promise of the latency in milliseconds.
+ */
+function measureChange(waitForChange, filename) {
+	const startedAt = Date.now();
+
+	return Promise.all([waitForChange(filename), writeFile(filename, '// changed')])
+		.then(() => Date.now() - startedAt);
+}
+
+/**
+ * Gets the logic files of the evenly picked components.
+ * @param {{stores: Object, components: Object}} project The descriptors by names.
+ * @returns {Array<string>} The filenames.
+ */
+function getSampleFilenames(project) {
+	const names = Object.keys(project.components);
+	const step = Math.max(1, Math.floor(names.length / LATENCY_SAMPLES));
+
+	return names
+		.filter((name, index) => index % step === 0)
+		.slice(0, LATENCY_SAMPLES)
+		.map(name => path.join(path.dirname(project.components[name].path), 'index.js'));
+}
+
+/**
+ * Prints the results of the measurement.
+ * @param {string} title The title of the measured design.
+ * @param {{readyTime: number, handles: Object, latency: Object}} result The results.
+ */
+function report(title, {readyTime, handles, latency}) {
+	process.stdout.write(`      ${title}: ready in ${readyTime} ms, ` +
+		`${handles.instances} instance(s), ${handles.dirs} directories, ${handles.entries} entries, ` +
+		`latency ${latency.average} ms on average, ${latency.max} ms at most\n`);
+}
+
+/**
+ * Measures the three chokidar instances the watcher used to create.
+ * @param {string} root The root directory of the project.
+ * @param {{stores: Object, components: Object}} project The descriptors by names.
+ * @returns {Promise<{readyTime: number, handles: Object, latency: Object}>}
+ * Promise of the results.
+ */
+function benchmarkSeparately(root, project) {
+	const startedAt = Date.now();
+	const result = {};
+	let separateWatchers = [];
+
+	return watchSeparately(root, project)
+		.then(watchers => {
+			separateWatchers = watchers;
+			result.readyTime = Date.now() - startedAt;
+			result.handles = countHandles(watchers);
+
+			return measureLatency(filename => waitForRawChange(watchers, filename), getSampleFilenames(project));
+		})
+		.then(latency => (result.latency = latency))
+		.then(() => separateWatchers.forEach(watcher => watcher.close()))
+		.then(() => result);
+}
+
+/**
+ * Measures the watcher with the shared chokidar instance. The latency is measured
+ * up to the watcher's event of the component's file, so the routing and batching are included.
+ * @param {string} root The root directory of the project.
+ * @param {{stores: Object, components: Object}} project The descriptors by names.
+ * @returns {Promise<{readyTime: number, handles: Object, latency: Object}>}
+ * Promise of the results.
+ */
+function benchmarkShared(root, project) {
+	const startedAt = Date.now();
+	const watcher = new Watcher(createLocator(root, project));
+	const result = {};
+
+	return watcher.watch()
+		.then(watchers => {
+			result.readyTime = Date.now() - startedAt;
+			result.handles = countHandles(watchers);
+
+			return measureLatency(filename => waitForComponentChange(watcher, filename), getSampleFilenames(project));
+		})
+		.then(latency => (result.latency = latency))
+		.then(() => watcher.close())
+		.then(() => result);
+}
+
+describe('benchmark/Watcher', () => {
+	const root = path.join('test', 'benchmark', `__tmp__${uuid.v4()}`);
+	let project;
+
+	before(() => generateProject(root)
+		.then(generated => (project = generated)));
+
+	after(() => remove(root));
+
+	it(`should watch ${COMPONENTS_COUNT} components with fewer handles than the separate instances`, () => {
+		let separate;
+
+		return benchmarkSeparately(root, project)
+			.then(result => {
+				separate = result;
+				report('separate instances', separate);
+
+				return benchmarkShared(root, project);
+			})
+			.then(shared => {
+				report('shared instance', shared);
+
+				assert.strictEqual(shared.handles.instances, 1);
+				assert.ok(shared.handles.entries < separate.handles.entries);
+				assert.ok(shared.handles.dirs <= separate.handles.dirs);
+			});
+	});
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const assert = require('assert');
+const Batcher = require('../../lib/Batcher');
+
+describe('lib/Batcher', () => {
+	describe('#push', () => {
+		it('should flush coalesced events once the window is settled', done => {
+			const batcher = new Batcher(10, events => {
+				assert.deepEqual(events, [
+					{target: 'store', kind: 'add', filename: 'stores/A.js'},
+					{target: 'componentFile', kind: 'change', filename: 'components/a/index.js'}
+				]);
+				done();
+			});
+
+			batcher.push('store', 'add', 'stores/A.js');
+			batcher.push('store', 'change', 'stores/A.js');
+			batcher.push('componentFile', 'unlink', 'components/a/index.js');
+			batcher.push('componentFile', 'add', 'components/a/index.js');
+		});
+
+		it('should drop a file which has been added and removed within the window', done => {
+			const batcher = new Batcher(10, events => {
+				assert.deepEqual(events, [
+					{target: 'store', kind: 'unlink', filename: 'stores/B.js'}
+				]);
+				done();
+			});
+
+			batcher.push('store', 'add', 'stores/A.js');
+			batcher.push('store', 'change', 'stores/B.js');
+			batcher.push('store', 'unlink', 'stores/A.js');
+			batcher.push('store', 'unlink', 'stores/B.js');
+		});
+
+		it('should restart the window on every new event', done => {
+			const startedAt = Date.now();
+			const batcher = new Batcher(30, events => {
+				assert.strictEqual(events.length, 1);
+				assert.ok(Date.now() - startedAt >= 50);
+				done();
+			});
+
+			batcher.push('store', 'change', 'stores/A.js');
+			setTimeout(() => batcher.push('store', 'change', 'stores/A.js'), 20);
+		});
+	});
+
+	describe('#flush', () => {
+		it('should not call the handler when nothing is pending', () => {
+			const batcher = new Batcher(10, () => assert.fail('handler is called'));
+
+			batcher.flush();
+			assert.strictEqual(batcher.size, 0);
+		});
+	});
+
+	describe('#pause', () => {
+		it('should queue events until the batcher is resumed', done => {
+			let handled = null;
+			const batcher = new Batcher(10, events => (handled = events));
+
+			batcher.pause();
+			batcher.push('store', 'add', 'stores/A.js');
+			batcher.push('store', 'change', 'stores/A.js');
+			batcher.flush();
+
+			setTimeout(() => {
+				assert.strictEqual(handled, null);
+				assert.strictEqual(batcher.paused, true);
+
+				batcher.resume();
+				assert.deepEqual(handled, [{target: 'store', kind: 'add', filename: 'stores/A.js'}]);
+				done();
+			}, 30);
+		});
+	});
+
+	describe('#clear', () => {
+		it('should drop pending events', done => {
+			const batcher = new Batcher(10, () => assert.fail('handler is called'));
+
+			batcher.push('store', 'change', 'stores/A.js');
+			batcher.clear();
+
+			assert.strictEqual(batcher.size, 0);
+			setTimeout(done, 30);
+		});
+	});
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const assert = require('assert');
+const events = require('events');
+const path = require('path');
+const ServiceLocator = require('catberry-locator');
+const Cli = require('../../lib/Cli');
+const MemoryBackend = require('../../lib/backends/MemoryBackend');
+
+const CONFIG_FILENAME = path.join('test', 'cases', 'lib', 'Cli', 'config.json');
+const CASE_PATH = path.join('test', 'cases', 'lib', 'finders');
+
+/**
+ * Creates a stream which collects the written chunks.
+ * @returns {{write: Function, chunks: Array<string>}} The stream.
+ */
+function createStream() {
+	const chunks = [];
+
+	return {chunks, write: chunk => chunks.push(chunk)};
+}
+
+describe('lib/Cli', () => {
+	let stdout, stderr;
+
+	beforeEach(() => {
+		stdout = createStream();
+		stderr = createStream();
+	});
+
+	describe('#run', () => {
+		it('should print the found stores and components as JSON lines', () => {
+			const cli = new Cli(stdout, stderr);
+
+			return cli.run(['--once', CONFIG_FILENAME])
+				.then(exitCode => {
+					const lines = stdout.chunks.map(chunk => JSON.parse(chunk));
+
+					assert.strictEqual(exitCode, 0);
+					assert.deepEqual(lines.map(line => line.event), [
+						'foundStore', 'foundStore', 'foundStore', 'foundStore', 'foundStore', 'foundComponent'
+					]);
+					assert.strictEqual(lines[1].payload.name, 'Test1');
+					assert.strictEqual(lines[5].payload.name, 'cool');
+					assert.strictEqual(typeof (lines[0].time), 'string');
+				});
+		});
+
+		it('should print the found stores and components as text', () => {
+			const cli = new Cli(stdout, stderr);
+
+			return cli.run(['--pretty', '--once', '--config', CONFIG_FILENAME])
+				.then(exitCode => {
+					assert.strictEqual(exitCode, 0);
+					assert.ok(/^\[\d{2}:\d{2}:\d{2}\] foundComponent cool \(.+test-cat-component\.json\)\n$/
+						.test(stdout.chunks[5]));
+				});
+		});
+
+		it('should print the usage and return 2 if the option is unknown', () => {
+			const cli = new Cli(stdout, stderr);
+
+			return cli.run(['--unknown'])
+				.then(exitCode => {
+					assert.strictEqual(exitCode, 2);
+					assert.strictEqual(stdout.chunks.length, 0);
+					assert.ok(/^Unknown option "--unknown"\n\nUsage:/.test(stderr.chunks[0]));
+				});
+		});
+
+		it('should print the usage to stdout if the help is requested', () => {
+			const cli = new Cli(stdout, stderr);
+
+			return cli.run(['-h'])
+				.then(exitCode => {
+					assert.strictEqual(exitCode, 0);
+					assert.ok(/^Usage:/.test(stdout.chunks[0]));
+				});
+		});
+
+		it('should return 1 if the config cannot be loaded', () => {
+			const cli = new Cli(stdout, stderr);
+
+			return cli.run([path.join('test', 'cases', 'lib', 'Cli', 'missing.json')])
+				.then(exitCode => {
+					assert.strictEqual(exitCode, 1);
+					assert.ok(/Cannot find module/.test(stderr.chunks[0]));
+				});
+		});
+
+		it('should print the events of the watcher until it is stopped', () => {
+			const backend = new MemoryBackend();
+			const storeFilename = path.join(CASE_PATH, 'StoreFinder', 'watch', 'Store.js');
+			const cli = new Cli(stdout, stderr, () => {
+				const locator = new ServiceLocator();
+
+				locator.registerInstance('eventBus', new events.EventEmitter());
+				locator.registerInstance('config', {watcher: {backend}});
+				locator.registerInstance('storeFinder', {
+					find: () => Promise.resolve({Store: {name: 'Store', path: storeFilename}}),
+					getStoresGlobExpression: () => path.join(path.dirname(storeFilename), '**', '*.js'),
+					_createStoreDescriptor: filename => ({name: path.basename(filename, '.js'), path: filename}),
+					addStoreByFilename: filename => ({name: path.basename(filename, '.js'), path: filename})
+				});
+				locator.registerInstance('componentFinder', {
+					find: () => Promise.resolve({}),
+					getComponentsGlobExpression: () => path.join('components', '**', 'cat-component.json'),
+					getDirsOfFoundComponents: () => [],
+					getFoundComponentsByDirs: () => ({})
+				});
+				locator.registerInstance('storeLoader', {reloadStore: () => null});
+				locator.registerInstance('componentLoader', {});
+
+				return locator;
+			});
+
+			const runPromise = cli.run([]);
+
+			// the same promise of the ready watcher is returned while it is starting
+			return cli.watcher.watch()
+				.then(() => {
+					cli.watcher.storeHashes.set(storeFilename, 'previous');
+					backend.emit('change', storeFilename);
+					cli.watcher.batcher.flush();
+
+					return cli.watcher.batchQueue;
+				})
+				.then(() => cli.stop())
+				.then(() => runPromise)
+				.then(exitCode => {
+					const names = stdout.chunks.map(chunk => JSON.parse(chunk).event);
+
+					assert.strictEqual(exitCode, 0);
+					assert.deepEqual(names.filter(name => name.indexOf('store:') === 0 || name === 'close'),
+						['store:change', 'store:reload', 'close']);
+					assert.strictEqual(names.indexOf('changeStore'), -1);
+					assert.strictEqual(JSON.parse(stdout.chunks[names.indexOf('store:change')]).payload.name, 'Store');
+				});
+		});
+	});
+});
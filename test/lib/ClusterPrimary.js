@@ -0,0 +1,187 @@
+'use strict';
+
+const assert = require('assert');
+const events = require('events');
+const ClusterPrimary = require('../../lib/ClusterPrimary');
+
+/**
+ * Creates a fake cluster worker which collects the sent messages.
+ * @param {number} id The ID of the worker.
+ * @returns {EventEmitter} The worker.
+ */
+function createWorker(id) {
+	const worker = new events.EventEmitter();
+
+	worker.id = id;
+	worker.messages = [];
+	worker.isConnected = () => true;
+	worker.send = message => worker.messages.push(message);
+
+	return worker;
+}
+
+/**
+ * Creates a fake child process which collects the sent messages.
+ * @param {number} pid The process ID of the child.
+ * @returns {EventEmitter} The child process.
+ */
+function createChild(pid) {
+	const child = createWorker(pid);
+
+	delete child.isConnected;
+	child.pid = pid;
+	child.connected = true;
+
+	return child;
+}
+
+/**
+ * Creates the message the replica sends when it is ready.
+ * @returns {Object} The message.
+ */
+function createReadyMessage() {
+	return {type: 'catberry-watcher:ready'};
+}
+
+describe('lib/ClusterPrimary', () => {
+	let cluster, primary;
+
+	beforeEach(() => {
+		cluster = new events.EventEmitter();
+		cluster.workers = {1: createWorker(1), 2: createWorker(2)};
+		primary = new ClusterPrimary(cluster, 1000);
+		primary.start();
+		cluster.emit('message', cluster.workers[1], createReadyMessage());
+		cluster.emit('message', cluster.workers[2], createReadyMessage());
+		cluster.workers[1].messages = [];
+		cluster.workers[2].messages = [];
+	});
+
+	afterEach(() => primary.stop());
+
+	describe('#start', () => {
+		it('should ask the workers and children to announce themselves', () => {
+			const child = createChild(42);
+
+			primary.stop();
+			primary.addChild(child);
+			primary.start();
+
+			assert.deepEqual(cluster.workers[1].messages, [createReadyMessage()]);
+			assert.deepEqual(child.messages, [createReadyMessage()]);
+		});
+	});
+
+	describe('#stop', () => {
+		it('should remove the listeners of the children and keep them for the next start', () => {
+			const child = createChild(42);
+
+			primary.addChild(child);
+			assert.strictEqual(child.listenerCount('message'), 1);
+			assert.strictEqual(child.listenerCount('exit'), 1);
+
+			primary.stop();
+			assert.strictEqual(child.listenerCount('message'), 0);
+			assert.strictEqual(child.listenerCount('exit'), 0);
+
+			primary.start();
+			child.emit('message', createReadyMessage());
+			primary.broadcast('store:change', {name: 'Main'});
+
+			assert.strictEqual(child.listenerCount('message'), 1);
+			assert.deepEqual(child.messages.map(message => message.type), [
+				'catberry-watcher:ready', 'catberry-watcher:event'
+			]);
+		});
+
+		it('should forget the children which have exited while it was stopped', () => {
+			const child = createChild(42);
+
+			primary.addChild(child);
+			child.emit('message', createReadyMessage());
+			primary.stop();
+			child.connected = false;
+			primary.start();
+			child.connected = true;
+			primary.broadcast('store:change', {name: 'Main'});
+
+			assert.strictEqual(child.listenerCount('message'), 0);
+			assert.deepEqual(child.messages, []);
+		});
+	});
+
+	describe('#broadcast', () => {
+		it('should send the event to all the workers', () => {
+			primary.broadcast('store:change', {name: 'Main'});
+
+			assert.deepEqual(cluster.workers[1].messages, [
+				{type: 'catberry-watcher:event', name: 'store:change', payload: {name: 'Main'}}
+			]);
+			assert.deepEqual(cluster.workers[2].messages, cluster.workers[1].messages);
+		});
+
+		it('should not send the events which are not about the stores, components and dependencies', () => {
+			primary.broadcast('stats', {batches: 1});
+			primary.broadcast('changeDependency', {filename: 'lib/helper.js'});
+
+			assert.deepEqual(cluster.workers[1].messages, [
+				{type: 'catberry-watcher:event', name: 'changeDependency', payload: {filename: 'lib/helper.js'}}
+			]);
+		});
+
+		it('should not send the event to the replicas which have not announced themselves', () => {
+			const child = createChild(42);
+
+			cluster.workers[3] = createWorker(3);
+			primary.addChild(child);
+			primary.broadcast('store:change', {name: 'Main'});
+
+			assert.deepEqual(cluster.workers[3].messages, []);
+			assert.deepEqual(child.messages, []);
+			assert.strictEqual(cluster.workers[1].messages.length, 1);
+		});
+	});
+
+	describe('#reload', () => {
+		it('should resolve the results when all the workers have acknowledged the reload', () => {
+			const promise = primary.reload({target: 'store', operation: 'reload', descriptor: {name: 'Main'}});
+			const {id} = cluster.workers[1].messages[0];
+
+			cluster.emit('message', cluster.workers[2], {type: 'catberry-watcher:ack', id, isSucceeded: false, message: 'boom'});
+			cluster.emit('message', cluster.workers[1], {type: 'catberry-watcher:ack', id, isSucceeded: true});
+
+			return promise.then(replicas => assert.deepEqual(replicas, [
+				{id: 'worker:2', isSucceeded: false, message: 'boom'},
+				{id: 'worker:1', isSucceeded: true, message: null}
+			]));
+		});
+
+		it('should resolve no results when no replica has announced itself', () => {
+			primary.stop();
+			primary = new ClusterPrimary(cluster, 1000);
+			primary.start();
+
+			return primary.reload({target: 'store', operation: 'reload', descriptor: {name: 'Main'}})
+				.then(replicas => assert.deepEqual(replicas, []));
+		});
+
+		it('should fail the replicas which have exited or not answered in time', () => {
+			const child = createChild(42);
+
+			primary.setAckTimeout(10);
+			primary.addChild(child);
+			child.emit('message', createReadyMessage());
+
+			const promise = primary.reload({target: 'component', operation: 'unload', descriptor: {name: 'page'}});
+
+			cluster.emit('exit', cluster.workers[1]);
+			child.emit('message', {type: 'catberry-watcher:ack', id: child.messages[0].id, isSucceeded: true});
+
+			return promise.then(replicas => assert.deepEqual(replicas, [
+				{id: 'worker:1', isSucceeded: false, message: 'The replica has exited'},
+				{id: 'process:42', isSucceeded: true, message: null},
+				{id: 'worker:2', isSucceeded: false, message: 'No acknowledgement in 10 ms'}
+			]));
+		});
+	});
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+const assert = require('assert');
+const events = require('events');
+const ClusterReplica = require('../../lib/ClusterReplica');
+
+describe('lib/ClusterReplica', () => {
+	let channel, replica;
+
+	beforeEach(() => {
+		channel = new events.EventEmitter();
+		channel.connected = true;
+		channel.messages = [];
+		channel.send = message => channel.messages.push(message);
+		replica = new ClusterReplica(channel);
+	});
+
+	afterEach(() => replica.stop());
+
+	describe('#start', () => {
+		it('should announce the replica on start and when the primary asks', () => {
+			replica.start({onEvent: () => {}, onReload: () => {}});
+			channel.emit('message', {type: 'catberry-watcher:ready'});
+
+			assert.deepEqual(channel.messages, [
+				{type: 'catberry-watcher:ready'},
+				{type: 'catberry-watcher:ready'}
+			]);
+		});
+
+		it('should pass the events of the primary and ignore the other messages', () => {
+			const received = [];
+
+			replica.start({
+				onEvent: (name, payload) => received.push({name, payload}),
+				onReload: () => assert.fail('The reload should not be applied')
+			});
+			channel.emit('message', {type: 'application:message'});
+			channel.emit('message', {type: 'catberry-watcher:event', name: 'store:change', payload: {name: 'Main'}});
+
+			assert.deepEqual(received, [{name: 'store:change', payload: {name: 'Main'}}]);
+		});
+
+		it('should repeat the registrations of the primary before passing its events', () => {
+			const calls = [];
+			const previous = {name: 'Main', path: 'stores/Main.js'};
+			const descriptor = {name: 'Renamed', path: 'stores/Renamed.js'};
+
+			replica.start({
+				onEvent: name => calls.push(['event', name]),
+				onReload: () => assert.fail('The reload should not be applied'),
+				onRegister: (target, registered) => calls.push(['register', target, registered.name]),
+				onUnregister: (target, unregistered) => calls.push(['unregister', target, unregistered.name]),
+				onChangeDependency: payload => calls.push(['changeDependency', payload.filename])
+			});
+			channel.emit('message', {
+				type: 'catberry-watcher:event', name: 'store:rename', payload: {target: 'store', descriptor, previous}
+			});
+			channel.emit('message', {
+				type: 'catberry-watcher:event', name: 'component:unlink',
+				payload: {target: 'component', descriptor: {name: 'page', path: 'components/page/cat-component.json'}}
+			});
+			channel.emit('message', {
+				type: 'catberry-watcher:event', name: 'changeDependency',
+				payload: {filename: 'lib/helper.js', stores: [], components: []}
+			});
+
+			assert.deepEqual(calls, [
+				['unregister', 'store', 'Main'],
+				['register', 'store', 'Renamed'],
+				['event', 'store:rename'],
+				['unregister', 'component', 'page'],
+				['event', 'component:unlink'],
+				['changeDependency', 'lib/helper.js'],
+				['event', 'changeDependency']
+			]);
+		});
+
+		it('should acknowledge the applied and failed reloads', () => {
+			const reloads = [];
+
+			replica.start({
+				onEvent: () => {},
+				onReload: reload => {
+					reloads.push(reload);
+					return reload.operation === 'reload' ? Promise.resolve() : Promise.reject(new Error('boom'));
+				}
+			});
+			channel.emit('message', {
+				type: 'catberry-watcher:reload', id: 1, target: 'store', operation: 'reload', descriptor: {name: 'Main'}
+			});
+			channel.emit('message', {
+				type: 'catberry-watcher:reload', id: 2, target: 'component', operation: 'unload', descriptor: {name: 'page'}
+			});
+
+			channel.messages = [];
+
+			return new Promise(fulfill => setTimeout(fulfill, 10))
+				.then(() => {
+					assert.deepEqual(reloads, [
+						{target: 'store', operation: 'reload', descriptor: {name: 'Main'}},
+						{target: 'component', operation: 'unload', descriptor: {name: 'page'}}
+					]);
+					assert.deepEqual(channel.messages, [
+						{type: 'catberry-watcher:ack', id: 1, isSucceeded: true, message: null},
+						{type: 'catberry-watcher:ack', id: 2, isSucceeded: false, message: 'boom'}
+					]);
+				});
+		});
+	});
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const assert = require('assert');
+const ConflictTracker = require('../../lib/ConflictTracker');
+
+describe('lib/ConflictTracker', () => {
+	let tracker;
+
+	beforeEach(() => {
+		tracker = new ConflictTracker();
+		tracker.add('component', 'page', 'components/page/cat-component.json', 'components/copy/cat-component.json');
+		tracker.add('store', 'Main', 'stores/Main.js', 'stores/Main.es6.js');
+	});
+
+	describe('#add', () => {
+		it('should remember the conflicting file', () => {
+			assert.strictEqual(tracker.size, 2);
+			assert.strictEqual(tracker.has('component', 'components/copy/cat-component.json'), true);
+			assert.strictEqual(tracker.has('store', 'components/copy/cat-component.json'), false);
+		});
+	});
+
+	describe('#remove', () => {
+		it('should forget the conflict and return it', () => {
+			assert.deepEqual(tracker.remove('store', 'stores/Main.es6.js'), {
+				target: 'store',
+				name: 'Main',
+				registered: 'stores/Main.js',
+				conflicting: 'stores/Main.es6.js'
+			});
+			assert.strictEqual(tracker.size, 1);
+		});
+
+		it('should return null for the file without conflicts', () => {
+			assert.strictEqual(tracker.remove('store', 'stores/Main.js'), null);
+			assert.strictEqual(tracker.size, 2);
+		});
+	});
+
+	describe('#getConflictsByName', () => {
+		it('should return the conflicts waiting for the name', () => {
+			tracker.add('component', 'page', 'components/page/cat-component.json', 'components/copy2/cat-component.json');
+
+			assert.deepEqual(
+				tracker.getConflictsByName('component', 'page').map(conflict => conflict.conflicting),
+				['components/copy/cat-component.json', 'components/copy2/cat-component.json']
+			);
+			assert.deepEqual(tracker.getConflictsByName('store', 'page'), []);
+		});
+	});
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const DependencyGraph = require('../../lib/DependencyGraph');
+
+const ROOT = path.resolve('project');
+const STORE = path.join(ROOT, 'catberry_stores', 'Store.js');
+const LOGIC = path.join(ROOT, 'catberry_components', 'page', 'index.js');
+const API_CLIENT = path.join(ROOT, 'lib', 'api-client.js');
+const URL_HELPER = path.join(ROOT, 'lib', 'url.js');
+const CONFIG = path.join(ROOT, 'config.js');
+const LIBRARY = path.join(ROOT, 'node_modules', 'library', 'index.js');
+const LOADER = path.join(ROOT, 'node_modules', 'catberry', 'lib', 'loaders', 'StoreLoader.js');
+const ENTRY = path.join(ROOT, 'run.js');
+
+/**
+ * Creates a fake module cache with the store and the component depending on
+ * the shared helpers.
+ * @returns {Object} The module cache.
+ */
+function createModuleCache() {
+	const cache = {};
+	const addModule = (id, children) => {
+		cache[id] = {id, children: children.map(child => cache[child])};
+	};
+
+	addModule(LIBRARY, []);
+	addModule(URL_HELPER, [LIBRARY]);
+	addModule(API_CLIENT, [URL_HELPER, LIBRARY]);
+	addModule(CONFIG, []);
+	addModule(STORE, [API_CLIENT, CONFIG]);
+	addModule(LOGIC, [URL_HELPER]);
+	addModule(LOADER, [STORE]);
+	addModule(ENTRY, [LOADER, API_CLIENT]);
+
+	return cache;
+}
+
+describe('lib/DependencyGraph', () => {
+	let cache, graph;
+
+	beforeEach(() => {
+		cache = createModuleCache();
+		graph = new DependencyGraph(cache);
+		graph.track('store', {name: 'Store'}, STORE);
+		graph.track('component', {name: 'page'}, LOGIC);
+	});
+
+	describe('#collect', () => {
+		it('should collect transitive dependencies except node_modules', () => {
+			assert.deepEqual(Array.from(graph.collect(STORE)).sort(), [CONFIG, API_CLIENT, URL_HELPER].sort());
+		});
+
+		it('should return nothing for a module which is not loaded', () => {
+			assert.strictEqual(graph.collect(path.join(ROOT, 'unknown.js')).size, 0);
+		});
+	});
+
+	describe('#getFilenames', () => {
+		it('should return all tracked dependencies once', () => {
+			assert.deepEqual(graph.getFilenames().sort(), [CONFIG, API_CLIENT, URL_HELPER].sort());
+		});
+
+		it('should forget dependencies of untracked owners', () => {
+			graph.untrack('store');
+			assert.deepEqual(graph.getFilenames(), [URL_HELPER]);
+		});
+	});
+
+	describe('#getDependents', () => {
+		it('should return all owners depending on the module transitively', () => {
+			assert.deepEqual(graph.getDependents(URL_HELPER), [{name: 'Store'}, {name: 'page'}]);
+			assert.deepEqual(graph.getDependents(CONFIG), [{name: 'Store'}]);
+		});
+	});
+
+	describe('#purge', () => {
+		it('should remove the module and its parents from the cache', () => {
+			const purged = graph.purge(API_CLIENT);
+
+			assert.deepEqual(purged.sort(), [API_CLIENT, STORE].sort());
+			assert.deepEqual(Object.keys(cache).sort(), [LIBRARY, URL_HELPER, CONFIG, LOGIC, LOADER, ENTRY].sort());
+		});
+
+		it('should keep the parents outside of the owners\' chains cached', () => {
+			const purged = graph.purge(URL_HELPER);
+
+			assert.deepEqual(purged.sort(), [URL_HELPER, API_CLIENT, STORE, LOGIC].sort());
+			assert.ok(cache[ENTRY]);
+			assert.ok(cache[LOADER]);
+		});
+
+		it('should remove only the module without the owners', () => {
+			graph.untrack('store');
+			graph.untrack('component');
+
+			assert.deepEqual(graph.purge(API_CLIENT), [API_CLIENT]);
+			assert.ok(cache[STORE]);
+			assert.ok(cache[ENTRY]);
+		});
+	});
+});
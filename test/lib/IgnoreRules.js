@@ -0,0 +1,144 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const uuid = require('uuid');
+const mkdirp = require('mkdirp');
+const rimraf = require('rimraf');
+const IgnoreRules = require('../../lib/IgnoreRules');
+
+/**
+ * Converts a method with a callback to a method returning a promise.
+ * @param {Function} methodWithCallback The method with a callback.
+ * @returns {Function} The method returning a promise.
+ */
+function promisify(methodWithCallback) {
+	return (...args) =>
+		new Promise((resolve, reject) => {
+			args.push((error, result) => error ? reject(error) : resolve(result));
+			methodWithCallback(...args);
+		});
+}
+
+const mkdir = promisify(mkdirp);
+const remove = promisify(rimraf);
+const writeFile = promisify(fs.writeFile);
+
+const CASE_PATH = path.join('test', 'cases', 'lib', 'IgnoreRules');
+
+/**
+ * Writes the ignore files creating their directories.
+ * @param {string} root The root directory.
+ * @param {Object} contentsByFilenames The lines of the files by the relative filenames.
+ * @returns {Promise} Promise of the written files.
+ */
+function writeIgnoreFiles(root, contentsByFilenames) {
+	return Promise.all(Object.keys(contentsByFilenames).map(filename => {
+		const absolute = path.join(root, filename);
+
+		return mkdir(path.dirname(absolute))
+			.then(() => writeFile(absolute, contentsByFilenames[filename].join('\n')));
+	}));
+}
+
+describe('lib/IgnoreRules', () => {
+	let root, rules;
+
+	beforeEach(() => {
+		root = path.resolve(CASE_PATH, `__tmp__${uuid.v4()}`);
+		rules = new IgnoreRules(root);
+
+		return writeIgnoreFiles(root, {
+			'.gitignore': ['# editors', '*.swp', '*~', '.#*', 'build/', '*.log', '!keep.swp'],
+			[path.join('components', '.gitignore')]: ['snapshots/', '/local.js', '!debug.log'],
+			'.catberryignore': ['*.tmp', '!dist/index.js'],
+			[path.join('dist', '.gitignore')]: ['*']
+		});
+	});
+
+	afterEach(() => remove(root));
+
+	describe('#load', () => {
+		it('should load the ignore files ordered by their precedence', () =>
+			rules.load()
+				.then(files => assert.deepEqual(files, [
+					'.gitignore',
+					path.join('components', '.gitignore'),
+					path.join('dist', '.gitignore'),
+					'.catberryignore'
+				]))
+		);
+
+		it('should replace the rules with the changed ones', () =>
+			rules.load()
+				.then(() => writeIgnoreFiles(root, {'.gitignore': ['*.log']}))
+				.then(() => rules.load())
+				.then(() => {
+					assert.strictEqual(rules.isIgnored('page.swp'), false);
+					assert.strictEqual(rules.isIgnored('error.log'), true);
+				})
+		);
+
+		it('should not read the ignore files if disabled', () => {
+			rules = new IgnoreRules(root, false);
+
+			return rules.load()
+				.then(files => {
+					assert.deepEqual(files, []);
+					assert.strictEqual(rules.isIgnored('page.swp'), false);
+				});
+		});
+	});
+
+	describe('#isIgnored', () => {
+		beforeEach(() => rules.load());
+
+		it('should ignore the files like git does', () => {
+			assert.strictEqual(rules.isIgnored(path.join('components', 'page', '.index.js.swp')), true);
+			assert.strictEqual(rules.isIgnored(path.join('components', 'page', 'index.js~')), true);
+			assert.strictEqual(rules.isIgnored(path.join('components', 'page', '.#index.js')), true);
+			assert.strictEqual(rules.isIgnored(path.join('components', 'page', 'build', 'index.js')), true);
+			assert.strictEqual(rules.isIgnored(path.join('components', 'page', 'keep.swp')), false);
+			assert.strictEqual(rules.isIgnored(path.join('components', 'page', 'index.js')), false);
+		});
+
+		it('should apply the nested ignore files to their directories', () => {
+			assert.strictEqual(rules.isIgnored(path.join('components', 'page', 'snapshots', 'page.html')), true);
+			assert.strictEqual(rules.isIgnored(path.join('snapshots', 'page.html')), false);
+			assert.strictEqual(rules.isIgnored(path.join('components', 'local.js')), true);
+			assert.strictEqual(rules.isIgnored(path.join('components', 'page', 'local.js')), false);
+			assert.strictEqual(rules.isIgnored(path.join('components', 'debug.log')), false);
+			assert.strictEqual(rules.isIgnored('debug.log'), true);
+		});
+
+		it('should let .catberryignore take precedence over .gitignore', () => {
+			assert.strictEqual(rules.isIgnored(path.join('components', 'page', 'index.tmp')), true);
+			assert.strictEqual(rules.isIgnored(path.join('dist', 'index.js')), false);
+			assert.strictEqual(rules.isIgnored(path.join('dist', 'vendor.js')), true);
+		});
+
+		it('should not apply the rules inside the ignored bases of the explicitly watched paths', () => {
+			rules.setExplicitPaths([path.join('build', '*', 'cat-component.json'), path.join('components', '**', '*.js')]);
+
+			assert.strictEqual(rules.isIgnored(path.join('build', 'page', 'cat-component.json')), false);
+			assert.strictEqual(rules.isIgnored(path.join('build', 'page', 'index.js')), false);
+			assert.strictEqual(rules.isIgnored(path.join('components', 'page', 'build', 'index.js')), true);
+			assert.strictEqual(rules.isIgnored(path.join('dist', 'build', 'index.js')), true);
+		});
+
+		it('should accept the absolute filenames and never ignore the files outside', () => {
+			assert.strictEqual(rules.isIgnored(path.join(root, 'page.swp')), true);
+			assert.strictEqual(rules.isIgnored(path.join(root, '..', 'page.swp')), false);
+		});
+	});
+
+	describe('#isIgnoreFile', () => {
+		it('should recognize .gitignore and the project-level .catberryignore', () => {
+			assert.strictEqual(rules.isIgnoreFile(path.join('components', '.gitignore')), true);
+			assert.strictEqual(rules.isIgnoreFile('.catberryignore'), true);
+			assert.strictEqual(rules.isIgnoreFile(path.join('components', '.catberryignore')), false);
+			assert.strictEqual(rules.isIgnoreFile('.gitattributes'), false);
+		});
+	});
+});
@@ -0,0 +1,174 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const events = require('events');
+const vm = require('vm');
+const LiveReload = require('../../lib/LiveReload');
+
+/**
+ * Sends a GET request to the local server.
+ * @param {http.Server} server The server.
+ * @param {string} path The path of the request.
+ * @returns {Promise<http.IncomingMessage>} Promise of the response.
+ */
+function get(server, path) {
+	return new Promise((resolve, reject) =>
+		http.get({host: '127.0.0.1', port: server.address().port, path}, resolve)
+			.on('error', reject)
+	);
+}
+
+/**
+ * Reads the response until it contains the expected substring.
+ * @param {http.IncomingMessage} response The response.
+ * @param {string} expected The expected substring.
+ * @returns {Promise<string>} Promise of the read body.
+ */
+function readUntil(response, expected) {
+	return new Promise(resolve => {
+		let body = '';
+		response.setEncoding('utf8');
+		response.on('data', chunk => {
+			body += chunk;
+			if (body.indexOf(expected) !== -1) {
+				resolve(body);
+			}
+		});
+	});
+}
+
+/**
+ * Runs the client script in a fake page.
+ * @param {string} source The source of the client script.
+ * @param {Object} catberry The Catberry application of the page.
+ * @returns {{listeners: Object, reloads: Array}} The listeners of the event stream
+ * by the events' names and the reloads of the page.
+ */
+function runClient(source, catberry) {
+	const page = {listeners: {}, reloads: []};
+	const window = {
+		catberry,
+		document: {currentScript: null},
+		location: {reload: () => page.reloads.push(true)},
+		EventSource: class {
+			addEventListener(name, listener) {
+				page.listeners[name] = listener;
+			}
+
+			close() {}
+		}
+	};
+
+	vm.runInNewContext(source, {window});
+
+	return page;
+}
+
+describe('lib/LiveReload', () => {
+	let watcher, liveReload, server;
+
+	beforeEach(done => {
+		watcher = new events.EventEmitter();
+		liveReload = new LiveReload(watcher);
+		server = http.createServer((request, response) => response.end('application'));
+		liveReload.attach(server);
+		server.listen(0, '127.0.0.1', done);
+	});
+
+	afterEach(done => {
+		liveReload.close();
+		server.close(done);
+	});
+
+	describe('#attach', () => {
+		it('should pass other requests to the application', () =>
+			get(server, '/some/page')
+				.then(response => readUntil(response, 'application'))
+				.then(body => assert.strictEqual(body, 'application'))
+		);
+
+		it('should serve the client script', () =>
+			get(server, '/catberry-watcher/client.js')
+				.then(response => {
+					assert.strictEqual(response.headers['content-type'], 'application/javascript; charset=utf-8');
+					return readUntil(response, 'EventSource');
+				})
+		);
+	});
+
+	describe('#broadcast', () => {
+		it('should forward the watcher events to the connected pages', () =>
+			get(server, '/catberry-watcher/events')
+				.then(response => {
+					assert.strictEqual(response.headers['content-type'], 'text/event-stream');
+
+					const bodyPromise = readUntil(response, 'unlinkComponent');
+
+					watcher.emit('changeStore', {name: 'Main', path: 'catberry_stores/Main.js'});
+					watcher.emit('changeComponent', {filename: 'index.js', component: {}});
+					watcher.emit('unlinkComponent', {
+						name: 'page', path: 'catberry_components/page/cat-component.json', properties: {}
+					});
+
+					return bodyPromise;
+				})
+				.then(body => {
+					assert.strictEqual(liveReload.clientsCount, 1);
+					assert.strictEqual(body.indexOf('changeComponent'), -1);
+					assert.notStrictEqual(body.indexOf(
+						'event: changeStore\ndata: {"type":"changeStore","name":"Main","path":"catberry_stores/Main.js"}\n\n'
+					), -1);
+					assert.notStrictEqual(body.indexOf(
+						'event: unlinkComponent\ndata: ' +
+						'{"type":"unlinkComponent","name":"page","path":"catberry_components/page/cat-component.json"}\n\n'
+					), -1);
+				})
+		);
+	});
+
+	describe('client', () => {
+		it('should reload the page when the templates have been changed', () => {
+			const rendered = [];
+			let page;
+
+			return get(server, '/catberry-watcher/client.js')
+				.then(response => readUntil(response, '}(window));'))
+				.then(source => {
+					page = runClient(source, {
+						locator: {resolve: () => ({renderComponent: element => rendered.push(element)})}
+					});
+
+					return get(server, '/catberry-watcher/events');
+				})
+				.then(response => {
+					const bodyPromise = readUntil(response, 'cat-component.json"}\n\n');
+
+					watcher.emit('changeTemplates', {
+						name: 'page', path: 'catberry_components/page/cat-component.json', properties: {}
+					});
+
+					return bodyPromise;
+				})
+				.then(body => {
+					const data = body.match(/event: changeTemplates\ndata: (.*)\n\n/)[1];
+
+					assert.deepEqual(JSON.parse(data), {
+						type: 'changeTemplates', name: 'page', path: 'catberry_components/page/cat-component.json'
+					});
+
+					// the old templates of the bundle are not rendered again
+					page.listeners.changeTemplates({data});
+					assert.deepEqual(page.reloads, [true]);
+					assert.deepEqual(rendered, []);
+				});
+		});
+	});
+
+	describe('#close', () => {
+		it('should stop forwarding the watcher events', () => {
+			liveReload.close();
+			assert.strictEqual(watcher.listenerCount('changeStore'), 0);
+		});
+	});
+});
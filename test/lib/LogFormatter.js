@@ -0,0 +1,78 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const LogFormatter = require('../../lib/LogFormatter');
+
+const ROOT = path.resolve('project');
+
+/**
+ * Creates the formatter with the options merged with the defaults.
+ * @param {Object} options The log options.
+ * @returns {LogFormatter} The formatter.
+ */
+function createFormatter(options) {
+	return new LogFormatter(Object.assign({level: 'info', format: 'text', color: false, timing: false}, options), ROOT);
+}
+
+describe('lib/LogFormatter', () => {
+	describe('#isEnabled', () => {
+		it('should show the messages up to the verbosity level', () => {
+			const levels = ['debug', 'info', 'warn', 'error'];
+
+			assert.deepEqual(levels.map(level => createFormatter({level: 'silent'}).isEnabled(level)),
+				[false, false, false, false]);
+			assert.deepEqual(levels.map(level => createFormatter({level: 'error'}).isEnabled(level)),
+				[false, false, true, true]);
+			assert.deepEqual(levels.map(level => createFormatter({level: 'info'}).isEnabled(level)),
+				[false, true, true, true]);
+			assert.deepEqual(levels.map(level => createFormatter({level: 'debug'}).isEnabled(level)),
+				[true, true, true, true]);
+		});
+	});
+
+	describe('#relative', () => {
+		it('should make the paths relative to the root', () => {
+			const formatter = createFormatter();
+
+			assert.strictEqual(formatter.relative(path.join(ROOT, 'stores', 'Main.js')), path.join('stores', 'Main.js'));
+			assert.strictEqual(formatter.relative(path.join('stores', 'Main.js')), path.join('stores', 'Main.js'));
+			assert.strictEqual(formatter.relative(path.resolve('other', 'Main.js')), path.resolve('other', 'Main.js'));
+		});
+	});
+
+	describe('#format', () => {
+		it('should return null if the level is not shown', () => {
+			assert.strictEqual(createFormatter().format({level: 'debug', event: 'route', message: 'Hidden'}), null);
+		});
+
+		it('should format the text with the color and the elapsed time', () => {
+			const formatter = createFormatter({color: true, timing: true});
+			const formatted = formatter.format({
+				level: 'warn', event: 'reloadVeto', message: 'Vetoed', eventAt: Date.now() - 100
+			});
+
+			assert.ok(/^\u001b\[33mVetoed \(\+\d+ ms\)\u001b\[39m$/.test(formatted));
+			assert.strictEqual(formatter.format({level: 'info', event: 'resume', message: 'Resumed'}),
+				'\u001b[36mResumed\u001b[39m');
+		});
+
+		it('should format JSON with the fields of the message', () => {
+			const formatted = JSON.parse(createFormatter({format: 'json', timing: true}).format({
+				level: 'info',
+				event: 'changeStore',
+				message: 'Changed',
+				fields: {name: 'Main', path: path.join('stores', 'Main.js')},
+				eventAt: Date.now()
+			}));
+
+			assert.strictEqual(typeof (formatted.time), 'string');
+			assert.strictEqual(typeof (formatted.elapsed), 'number');
+			delete formatted.time;
+			delete formatted.elapsed;
+			assert.deepEqual(formatted, {
+				level: 'info', event: 'changeStore', message: 'Changed', name: 'Main', path: path.join('stores', 'Main.js')
+			});
+		});
+	});
+});
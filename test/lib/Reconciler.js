@@ -0,0 +1,215 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const uuid = require('uuid');
+const mkdirp = require('mkdirp');
+const rimraf = require('rimraf');
+const Reconciler = require('../../lib/Reconciler');
+
+/**
+ * Converts a method with a callback to a method returning a promise.
+ * @param {Function} methodWithCallback The method with a callback.
+ * @returns {Function} The method returning a promise.
+ */
+function promisify(methodWithCallback) {
+	return (...args) =>
+		new Promise((resolve, reject) => {
+			args.push((error, result) => error ? reject(error) : resolve(result));
+			methodWithCallback(...args);
+		});
+}
+
+const mkdir = promisify(mkdirp);
+const remove = promisify(rimraf);
+const writeFile = promisify(fs.writeFile);
+const wait = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+const CASE_PATH = path.join('test', 'cases', 'lib', 'Reconciler');
+
+/**
+ * Writes the file creating its directory.
+ * @param {string} filename The filename.
+ * @param {string} content The content.
+ * @returns {Promise} Promise of the written file.
+ */
+function write(filename, content) {
+	return mkdir(path.dirname(filename))
+		.then(() => writeFile(filename, content));
+}
+
+describe('lib/Reconciler', () => {
+	let root, reconciler, storesByNames, componentsByDirs;
+
+	beforeEach(() => {
+		root = path.join(CASE_PATH, `__tmp__${uuid.v4()}`);
+
+		storesByNames = {
+			Main: {name: 'Main', path: path.join(root, 'stores', 'Main.js')},
+			Missing: {name: 'Missing', path: path.join(root, 'stores', 'Missing.js')}
+		};
+		componentsByDirs = {
+			[path.join(root, 'components', 'page')]: {
+				name: 'page',
+				path: path.join(root, 'components', 'page', 'cat-component.json')
+			}
+		};
+
+		return Promise
+			.all([
+				write(path.join(root, 'stores', 'Main.js'), 'module.exports = class {};'),
+				write(path.join(root, 'stores', 'Removed.js'), 'module.exports = class {};'),
+				write(path.join(root, 'components', 'page', 'cat-component.json'), '{"template": "page.html"}'),
+				write(path.join(root, 'components', 'page', 'page.html'), '<p></p>')
+			])
+			.then(() => wait(20))
+			.then(() => {
+				reconciler = new Reconciler({
+					find: () => Promise.resolve(storesByNames),
+					getStoresGlobExpression: () => `${root}/stores/**/*.js`
+				}, {
+					getFoundComponentsByDirs: () => componentsByDirs,
+					getComponentsGlobExpression: () => [`${root}/components/**/cat-component.json`]
+				});
+			});
+	});
+
+	afterEach(() => remove(root));
+
+	describe('#reconcile', () => {
+		it('should find the files which are missing in the registries', () =>
+			reconciler.reconcile()
+				.then(events => {
+					assert.deepEqual(events, [
+						{target: 'store', kind: 'add', filename: path.join(root, 'stores', 'Removed.js')},
+						{target: 'store', kind: 'unlink', filename: path.join(root, 'stores', 'Missing.js')}
+					]);
+				})
+		);
+
+		it('should find the files modified after the last reconciliation', () => {
+			const template = path.join(root, 'components', 'page', 'page.html');
+
+			return wait(20)
+				.then(() => write(template, '<h1></h1>'))
+				.then(() => reconciler.reconcile())
+				.then(events => {
+					assert.deepEqual(events.filter(event => event.kind === 'change'), [
+						{target: 'componentFile', kind: 'change', filename: template}
+					]);
+
+					return reconciler.reconcile();
+				})
+				.then(events => assert.strictEqual(events.filter(event => event.kind === 'change').length, 0));
+		});
+
+		it('should find the files added to and removed from the tracked components', () => {
+			const template = path.join(root, 'components', 'page', 'page.html');
+			const styles = path.join(root, 'components', 'page', 'styles.css');
+
+			return reconciler.trackComponentFiles()
+				.then(() => Promise.all([write(styles, 'p {}'), remove(template)]))
+				.then(() => reconciler.reconcile())
+				.then(events => {
+					assert.deepEqual(events.filter(event => event.target === 'componentFile'), [
+						{target: 'componentFile', kind: 'add', filename: styles},
+						{target: 'componentFile', kind: 'unlink', filename: template}
+					]);
+
+					return reconciler.reconcile();
+				})
+				.then(events => assert.strictEqual(events.filter(event => event.target === 'componentFile').length, 0));
+		});
+
+		it('should not report the added and removed component files which have been applied already', () => {
+			const template = path.join(root, 'components', 'page', 'page.html');
+			const styles = path.join(root, 'components', 'page', 'styles.css');
+
+			return reconciler.trackComponentFiles()
+				.then(() => Promise.all([write(styles, 'p {}'), remove(template)]))
+				.then(() => wait(20))
+				.then(() => reconciler.markApplied([styles, template]))
+				.then(() => reconciler.reconcile())
+				.then(events => assert.strictEqual(events.filter(event => event.target === 'componentFile').length, 0));
+		});
+
+		it('should not report the files which have been applied already', () => {
+			const store = path.join(root, 'stores', 'Main.js');
+
+			return wait(20)
+				.then(() => write(store, 'module.exports = class Main {};'))
+				.then(() => wait(20))
+				.then(() => reconciler.markApplied([store]))
+				.then(() => reconciler.reconcile())
+				.then(events => assert.strictEqual(events.filter(event => event.kind === 'change').length, 0));
+		});
+	});
+
+	describe('#startPeriodicRescan', () => {
+		afterEach(() => reconciler.stopPeriodicRescan());
+
+		it('should call the rescan periodically until it is stopped', () => {
+			let rescans = 0;
+
+			reconciler.startPeriodicRescan(5, () => rescans++);
+			reconciler.startPeriodicRescan(5, () => assert.fail('The rescan should be started once'));
+
+			return wait(30)
+				.then(() => {
+					reconciler.stopPeriodicRescan();
+					assert.strictEqual(rescans > 0, true);
+
+					const stoppedAt = rescans;
+
+					return wait(20).then(() => assert.strictEqual(rescans, stoppedAt));
+				});
+		});
+
+		it('should not call the rescan if the interval is 0', () => {
+			reconciler.startPeriodicRescan(0, () => assert.fail('The rescan should be disabled'));
+
+			return wait(20);
+		});
+	});
+
+	describe('#findRegisteredFiles', () => {
+		it('should find the files of the registered stores and components', () =>
+			reconciler.findRegisteredFiles()
+				.then(files => assert.deepEqual(files, [
+					{target: 'store', name: 'Main', filename: path.join(root, 'stores', 'Main.js')},
+					{target: 'store', name: 'Missing', filename: path.join(root, 'stores', 'Missing.js')},
+					{target: 'componentJson', name: 'page', filename: path.join(root, 'components', 'page', 'cat-component.json')},
+					{target: 'componentFile', name: 'page', filename: path.join(root, 'components', 'page', 'page.html')}
+				]))
+		);
+	});
+
+	describe('#findChangedFiles', () => {
+		it('should find the registered files changed by the events with their scopes', () => {
+			const storeNames = new Map([['Main', path.join(root, 'stores', 'Main.js')]]);
+			const styles = path.join(root, 'components', 'page', 'styles.css');
+
+			return write(styles, 'p {}')
+				.then(() => reconciler.findChangedFiles([
+					{target: 'store', kind: 'change', filename: path.join(root, 'stores', 'Main.js')},
+					{target: 'store', kind: 'add', filename: path.join(root, 'stores', 'Removed.js')},
+					{target: 'componentJson', kind: 'change', filename: path.join(root, 'components', 'page', 'cat-component.json')},
+					{target: 'dependency', kind: 'change', filename: path.join(root, 'lib', 'helper.js')}
+				], storeNames))
+				.then(changed => {
+					assert.deepEqual(changed.scopes, [
+						path.join(root, 'stores', 'Main.js'),
+						path.join(root, 'stores', 'Removed.js'),
+						path.join(root, 'components', 'page')
+					]);
+					assert.deepEqual(changed.files, [
+						{target: 'store', name: 'Main', filename: path.join(root, 'stores', 'Main.js')},
+						{target: 'componentJson', name: 'page', filename: path.join(root, 'components', 'page', 'cat-component.json')},
+						{target: 'componentFile', name: 'page', filename: path.join(root, 'components', 'page', 'page.html')},
+						{target: 'componentFile', name: 'page', filename: styles}
+					]);
+				});
+		});
+	});
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+const assert = require('assert');
+const ReloadScheduler = require('../../lib/ReloadScheduler');
+
+/**
+ * Creates a task which is finished when "finish" is called.
+ * @param {Array<string>} log The list of the started and finished tasks.
+ * @param {string} name The name of the task.
+ * @returns {{run: Function, finish: Function}} The task.
+ */
+function createTask(log, name) {
+	let finish = null;
+	const finishPromise = new Promise(fulfill => (finish = fulfill));
+
+	return {
+		run: () => {
+			log.push(`start ${name}`);
+			return finishPromise.then(() => {
+				log.push(`end ${name}`);
+				return name;
+			});
+		},
+		finish: () => finish()
+	};
+}
+
+describe('lib/ReloadScheduler', () => {
+	let log;
+
+	beforeEach(() => {
+		log = [];
+	});
+
+	describe('#schedule', () => {
+		it('should run the reloads of the same key one by one', () => {
+			const scheduler = new ReloadScheduler(4);
+			const first = createTask(log, 'first');
+			const second = createTask(log, 'second');
+			const firstPromise = scheduler.schedule('store:Main', first.run);
+			const secondPromise = scheduler.schedule('store:Main', second.run);
+
+			assert.deepEqual(log, ['start first']);
+			assert.strictEqual(scheduler.pendingCount, 1);
+
+			first.finish();
+			second.finish();
+
+			return Promise.all([firstPromise, secondPromise])
+				.then(results => {
+					assert.deepEqual(results, ['first', 'second']);
+					assert.deepEqual(log, ['start first', 'end first', 'start second', 'end second']);
+				});
+		});
+
+		it('should replace the pending reload with the newer one', () => {
+			const scheduler = new ReloadScheduler(4);
+			const first = createTask(log, 'first');
+			const second = createTask(log, 'second');
+			const third = createTask(log, 'third');
+			const promises = [
+				scheduler.schedule('store:Main', first.run),
+				scheduler.schedule('store:Main', second.run),
+				scheduler.schedule('store:Main', third.run)
+			];
+
+			first.finish();
+			third.finish();
+
+			return Promise.all(promises)
+				.then(results => {
+					assert.deepEqual(results, ['first', 'third', 'third']);
+					assert.deepEqual(log, ['start first', 'end first', 'start third', 'end third']);
+					assert.strictEqual(scheduler.supersededCount, 1);
+				});
+		});
+
+		it('should limit the number of the running reloads', () => {
+			const scheduler = new ReloadScheduler(1);
+			const store = createTask(log, 'store');
+			const component = createTask(log, 'component');
+			const promises = [
+				scheduler.schedule('store:Main', store.run),
+				scheduler.schedule('component:page', component.run)
+			];
+
+			assert.strictEqual(scheduler.runningCount, 1);
+			assert.deepEqual(log, ['start store']);
+
+			store.finish();
+			component.finish();
+
+			return Promise.all(promises)
+				.then(() => assert.deepEqual(log, ['start store', 'end store', 'start component', 'end component']));
+		});
+
+		it('should reject if the reload fails', () => {
+			const scheduler = new ReloadScheduler(1);
+
+			return scheduler.schedule('store:Main', () => {
+				throw new Error('Broken');
+			})
+				.then(() => assert.fail('Should fail'), error => assert.strictEqual(error.message, 'Broken'))
+				.then(() => assert.strictEqual(scheduler.runningCount, 0));
+		});
+	});
+
+	describe('#wait', () => {
+		it('should resolve when all the reloads are finished', () => {
+			const scheduler = new ReloadScheduler(1);
+			const store = createTask(log, 'store');
+			const component = createTask(log, 'component');
+
+			scheduler.schedule('store:Main', store.run);
+			scheduler.schedule('component:page', component.run);
+
+			const waitPromise = scheduler.wait()
+				.then(() => log.push('idle'));
+
+			store.finish();
+			component.finish();
+
+			return waitPromise
+				.then(() => assert.deepEqual(log, ['start store', 'end store', 'start component', 'end component', 'idle']));
+		});
+	});
+});
@@ -0,0 +1,175 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const Router = require('../../lib/Router');
+
+const CWD = path.resolve('project');
+
+/**
+ * Creates the handlers of the dispatched events which record the calls.
+ * @param {Array} calls The list of the recorded calls.
+ * @param {Function} isIgnored The function which checks the file by the ignore rules.
+ * @returns {Object} The handlers.
+ */
+function createHandlers(calls, isIgnored) {
+	return {
+		isIgnored,
+		onRoute: (route, kind, filename, isSkipped) => calls.push(['route', route, isSkipped]),
+		onIgnoreFile: () => calls.push(['ignoreFile']),
+		onGitActivity: () => calls.push(['git']),
+		onEvent: (route, kind, filename) => calls.push(['event', route, kind, filename])
+	};
+}
+
+/**
+ * Sets the routes of the project with the stores, components and the l10n target.
+ * @param {Router} router The router.
+ * @param {string|null} gitGlob The glob expression of the git files.
+ */
+function routeProject(router, gitGlob) {
+	router.routeProject({
+		isIgnoreFile: filename => filename === '.gitignore',
+		storesGlob: 'stores/**/*.js',
+		componentsGlob: 'components/**/cat-component.json',
+		isComponentFile: filename => filename.indexOf('components/page/') === 0,
+		isDependency: filename => filename === 'lib/helper.js',
+		targets: [{name: 'l10n', glob: 'l10n/*.json'}],
+		gitGlob
+	});
+}
+
+describe('lib/Router', () => {
+	describe('#route', () => {
+		it('should dispatch the event to all the matching routes', () => {
+			const router = new Router(CWD);
+
+			router.add('store', 'stores/**/*.js');
+			router.add('componentFile', filename => filename.indexOf('components/') === 0);
+			router.add('dependency', () => true, ['change', 'unlink']);
+
+			assert.deepEqual(router.route('add', 'stores/Main.js'), ['store']);
+			assert.deepEqual(router.route('change', 'stores/Main.js'), ['store', 'dependency']);
+			assert.deepEqual(router.route('add', 'components/page/index.js'), ['componentFile']);
+			assert.deepEqual(router.route('add', 'README.md'), []);
+		});
+
+		it('should match the absolute glob expressions with the relative filenames', () => {
+			const router = new Router(CWD);
+
+			router.add('componentJson', [path.join(CWD, 'components', '**', 'cat-component.json')]);
+			router.add('git', path.join('.git', '{HEAD,index.lock}'));
+
+			assert.deepEqual(router.route('change', path.join('components', 'page', 'cat-component.json')),
+				['componentJson']);
+			assert.deepEqual(router.route('add', path.join('.git', 'index.lock')), ['git']);
+			assert.deepEqual(router.route('add', path.join('.git', 'index')), []);
+		});
+
+		it('should exclude the files matching the negated glob expressions', () => {
+			const router = new Router(CWD);
+
+			router.add('store', [path.join(CWD, 'stores', '**', '*.js'), '!**/test/**']);
+
+			assert.deepEqual(router.route('add', path.join('stores', 'Main.js')), ['store']);
+			assert.deepEqual(router.route('add', path.join('stores', 'test', 'Main.js')), []);
+			assert.deepEqual(router.route('add', path.join('lib', 'helper.js')), []);
+		});
+	});
+
+	describe('#remove', () => {
+		it('should stop dispatching the events to the removed route', () => {
+			const router = new Router(CWD);
+
+			router.add('l10n', 'l10n/*.json');
+
+			assert.strictEqual(router.remove('l10n'), true);
+			assert.strictEqual(router.remove('l10n'), false);
+			assert.deepEqual(router.route('change', 'l10n/en.json'), []);
+		});
+	});
+
+	describe('#routeProject', () => {
+		it('should route the files of the project', () => {
+			const router = new Router(CWD);
+
+			routeProject(router, '.git/{HEAD,index.lock}');
+
+			assert.deepEqual(router.route('add', '.gitignore'), ['ignore']);
+			assert.deepEqual(router.route('add', 'stores/Main.js'), ['store']);
+			assert.deepEqual(router.route('change', 'components/page/cat-component.json'),
+				['componentJson', 'componentFile']);
+			assert.deepEqual(router.route('add', 'lib/helper.js'), []);
+			assert.deepEqual(router.route('change', 'lib/helper.js'), ['dependency']);
+			assert.deepEqual(router.route('change', 'l10n/en.json'), [router.getTargetRoute('l10n')]);
+			assert.deepEqual(router.route('add', '.git/index.lock'), ['git']);
+		});
+
+		it('should remove the git route if the git files are not watched', () => {
+			const router = new Router(CWD);
+
+			routeProject(router, '.git/{HEAD,index.lock}');
+			routeProject(router, null);
+
+			assert.deepEqual(router.route('add', '.git/index.lock'), []);
+		});
+	});
+
+	describe('#removeTarget', () => {
+		it('should stop dispatching the events to the removed target', () => {
+			const router = new Router(CWD);
+
+			router.addTarget('l10n', 'l10n/*.json');
+
+			assert.strictEqual(router.removeTarget('l10n'), true);
+			assert.deepEqual(router.route('change', 'l10n/en.json'), []);
+		});
+	});
+
+	describe('#dispatch', () => {
+		it('should pass the event to the handlers of the matching routes', () => {
+			const router = new Router(CWD);
+			const calls = [];
+
+			routeProject(router, '.git/{HEAD,index.lock}');
+			router.dispatch('change', 'stores/Main.js', createHandlers(calls, () => false));
+			router.dispatch('change', '.git/HEAD', createHandlers(calls, () => false));
+
+			assert.deepEqual(calls, [
+				['route', 'store', false],
+				['event', 'store', 'change', 'stores/Main.js'],
+				['route', 'git', false],
+				['git']
+			]);
+		});
+
+		it('should skip the ignored files except the git files', () => {
+			const router = new Router(CWD);
+			const calls = [];
+
+			routeProject(router, '.git/{HEAD,index.lock}');
+			router.dispatch('change', 'stores/Main.js', createHandlers(calls, () => true));
+			router.dispatch('add', '.git/index.lock', createHandlers(calls, () => true));
+
+			assert.deepEqual(calls, [
+				['route', 'store', true],
+				['route', 'git', false],
+				['git']
+			]);
+		});
+
+		it('should pass the event of the ignore file only to its handler', () => {
+			const router = new Router(CWD);
+			const calls = [];
+
+			routeProject(router, null);
+			router.add('everything', () => true);
+			router.dispatch('change', '.gitignore', createHandlers(calls, () => assert.fail('The rules should not be checked')));
+
+			assert.deepEqual(calls, [
+				['route', 'ignore', false],
+				['ignoreFile']
+			]);
+		});
+	});
+});
@@ -0,0 +1,216 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const uuid = require('uuid');
+const mkdirp = require('mkdirp');
+const rimraf = require('rimraf');
+const Snapshot = require('../../lib/Snapshot');
+
+/**
+ * Converts a method with a callback to a method returning a promise.
+ * @param {Function} methodWithCallback The method with a callback.
+ * @returns {Function} The method returning a promise.
+ */
+function promisify(methodWithCallback) {
+	return (...args) =>
+		new Promise((resolve, reject) => {
+			args.push((error, result) => error ? reject(error) : resolve(result));
+			methodWithCallback(...args);
+		});
+}
+
+const mkdir = promisify(mkdirp);
+const remove = promisify(rimraf);
+const writeFile = promisify(fs.writeFile);
+const readFile = promisify(fs.readFile);
+const unlink = promisify(fs.unlink);
+const utimes = promisify(fs.utimes);
+
+const CASE_PATH = path.join('test', 'cases', 'lib', 'Snapshot');
+
+describe('lib/Snapshot', () => {
+	let root, snapshotFilename, files;
+
+	beforeEach(() => {
+		root = path.resolve(CASE_PATH, `__tmp__${uuid.v4()}`);
+		snapshotFilename = path.join(root, '.catberry', 'watch-state.json');
+		files = [
+			{target: 'store', name: 'Main', filename: path.join('stores', 'Main.js')},
+			{target: 'store', name: 'Removed', filename: path.join('stores', 'Removed.js')},
+			{target: 'componentJson', name: 'page', filename: path.join('components', 'page', 'cat-component.json')},
+			{target: 'componentFile', name: 'page', filename: path.join('components', 'page', 'page.html')}
+		];
+
+		return Promise.all([mkdir(path.join(root, 'stores')), mkdir(path.join(root, 'components', 'page'))])
+			.then(() => Promise.all([
+				writeFile(path.join(root, 'stores', 'Main.js'), 'module.exports = class {};'),
+				writeFile(path.join(root, 'stores', 'Removed.js'), 'module.exports = class {};'),
+				writeFile(path.join(root, 'components', 'page', 'cat-component.json'), '{"template": "page.html"}'),
+				writeFile(path.join(root, 'components', 'page', 'page.html'), '<p></p>')
+			]));
+	});
+
+	afterEach(() => remove(root));
+
+	describe('#restore', () => {
+		it('should resolve null and save the snapshot if there is no previous one', () => {
+			const snapshot = new Snapshot(snapshotFilename, root);
+
+			return snapshot.restore(files)
+				.then(changes => {
+					assert.strictEqual(changes, null);
+					return snapshot.save();
+				})
+				.then(() => readFile(snapshotFilename, 'utf8'))
+				.then(content => {
+					const saved = JSON.parse(content);
+
+					assert.strictEqual(saved.version, 1);
+					assert.deepEqual(Object.keys(saved.files).sort(), files.map(file => file.filename).sort());
+					assert.strictEqual(saved.files[path.join('stores', 'Main.js')].name, 'Main');
+				});
+		});
+
+		it('should resolve the changes made since the previous run', () => {
+			const touchedAt = new Date(Date.now() + 10000);
+			const snapshot = new Snapshot(snapshotFilename, root);
+
+			return snapshot.restore(files)
+				.then(() => snapshot.save())
+				.then(() => Promise.all([
+					writeFile(path.join(root, 'components', 'page', 'page.html'), '<p>changed</p>'),
+					writeFile(path.join(root, 'stores', 'New.js'), 'module.exports = class {};'),
+					unlink(path.join(root, 'stores', 'Removed.js')),
+					utimes(path.join(root, 'stores', 'Main.js'), touchedAt, touchedAt)
+				]))
+				.then(() => new Snapshot(snapshotFilename, root).restore(files
+					.filter(file => file.name !== 'Removed')
+					.concat({target: 'store', name: 'New', filename: path.join('stores', 'New.js')})))
+				.then(changes => assert.deepEqual(changes, [
+					{target: 'componentFile', kind: 'change', filename: path.join('components', 'page', 'page.html'), name: 'page'},
+					{target: 'store', kind: 'add', filename: path.join('stores', 'New.js'), name: 'New'},
+					{target: 'store', kind: 'unlink', filename: path.join('stores', 'Removed.js'), name: 'Removed'}
+				]));
+		});
+
+		it('should ignore the snapshot of another version', () =>
+			mkdir(path.dirname(snapshotFilename))
+				.then(() => writeFile(snapshotFilename, JSON.stringify({version: 0, files: {}})))
+				.then(() => new Snapshot(snapshotFilename, root).restore(files))
+				.then(changes => assert.strictEqual(changes, null))
+		);
+	});
+
+	describe('#update', () => {
+		it('should replace only the entries of the changed scopes', () => {
+			const snapshot = new Snapshot(snapshotFilename, root);
+			const pageDirectory = path.join('components', 'page');
+			let previous = null;
+
+			return snapshot.restore(files)
+				.then(() => snapshot.save())
+				.then(() => readFile(snapshotFilename, 'utf8'))
+				.then(content => {
+					previous = JSON.parse(content).files;
+
+					return Promise.all([
+						writeFile(path.join(root, 'components', 'page', 'page.css'), 'p {}'),
+						unlink(path.join(root, 'components', 'page', 'page.html')),
+						unlink(path.join(root, 'stores', 'Removed.js'))
+					]);
+				})
+				.then(() => snapshot.update([
+					{target: 'componentJson', name: 'page', filename: path.join(pageDirectory, 'cat-component.json')},
+					{target: 'componentFile', name: 'page', filename: path.join(pageDirectory, 'page.css')}
+				], [pageDirectory]))
+				.then(() => snapshot.save())
+				.then(() => readFile(snapshotFilename, 'utf8'))
+				.then(content => {
+					const saved = JSON.parse(content).files;
+
+					// the removed store is kept, because it is outside of the scopes
+					assert.deepEqual(Object.keys(saved).sort(), [
+						path.join(pageDirectory, 'cat-component.json'),
+						path.join(pageDirectory, 'page.css'),
+						path.join('stores', 'Main.js'),
+						path.join('stores', 'Removed.js')
+					]);
+					assert.deepEqual(saved[path.join('stores', 'Main.js')], previous[path.join('stores', 'Main.js')]);
+				});
+		});
+	});
+
+	describe('#schedule', () => {
+		it('should capture all the files once and merge the updates scheduled meanwhile', () => {
+			const calls = [];
+			const snapshot = new Snapshot(snapshotFilename, root, {
+				findFiles: () => {
+					calls.push(['findFiles']);
+					return Promise.resolve(files);
+				},
+				findChangedFiles: events => {
+					calls.push(['findChangedFiles', events.map(event => event.filename)]);
+					return Promise.resolve({files: [files[0]], scopes: [files[0].filename]});
+				},
+				onError: error => assert.fail(error)
+			});
+
+			snapshot.schedule();
+			snapshot.schedule([{target: 'store', kind: 'change', filename: files[0].filename}]);
+			snapshot.schedule([{target: 'store', kind: 'change', filename: files[1].filename}]);
+
+			return snapshot.wait()
+				.then(() => readFile(snapshotFilename, 'utf8'))
+				.then(content => {
+					assert.deepEqual(calls, [
+						['findFiles'],
+						['findChangedFiles', [files[0].filename, files[1].filename]]
+					]);
+					assert.deepEqual(Object.keys(JSON.parse(content).files).sort(), files.map(file => file.filename).sort());
+				});
+		});
+
+		it('should pass the errors of the captures to the source', () => {
+			const errors = [];
+			const snapshot = new Snapshot(snapshotFilename, root, {
+				findFiles: () => Promise.reject(new Error('boom')),
+				findChangedFiles: () => assert.fail('The update should not be captured'),
+				onError: error => errors.push(error.message)
+			});
+
+			snapshot.schedule();
+
+			return snapshot.wait()
+				.then(() => assert.deepEqual(errors, ['boom']));
+		});
+	});
+
+	describe('#getOfflineEvents', () => {
+		it('should get the events of the stores and components once with the report', () => {
+			const snapshot = new Snapshot(snapshotFilename, root);
+			const manifest = path.join('components', 'page', 'cat-component.json');
+			const template = path.join('components', 'page', 'page.html');
+			const removedManifest = path.join('components', 'old', 'cat-component.json');
+			const offline = snapshot.getOfflineEvents([
+				{target: 'componentFile', kind: 'change', filename: template, name: 'page'},
+				{target: 'componentJson', kind: 'change', filename: manifest, name: 'page'},
+				{target: 'componentJson', kind: 'unlink', filename: removedManifest, name: 'old'},
+				{target: 'componentFile', kind: 'add', filename: path.join('components', 'missing', 'a.js'), name: 'missing'},
+				{target: 'store', kind: 'unlink', filename: path.join('stores', 'Removed.js'), name: 'Removed'}
+			], change => (change.name === 'missing' ? null : {name: change.name, kind: change.kind}));
+
+			assert.deepEqual(offline.events.map(event => [event.type, event.target, event.filename, event.reason]), [
+				['unlink', 'store', path.join('stores', 'Removed.js'), 'offline'],
+				['changeFile', 'component', manifest, 'offline'],
+				['unlink', 'component', removedManifest, 'offline']
+			]);
+			assert.deepEqual(offline.events[2].descriptor, {name: 'old', kind: 'unlink'});
+			assert.deepEqual(offline.report, {
+				stores: {added: [], changed: [], removed: [path.join('stores', 'Removed.js')]},
+				components: {added: [], changed: [manifest], removed: [removedManifest]}
+			});
+		});
+	});
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const assert = require('assert');
+const Stats = require('../../lib/Stats');
+
+describe('lib/Stats', () => {
+	let stats;
+
+	beforeEach(() => {
+		stats = new Stats();
+	});
+
+	describe('#countEvent', () => {
+		it('should count the events by their names', () => {
+			stats.countEvent('changeStore');
+			stats.countEvent('changeStore');
+			stats.countEvent('batch');
+
+			assert.deepEqual(stats.toJSON().events, {changeStore: 2, batch: 1});
+		});
+	});
+
+	describe('#recordReload', () => {
+		it('should sum the timings in total and by the names', () => {
+			stats.recordReload('store', 'Main', 30, true);
+			stats.recordReload('store', 'Main', 10, false);
+			stats.recordReload('component', 'page', 20, true);
+
+			const values = stats.toJSON();
+
+			assert.deepEqual(values.reloads, {
+				count: 3, failed: 1, totalTime: 60, averageTime: 20, maxTime: 30, lastTime: 20
+			});
+			assert.deepEqual(values.stores, {
+				Main: {count: 2, failed: 1, totalTime: 40, averageTime: 20, maxTime: 30, lastTime: 10}
+			});
+			assert.deepEqual(values.components, {
+				page: {count: 1, failed: 0, totalTime: 20, averageTime: 20, maxTime: 20, lastTime: 20}
+			});
+		});
+	});
+
+	describe('#countSuppressedChanges', () => {
+		it('should sum the skipped changes', () => {
+			stats.countSuppressedChanges(2);
+			stats.countSuppressedChanges(1);
+
+			assert.strictEqual(stats.toJSON().suppressedChanges, 3);
+		});
+	});
+
+	describe('#startReporting', () => {
+		afterEach(() => stats.stopReporting());
+
+		it('should report the stats periodically until it is stopped', () => {
+			const reports = [];
+
+			stats.countBatch();
+			stats.startReporting(5, values => reports.push(values));
+
+			return new Promise(fulfill => setTimeout(fulfill, 30))
+				.then(() => {
+					stats.stopReporting();
+
+					const count = reports.length;
+
+					assert.strictEqual(count > 0, true);
+					assert.strictEqual(reports[0].batches, 1);
+
+					return new Promise(fulfill => setTimeout(fulfill, 20))
+						.then(() => assert.strictEqual(reports.length, count));
+				});
+		});
+	});
+});
@@ -13,6 +13,10 @@ const mkdir = require('mkdirp');
 const {ncp} = require('ncp');
 
 const Watcher = require('../../index.js');
+const MemoryBackend = require('../../lib/backends/MemoryBackend');
+const ClusterPrimary = require('../../lib/ClusterPrimary');
+const ClusterReplica = require('../../lib/ClusterReplica');
+const hashHelper = require('../../lib/helpers/hashHelper');
 
 function promisify(methodWithCallback) {
 	return (...args) =>
@@ -26,6 +30,7 @@ const copy = promisify(ncp);
 const remove = promisify(rimraf);
 const writeFile = promisify(fs.writeFile);
 const readFile = promisify(fs.readFile);
+const rename = promisify(fs.rename);
 
 const CASE_PATH = path.join(
 	'test', 'cases', 'lib', 'finders'
@@ -33,10 +38,64 @@ const CASE_PATH = path.join(
 const CASE_COMPONENTS_PATH = path.join(CASE_PATH, 'ComponentFinder', 'components');
 const CASE_STORES_PATH = path.join(CASE_PATH, 'StoreFinder', 'catberry_stores');
 
+const STORE_SOURCE = 'module.exports = class Store {};';
+const CHANGED_STORE_SOURCE = 'module.exports = class Store {\n\tconstructor() {}\n};';
+const COMPONENT_SOURCE = 'module.exports = class Page {};';
+const CHANGED_COMPONENT_SOURCE = 'module.exports = class Page {\n\trender() {}\n};';
+const COMPONENT_PROPERTIES = {logic: 'index.js', template: 'template.hbs', errorTemplate: 'error.hbs'};
+
+/**
+ * Gets a unique temporary directory inside the test cases.
+ * @returns {string} The path of the directory.
+ */
 function getTemporaryPath() {
 	return path.join(CASE_PATH, `__tmp__${uuid.v4()}`);
 }
 
+/**
+ * Creates the component's descriptor like the component finder does.
+ * @param {string} filename The filename of cat-component.json.
+ * @param {Object} properties The properties from cat-component.json.
+ * @returns {{name: string, properties: Object, path: string}} The component's descriptor.
+ */
+function createComponentDescriptor(filename, properties) {
+	return {
+		name: (properties.name || path.basename(path.dirname(filename))).toLowerCase(),
+		properties,
+		path: filename
+	};
+}
+
+/**
+ * Reads the component's descriptor from its cat-component.json.
+ * @param {string} filename The filename of cat-component.json.
+ * @returns {Promise<Object|null>} Promise of the component's descriptor
+ * or null if the file cannot be read or parsed.
+ */
+function readComponentDescriptor(filename) {
+	return readFile(filename, 'utf8')
+		.then(content => createComponentDescriptor(filename, JSON.parse(content)))
+		.catch(() => null);
+}
+
+/**
+ * Requires the component's descriptor from its cat-component.json again
+ * the same synchronous way the component finder does.
+ * @param {string} filename The filename of cat-component.json.
+ * @returns {Object|null} The component's descriptor or null if the file cannot be required.
+ */
+function requireComponentDescriptor(filename) {
+	const absolutePath = path.resolve(filename);
+
+	delete require.cache[absolutePath];
+
+	try {
+		return createComponentDescriptor(filename, require(absolutePath));
+	} catch (e) {
+		return null;
+	}
+}
+
 describe('Watcher', () => {
 	let locator, watcher;
 
@@ -65,6 +124,1196 @@ describe('Watcher', () => {
 
 	afterEach(() => watcher.closeWatch());
 
+	describe('#registerTarget', () => {
+		it('should register a new watch target', () => {
+			const onChange = () => {};
+
+			watcher.registerTarget({name: 'l10n', glob: 'l10n/**/*.json', onChange});
+
+			assert.strictEqual(watcher.targets.get('l10n').onChange, onChange);
+		});
+
+		it('should throw an error if the target has no name', () => {
+			assert.throws(() => watcher.registerTarget({glob: 'l10n/**/*.json'}), /should have a name/);
+		});
+
+		it('should throw an error if the target has no glob expression', () => {
+			assert.throws(() => watcher.registerTarget({name: 'l10n', glob: []}), /should have a glob expression/);
+		});
+
+		it('should throw an error if a handler is not a function', () => {
+			assert.throws(
+				() => watcher.registerTarget({name: 'l10n', glob: 'l10n/**/*.json', onAdd: 'handler'}),
+				/"onAdd" of watch target "l10n" should be a function/
+			);
+		});
+
+		it('should throw an error if the target is already registered', () => {
+			watcher.registerTarget({name: 'l10n', glob: 'l10n/**/*.json'});
+
+			assert.throws(() => watcher.registerTarget({name: 'l10n', glob: 'l10n/*.json'}), /already registered/);
+		});
+	});
+
+	describe('#use', () => {
+		it('should add the reload hook', () => {
+			const after = () => {};
+
+			watcher.use({after});
+
+			assert.strictEqual(watcher.hooks[0].after, after);
+		});
+
+		it('should throw an error if the hook has no functions', () => {
+			assert.throws(() => watcher.use({}), /should have "before" or "after" function/);
+		});
+
+		it('should throw an error if a function of the hook is not a function', () => {
+			assert.throws(() => watcher.use({before: () => {}, after: 'bust'}), /"after" of reload hook should be a function/);
+		});
+	});
+
+	describe('#unregisterTarget', () => {
+		it('should forget the registered target', () => {
+			watcher.registerTarget({name: 'l10n', glob: 'l10n/**/*.json'});
+
+			assert.strictEqual(watcher.unregisterTarget('l10n'), true);
+			assert.strictEqual(watcher.targets.has('l10n'), false);
+			assert.strictEqual(watcher.unregisterTarget('l10n'), false);
+		});
+	});
+
+	describe('#close', () => {
+		it('should resolve if the watcher has not been started', () =>
+			watcher.close()
+				.then(() => assert.strictEqual(watcher.state, 'idle'))
+		);
+	});
+
+	describe('memory backend', () => {
+		let backend, config, memoryWatcher, reloaded, reloadedComponents, unloadedComponents, isRequiringStores,
+			projectRoot, storesDirectory, storeFilename, componentsDirectory, componentDirectory, manifestFilename;
+
+		const changeFile = (kind, filename, content) => {
+			const changed = kind === 'unlink' ?
+				remove(filename) :
+				promisify(mkdir)(path.dirname(filename)).then(() => writeFile(filename, content));
+
+			return changed.then(() => backend.emit(kind, filename));
+		};
+
+		const createMemoryLocator = (memoryConfig, storesByNames, componentsByDirs, loaded) => {
+			const memoryLocator = new ServiceLocator();
+
+			memoryLocator.registerInstance('eventBus', new events.EventEmitter());
+			memoryLocator.registerInstance('config', memoryConfig);
+			memoryLocator.registerInstance('storeFinder', {
+				find: () => Promise.resolve(storesByNames),
+				getStoresGlobExpression: () => path.join(storesDirectory, '**', '*.js'),
+				_createStoreDescriptor: filename => ({name: path.basename(filename, '.js'), path: filename}),
+				addStoreByFilename: filename => {
+					const storeDescriptor = {name: path.basename(filename, '.js'), path: filename};
+
+					storesByNames[storeDescriptor.name] = storeDescriptor;
+					return storeDescriptor;
+				},
+				deleteStoreByFilename: filename => {
+					const storeDescriptor = {name: path.basename(filename, '.js'), path: filename};
+
+					delete storesByNames[storeDescriptor.name];
+					return storeDescriptor;
+				}
+			});
+			memoryLocator.registerInstance('componentFinder', {
+				find: () => readComponentDescriptor(manifestFilename)
+					.then(componentDescriptor => {
+						componentsByDirs[componentDirectory] = componentDescriptor;
+						return {[componentDescriptor.name]: componentDescriptor};
+					}),
+				getComponentsGlobExpression: () => path.join(componentsDirectory, '**', 'cat-component.json'),
+				getDirsOfFoundComponents: () => Object.keys(componentsByDirs),
+				getFoundComponentsByDirs: () => componentsByDirs,
+				_createComponentDescriptor: requireComponentDescriptor,
+				_addComponent: componentDescriptor =>
+					(componentsByDirs[path.dirname(componentDescriptor.path)] = componentDescriptor),
+				_removeComponent: componentDescriptor => delete componentsByDirs[path.dirname(componentDescriptor.path)]
+			});
+			memoryLocator.registerInstance('storeLoader', {
+				reloadStore: descriptor => {
+					loaded.stores.push(descriptor.name);
+
+					if (isRequiringStores) {
+						delete require.cache[path.resolve(descriptor.path)];
+						require(path.resolve(descriptor.path));
+					}
+				}
+			});
+			memoryLocator.registerInstance('componentLoader', {
+				reloadComponentByDetails: descriptor => loaded.components.push(descriptor.name),
+				unloadComponentByDetails: descriptor => loaded.unloadedComponents.push(descriptor.name)
+			});
+
+			return memoryLocator;
+		};
+
+		beforeEach(() => {
+			projectRoot = getTemporaryPath();
+			storesDirectory = path.join(projectRoot, 'stores');
+			storeFilename = path.join(storesDirectory, 'Store.js');
+			componentsDirectory = path.join(projectRoot, 'components');
+			componentDirectory = path.join(componentsDirectory, 'page');
+			manifestFilename = path.join(componentDirectory, 'cat-component.json');
+
+			backend = new MemoryBackend();
+			reloaded = [];
+			isRequiringStores = false;
+			reloadedComponents = [];
+			unloadedComponents = [];
+			config = {watcher: {backend}};
+
+			const memoryLocator = createMemoryLocator(config, {Store: {name: 'Store', path: storeFilename}}, {}, {
+				stores: reloaded,
+				components: reloadedComponents,
+				unloadedComponents
+			});
+
+			memoryWatcher = new Watcher(memoryLocator);
+			memoryWatcher.logProcesses = () => {};
+
+			return Promise.all([
+				changeFile('add', storeFilename, STORE_SOURCE),
+				changeFile('add', manifestFilename, JSON.stringify(COMPONENT_PROPERTIES)),
+				changeFile('add', path.join(componentDirectory, 'index.js'), COMPONENT_SOURCE),
+				changeFile('add', path.join(componentDirectory, 'template.hbs'), '<div></div>'),
+				changeFile('add', path.join(componentDirectory, 'error.hbs'), '<div>Error</div>')
+			]);
+		});
+
+		afterEach(() => memoryWatcher.close()
+			.then(() => remove(projectRoot)));
+
+		it('should reload the changed store', () =>
+			memoryWatcher.watch()
+				.then(() => changeFile('change', storeFilename, CHANGED_STORE_SOURCE))
+				.then(() => memoryWatcher.settle())
+				.then(() => assert.deepEqual(reloaded, ['Store']))
+		);
+
+		it('should check the syntax without running the store and report the errors and the recovery', () => {
+			const errors = [];
+			const recovered = [];
+
+			isRequiringStores = true;
+			global.storeEvaluations = 0;
+			memoryWatcher
+				.on('reloadError', details => errors.push([details.name, details.message, details.line]))
+				.on('recovered', details => recovered.push(details.name));
+
+			return memoryWatcher.watch()
+				.then(() => changeFile('change', storeFilename, 'module.exports = class Store {\n\tconstructor(,) {}\n};'))
+				.then(() => memoryWatcher.settle())
+				.then(() => changeFile('change', storeFilename, 'global.storeEvaluations++;\nthrow new Error(\'Broken store\');'))
+				.then(() => memoryWatcher.settle())
+				.then(() => changeFile('change', storeFilename, 'global.storeEvaluations++;\nmodule.exports = class Store {};'))
+				.then(() => memoryWatcher.settle())
+				.then(() => {
+					assert.strictEqual(errors.length, 2);
+					assert.strictEqual(errors[0][0], 'Store');
+					assert.strictEqual(errors[0][2], 2);
+					assert.deepEqual(errors[1], ['Store', 'Broken store', 2]);
+					assert.deepEqual(recovered, ['Store']);
+					// the broken syntax does not reach the loader, the rest is run once by the loader
+					assert.deepEqual(reloaded, ['Store', 'Store']);
+					assert.strictEqual(global.storeEvaluations, 2);
+					delete global.storeEvaluations;
+				});
+		});
+
+		describe('renames and moves', () => {
+			let transitions, renamedStoreFilename, movedComponentDirectory;
+
+			beforeEach(() => {
+				transitions = [];
+				renamedStoreFilename = path.join(storesDirectory, 'Renamed.js');
+				movedComponentDirectory = path.join(componentsDirectory, 'nested', 'page');
+
+				['addStore', 'unlinkStore', 'addComponent', 'unlinkComponent'].forEach(name =>
+					memoryWatcher.on(name, descriptor => transitions.push([name, descriptor.name])));
+				['renameStore', 'moveComponent'].forEach(name =>
+					memoryWatcher.on(name, ({from, to}) => transitions.push([name, from.path, to.path])));
+
+				return memoryWatcher.watch()
+					.then(() => promisify(mkdir)(path.dirname(movedComponentDirectory)))
+					.then(() => Promise.all([
+						rename(storeFilename, renamedStoreFilename),
+						rename(componentDirectory, movedComponentDirectory)
+					]));
+			});
+
+			it('should report the unlinked and added files in one batch as one rename and move', () => {
+				backend.emit('unlink', storeFilename);
+				backend.emit('add', renamedStoreFilename);
+				backend.emit('unlink', manifestFilename);
+				backend.emit('add', path.join(movedComponentDirectory, 'cat-component.json'));
+
+				return memoryWatcher.settle()
+					.then(() => {
+						assert.deepEqual(transitions, [
+							['moveComponent', manifestFilename, path.join(movedComponentDirectory, 'cat-component.json')],
+							['renameStore', storeFilename, renamedStoreFilename]
+						]);
+						assert.deepEqual(reloaded, ['Store', 'Renamed']);
+						assert.deepEqual(reloadedComponents, ['page']);
+						assert.deepEqual(unloadedComponents, []);
+					});
+			});
+
+			it('should unlink the stale registrations of the added files which unlink has been missed', () => {
+				backend.emit('add', renamedStoreFilename);
+				backend.emit('add', path.join(movedComponentDirectory, 'cat-component.json'));
+
+				return memoryWatcher.settle()
+					.then(() => {
+						assert.deepEqual(transitions, [
+							['moveComponent', manifestFilename, path.join(movedComponentDirectory, 'cat-component.json')],
+							['renameStore', storeFilename, renamedStoreFilename]
+						]);
+						assert.deepEqual(memoryWatcher.componentFinder.getDirsOfFoundComponents(), [movedComponentDirectory]);
+					});
+			});
+		});
+
+		describe('changes of cat-component.json', () => {
+			let envelopes;
+
+			const changeManifest = properties =>
+				changeFile('change', manifestFilename, JSON.stringify(Object.assign({}, COMPONENT_PROPERTIES, properties)))
+					.then(() => memoryWatcher.settle());
+
+			beforeEach(() => {
+				envelopes = [];
+
+				['changeManifest', 'changeLogic', 'changeTemplate', 'rename'].forEach(type =>
+					memoryWatcher.on(`component:${type}`, envelope => envelopes.push([type, envelope.reason || null])));
+
+				return memoryWatcher.watch();
+			});
+
+			it('should not reload the component if only the custom fields are changed', () =>
+				changeManifest({custom: {isCached: true}})
+					.then(() => {
+						assert.deepEqual(envelopes, [['changeManifest', 'custom']]);
+						assert.deepEqual(reloadedComponents, []);
+						assert.deepEqual(unloadedComponents, []);
+					})
+			);
+
+			it('should emit only the change of the logic if the logic field is changed', () =>
+				writeFile(path.join(componentDirectory, 'other.js'), COMPONENT_SOURCE)
+					.then(() => changeManifest({logic: 'other.js'}))
+					.then(() => {
+						assert.deepEqual(envelopes, [['changeManifest', 'logic'], ['changeLogic', 'logic']]);
+						assert.deepEqual(reloadedComponents, ['page']);
+					})
+			);
+
+			it('should unload the old component and reload the new one if the component is renamed', () =>
+				changeManifest({name: 'renamed'})
+					.then(() => {
+						assert.deepEqual(envelopes, [['changeManifest', 'name'], ['rename', null]]);
+						assert.deepEqual(unloadedComponents, ['page']);
+						assert.deepEqual(reloadedComponents, ['renamed']);
+						assert.strictEqual(memoryWatcher.componentFinder.getFoundComponentsByDirs()[componentDirectory].name,
+							'renamed');
+					})
+			);
+		});
+
+		describe('envelopes of the components', () => {
+			let envelopes, legacyEvents;
+
+			beforeEach(() => {
+				envelopes = [];
+				legacyEvents = [];
+
+				['changeManifest', 'changeLogic', 'changeTemplate', 'addFile', 'changeFile', 'unlinkFile']
+					.forEach(type => memoryWatcher.on(`component:${type}`, envelope =>
+						envelopes.push([type, envelope.reason, path.relative(componentDirectory, envelope.filename)])));
+				['changeComponentManifest', 'changeLogic', 'changeTemplates', 'changeComponent']
+					.forEach(name => memoryWatcher.on(name, payload => legacyEvents.push([name, payload])));
+
+				return memoryWatcher.watch();
+			});
+
+			it('should emit the changes of the templates with their fields as the reasons', () => {
+				const templateFilename = path.join(componentDirectory, 'template.hbs');
+				const errorTemplateFilename = path.join(componentDirectory, 'error.hbs');
+
+				// both changes are emitted at once to get into the same batch in their order
+				return Promise.all([
+					writeFile(templateFilename, '<div>Changed</div>'),
+					writeFile(errorTemplateFilename, '<div>Changed error</div>')
+				])
+					.then(() => {
+						backend.emit('change', templateFilename);
+						backend.emit('change', errorTemplateFilename);
+					})
+					.then(() => memoryWatcher.settle())
+					.then(() => {
+						assert.deepEqual(envelopes, [
+							['changeTemplate', 'template', 'template.hbs'],
+							['changeTemplate', 'errorTemplate', 'error.hbs'],
+							['changeFile', 'template', 'template.hbs'],
+							['changeFile', 'errorTemplate', 'error.hbs']
+						]);
+						// the legacy "changeTemplates" is emitted once for both templates
+						assert.deepEqual(legacyEvents.map(event => event[0]),
+							['changeTemplates', 'changeComponent', 'changeComponent']);
+						assert.deepEqual(legacyEvents[1][1].filename, templateFilename);
+						assert.deepEqual(legacyEvents[2][1].filename, errorTemplateFilename);
+						assert.deepEqual(reloadedComponents, ['page']);
+					});
+			});
+
+			it('should emit the added and unlinked files of the component', () => {
+				const stylesFilename = path.join(componentDirectory, 'styles.css');
+
+				return changeFile('add', stylesFilename, 'div {}')
+					.then(() => memoryWatcher.settle())
+					.then(() => changeFile('unlink', stylesFilename))
+					.then(() => memoryWatcher.settle())
+					.then(() => {
+						const component = memoryWatcher.componentFinder.getFoundComponentsByDirs()[componentDirectory];
+
+						assert.deepEqual(envelopes, [['addFile', 'other', 'styles.css'], ['unlinkFile', 'other', 'styles.css']]);
+						assert.deepEqual(legacyEvents, [
+							['changeComponent', {filename: stylesFilename, component}],
+							['changeComponent', {filename: stylesFilename, component}]
+						]);
+						assert.deepEqual(reloadedComponents, ['page', 'page']);
+					});
+			});
+
+			it('should emit the change of cat-component.json and the changes of the files it refers to', () =>
+				writeFile(path.join(componentDirectory, 'other.hbs'), '<div>Other</div>')
+					.then(() => changeFile('change', manifestFilename,
+						JSON.stringify(Object.assign({}, COMPONENT_PROPERTIES, {template: 'other.hbs'}))))
+					.then(() => memoryWatcher.settle())
+					.then(() => {
+						const component = memoryWatcher.componentFinder.getFoundComponentsByDirs()[componentDirectory];
+
+						assert.deepEqual(envelopes, [
+							['changeManifest', 'template', 'cat-component.json'],
+							['changeTemplate', 'template', 'cat-component.json']
+						]);
+						assert.deepEqual(legacyEvents.map(event => event[0]), ['changeComponentManifest', 'changeTemplates']);
+						assert.deepEqual(legacyEvents[0][1].changed, ['template']);
+						assert.strictEqual(legacyEvents[0][1].component, component);
+						assert.strictEqual(legacyEvents[0][1].previous.properties.template, 'template.hbs');
+						assert.strictEqual(legacyEvents[1][1], component);
+					})
+			);
+		});
+
+		describe('lifecycle', () => {
+			it('should return the same promise if it is called while starting', () => {
+				const readyPromise = memoryWatcher.watch();
+
+				assert.strictEqual(memoryWatcher.watch(), readyPromise);
+				return readyPromise.then(() => assert.strictEqual(memoryWatcher.watch(), readyPromise));
+			});
+
+			it('should release all the watchers of the backend on close', () =>
+				memoryWatcher.watch()
+					.then(() => {
+						assert.strictEqual(backend.watchersCount, 1);
+						return memoryWatcher.close();
+					})
+					.then(() => {
+						assert.strictEqual(memoryWatcher.state, 'closed');
+						assert.strictEqual(backend.watchersCount, 0);
+					})
+			);
+
+			it('should pick up the changed config on restart without adding the listeners', () => {
+				const countListeners = () => memoryWatcher.eventBus.eventNames()
+					.reduce((count, name) => count + memoryWatcher.eventBus.listenerCount(name), 0);
+				let listenersCount = 0;
+
+				return memoryWatcher.watch()
+					.then(() => {
+						listenersCount = countListeners();
+						config.watcher.pauseOnGit = true;
+
+						return memoryWatcher.restart();
+					})
+					.then(() => {
+						assert.strictEqual(memoryWatcher.pauseOnGit, true);
+						assert.strictEqual(memoryWatcher.getWatchedPaths().some(entry => entry.route === 'git'), true);
+						assert.strictEqual(countListeners(), listenersCount);
+						assert.strictEqual(backend.watchersCount, 1);
+					});
+			});
+
+			it('should release the watchers and be idle again if the start fails', () => {
+				config.watcher.backend = {
+					watch: (paths, options) => {
+						const watcher = backend.watch(paths, options);
+
+						// the watcher fails instead of getting ready like on too many open files
+						watcher.emit = (name, ...args) => events.EventEmitter.prototype.emit.apply(watcher,
+							name === 'ready' ? ['error', new Error('EMFILE: too many open files')] : [name, ...args]);
+						return watcher;
+					}
+				};
+				memoryWatcher.configure();
+
+				return memoryWatcher.watch()
+					.then(() => assert.fail('The start should fail'), error => {
+						assert.strictEqual(error.message, 'EMFILE: too many open files');
+						assert.strictEqual(memoryWatcher.state, 'idle');
+						assert.strictEqual(backend.watchersCount, 0);
+
+						config.watcher.backend = backend;
+						memoryWatcher.configure();
+
+						return memoryWatcher.watch();
+					})
+					.then(() => {
+						assert.strictEqual(memoryWatcher.state, 'watching');
+						assert.strictEqual(backend.watchersCount, 1);
+					});
+			});
+		});
+
+		describe('rescan', () => {
+			it('should apply the missed files of the stores and components', () => {
+				const otherStoreFilename = path.join(storesDirectory, 'Other.js');
+				const stylesFilename = path.join(componentDirectory, 'styles.css');
+
+				return memoryWatcher.watch()
+					.then(() => Promise.all([
+						writeFile(otherStoreFilename, STORE_SOURCE),
+						writeFile(stylesFilename, 'div {}')
+					]))
+					.then(() => memoryWatcher.rescan())
+					.then(report => {
+						assert.strictEqual(report.isPending, false);
+						assert.deepEqual(report.stores.added, [otherStoreFilename]);
+						assert.deepEqual(report.components.added, [stylesFilename]);
+
+						return memoryWatcher.settle();
+					})
+					.then(() => {
+						assert.deepEqual(reloaded, ['Other']);
+						assert.deepEqual(reloadedComponents, ['page']);
+					});
+			});
+
+			it('should mark the report as pending and apply the changes on resume while paused', () => {
+				const otherStoreFilename = path.join(storesDirectory, 'Other.js');
+
+				return memoryWatcher.watch()
+					.then(() => writeFile(otherStoreFilename, STORE_SOURCE))
+					.then(() => {
+						memoryWatcher.pause();
+						return memoryWatcher.rescan();
+					})
+					.then(report => {
+						assert.strictEqual(report.isPending, true);
+						assert.deepEqual(report.stores.added, [otherStoreFilename]);
+						assert.deepEqual(reloaded, []);
+
+						return memoryWatcher.resume();
+					})
+					.then(() => memoryWatcher.settle())
+					.then(() => assert.deepEqual(reloaded, ['Other']));
+			});
+		});
+
+		describe('pause and resume', () => {
+			it('should resolve null if nothing has been queued', () => {
+				memoryWatcher.pause();
+				assert.strictEqual(memoryWatcher.batcher.paused, true);
+
+				return memoryWatcher.resume()
+					.then(summary => {
+						assert.strictEqual(summary, null);
+						assert.strictEqual(memoryWatcher.batcher.paused, false);
+					});
+			});
+
+			it('should hold back the events during the git operation and apply them as one bulk change', () => {
+				const lockFilename = path.resolve(projectRoot, '.git', 'index.lock');
+				const bulkChanged = new Promise(resolve => memoryWatcher.once('bulkChange', resolve));
+
+				config.watcher.cwd = path.resolve(projectRoot);
+				config.watcher.pauseOnGit = true;
+				memoryWatcher.configure();
+
+				return memoryWatcher.watch()
+					.then(() => changeFile('add', lockFilename, ''))
+					.then(() => Promise.all([
+						changeFile('change', path.resolve(storeFilename), CHANGED_STORE_SOURCE),
+						changeFile('change', path.resolve(componentDirectory, 'index.js'), CHANGED_COMPONENT_SOURCE)
+					]))
+					.then(() => memoryWatcher.settle())
+					.then(() => {
+						assert.strictEqual(memoryWatcher.batcher.paused, true);
+						assert.deepEqual(reloaded, []);
+						assert.deepEqual(reloadedComponents, []);
+
+						return changeFile('unlink', lockFilename);
+					})
+					.then(() => bulkChanged)
+					.then(summary => {
+						assert.deepEqual(summary.stores.changed.map(descriptor => descriptor.name), ['Store']);
+						assert.deepEqual(summary.components.changed.map(descriptor => descriptor.name), ['page']);
+
+						return memoryWatcher.settle();
+					})
+					.then(() => {
+						assert.deepEqual(reloaded, ['Store']);
+						assert.deepEqual(reloadedComponents, ['page']);
+					});
+			});
+		});
+
+		it('should keep the registered store on a name conflict until its name is released', () => {
+			const nestedStoreFilename = path.join(storesDirectory, 'nested', 'Store.js');
+			const conflicts = [];
+			const resolvedConflicts = [];
+
+			memoryWatcher
+				.on('conflict', conflict => conflicts.push(conflict))
+				.on('resolveConflict', conflict => resolvedConflicts.push(conflict.conflicting));
+
+			return memoryWatcher.watch()
+				.then(() => changeFile('add', nestedStoreFilename, CHANGED_STORE_SOURCE))
+				.then(() => memoryWatcher.settle())
+				.then(() => memoryWatcher.storeFinder.find())
+				.then(storesByNames => {
+					assert.deepEqual(conflicts, [{
+						target: 'store', name: 'Store', registered: storeFilename, conflicting: nestedStoreFilename
+					}]);
+					assert.strictEqual(storesByNames.Store.path, storeFilename);
+					assert.deepEqual(reloaded, []);
+				})
+				.then(() => changeFile('unlink', storeFilename))
+				.then(() => memoryWatcher.settle())
+				.then(() => memoryWatcher.storeFinder.find())
+				.then(storesByNames => {
+					assert.deepEqual(resolvedConflicts, [nestedStoreFilename]);
+					assert.strictEqual(storesByNames.Store.path, nestedStoreFilename);
+					// the loader without unloading reloads the removed store and then the released one
+					assert.deepEqual(reloaded, ['Store', 'Store']);
+				});
+		});
+
+		it('should reload the component when its logic file is changed', () => {
+			const changed = [];
+
+			memoryWatcher.on('component:changeLogic', envelope => changed.push(envelope.filename));
+
+			return memoryWatcher.watch()
+				.then(() => changeFile('change', path.join(componentDirectory, 'index.js'), CHANGED_COMPONENT_SOURCE))
+				.then(() => memoryWatcher.settle())
+				.then(() => {
+					assert.deepEqual(changed, [path.join(componentDirectory, 'index.js')]);
+					assert.deepEqual(reloadedComponents, ['page']);
+					assert.deepEqual(reloaded, []);
+				});
+		});
+
+		it('should add and unload the components by their cat-component.json files', () => {
+			const otherManifestFilename = path.join(componentsDirectory, 'other', 'cat-component.json');
+
+			return memoryWatcher.watch()
+				.then(() => copy(componentDirectory, path.dirname(otherManifestFilename)))
+				.then(() => backend.emit('add', otherManifestFilename))
+				.then(() => memoryWatcher.settle())
+				.then(() => changeFile('unlink', manifestFilename))
+				.then(() => memoryWatcher.settle())
+				.then(() => {
+					assert.deepEqual(reloadedComponents, ['other']);
+					assert.deepEqual(unloadedComponents, ['page']);
+					assert.deepEqual(memoryWatcher.componentFinder.getDirsOfFoundComponents(),
+						[path.dirname(otherManifestFilename)]);
+				});
+		});
+
+		it('should unwatch the directory of the removed component only if no watched path reaches it', () => {
+			const otherDirectory = path.join(projectRoot, 'other');
+			const otherManifestFilename = path.join(otherDirectory, 'cat-component.json');
+			const unwatched = [];
+
+			return memoryWatcher.watch()
+				.then(() => {
+					const unwatch = memoryWatcher.fileWatcher.unwatch.bind(memoryWatcher.fileWatcher);
+
+					memoryWatcher.fileWatcher.unwatch = paths => unwatched.push(paths) && unwatch(paths);
+
+					return copy(componentDirectory, otherDirectory);
+				})
+				.then(() => {
+					// the component outside the finder's glob expression, e.g. found by its previous glob
+					memoryWatcher.addComponent(otherManifestFilename);
+					return changeFile('unlink', manifestFilename);
+				})
+				.then(() => memoryWatcher.settle())
+				.then(() => {
+					// the glob expression of the manifests reaches the directory
+					assert.deepEqual(unwatched, []);
+					return memoryWatcher.removeComponent(otherManifestFilename);
+				})
+				.then(removed => {
+					assert.strictEqual(removed.name, 'other');
+					assert.deepEqual(unwatched, [otherDirectory]);
+					assert.strictEqual(memoryWatcher.removeComponent(otherManifestFilename), null);
+				});
+		});
+
+		it('should measure the reloads and list the watched paths', () => {
+			memoryWatcher.registerTarget({name: 'l10n', glob: path.join('l10n', '*.json')});
+
+			return memoryWatcher.watch()
+				.then(() => changeFile('change', storeFilename, CHANGED_STORE_SOURCE))
+				.then(() => memoryWatcher.settle())
+				.then(() => {
+					const stats = memoryWatcher.getStats();
+
+					assert.strictEqual(stats.batches, 1);
+					assert.strictEqual(stats.events.changeStore, 1);
+					assert.strictEqual(stats.reloads.count, 1);
+					assert.strictEqual(stats.stores.Store.count, 1);
+					assert.strictEqual(stats.stores.Store.failed, 0);
+					assert.deepEqual(stats.components, {});
+					assert.deepEqual(memoryWatcher.getWatchedPaths().filter(entry => entry.route !== 'ignore'), [
+						{path: path.join(storesDirectory, '**', '*.js'), route: 'store', stores: ['Store'], components: []},
+						{
+							path: path.join(componentsDirectory, '**', 'cat-component.json'),
+							route: 'componentJson',
+							stores: [],
+							components: ['page']
+						},
+						{path: componentDirectory, route: 'componentFile', stores: [], components: ['page']},
+						{path: path.join('l10n', '*.json'), route: 'target:l10n', stores: [], components: []}
+					]);
+				});
+		});
+
+		it('should emit the start and end of every reload with the sequence number', () => {
+			const reloads = [];
+
+			memoryWatcher
+				.on('reloadStart', details => reloads.push(['start', details.sequence, details.name, details.operation]))
+				.on('reloadEnd', details => reloads.push(['end', details.sequence, details.isSucceeded]));
+
+			return memoryWatcher.watch()
+				.then(() => changeFile('change', storeFilename, CHANGED_STORE_SOURCE))
+				.then(() => memoryWatcher.settle())
+				.then(() => assert.deepEqual(reloads, [
+					['start', 1, 'Store', 'reload'],
+					['end', 1, true]
+				]));
+		});
+
+		it('should run the hooks around the reload', () => {
+			const calls = [];
+
+			memoryWatcher
+				.use({
+					before: context => {
+						calls.push(['before', context.target, context.descriptor.name, context.kind, context.filename]);
+						return Promise.resolve();
+					}
+				})
+				.use({after: context => calls.push(['after', context.descriptor.name, context.isReloaded])});
+
+			return memoryWatcher.watch()
+				.then(() => changeFile('change', storeFilename, CHANGED_STORE_SOURCE))
+				.then(() => memoryWatcher.settle())
+				.then(() => {
+					assert.deepEqual(reloaded, ['Store']);
+					assert.deepEqual(calls, [
+						['before', 'store', 'Store', 'change', storeFilename],
+						['after', 'Store', true]
+					]);
+				});
+		});
+
+		it('should keep the previous version if a hook vetoes the reload', () => {
+			const vetoes = [];
+			const after = [];
+			const reloadEvents = [];
+
+			memoryWatcher.eventBus.on('reloadVeto', details => vetoes.push([details.name, details.reason]));
+			memoryWatcher
+				.on('store:reload', envelope => reloadEvents.push(envelope.type))
+				.on('reloadStore', descriptor => reloadEvents.push(descriptor.name));
+			memoryWatcher
+				.use({before: () => Promise.reject(new Error('Lint has failed'))})
+				.use({before: () => 'Never called', after: () => after.push('after')});
+
+			return memoryWatcher.watch()
+				.then(() => changeFile('change', storeFilename, CHANGED_STORE_SOURCE))
+				.then(() => memoryWatcher.settle())
+				.then(() => {
+					assert.deepEqual(reloaded, []);
+					assert.deepEqual(after, []);
+					assert.deepEqual(reloadEvents, []);
+					assert.deepEqual(vetoes, [['Store', 'Lint has failed']]);
+				});
+		});
+
+		it('should emit the stats periodically', () => {
+			config.watcher.statsInterval = 1;
+			memoryWatcher.configure();
+
+			return memoryWatcher.watch()
+				.then(() => new Promise(resolve => memoryWatcher.once('stats', resolve)))
+				.then(stats => assert.strictEqual(stats.batches, 0));
+		});
+
+		it('should emit the envelopes of the events and then their legacy versions', () => {
+			const emitted = [];
+
+			['store:change', 'store:reload', 'changeStore', 'reloadStore'].forEach(name =>
+				memoryWatcher.on(name, payload => emitted.push({name, payload})));
+
+			return memoryWatcher.watch()
+				.then(() => changeFile('change', storeFilename, CHANGED_STORE_SOURCE))
+				.then(() => memoryWatcher.settle())
+				.then(() => {
+					const [changeEnvelope, changeStore, reloadEnvelope, reloadStore] = emitted;
+
+					assert.deepEqual(emitted.map(event => event.name),
+						['store:change', 'changeStore', 'store:reload', 'reloadStore']);
+					assert.strictEqual(changeEnvelope.payload.version, 1);
+					assert.strictEqual(changeEnvelope.payload.name, 'Store');
+					assert.strictEqual(changeEnvelope.payload.filename, storeFilename);
+					assert.strictEqual(changeEnvelope.payload.descriptor, changeStore.payload);
+					assert.strictEqual(reloadEnvelope.payload.descriptor, reloadStore.payload);
+					assert.ok(reloadEnvelope.payload.sequence > changeEnvelope.payload.sequence);
+				});
+		});
+
+		it('should send the reloads to the replicas in the cluster mode instead of reloading', () => {
+			const fakeCluster = new events.EventEmitter();
+			const messages = [];
+			const clusterReloads = [];
+
+			fakeCluster.workers = {
+				1: {
+					id: 1,
+					isConnected: () => true,
+					send: message => {
+						messages.push(message);
+						if (message.type === 'catberry-watcher:ready') {
+							fakeCluster.emit('message', fakeCluster.workers[1], message);
+						}
+						if (message.type === 'catberry-watcher:reload') {
+							setImmediate(() => fakeCluster.emit('message', fakeCluster.workers[1],
+								{type: 'catberry-watcher:ack', id: message.id, isSucceeded: true}));
+						}
+					}
+				}
+			};
+			config.watcher.cluster = 'primary';
+			memoryWatcher.configure();
+			memoryWatcher.clusterPrimary = new ClusterPrimary(fakeCluster, 1000);
+			memoryWatcher.on('clusterReload', payload => clusterReloads.push(payload));
+
+			return memoryWatcher.watch()
+				.then(() => changeFile('change', storeFilename, CHANGED_STORE_SOURCE))
+				.then(() => memoryWatcher.settle())
+				.then(() => {
+					assert.deepEqual(reloaded, []);
+					assert.deepEqual(messages.map(message => message.name || message.type), [
+						'catberry-watcher:ready', 'store:change', 'changeStore', 'catberry-watcher:reload',
+						'store:reload', 'reloadStore'
+					]);
+					assert.deepEqual(clusterReloads, [{
+						target: 'store',
+						name: 'Store',
+						path: storeFilename,
+						operation: 'reload',
+						replicas: [{id: 'worker:1', isSucceeded: true, message: null}],
+						isSucceeded: true
+					}]);
+				});
+		});
+
+		it('should repeat the added components and renamed stores of the primary in the replica', () => {
+			const fakeCluster = new events.EventEmitter();
+			const channel = new events.EventEmitter();
+			const replicaStores = {Store: {name: 'Store', path: storeFilename}};
+			const replicaComponents = {};
+			const replicaLoaded = {stores: [], components: [], unloadedComponents: []};
+			const replicaWatcher = new Watcher(
+				createMemoryLocator({watcher: {cluster: 'replica'}}, replicaStores, replicaComponents, replicaLoaded)
+			);
+			const otherDirectory = path.join(componentsDirectory, 'other');
+			const otherManifestFilename = path.join(otherDirectory, 'cat-component.json');
+			const renamedStoreFilename = path.join(storesDirectory, 'Renamed.js');
+
+			// the messages of the primary and the replica are delivered asynchronously like over IPC
+			fakeCluster.workers = {
+				1: {
+					id: 1,
+					isConnected: () => true,
+					send: message => setImmediate(() => channel.emit('message', message))
+				}
+			};
+			channel.connected = true;
+			channel.send = message => setImmediate(() => fakeCluster.emit('message', fakeCluster.workers[1], message));
+			replicaWatcher.logProcesses = () => {};
+			replicaWatcher.clusterReplica = new ClusterReplica(channel);
+			config.watcher.cluster = 'primary';
+			memoryWatcher.configure();
+			memoryWatcher.clusterPrimary = new ClusterPrimary(fakeCluster, 1000);
+
+			return replicaWatcher.watch()
+				.then(() => memoryWatcher.watch())
+				.then(() => copy(componentDirectory, otherDirectory))
+				.then(() => changeFile('add', otherManifestFilename, JSON.stringify(Object.assign({name: 'other'}, COMPONENT_PROPERTIES))))
+				.then(() => memoryWatcher.settle())
+				.then(() => rename(storeFilename, renamedStoreFilename))
+				.then(() => {
+					backend.emit('unlink', storeFilename);
+					backend.emit('add', renamedStoreFilename);
+					return memoryWatcher.settle();
+				})
+				.then(() => {
+					assert.deepEqual(Object.keys(replicaStores), ['Renamed']);
+					assert.strictEqual(replicaStores.Renamed.path, renamedStoreFilename);
+					assert.deepEqual(Object.keys(replicaComponents), [componentDirectory, otherDirectory]);
+					assert.strictEqual(replicaComponents[otherDirectory].name, 'other');
+					assert.deepEqual(replicaLoaded.components, ['other']);
+					// the unloaded store is reloaded by the store loader
+					assert.deepEqual(replicaLoaded.stores, ['Store', 'Renamed']);
+					assert.deepEqual(reloaded, []);
+					return replicaWatcher.close();
+				});
+		});
+
+		it('should keep the primary and the added replicas on restart in the cluster mode', () => {
+			const child = new events.EventEmitter();
+
+			child.pid = 42;
+			child.connected = true;
+			child.send = () => {};
+			config.watcher.cluster = 'primary';
+			memoryWatcher.configure();
+
+			const primary = memoryWatcher.clusterPrimary;
+
+			memoryWatcher.addReplica(child);
+
+			return memoryWatcher.watch()
+				.then(() => memoryWatcher.restart())
+				.then(() => {
+					assert.strictEqual(memoryWatcher.clusterPrimary, primary);
+					assert.strictEqual(child.listenerCount('message'), 1);
+					assert.strictEqual(child.listenerCount('exit'), 1);
+					return memoryWatcher.close();
+				})
+				.then(() => {
+					assert.strictEqual(child.listenerCount('message'), 0);
+					assert.strictEqual(child.listenerCount('exit'), 0);
+				});
+		});
+
+		it('should log the events as JSON with the routes at the debug level', () => {
+			const messages = [];
+
+			config.watcher.log = {level: 'debug', format: 'json'};
+			memoryWatcher.configure();
+			// the logging is disabled for the rest of the tests
+			delete memoryWatcher.logProcesses;
+			['debug', 'info'].forEach(level =>
+				memoryWatcher.eventBus.on(level, message => messages.push(JSON.parse(message))));
+
+			return memoryWatcher.watch()
+				.then(() => writeFile(storeFilename, CHANGED_STORE_SOURCE))
+				.then(() => backend.emit('change', path.resolve(storeFilename)))
+				.then(() => memoryWatcher.settle())
+				.then(() => {
+					const events = messages.map(message => `${message.level}:${message.event}`);
+
+					assert.deepEqual(events, [
+						'info:watch', 'debug:route', 'info:changeStore', 'debug:reloadStart',
+						'info:reloadStore', 'debug:reloadEnd'
+					]);
+					assert.strictEqual(messages[1].watcher, 'store');
+					assert.strictEqual(messages[2].path, storeFilename);
+					assert.strictEqual(messages[2].message, `Store "${storeFilename}" has been changed, reinitializing...`);
+				});
+		});
+
+		it('should skip the changes which keep the same content', () => {
+			const changed = [];
+			let batches = 0;
+
+			memoryWatcher.on('batch', () => batches++);
+			memoryWatcher.registerTarget({
+				name: 'stores',
+				glob: path.join(storesDirectory, '*.js'),
+				onChange: filename => changed.push(filename)
+			});
+
+			return memoryWatcher.watch()
+				.then(() => changeFile('change', storeFilename, STORE_SOURCE))
+				.then(() => memoryWatcher.settle())
+				.then(() => changeFile('change', storeFilename, STORE_SOURCE))
+				.then(() => memoryWatcher.settle())
+				.then(() => {
+					// the target's file is unknown until its first change, the store is hashed on start
+					assert.deepEqual(reloaded, []);
+					assert.deepEqual(changed, [storeFilename]);
+					assert.strictEqual(batches, 1);
+					assert.strictEqual(memoryWatcher.getStats().suppressedChanges, 3);
+				});
+		});
+
+		it('should pass the events of the watch target to its handlers', () => {
+			const changed = [];
+
+			memoryWatcher.registerTarget({
+				name: 'l10n',
+				glob: path.join('l10n', '*.json'),
+				onChange: filename => changed.push(filename)
+			});
+
+			return memoryWatcher.watch()
+				.then(() => {
+					backend.emit('change', path.join('l10n', 'en.json'));
+					backend.emit('change', path.join('l10n', 'nested', 'en.json'));
+
+					return memoryWatcher.settle();
+				})
+				.then(() => assert.deepEqual(changed, [path.join('l10n', 'en.json')]));
+		});
+
+		it('should resolve the targets from the configured cwd and skip the ignored files', () => {
+			const changed = [];
+			const cwd = path.resolve('site');
+
+			config.watcher.cwd = cwd;
+			config.watcher.ignore = path.join('l10n', 'drafts', '**');
+			memoryWatcher.configure();
+			memoryWatcher.registerTarget({
+				name: 'l10n',
+				glob: path.join('l10n', '**', '*.json'),
+				onChange: filename => changed.push(filename)
+			});
+
+			return memoryWatcher.watch()
+				.then(() => {
+					backend.emit('change', path.join(cwd, 'l10n', 'en.json'));
+					backend.emit('change', path.join('l10n', 'drafts', 'en.json'));
+					backend.emit('change', path.resolve('l10n', 'ru.json'));
+
+					return memoryWatcher.settle();
+				})
+				.then(() => assert.deepEqual(changed, [path.join('l10n', 'en.json')]));
+		});
+
+		it('should pass the paths relative to the current directory to the finders if cwd is configured', () => {
+			const otherStoreFilename = path.join(storesDirectory, 'Other.js');
+			const otherManifestFilename = path.join(componentsDirectory, 'other', 'cat-component.json');
+			const logicFilename = path.join(componentDirectory, 'index.js');
+			const emitFromRoot = (kind, filename) => backend.emit(kind, path.relative(projectRoot, filename));
+
+			config.watcher.cwd = path.resolve(projectRoot);
+			memoryWatcher.configure();
+
+			return memoryWatcher.watch()
+				.then(() => copy(componentDirectory, path.dirname(otherManifestFilename)))
+				.then(() => Promise.all([
+					writeFile(otherStoreFilename, STORE_SOURCE),
+					writeFile(logicFilename, CHANGED_COMPONENT_SOURCE)
+				]))
+				.then(() => {
+					emitFromRoot('add', otherStoreFilename);
+					emitFromRoot('add', otherManifestFilename);
+					emitFromRoot('change', logicFilename);
+
+					return memoryWatcher.settle();
+				})
+				.then(() => memoryWatcher.storeFinder.find())
+				.then(storesByNames => {
+					assert.deepEqual(reloaded, ['Other']);
+					assert.deepEqual(reloadedComponents.sort(), ['other', 'page']);
+					assert.strictEqual(storesByNames.Other.path, otherStoreFilename);
+					assert.deepEqual(memoryWatcher.componentFinder.getDirsOfFoundComponents(),
+						[componentDirectory, path.dirname(otherManifestFilename)]);
+
+					return remove(otherStoreFilename);
+				})
+				.then(() => {
+					emitFromRoot('unlink', otherStoreFilename);
+					return memoryWatcher.settle();
+				})
+				.then(() => memoryWatcher.storeFinder.find())
+				.then(storesByNames => assert.deepEqual(Object.keys(storesByNames), ['Store']));
+		});
+
+		it('should skip the files matching the ignore files and reload them on change', () => {
+			const changed = [];
+			const gitignore = path.join(projectRoot, '.gitignore');
+
+			config.watcher.cwd = projectRoot;
+			memoryWatcher.configure();
+			memoryWatcher.registerTarget({
+				name: 'l10n',
+				glob: path.join('l10n', '*'),
+				onChange: filename => changed.push(filename)
+			});
+
+			return writeFile(gitignore, '*.swp')
+				.then(() => memoryWatcher.watch())
+				.then(() => {
+					backend.emit('change', path.join('l10n', '.en.json.swp'));
+					backend.emit('change', path.join('l10n', 'en.json'));
+
+					const reloaded = new Promise(resolve => memoryWatcher.once('reloadIgnoreRules', resolve));
+
+					return writeFile(gitignore, 'en.json')
+						.then(() => backend.emit('change', '.gitignore'))
+						.then(() => reloaded);
+				})
+				.then(() => {
+					backend.emit('change', path.join('l10n', 'en.json'));
+					backend.emit('change', path.join('l10n', 'ru.json'));
+
+					return memoryWatcher.settle();
+				})
+				.then(() => assert.deepEqual(changed, [path.join('l10n', 'en.json'), path.join('l10n', 'ru.json')]));
+		});
+
+		it('should report the changes made while the watcher was stopped', () => {
+			const snapshotFilename = path.join(projectRoot, 'watch-state.json');
+			const oldStoreFilename = path.join(storesDirectory, 'Old.js');
+			const oldManifestFilename = path.join(componentsDirectory, 'old', 'cat-component.json');
+			const templateFilename = path.join(componentDirectory, 'template.hbs');
+			const unchangedFilenames = [
+				manifestFilename, path.join(componentDirectory, 'index.js'), path.join(componentDirectory, 'error.hbs')
+			];
+			const envelopes = [];
+			const legacyEvents = [];
+			let report = null;
+
+			config.watcher.snapshot = snapshotFilename;
+			memoryWatcher.configure();
+			['store:add', 'store:change', 'store:unlink', 'component:add', 'component:unlink', 'component:changeFile']
+				.forEach(name => memoryWatcher.on(name, envelope =>
+					envelopes.push([name, envelope.name, envelope.filename, envelope.reason])));
+			['changeStore', 'unlinkStore', 'changeComponent', 'unlinkComponent']
+				.forEach(name => memoryWatcher.on(name, payload => legacyEvents.push([name, payload])));
+			memoryWatcher.on('restore', restoreReport => (report = restoreReport));
+
+			return Promise.all(unchangedFilenames.map(filename => hashHelper.hashFile(filename)))
+				.then(hashes => {
+					const files = {
+						[storeFilename]: {target: 'store', name: 'Store', mtime: 0, hash: 'previous'},
+						[oldStoreFilename]: {target: 'store', name: 'Old', mtime: 0, hash: 'previous'},
+						[templateFilename]: {target: 'componentFile', name: 'page', mtime: 0, hash: 'previous'},
+						[oldManifestFilename]: {target: 'componentJson', name: 'old', mtime: 0, hash: 'previous'}
+					};
+
+					unchangedFilenames.forEach((filename, index) => (files[filename] = {
+						target: filename === manifestFilename ? 'componentJson' : 'componentFile',
+						name: 'page',
+						mtime: 0,
+						hash: hashes[index]
+					}));
+
+					return writeFile(snapshotFilename, JSON.stringify({version: 1, files}));
+				})
+				.then(() => memoryWatcher.watch())
+				.then(() => readFile(snapshotFilename, 'utf8'))
+				.then(content => {
+					const files = JSON.parse(content).files;
+
+					assert.strictEqual(storeFilename in files, true);
+					assert.strictEqual(oldStoreFilename in files, false);
+					assert.deepEqual(envelopes, [
+						['store:change', 'Store', storeFilename, 'offline'],
+						['store:unlink', 'Old', oldStoreFilename, 'offline'],
+						['component:unlink', 'old', oldManifestFilename, 'offline'],
+						['component:changeFile', 'page', templateFilename, 'offline']
+					]);
+					assert.deepEqual(legacyEvents.map(event => event[0]),
+						['changeStore', 'unlinkStore', 'unlinkComponent', 'changeComponent']);
+					assert.deepEqual(legacyEvents[1][1], {name: 'Old', path: oldStoreFilename});
+					assert.deepEqual(legacyEvents[3][1], {
+						filename: templateFilename,
+						component: memoryWatcher.componentFinder.getFoundComponentsByDirs()[componentDirectory]
+					});
+					assert.deepEqual(report.stores, {added: [], changed: [storeFilename], removed: [oldStoreFilename]});
+					assert.deepEqual(report.components, {added: [], changed: [templateFilename], removed: [oldManifestFilename]});
+					assert.deepEqual(reloaded, []);
+					assert.deepEqual(reloadedComponents, []);
+				});
+		});
+
+		it('should update only the files of the batch in the snapshot', () => {
+			const snapshotFilename = path.join(projectRoot, 'watch-state.json');
+			const templateFilename = path.join(componentDirectory, 'template.hbs');
+			const stylesFilename = path.join(componentDirectory, 'styles.css');
+			const errorFilename = path.join(componentDirectory, 'error.hbs');
+			let previousFiles = null;
+			let finds = 0;
+
+			config.watcher.snapshot = snapshotFilename;
+			memoryWatcher.configure();
+
+			return memoryWatcher.watch()
+				.then(() => readFile(snapshotFilename, 'utf8'))
+				.then(content => {
+					const find = memoryWatcher.storeFinder.find;
+
+					previousFiles = JSON.parse(content).files;
+					memoryWatcher.storeFinder.find = () => {
+						finds++;
+						return find();
+					};
+
+					return Promise.all([
+						changeFile('change', storeFilename, CHANGED_STORE_SOURCE),
+						changeFile('add', stylesFilename, 'div {}'),
+						changeFile('unlink', errorFilename)
+					]);
+				})
+				.then(() => memoryWatcher.settle())
+				.then(() => memoryWatcher.snapshot.wait())
+				.then(() => readFile(snapshotFilename, 'utf8'))
+				.then(content => {
+					const files = JSON.parse(content).files;
+
+					assert.strictEqual(finds, 0);
+					assert.notStrictEqual(files[storeFilename].hash, previousFiles[storeFilename].hash);
+					assert.deepEqual(files[templateFilename], previousFiles[templateFilename]);
+					assert.deepEqual(files[manifestFilename], previousFiles[manifestFilename]);
+					assert.strictEqual(files[stylesFilename].name, 'page');
+					assert.strictEqual(errorFilename in files, false);
+				});
+		});
+
+		it('should throw an error if the watcher option is invalid', () => {
+			locator.registerInstance('config', {watcher: {interval: -1}});
+
+			assert.throws(() => new Watcher(locator), /Watcher option "interval" should be a positive number, got -1/);
+		});
+
+		it('should throw an error if the backend is unknown', () => {
+			locator.registerInstance('config', {watcher: {backend: 'unknown'}});
+
+			assert.throws(() => new Watcher(locator), /Unknown watch backend "unknown"/);
+		});
+	});
+
 	describe('ComponentFinder', () => {
 		let finder, temporaryRoot;
 
@@ -0,0 +1,116 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const MemoryBackend = require('../../../lib/backends/MemoryBackend');
+
+const CWD = path.resolve('project');
+
+/**
+ * Starts watching and collects the events of the watcher.
+ * @param {MemoryBackend} backend The backend.
+ * @param {Array<string>} paths The watched paths.
+ * @param {Array<Array<string>>} events The list which receives the events.
+ * @returns {Promise<MemoryWatcher>} Promise of the ready watcher.
+ */
+function watch(backend, paths, events) {
+	const watcher = backend.watch(paths, {cwd: CWD});
+
+	['add', 'change', 'unlink'].forEach(kind => watcher.on(kind, filename => events.push([kind, filename])));
+
+	return new Promise(resolve => watcher.once('ready', () => resolve(watcher)));
+}
+
+describe('lib/backends/MemoryBackend', () => {
+	describe('#emit', () => {
+		it('should emit the events of the watched files synchronously', () => {
+			const backend = new MemoryBackend();
+			const events = [];
+
+			return watch(backend, ['stores/**/*.js', 'components/page'], events)
+				.then(() => {
+					backend.emit('add', 'stores/Main.js');
+					backend.emit('change', 'components/page/index.js');
+					backend.emit('change', 'components/page2/index.js');
+					backend.emit('unlink', path.join(CWD, 'stores', 'Main.js'));
+
+					assert.deepEqual(events, [
+						['add', path.join('stores', 'Main.js')],
+						['change', path.join('components', 'page', 'index.js')],
+						['unlink', path.join('stores', 'Main.js')]
+					]);
+				});
+		});
+
+		it('should emit the error to all the watchers', () => {
+			const backend = new MemoryBackend();
+			const error = new Error('ENOSPC');
+
+			return watch(backend, 'stores', [])
+				.then(watcher => {
+					let emitted = null;
+
+					watcher.on('error', watcherError => (emitted = watcherError));
+					backend.emit('error', error);
+
+					assert.strictEqual(emitted, error);
+				});
+		});
+
+		it('should not emit the events of the ignored files', () => {
+			const backend = new MemoryBackend();
+			const watcher = backend.watch('stores', {cwd: CWD, ignored: [path.join(CWD, 'stores', '**', '*.test.js')]});
+			const events = [];
+
+			watcher.on('change', filename => events.push(filename));
+			backend.emit('change', 'stores/Main.test.js');
+			backend.emit('change', 'stores/Main.js');
+			watcher.close();
+
+			assert.deepEqual(events, [path.join('stores', 'Main.js')]);
+		});
+
+		it('should throw an error if the kind of the event is unknown', () => {
+			assert.throws(() => new MemoryBackend().emit('rename', 'stores/Main.js'), /Unknown file event "rename"/);
+		});
+	});
+
+	describe('#unwatch', () => {
+		it('should stop emitting the events of the unwatched path', () => {
+			const backend = new MemoryBackend();
+			const events = [];
+
+			return watch(backend, ['stores', 'l10n'], events)
+				.then(watcher => {
+					backend.emit('add', 'l10n/en.json');
+					watcher.unwatch('l10n');
+					backend.emit('change', 'l10n/en.json');
+					backend.emit('add', 'stores/Main.js');
+
+					assert.deepEqual(events, [
+						['add', path.join('l10n', 'en.json')],
+						['add', path.join('stores', 'Main.js')]
+					]);
+					assert.deepEqual(watcher.getWatched(), {stores: ['Main.js']});
+				});
+		});
+	});
+
+	describe('#close', () => {
+		it('should forget the closed watcher', () => {
+			const backend = new MemoryBackend();
+			const events = [];
+
+			return watch(backend, 'stores', events)
+				.then(watcher => {
+					assert.strictEqual(backend.watchersCount, 1);
+
+					watcher.close();
+					backend.emit('add', 'stores/Main.js');
+
+					assert.strictEqual(backend.watchersCount, 0);
+					assert.deepEqual(events, []);
+				});
+		});
+	});
+});
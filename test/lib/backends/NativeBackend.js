@@ -0,0 +1,164 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const mkdir = require('mkdirp');
+const rimraf = require('rimraf');
+const uuid = require('uuid');
+const NativeBackend = require('../../../lib/backends/NativeBackend');
+
+const CASE_PATH = path.join('test', 'cases', 'lib', 'backends');
+
+/**
+ * Converts the function with the callback to the function returning a promise.
+ * @param {Function} methodWithCallback The function with the callback.
+ * @returns {Function} The function returning a promise.
+ */
+function promisify(methodWithCallback) {
+	return (...args) =>
+		new Promise((resolve, reject) =>
+			methodWithCallback(...args, (error, result) => error ? reject(error) : resolve(result)));
+}
+
+const makeDir = promisify(mkdir);
+const remove = promisify(rimraf);
+const writeFile = promisify(fs.writeFile);
+const unlink = promisify(fs.unlink);
+
+/**
+ * Starts watching and resolves the ready watcher.
+ * @param {NativeBackend} backend The backend.
+ * @param {Array<string>} paths The watched paths.
+ * @param {Object?} options The options of watching.
+ * @returns {Promise<NativeWatcher>} Promise of the ready watcher.
+ */
+function watch(backend, paths, options) {
+	const watcher = backend.watch(paths, Object.assign({cwd: process.cwd()}, options));
+
+	return new Promise(resolve => watcher.once('ready', () => resolve(watcher)));
+}
+
+/**
+ * Waits for the event of the file.
+ * @param {NativeWatcher} watcher The watcher.
+ * @param {string} kind The kind of the event.
+ * @param {string} filename The filename.
+ * @returns {Promise} Promise of the event.
+ */
+function waitFor(watcher, kind, filename) {
+	return new Promise(resolve => {
+		const listener = changed => {
+			if (changed === filename) {
+				watcher.removeListener(kind, listener);
+				resolve();
+			}
+		};
+
+		watcher.on(kind, listener);
+	});
+}
+
+[
+	{title: 'fs.watch', options: {}},
+	{title: 'polling', options: {usePolling: true, interval: 20}}
+].forEach(({title, options}) => {
+	describe(`lib/backends/NativeBackend (${title})`, () => {
+		let temporaryRoot, watcher;
+
+		beforeEach(() => {
+			temporaryRoot = path.join(CASE_PATH, `__tmp__${uuid.v4()}`);
+			return makeDir(path.join(temporaryRoot, 'stores'));
+		});
+
+		afterEach(() => {
+			watcher.close();
+			return remove(temporaryRoot);
+		});
+
+		it('should emit add, change and unlink events of the matching files', () => {
+			const storeFilename = path.join(temporaryRoot, 'stores', 'Main.js');
+
+			return watch(new NativeBackend(options), [path.join(temporaryRoot, 'stores', '**', '*.js')])
+				.then(readyWatcher => {
+					watcher = readyWatcher;
+
+					return Promise.all([
+						waitFor(watcher, 'add', storeFilename),
+						writeFile(path.join(temporaryRoot, 'stores', 'README.md'), '# Stores')
+							.then(() => writeFile(storeFilename, 'module.exports = class {};'))
+					]);
+				})
+				.then(() => Promise.all([
+					waitFor(watcher, 'change', storeFilename),
+					writeFile(storeFilename, 'module.exports = class Main {};')
+				]))
+				.then(() => Promise.all([
+					waitFor(watcher, 'unlink', storeFilename),
+					unlink(storeFilename)
+				]))
+				.then(() => assert.deepEqual(watcher.getWatched(), {}));
+		});
+
+		it('should skip the ignored files', () => {
+			const storesDirectory = path.join(temporaryRoot, 'stores');
+			const events = [];
+
+			return makeDir(path.join(storesDirectory, 'node_modules'))
+				.then(() => writeFile(path.join(storesDirectory, 'node_modules', 'index.js'), ''))
+				.then(() => watch(new NativeBackend(options), [storesDirectory], {
+					ignored: [path.resolve(storesDirectory, 'node_modules'), path.resolve(storesDirectory, '*.md')]
+				}))
+				.then(readyWatcher => {
+					watcher = readyWatcher;
+					watcher.on('add', filename => events.push(filename));
+
+					assert.deepEqual(watcher.getWatched(), {});
+
+					return Promise.all([
+						waitFor(watcher, 'add', path.join(storesDirectory, 'Main.js')),
+						writeFile(path.join(storesDirectory, 'README.md'), '# Stores')
+							.then(() => writeFile(path.join(storesDirectory, 'Main.js'), ''))
+					]);
+				})
+				.then(() => assert.deepEqual(events, [path.join(storesDirectory, 'Main.js')]));
+		});
+
+		it('should emit the event when the write is finished', () => {
+			const storeFilename = path.join(temporaryRoot, 'stores', 'Main.js');
+			const startedAt = Date.now();
+
+			return watch(new NativeBackend(options), [path.join(temporaryRoot, 'stores')], {
+				awaitWriteFinish: {stabilityThreshold: 200, pollInterval: 20}
+			})
+				.then(readyWatcher => {
+					watcher = readyWatcher;
+
+					return Promise.all([
+						waitFor(watcher, 'add', storeFilename),
+						writeFile(storeFilename, 'module.exports = class {};')
+					]);
+				})
+				.then(() => assert.ok(Date.now() - startedAt >= 200));
+		});
+
+		it('should not emit the events of the existing files on start', () => {
+			const storeFilename = path.join(temporaryRoot, 'stores', 'Main.js');
+			const events = [];
+
+			return writeFile(storeFilename, 'module.exports = class {};')
+				.then(() => watch(new NativeBackend(options), [path.join(temporaryRoot, 'stores')]))
+				.then(readyWatcher => {
+					watcher = readyWatcher;
+					watcher.on('add', filename => events.push(filename));
+
+					assert.deepEqual(watcher.getWatched(), {
+						[path.join(temporaryRoot, 'stores')]: ['Main.js']
+					});
+
+					return new Promise(resolve => setTimeout(resolve, 100));
+				})
+				.then(() => assert.deepEqual(events, []));
+		});
+	});
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const configHelper = require('../../../lib/helpers/configHelper');
+
+describe('lib/helpers/configHelper', () => {
+	describe('#getWatcherOptions', () => {
+		it('should return the defaults if the watcher section is missing', () => {
+			const options = configHelper.getWatcherOptions({});
+
+			assert.strictEqual(options.settleDelay, 50);
+			assert.strictEqual(options.rescanInterval, 0);
+			assert.strictEqual(options.statsInterval, 0);
+			assert.strictEqual(options.reloadConcurrency, 4);
+			assert.strictEqual(options.pauseOnGit, false);
+			assert.strictEqual(options.cwd, process.cwd());
+			assert.strictEqual(options.ignoreFiles, true);
+			assert.strictEqual(options.snapshotFile, null);
+			assert.deepEqual(options.log, {level: 'info', format: 'text', color: false, timing: false});
+			assert.deepEqual(options.cluster, {mode: false, timeout: 10000});
+			assert.deepEqual(options.watchOptions, {ignoreInitial: true, cwd: process.cwd()});
+		});
+
+		it('should pass the configured options to the backend', () => {
+			const cwd = path.resolve('site');
+			const options = configHelper.getWatcherOptions({
+				watcher: {
+					cwd: 'site',
+					ignore: ['node_modules/**', 'l10n/drafts/**'],
+					polling: true,
+					interval: 300,
+					awaitWriteFinish: {stabilityThreshold: 500},
+					followSymlinks: false,
+					snapshot: true
+				}
+			});
+
+			assert.strictEqual(options.cwd, cwd);
+			assert.strictEqual(options.snapshotFile, path.join(cwd, '.catberry', 'watch-state.json'));
+			assert.deepEqual(options.watchOptions, {
+				ignoreInitial: true,
+				cwd,
+				ignored: [path.join(cwd, 'node_modules', '**'), path.join(cwd, 'l10n', 'drafts', '**')],
+				usePolling: true,
+				interval: 300,
+				awaitWriteFinish: {stabilityThreshold: 500},
+				followSymlinks: false
+			});
+		});
+
+		it('should throw an error if the watcher section is not an object', () => {
+			assert.throws(() => configHelper.getWatcherOptions({watcher: true}), /Watcher config should be an object/);
+		});
+
+		it('should throw an error if the option is unknown', () => {
+			assert.throws(
+				() => configHelper.getWatcherOptions({watcher: {usePolling: true}}),
+				/Unknown watcher option "usePolling", it should be one of settleDelay, /
+			);
+		});
+
+		it('should throw an error if the option has a wrong type', () => {
+			assert.throws(
+				() => configHelper.getWatcherOptions({watcher: {ignore: ['node_modules/**', 42]}}),
+				/Watcher option "ignore" should be a glob expression or an array of them, got \["node_modules\/\*\*",42\]/
+			);
+			assert.throws(
+				() => configHelper.getWatcherOptions({watcher: {polling: 'yes'}}),
+				/Watcher option "polling" should be a boolean, got "yes"/
+			);
+			assert.throws(
+				() => configHelper.getWatcherOptions({watcher: {reloadConcurrency: 1.5}}),
+				/Watcher option "reloadConcurrency" should be a positive integer, got 1.5/
+			);
+		});
+
+		it('should throw an error if the thresholds of awaitWriteFinish are invalid', () => {
+			assert.throws(
+				() => configHelper.getWatcherOptions({watcher: {awaitWriteFinish: 100}}),
+				/Watcher option "awaitWriteFinish" should be a boolean or an object like \{stabilityThreshold, pollInterval\}/
+			);
+			assert.throws(
+				() => configHelper.getWatcherOptions({watcher: {awaitWriteFinish: {pollInterval: 0}}}),
+				/Watcher option "awaitWriteFinish.pollInterval" should be a positive number, got 0/
+			);
+			assert.throws(
+				() => configHelper.getWatcherOptions({watcher: {awaitWriteFinish: {threshold: 100}}}),
+				/Unknown watcher option "awaitWriteFinish.threshold"/
+			);
+		});
+
+		it('should merge the log options with the defaults and throw an error if they are invalid', () => {
+			assert.deepEqual(configHelper.getWatcherOptions({watcher: {log: {level: 'debug', format: 'json'}}}).log,
+				{level: 'debug', format: 'json', color: false, timing: false});
+			assert.throws(
+				() => configHelper.getWatcherOptions({watcher: {log: {level: 'verbose'}}}),
+				/Watcher option "log.level" should be one of silent, error, info, debug, got "verbose"/
+			);
+			assert.throws(
+				() => configHelper.getWatcherOptions({watcher: {log: {colour: true}}}),
+				/Unknown watcher option "log.colour", it should be one of level, format, color, timing/
+			);
+			assert.throws(
+				() => configHelper.getWatcherOptions({watcher: {log: 'json'}}),
+				/Watcher option "log" should be an object like \{level, format, color, timing\}/
+			);
+		});
+
+		it('should return the cluster options and throw an error if they are invalid', () => {
+			assert.deepEqual(configHelper.getWatcherOptions({watcher: {cluster: 'primary', clusterTimeout: 500}}).cluster,
+				{mode: 'primary', timeout: 500});
+			assert.throws(
+				() => configHelper.getWatcherOptions({watcher: {cluster: 'worker'}}),
+				/Watcher option "cluster" should be a boolean or one of primary, replica, got "worker"/
+			);
+			assert.throws(
+				() => configHelper.getWatcherOptions({watcher: {clusterTimeout: -1}}),
+				/Watcher option "clusterTimeout" should be a positive number, got -1/
+			);
+		});
+	});
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const errorHelper = require('../../../lib/helpers/errorHelper');
+
+const FILENAME = path.resolve('catberry_stores', 'Some.Store.js');
+
+describe('lib/helpers/errorHelper', () => {
+	describe('#getLocation', () => {
+		it('should get the location of a runtime error from the stack frame', () => {
+			const error = new TypeError('Cannot read property "x" of null');
+			error.stack = `TypeError: Cannot read property "x" of null\n    at Object.<anonymous> (${FILENAME}:12:8)`;
+
+			assert.deepEqual(errorHelper.getLocation(error, FILENAME), {line: 12, column: 8});
+		});
+
+		it('should get the location of a syntax error from the caret line', () => {
+			const error = new SyntaxError('Unexpected token ;');
+			error.stack = `${FILENAME}:2\n\tfoo(;\n\t    ^\n\nSyntaxError: Unexpected token ;\n    at Module._compile`;
+
+			assert.deepEqual(errorHelper.getLocation(error, FILENAME), {line: 2, column: 6});
+		});
+
+		it('should return an empty location if the file is not in the stack', () => {
+			const error = new Error('Something');
+
+			assert.deepEqual(errorHelper.getLocation(error, FILENAME), {line: null, column: null});
+			assert.deepEqual(errorHelper.getLocation('Something', FILENAME), {line: null, column: null});
+		});
+	});
+
+	describe('#getJsonLocation', () => {
+		it('should get the location of the JSON syntax error', () => {
+			const content = '{\n\t"name": "page",\n}';
+			let error = null;
+
+			try {
+				JSON.parse(content);
+			} catch (e) {
+				error = e;
+			}
+
+			assert.ok(error instanceof SyntaxError);
+			assert.deepEqual(errorHelper.getJsonLocation(error, content), {line: 3, column: 1});
+		});
+
+		it('should return an empty location if the error has no position', () => {
+			assert.deepEqual(errorHelper.getJsonLocation(new Error('Something'), '{}'), {line: null, column: null});
+		});
+	});
+});
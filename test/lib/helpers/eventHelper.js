@@ -0,0 +1,70 @@
+'use strict';
+
+const assert = require('assert');
+const eventHelper = require('../../../lib/helpers/eventHelper');
+
+const STORE = {name: 'Main', path: 'catberry_stores/Main.js'};
+const COMPONENT = {name: 'page', path: 'components/page/cat-component.json', properties: {}};
+
+describe('lib/helpers/eventHelper', () => {
+	describe('#createEnvelope', () => {
+		it('should create the envelope with the defaults of the optional fields', () => {
+			const envelope = eventHelper.createEnvelope({type: 'change', target: 'store', descriptor: STORE}, 7);
+
+			assert.strictEqual(typeof (envelope.timestamp), 'number');
+			delete envelope.timestamp;
+			assert.deepEqual(envelope, {
+				version: 1,
+				sequence: 7,
+				type: 'change',
+				target: 'store',
+				name: 'Main',
+				descriptor: STORE,
+				previous: null,
+				filename: 'catberry_stores/Main.js',
+				reason: null
+			});
+			assert.strictEqual(eventHelper.getEventName(envelope), 'store:change');
+		});
+	});
+
+	describe('#toLegacyEvent', () => {
+		it('should convert the envelope to the legacy event', () => {
+			const renamed = Object.assign({}, STORE, {name: 'Index'});
+
+			assert.deepEqual(eventHelper.toLegacyEvent(eventHelper.createEnvelope({
+				type: 'rename', target: 'store', descriptor: renamed, previous: STORE
+			}, 1)), {name: 'renameStore', payload: {from: STORE, to: renamed}});
+			assert.deepEqual(eventHelper.toLegacyEvent(eventHelper.createEnvelope({
+				type: 'changeManifest', target: 'component', descriptor: COMPONENT, previous: COMPONENT,
+				reason: 'logic,template'
+			}, 2)), {
+				name: 'changeComponentManifest',
+				payload: {component: COMPONENT, previous: COMPONENT, changed: ['logic', 'template']}
+			});
+			assert.deepEqual(eventHelper.toLegacyEvent(eventHelper.createEnvelope({
+				type: 'unlinkFile', target: 'component', descriptor: COMPONENT,
+				filename: 'components/page/styles.css', reason: 'other'
+			}, 3)), {
+				name: 'changeComponent',
+				payload: {filename: 'components/page/styles.css', component: COMPONENT}
+			});
+		});
+
+		it('should split the reason of the manifest change into the changed fields', () => {
+			const renamed = Object.assign({}, COMPONENT, {name: 'other'});
+			const legacyEvent = eventHelper.toLegacyEvent(eventHelper.createEnvelope({
+				type: 'changeManifest', target: 'component', descriptor: renamed, previous: COMPONENT, reason: 'name'
+			}, 1));
+
+			assert.strictEqual(legacyEvent.name, 'changeComponentManifest');
+			assert.deepEqual(legacyEvent.payload.changed, ['name']);
+			assert.strictEqual(legacyEvent.payload.component, renamed);
+			assert.strictEqual(legacyEvent.payload.previous, COMPONENT);
+		});
+
+		it('should return null if there is no legacy event', () => {
+			assert.strictEqual(eventHelper.toLegacyEvent({type: 'touch', target: 'store'}), null);
+		});
+	});
+});
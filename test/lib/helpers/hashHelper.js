@@ -0,0 +1,24 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const hashHelper = require('../../../lib/helpers/hashHelper');
+
+const FILENAME = path.join(__dirname, 'errorHelper.js');
+
+describe('lib/helpers/hashHelper', () => {
+	describe('#hashFile', () => {
+		it('should get the same hash of the same content', () =>
+			Promise.all([hashHelper.hashFile(FILENAME), hashHelper.hashFile(FILENAME)])
+				.then(hashes => {
+					assert.strictEqual(typeof (hashes[0]), 'string');
+					assert.strictEqual(hashes[0], hashes[1]);
+				})
+		);
+
+		it('should get null if the file does not exist', () =>
+			hashHelper.hashFile(path.join(__dirname, 'unknown.js'))
+				.then(hash => assert.strictEqual(hash, null))
+		);
+	});
+});
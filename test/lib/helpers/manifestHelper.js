@@ -0,0 +1,91 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const manifestHelper = require('../../../lib/helpers/manifestHelper');
+
+const CASE_PATH = path.join(__dirname, '..', '..', 'cases', 'lib', 'helpers', 'manifestHelper');
+
+/**
+ * Gets the filename of the case's manifest.
+ * @param {string} caseName The name of the case.
+ * @returns {string} The filename.
+ */
+function getManifest(caseName) {
+	return path.join(CASE_PATH, caseName, 'cat-component.json');
+}
+
+describe('lib/helpers/manifestHelper', () => {
+	describe('#validate', () => {
+		it('should return no diagnostics for a valid manifest', () =>
+			manifestHelper.validate(getManifest('valid'))
+				.then(diagnostics => assert.deepEqual(diagnostics, []))
+		);
+
+		it('should locate the JSON syntax error', () =>
+			manifestHelper.validate(getManifest('broken-json'))
+				.then(diagnostics => {
+					assert.strictEqual(diagnostics.length, 1);
+					assert.strictEqual(diagnostics[0].field, null);
+					assert.strictEqual(diagnostics[0].line, 4);
+					assert.strictEqual(diagnostics[0].column, 1);
+				})
+		);
+
+		it('should report the invalid fields with their lines', () =>
+			manifestHelper.validate(getManifest('invalid-fields'))
+				.then(diagnostics => {
+					assert.deepEqual(diagnostics.map(diagnostic => diagnostic.field), ['logic', 'template', 'name']);
+					assert.deepEqual(diagnostics.map(diagnostic => diagnostic.line), [3, null, 2]);
+				})
+		);
+
+		it('should report the missing files', () =>
+			manifestHelper.validate(getManifest('missing-files'))
+				.then(diagnostics => assert.deepEqual(diagnostics.map(diagnostic => diagnostic.field), ['logic', 'template']))
+		);
+
+		it('should report the manifest which can not be read', () =>
+			manifestHelper.validate(getManifest('unknown'))
+				.then(diagnostics => {
+					assert.strictEqual(diagnostics.length, 1);
+					assert.strictEqual(diagnostics[0].field, null);
+				})
+		);
+	});
+
+	describe('#diff', () => {
+		it('should return no fields for the same descriptors', () => {
+			const descriptor = {name: 'page', properties: {template: 'page.hbs', options: {isCached: true}}};
+
+			assert.deepEqual(manifestHelper.diff(descriptor, {name: 'page', properties: {
+				template: 'page.hbs', options: {isCached: true}
+			}}), []);
+		});
+
+		it('should return the changed, added and removed fields', () => {
+			const oldDescriptor = {name: 'page', properties: {template: 'page.hbs', errorTemplate: 'error.hbs', custom: [1]}};
+			const newDescriptor = {name: 'page', properties: {template: 'other.hbs', logic: 'page.js', custom: [1, 2]}};
+
+			assert.deepEqual(manifestHelper.diff(oldDescriptor, newDescriptor),
+				['template', 'errorTemplate', 'custom', 'logic']);
+		});
+
+		it('should return the name if the names differ without the "name" field', () => {
+			const properties = {template: 'page.hbs'};
+
+			assert.deepEqual(manifestHelper.diff({name: 'page', properties}, {name: 'other', properties}), ['name']);
+		});
+
+		it('should return the changed name field once', () => {
+			assert.deepEqual(manifestHelper.diff(
+				{name: 'page', properties: {name: 'page'}},
+				{name: 'other', properties: {name: 'other'}}
+			), ['name']);
+		});
+
+		it('should handle the descriptors without properties', () => {
+			assert.deepEqual(manifestHelper.diff({name: 'page'}, {name: 'page', properties: {logic: 'page.js'}}), ['logic']);
+		});
+	});
+});
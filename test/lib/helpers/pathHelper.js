@@ -0,0 +1,76 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const pathHelper = require('../../../lib/helpers/pathHelper');
+
+const CWD = path.resolve('project');
+
+describe('lib/helpers/pathHelper', () => {
+	describe('#createEntry', () => {
+		it('should split the glob expression to the base directory and the depth', () => {
+			const entry = pathHelper.createEntry(CWD, path.join('.git', '{HEAD,index.lock}'));
+
+			assert.strictEqual(entry.isGlob, true);
+			assert.strictEqual(entry.base, path.join(CWD, '.git'));
+			assert.strictEqual(entry.depth, 1);
+			assert.strictEqual(entry.match(path.join(CWD, '.git', 'index.lock')), true);
+			assert.strictEqual(entry.match(path.join(CWD, '.git', 'index')), false);
+		});
+
+		it('should not limit the depth of the globstar', () => {
+			const entry = pathHelper.createEntry(CWD, path.join('stores', '**', '*.js'));
+
+			assert.strictEqual(entry.base, path.join(CWD, 'stores'));
+			assert.strictEqual(entry.depth, Infinity);
+			assert.strictEqual(entry.match(path.join(CWD, 'stores', 'sub', 'Main.js')), true);
+		});
+
+		it('should match the path and everything inside it', () => {
+			const entry = pathHelper.createEntry(CWD, path.join('components', 'page'));
+
+			assert.strictEqual(entry.isGlob, false);
+			assert.strictEqual(entry.match(path.join(CWD, 'components', 'page')), true);
+			assert.strictEqual(entry.match(path.join(CWD, 'components', 'page', 'index.js')), true);
+			assert.strictEqual(entry.match(path.join(CWD, 'components', 'page2', 'index.js')), false);
+		});
+	});
+
+	describe('#isWithin', () => {
+		it('should check the depth of the file inside the directory', () => {
+			assert.strictEqual(pathHelper.isWithin(CWD, 1, path.join(CWD, 'a.js')), true);
+			assert.strictEqual(pathHelper.isWithin(CWD, 1, path.join(CWD, 'a', 'b.js')), false);
+			assert.strictEqual(pathHelper.isWithin(CWD, Infinity, path.join(CWD, 'a', 'b.js')), true);
+			assert.strictEqual(pathHelper.isWithin(CWD, Infinity, path.resolve('other.js')), false);
+		});
+	});
+
+	describe('#groupByDirs', () => {
+		it('should group the files by the relative directories', () => {
+			assert.deepEqual(pathHelper.groupByDirs(CWD, [
+				path.join(CWD, 'stores', 'Main.js'),
+				path.join(CWD, 'stores', 'About.js'),
+				path.join(CWD, 'index.js')
+			]), {
+				stores: ['Main.js', 'About.js'],
+				'.': ['index.js']
+			});
+		});
+	});
+
+	describe('#recognizeComponent', () => {
+		it('should find the component of the nearest directory', () => {
+			const page = {name: 'page'};
+			const foundComponentsByDirs = {
+				[path.join('components', 'page')]: page
+			};
+
+			assert.strictEqual(pathHelper.recognizeComponent(
+				path.join('components', 'page', 'assets', 'style.css'), foundComponentsByDirs, process.cwd()
+			), page);
+			assert.strictEqual(pathHelper.recognizeComponent(
+				path.join('components', 'other', 'index.js'), foundComponentsByDirs, process.cwd()
+			), null);
+		});
+	});
+});